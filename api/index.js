@@ -1,166 +1,531 @@
 const express = require('express');
 const cors = require('cors');
+const { getProvider } = require('./providers');
+const { ApiError, toApiError, sendError } = require('./lib/errors');
+const { validateBody } = require('./lib/validation');
+const { schemas } = require('./lib/schemas');
+const {
+  GENERATION_HEADERS,
+  summarizeSafetyRatings,
+  assertPromptNotBlocked,
+  assertCandidateNotBlocked,
+  getCandidateText,
+  parseJSONText,
+  setGenerationHeaders,
+  describeCache,
+  describePrompt,
+} = require('./lib/candidate');
+const { buildCacheKey, getCached, setCached, deleteCached, shouldBypassCache } = require('./lib/cache');
+const { withRetry, MAX_ATTEMPTS } = require('./lib/retry');
+const { getCircuitBreaker } = require('./lib/circuit-breaker');
+const { idempotency } = require('./lib/idempotency');
+const { resolveModel, applyGenerationConfig, isModelUnavailableError, listModels } = require('./lib/models');
+const { renderPrompt } = require('./lib/prompts');
+const { recordUsage, assertWithinBudget, getUsageSummary } = require('./lib/usage');
+const { requestContext } = require('./lib/request-context');
+const { requireAuth } = require('./lib/auth');
+const { ANALYSIS_RESPONSE_SCHEMA, parseAnalysis, analysisToYaml, inspectAnalysis } = require('./lib/analysis');
+const { inspectValueMapText } = require('./lib/value-map');
+const { enforceContract } = require('./lib/contracts');
+const { sanitizeHtml } = require('./lib/sanitize');
+const { applyGrounding } = require('./lib/grounding');
+const { COMPETITORS_RESPONSE_SCHEMA, normalizeCitations, parseCompetitors, reportToText } = require('./lib/competitors');
+const { normalizeKnownInputs, parseMarketSizing } = require('./lib/market-sizing');
+const { SWOT_RESPONSE_SCHEMA, FIVE_FORCES_RESPONSE_SCHEMA, parseSwot, parseFiveForces } = require('./lib/frameworks');
+const {
+  RAW_CHUNK_CONCURRENCY, FINDINGS_RESPONSE_SCHEMA, splitIntoChunks, assertChunkCount, parseChunkFindings, mergeFindings,
+  formatFindingsDigest,
+} = require('./lib/chunking');
+const adminPromptsRouter = require('./routes/admin-prompts');
+const authRouter = require('./routes/auth');
+const workspacesRouter = require('./routes/workspaces');
+const projectsRouter = require('./routes/projects');
+const generationsRouter = require('./routes/generations');
+const { createPipelineRouter } = require('./routes/pipeline');
 const app = express();
 const port = process.env.PORT || 3000;
 
+// CORS_ORIGINS: daftar origin frontend yang diizinkan (dipisah koma); kosong = semua origin
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
 // Middleware
-app.use(cors()); // Izinkan permintaan dari domain lain (frontend Anda)
+app.use(cors({
+  origin: corsOrigins.length > 0 ? corsOrigins : true,
+  exposedHeaders: [...GENERATION_HEADERS, 'X-Value-Map', 'Retry-After', 'Idempotent-Replayed'],
+})); // Izinkan permintaan dari domain frontend Anda
 app.use(express.json({ limit: '10mb' })); // Middleware untuk parsing JSON
+app.use('/api', requestContext); // Identitas pemanggil untuk pencatatan pemakaian (api/lib/usage.js)
+app.use('/api', requireAuth); // Wajib login kecuali /api dan /api/auth/* (api/lib/auth.js)
+app.use('/api', idempotency); // Header Idempotency-Key: request duplikat tidak memanggil LLM lagi
 
-// Kunci API akan diambil dari Environment Variable di Vercel
-const apiKey = process.env.GEMINI_API_KEY; 
+/**
+ * Field body request yang menjadi input prompt untuk sebuah route (untuk pesan SAFETY_BLOCKED).
+ */
+const getInputFields = (route) => Object.entries(schemas[route] || {})
+  .filter(([field, rule]) => rule.type === 'string' && !rule.enum && field !== 'model')
+  .map(([field]) => field);
 
 /**
- * Fungsi helper terpusat untuk memanggil Gemini API dengan retry
+ * Fungsi helper terpusat untuk memanggil LLM dengan retry.
+ * Provider (Gemini, OpenAI-compatible, atau mock) dipilih lewat env LLM_PROVIDER,
+ * lihat api/providers/index.js. Retry (termasuk Retry-After) diatur di api/lib/retry.js
+ * dan panggilan ditolak lebih awal saat circuit breaker terbuka (api/lib/circuit-breaker.js).
+ * Prompt yang diblokir (promptFeedback.blockReason) atau output yang ditahan
+ * (finishReason SAFETY/RECITATION/...) dilempar sebagai SAFETY_BLOCKED tanpa retry.
+ * Respons disimpan di cache per route (lihat api/lib/cache.js).
+ * Model & setelan generasi per route berasal dari registry model (api/lib/models.js).
+ * Setiap generasi baru dicatat bersama versi prompt, token, dan biayanya (api/lib/usage.js);
+ * panggilan ditolak dengan BUDGET_EXCEEDED jika anggaran harian sudah habis.
  * @param {string} model - Nama model (misal: 'gemini-2.5-flash-preview-09-2025')
- * @param {object} payload - Payload yang akan dikirim ke API
- * @param {number} retries - Jumlah percobaan
- * @returns {Promise<object>} - Objek 'candidate' dari respons API
+ * @param {object} payload - Payload format Gemini yang akan dikirim ke API
+ * @param {object} options - { route: nama route (untuk fixture mock & TTL cache), retries: jumlah percobaan,
+ *                             bypassCache: abaikan cache yang ada, fallbackModel: model cadangan jika
+ *                             model utama 404/deprecated, generationConfig: setelan dari registry,
+ *                             prompt: hasil renderPrompt() yang dipakai sebagai systemInstruction,
+ *                             signal: AbortSignal untuk membatalkan panggilan dan retry-nya }
+ * @returns {Promise<object>} - Objek 'candidate' dari respons API, ditambah `cache: { status, createdAt }`, `cacheKey`, dan `prompt`
  */
-const callGeminiAPI = async (model, payload, retries = 3) => {
-  // Validasi API Key saat fungsi dipanggil
-  if (!apiKey) {
-    console.error("FATAL ERROR: GEMINI_API_KEY is not set in Vercel Environment Variables.");
-    // Jangan lempar error di sini agar server tidak crash, tapi kembalikan error yang bisa ditangani
-    throw new Error("Server configuration error: API Key is missing.");
+const callGeminiAPI = async (model, payload, options = {}) => {
+  const { route, retries = MAX_ATTEMPTS, bypassCache = false, signal, fallbackModel, generationConfig, prompt } = options;
+  if (fallbackModel) {
+    return withModelFallback(model, fallbackModel, currentModel => (
+      callGeminiAPI(currentModel, payload, { ...options, fallbackModel: undefined })
+    ));
   }
 
-  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+  payload = applyGenerationConfig(payload, generationConfig);
+  const provider = getProvider();
 
-  for (let i = 0; i < retries; i++) {
-    try {
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-      });
+  // Validasi konfigurasi (misal: API Key) saat fungsi dipanggil, jangan lempar saat startup
+  provider.validateConfig();
 
-      if (!response.ok) {
-        if ((response.status >= 500 || response.status === 429) && i < retries - 1) {
-          const delay = Math.pow(2, i) * 1000 + Math.random() * 1000;
-          console.warn(`Retrying API call for ${model} after ${delay}ms... (Attempt ${i + 1})`);
-          await new Promise(res => setTimeout(res, delay));
-          continue; 
-        }
-        const errorText = await response.text();
-        throw new Error(`API error ${response.status}: ${errorText}`);
-      }
+  const cacheKey = buildCacheKey(provider.name, model, payload);
+  if (!bypassCache) {
+    const cached = await getCached(route, cacheKey);
+    if (cached) {
+      console.log(`CACHE HIT: ${route}`);
+      return { ...cached.value, cache: { status: 'HIT', createdAt: cached.createdAt }, cacheKey, prompt };
+    }
+  }
+
+  await assertWithinBudget();
+  const breaker = getCircuitBreaker(provider.name);
+
+  return withRetry(async () => {
+    const startedAt = Date.now();
+    const data = await callThroughBreaker(breaker, () => provider.generateContent(model, payload, { route, signal }), signal);
+
+    assertPromptNotBlocked(data, getInputFields(route));
+
+    if (!data.candidates || !data.candidates[0]) {
+      throw new ApiError('INVALID_MODEL_OUTPUT', "No candidate returned from API.");
+    }
+
+    await recordUsage({
+      route,
+      model,
+      prompt,
+      finishReason: data.candidates[0].finishReason,
+      usageMetadata: data.usageMetadata,
+      latencyMs: Date.now() - startedAt,
+    });
+    assertCandidateNotBlocked(data.candidates[0], getInputFields(route));
+
+    await setCached(route, cacheKey, data.candidates[0]);
+    return { ...data.candidates[0], cache: { status: bypassCache ? 'BYPASS' : 'MISS', createdAt: Date.now() }, cacheKey, prompt };
+  }, { attempts: retries, label: `${model} via ${provider.name}`, signal });
+};
+
+/**
+ * Memanggil `call(model)`, lalu sekali lagi dengan model cadangan jika model utama
+ * tidak ditemukan/deprecated di upstream.
+ */
+const withModelFallback = async (model, fallbackModel, call) => {
+  try {
+    return await call(model);
+  } catch (error) {
+    if (!isModelUnavailableError(error)) throw error;
+    console.warn(`Model ${model} tidak tersedia (${error.message}), beralih ke model cadangan ${fallbackModel}.`);
+    return call(fallbackModel);
+  }
+};
+
+/**
+ * Menjalankan panggilan provider melewati circuit breaker (catat sukses/gagal).
+ * Panggilan yang dibatalkan lewat `signal` tidak dihitung sebagai kegagalan upstream.
+ */
+const callThroughBreaker = async (breaker, fn, signal) => {
+  breaker.assertCanRequest();
+  try {
+    const result = await fn();
+    breaker.recordSuccess();
+    return result;
+  } catch (error) {
+    if (!(signal && signal.aborted)) breaker.recordFailure(error);
+    throw error;
+  }
+};
+
+/**
+ * Menggabungkan info cache beberapa panggilan (auto-continue) menjadi satu.
+ */
+const mergeCacheInfo = (current, next) => {
+  if (!current) return next;
+  if (current.status === 'HIT' && next.status === 'HIT') {
+    return { status: 'HIT', createdAt: Math.min(current.createdAt, next.createdAt) };
+  }
+  return current.status === 'HIT' ? next : current;
+};
 
-      const data = await response.json();
+// Batas default berapa kali output teks yang terpotong (MAX_TOKENS) dilanjutkan otomatis.
+// Route dengan responseSchema tidak boleh dilanjutkan: lanjutan JSON tidak lagi valid terhadap skema.
+const MAX_CONTINUATIONS = 2;
 
-      if (!data.candidates || !data.candidates[0]) {
-        if (i < retries - 1) {
-          const delay = Math.pow(2, i) * 1000 + Math.random() * 1000;
-          await new Promise(res => setTimeout(res, delay));
-          continue;
+const CONTINUE_PROMPT = 'Lanjutkan tepat dari karakter terakhir jawaban Anda sebelumnya. Jangan mengulang bagian yang sudah ditulis dan jangan menambahkan pengantar.';
+
+/**
+ * Menyusun payload lanjutan: jawaban sejauh ini + instruksi untuk melanjutkan.
+ */
+const buildContinuationPayload = (payload, textSoFar) => ({
+  ...payload,
+  contents: [
+    ...payload.contents,
+    { role: 'model', parts: [{ text: textSoFar }] },
+    { role: 'user', parts: [{ text: CONTINUE_PROMPT }] },
+  ],
+});
+
+/**
+ * Memanggil LLM untuk output teks, dan otomatis meminta lanjutan jika terpotong MAX_TOKENS.
+ * @param {string} model - Nama model
+ * @param {object} payload - Payload format Gemini
+ * @param {object} options - { route, retries, bypassCache, maxContinuations: batas lanjutan (default 0) }
+ * @returns {Promise<object>} - { text, finishReason, safetyRatings, continuations, cache, cacheKeys, prompt, candidate }
+ */
+const generateText = async (model, payload, options = {}) => {
+  const { maxContinuations = 0 } = options;
+  let text = '';
+  let candidate;
+  let continuations = 0;
+  let cache;
+  // Entri cache setiap bagian, dihapus jika hasil gabungannya melanggar kontrak (discardCached)
+  const cacheKeys = [];
+
+  while (true) {
+    const currentPayload = text ? buildContinuationPayload(payload, text) : payload;
+    candidate = await callGeminiAPI(model, currentPayload, options);
+    cacheKeys.push(candidate.cacheKey);
+    // Lanjutan boleh kosong (model sudah selesai tepat di batas token)
+    text += text ? (candidate.content?.parts || []).map(part => part.text || '').join('') : getCandidateText(candidate);
+    // Hasil gabungan dianggap dari cache hanya jika semua bagiannya dari cache
+    cache = mergeCacheInfo(cache, candidate.cache);
+
+    if (candidate.finishReason !== 'MAX_TOKENS' || continuations >= maxContinuations) break;
+    continuations++;
+    console.warn(`Output ${options.route} terpotong (MAX_TOKENS), melanjutkan... (${continuations}/${maxContinuations})`);
+  }
+
+  return {
+    text,
+    finishReason: candidate.finishReason,
+    safetyRatings: candidate.safetyRatings,
+    continuations,
+    cache,
+    cacheKeys,
+    prompt: options.prompt,
+    candidate,
+  };
+};
+
+/**
+ * Menyusun payload perbaikan: jawaban yang melanggar kontrak + daftar pelanggarannya (lihat api/lib/contracts.js).
+ */
+const buildRepairPayload = (payload, text, repairPrompt) => ({
+  ...payload,
+  contents: [
+    ...payload.contents,
+    { role: 'model', parts: [{ text }] },
+    { role: 'user', parts: [{ text: repairPrompt }] },
+  ],
+});
+
+/**
+ * Menghapus entri cache hasil generasi yang melanggar kontrak, agar request berikutnya tidak
+ * menerima (dan memperbaiki ulang) output yang sama selama TTL.
+ */
+const discardCached = (result) => Promise.all((result.cacheKeys || []).filter(Boolean).map(deleteCached));
+
+/**
+ * generateText + pemeriksaan kontrak output route; jawaban yang melanggar diperbaiki otomatis.
+ * @returns {Promise<object>} - Sama seperti generateText, ditambah `repairs`
+ */
+const generateChecked = async (model, payload, options = {}) => {
+  const result = await generateText(model, payload, options);
+  return enforceContract(options.route, result, (text, repairPrompt) => (
+    generateText(model, buildRepairPayload(payload, text, repairPrompt), options)
+  ), { onViolation: discardCached });
+};
+
+/**
+ * Versi streaming dari callGeminiAPI (streamGenerateContent).
+ * Setiap potongan teks diteruskan ke `onText` begitu tiba dari provider.
+ * Retry hanya dilakukan selama belum ada potongan yang diteruskan ke klien.
+ * Jika ada di cache, seluruh teks dikirim sebagai satu potongan tanpa memanggil provider.
+ * @param {string} model - Nama model
+ * @param {object} payload - Payload format Gemini
+ * @param {object} options - { route, retries, bypassCache, fallbackModel, generationConfig, prompt,
+ *                             signal: AbortSignal untuk menghentikan stream }
+ * @param {function} onText - Callback (textChunk) untuk setiap potongan teks
+ * @returns {Promise<object>} - { text: teks lengkap, finishReason, safetyRatings, cache, cacheKey }
+ */
+const streamGeminiAPI = async (model, payload, options = {}, onText) => {
+  const { route, retries = MAX_ATTEMPTS, bypassCache = false, signal, fallbackModel, generationConfig, prompt } = options;
+  if (fallbackModel) {
+    // Model yang tidak tersedia gagal sebelum potongan pertama, jadi aman diulang dengan model cadangan
+    return withModelFallback(model, fallbackModel, currentModel => (
+      streamGeminiAPI(currentModel, payload, { ...options, fallbackModel: undefined }, onText)
+    ));
+  }
+
+  payload = applyGenerationConfig(payload, generationConfig);
+  const provider = getProvider();
+
+  provider.validateConfig();
+
+  const cacheKey = buildCacheKey(provider.name, model, payload);
+  if (!bypassCache) {
+    const cached = await getCached(route, cacheKey);
+    if (cached) {
+      console.log(`CACHE HIT: ${route}/stream`);
+      const cachedText = (cached.value.content?.parts || []).map(part => part.text || '').join('');
+      if (cachedText) onText(cachedText);
+      return {
+        text: cachedText,
+        finishReason: cached.value.finishReason,
+        safetyRatings: cached.value.safetyRatings,
+        cache: { status: 'HIT', createdAt: cached.createdAt },
+        cacheKey,
+      };
+    }
+  }
+
+  await assertWithinBudget();
+  const breaker = getCircuitBreaker(provider.name);
+  let hasSentText = false;
+
+  return withRetry(async () => {
+    const startedAt = Date.now();
+    let text = '';
+    let finishReason;
+    let safetyRatings;
+    let usageMetadata;
+    breaker.assertCanRequest();
+    try {
+      let isFirstChunk = true;
+      for await (const chunk of provider.streamGenerateContent(model, payload, { route, signal })) {
+        if (isFirstChunk) {
+          breaker.recordSuccess();
+          isFirstChunk = false;
+        }
+        assertPromptNotBlocked(chunk, getInputFields(route));
+        // Gemini mengirim usageMetadata kumulatif; yang terakhir adalah total
+        if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+        const candidate = chunk.candidates && chunk.candidates[0];
+        if (!candidate) continue;
+        const chunkText = (candidate.content?.parts || []).map(part => part.text || '').join('');
+        if (chunkText) {
+          text += chunkText;
+          hasSentText = true;
+          onText(chunkText);
         }
-        throw new Error("No candidate returned from API.");
+        if (candidate.finishReason) finishReason = candidate.finishReason;
+        if (candidate.safetyRatings) safetyRatings = candidate.safetyRatings;
       }
+      await recordUsage({ route, model, prompt, finishReason, usageMetadata, latencyMs: Date.now() - startedAt, stream: true });
+      assertCandidateNotBlocked({ finishReason, safetyRatings }, getInputFields(route));
+
+      // Simpan dalam bentuk candidate agar bisa dipakai juga oleh route non-streaming
+      await setCached(route, cacheKey, { content: { role: 'model', parts: [{ text }] }, finishReason, safetyRatings });
+      return { text, finishReason, safetyRatings, cache: { status: bypassCache ? 'BYPASS' : 'MISS', createdAt: Date.now() }, cacheKey };
 
-      return data.candidates[0]; 
-      
     } catch (error) {
-      console.error(`Error calling ${model}:`, error);
-      if (i < retries - 1) {
-        const delay = Math.pow(2, i) * 1000 + Math.random() * 1000;
-        console.warn(`Retrying API call for ${model} after network error... (${delay}ms)`);
-        await new Promise(res => setTimeout(res, delay));
-        continue; 
+      if (signal && signal.aborted) {
+        // Token yang sudah dihasilkan tetap ditagih; usageMetadata bisa belum ada saat dihentikan
+        await recordUsage({ route, model, prompt, finishReason: 'CANCELLED', usageMetadata, latencyMs: Date.now() - startedAt, stream: true });
+        return { text, finishReason: 'CANCELLED', safetyRatings, cache: { status: 'MISS', createdAt: Date.now() } };
       }
-      throw error; 
+      breaker.recordFailure(error);
+      throw error;
+    }
+  }, {
+    attempts: retries,
+    label: `${model} (stream) via ${provider.name}`,
+    signal,
+    // Potongan yang sudah terkirim ke klien tidak bisa ditarik, jadi jangan ulang dari awal
+    shouldRetry: () => !hasSentText,
+  });
+};
+
+/**
+ * Versi streaming dari generateText: lanjutan setelah MAX_TOKENS ikut di-stream ke `onText`.
+ * @returns {Promise<object>} - { text, finishReason, safetyRatings, continuations, cache, cacheKeys, prompt }
+ */
+const streamText = async (model, payload, options = {}, onText) => {
+  const { maxContinuations = 0 } = options;
+  let text = '';
+  let result;
+  let continuations = 0;
+  let cache;
+  const cacheKeys = [];
+
+  while (true) {
+    const currentPayload = text ? buildContinuationPayload(payload, text) : payload;
+    result = await streamGeminiAPI(model, currentPayload, options, onText);
+    cacheKeys.push(result.cacheKey);
+    text += result.text;
+    cache = mergeCacheInfo(cache, result.cache);
+
+    if (result.finishReason !== 'MAX_TOKENS' || continuations >= maxContinuations) break;
+    continuations++;
+    console.warn(`Stream ${options.route} terpotong (MAX_TOKENS), melanjutkan... (${continuations}/${maxContinuations})`);
+  }
+
+  return {
+    text, finishReason: result.finishReason, safetyRatings: result.safetyRatings, continuations, cache, cacheKeys, prompt: options.prompt,
+  };
+};
+
+/**
+ * Membuat handler Express untuk varian streaming (Server-Sent Events) sebuah route.
+ * Event yang dikirim ke klien:
+ *   progress -> { ... }                 kemajuan tahap sebelum stream (dikirim buildRequest lewat `sendEvent`, opsional)
+ *   chunk -> { text }                   potongan teks
+ *   done  -> { text, finishReason, safetyRatings, continuations, repairs, cache: { status, age }, prompt: { id, version } }
+ *            teks lengkap (sudah melalui `finalize`) beserta metadata generasi dan field dari `inspect`.
+ *            Jika hasil stream melanggar kontrak output, perbaikannya dibuat tanpa streaming dan `text`
+ *            berisi hasil perbaikan (bukan gabungan chunk), lihat api/lib/contracts.js
+ *   error -> { code, message, details }  (lihat api/lib/errors.js)
+ * @param {string} route - Nama route (misal: 'analyze')
+ * @param {function} buildRequest - async (body, { sendEvent, signal, bypassCache }) =>
+ *                                  { model, fallbackModel, generationConfig, prompt, payload, maxContinuations }
+ * @param {function} finalize - (text, result) => text, pembersihan hasil akhir (opsional)
+ * @param {function} inspect - (text) => object, metadata tambahan dari hasil akhir untuk event done (opsional)
+ */
+const createStreamHandler = (route, buildRequest, finalize = text => text, inspect = () => ({})) => async (req, res) => {
+  // Log memakai path request agar /psikologis-market/chunked terbedakan dari /psikologis-market/stream
+  console.log(`HIT: ${req.path}`);
+
+  // Hentikan stream ke provider jika klien menutup koneksi (tombol "Stop")
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  try {
+    const { model, fallbackModel, generationConfig, prompt, payload, maxContinuations } = await buildRequest(req.body, {
+      sendEvent, signal: controller.signal, bypassCache: shouldBypassCache(req),
+    });
+    // Klien bisa berhenti selama tahap persiapan yang panjang (misal: ekstraksi per bagian)
+    if (controller.signal.aborted) return;
+    const options = {
+      route, maxContinuations, fallbackModel, generationConfig, prompt, bypassCache: shouldBypassCache(req), signal: controller.signal,
+    };
+    const streamed = await streamText(model, payload, options, text => {
+      sendEvent('chunk', { text });
+    });
+
+    if (!controller.signal.aborted) {
+      const result = await enforceContract(route, streamed, (text, repairPrompt) => (
+        generateText(model, buildRepairPayload(payload, text, repairPrompt), options)
+      ), { stream: true, onViolation: discardCached });
+      const text = finalize(result.text, result);
+      sendEvent('done', {
+        text,
+        finishReason: result.finishReason,
+        safetyRatings: summarizeSafetyRatings(result.safetyRatings),
+        continuations: result.continuations,
+        repairs: result.repairs,
+        cache: describeCache(result.cache),
+        prompt: describePrompt(result.prompt),
+        ...inspect(text),
+      });
     }
+  } catch (error) {
+    console.error(`Error in ${req.path}:`, error.message);
+    const apiError = toApiError(error);
+    sendEvent('error', { code: apiError.code, message: apiError.message, details: apiError.details });
+  } finally {
+    res.end();
   }
 };
 
 // === ENDPOINTS APP 2: ANALISIS VALUE ===
 
 // 1. /api/analyze (Analisis Utama)
-app.post('/api/analyze', async (req, res) => {
+const buildAnalyzeRequest = async ({ userQuery, model: requestedModel }) => {
+  const { model, fallbackModel, generationConfig } = resolveModel('analyze', requestedModel);
+
+  const systemPrompt = await renderPrompt('analyze');
+
+  const payload = {
+    contents: [{ parts: [{ text: userQuery }] }],
+    systemInstruction: { parts: [{ text: systemPrompt.text }] },
+    generationConfig: {
+      responseMimeType: "application/json",
+      responseSchema: ANALYSIS_RESPONSE_SCHEMA
+    }
+  };
+
+  // JSON terpotong ditangani perbaikan kontrak (api/lib/contracts.js), bukan lanjutan
+  return { model, fallbackModel, generationConfig, prompt: systemPrompt, payload, maxContinuations: 0 };
+};
+
+// Teks JSON dari model -> JSON analisis baku (lihat api/lib/analysis.js)
+const finalizeAnalysis = (text, result) => JSON.stringify(parseAnalysis(text, result.finishReason));
+// Validasi ekspor YAML (value map) terhadap skema di api/lib/value-map.js: { valueMap: { valid, errors } }
+const inspectAnalysisJSON = (text) => ({ valueMap: inspectAnalysis(JSON.parse(text)) });
+
+app.post('/api/analyze', validateBody(schemas['analyze']), async (req, res) => {
   console.log('HIT: /api/analyze');
   try {
-    const { userQuery } = req.body;
-    const model = 'gemini-2.5-flash-preview-09-2025';
-    
-    const systemPrompt = `
-Anda adalah seorang Ahli Analis Nilai Produk (Product Value Analyst) elit.
-Tugas Anda adalah menganalisis data mentah produk dari pengguna dan mengubahnya menjadi Analisis Nilai Produk yang terstruktur dengan tajam.
-
-PENTING: Respons Anda HARUS terdiri dari DUA bagian, dipisahkan oleh '---VISUAL_BREAK---'.
-
-Bagian 1 (Visual): Teks Markdown yang ramah dibaca, menyoroti:
-- USP (Unique Selling Proposition)
-- Target Audiens (Primer & Sekunder)
-- Fitur Kunci
-- Manfaat Emosional
-- Manfaat Fungsional
-- Nilai Inti (Core Value)
-
-Bagian 2 (YAML): Ringkasan YAML yang bersih dari data di atas, HANYA data, untuk digunakan oleh alat lain.
-Format YAML:
-product_name: [Nama Produk]
-usp: [USP]
-audience:
-  primary: [Target Primer]
-  secondary: [Target Sekunder]
-value_map:
-  customer_jobs:
-    - [Job 1]
-    - [Job 2]
-  customer_pains:
-    - [Pain 1]
-    - [Pain 2]
-  customer_gains:
-    - [Gain 1]
-    - [Gain 2]
-product_features:
-  - [Fitur 1]
-  - [Fitur 2]
-benefits:
-  functional:
-    - [Manfaat 1]
-    - [Manfaat 2]
-  emotional:
-    - [Manfaat 1]
-    - [Manfaat 2]
-
-PASTIKAN Anda HANYA mengembalikan teks dalam format yang diminta.
-    `;
-    
-    const payload = {
-      contents: [{ parts: [{ text: userQuery }] }],
-      systemInstruction: { parts: [{ text: systemPrompt }] },
-    };
+    const { model, fallbackModel, generationConfig, prompt, payload, maxContinuations } = await buildAnalyzeRequest(req.body);
 
-    const candidate = await callGeminiAPI(model, payload);
-    const text = candidate.content.parts[0].text;
-    
-    // Kirim sebagai teks biasa, frontend akan memisahkannya
-    res.status(200).send(text); 
+    const result = await generateChecked(model, payload, {
+      route: 'analyze', fallbackModel, generationConfig, prompt, bypassCache: shouldBypassCache(req), maxContinuations,
+    });
+    const analysis = parseAnalysis(result.text, result.finishReason);
+    setGenerationHeaders(res, result);
+    // Hasil validasi value map sebagai JSON { valid, errors: [{ path, line, message }] }
+    res.set('X-Value-Map', JSON.stringify(inspectAnalysis(analysis)));
+
+    // Objek analisis terstruktur; frontend membuat tampilan baca dan ekspor YAML dari sini
+    res.status(200).json(analysis);
 
   } catch (error) {
     console.error("Error in /api/analyze:", error.message);
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
+// 1b. /api/analyze/stream (Versi streaming SSE dari /api/analyze; `text` pada event done berisi JSON analisis)
+app.post('/api/analyze/stream', validateBody(schemas['analyze']), createStreamHandler('analyze', buildAnalyzeRequest, finalizeAnalysis, inspectAnalysisJSON));
+
 // 2. /api/ai-help (Bantuan Form App 2)
-app.post('/api/ai-help', async (req, res) => {
+app.post('/api/ai-help', validateBody(schemas['ai-help']), async (req, res) => {
   console.log('HIT: /api/ai-help');
   try {
     const { userQuery } = req.body; 
-    const model = 'gemini-2.5-flash-preview-09-2025';
-
-    const systemPrompt = `
-Anda adalah asisten AI yang membantu mengisi formulir data produk.
-Seorang pengguna akan memberikan nama produk. 
-Tugas Anda adalah membuat draf hipotesis untuk 4 bidang: 
-- jenisProduk
-- lokasiPenjualan
-- deskripsiProduk (deskripsi singkat, 1-2 kalimat)
-- targetKonsumen (deskripsi singkat, 1-2 kalimat)
-
-PENTING: Kembalikan HANYA objek JSON yang valid.
-    `;
+    const { model, fallbackModel, generationConfig } = resolveModel('ai-help', req.body.model);
+
+    const systemPrompt = await renderPrompt('ai-help');
     
     const schema = {
       type: "OBJECT",
@@ -175,56 +540,52 @@ PENTING: Kembalikan HANYA objek JSON yang valid.
 
     const payload = {
       contents: [{ parts: [{ text: userQuery }] }],
-      systemInstruction: { parts: [{ text: systemPrompt }] },
+      systemInstruction: { parts: [{ text: systemPrompt.text }] },
       generationConfig: {
         responseMimeType: "application/json",
         responseSchema: schema
       }
     };
 
-    const candidate = await callGeminiAPI(model, payload);
-    const jsonResult = JSON.parse(candidate.content.parts[0].text);
+    const result = await generateChecked(model, payload, {
+      route: 'ai-help', fallbackModel, generationConfig, prompt: systemPrompt, bypassCache: shouldBypassCache(req),
+    });
+    const jsonResult = parseJSONText(result.text, result.finishReason);
+    setGenerationHeaders(res, result);
     
     res.status(200).json(jsonResult);
 
   } catch (error) {
     console.error("Error in /api/ai-help:", error.message);
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
 // 3. /api/summarize (Ringkasan App 2)
-// Catatan: Frontend Anda memanggil /api/psikologis-hooks untuk ini.
-// Saya akan membuat /api/summarize yang sebenarnya untuk memperbaiki itu.
-// (Frontend Anda harus diubah untuk memanggil /api/summarize)
-app.post('/api/summarize', async (req, res) => {
+app.post('/api/summarize', validateBody(schemas['summarize']), async (req, res) => {
   console.log('HIT: /api/summarize');
    try {
     const { prompt } = req.body; 
-    const model = 'gemini-2.5-flash-preview-09-2025';
+    const { model, fallbackModel, generationConfig } = resolveModel('summarize', req.body.model);
 
-    const systemPrompt = `
-Anda adalah seorang ahli pembuat ringkasan eksekutif.
-Pengguna akan memberikan teks analisis produk yang panjang.
-Tugas Anda adalah membuat 1 paragraf ringkasan eksekutif (maksimal 3-4 kalimat) dalam Bahasa Indonesia.
-Soroti USP utama, target, dan manfaat kunci.
-
-PENTING: Kembalikan HANYA teks ringkasan saja. Tanpa embel-embel.
-    `;
+    const systemPrompt = await renderPrompt('summarize');
     
     const payload = {
       contents: [{ parts: [{ text: prompt }] }],
-      systemInstruction: { parts: [{ text: systemPrompt }] },
+      systemInstruction: { parts: [{ text: systemPrompt.text }] },
     };
 
-    const candidate = await callGeminiAPI(model, payload);
-    const text = candidate.content.parts[0].text;
+    const result = await generateChecked(model, payload, {
+      route: 'summarize', fallbackModel, generationConfig, prompt: systemPrompt, bypassCache: shouldBypassCache(req),
+    });
+    const { text } = result;
+    setGenerationHeaders(res, result);
     
     res.status(200).send(text);
 
   } catch (error) {
     console.error("Error in /api/summarize:", error.message);
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
@@ -232,85 +593,230 @@ PENTING: Kembalikan HANYA teks ringkasan saja. Tanpa embel-embel.
 // === ENDPOINTS APP 3: MAPPING MARKET ===
 
 // 4. /api/map-market (Analisis Utama App 3 - DENGAN GOOGLE SEARCH)
-app.post('/api/map-market', async (req, res) => {
+const buildMapMarketRequest = async ({ userInput, model: requestedModel }) => {
+  const { model, fallbackModel, generationConfig } = resolveModel('map-market', requestedModel);
+
+  const systemPrompt = await renderPrompt('map-market');
+  
+  const payload = {
+    contents: [{ parts: [{ text: userInput }] }],
+    systemInstruction: { parts: [{ text: systemPrompt.text }] },
+    tools: [{ "google_search": {} }], 
+  };
+
+  return { model, fallbackModel, generationConfig, prompt: systemPrompt, payload, maxContinuations: 0 };
+};
+
+
+app.post('/api/map-market', validateBody(schemas['map-market']), async (req, res) => {
   console.log('HIT: /api/map-market');
   try {
-    const { userInput } = req.body; 
-    const model = 'gemini-2.5-flash-preview-09-2025';
-
-    const systemPrompt = `
-Anda adalah seorang Ahli Strategi Pemasaran AI.
-Data produk (dalam YAML) akan diberikan oleh pengguna.
-
-TUGAS ANDA:
-1.  **WAJIB GUNAKAN ALAT GOOGLE SEARCH** untuk mencari tren pasar TERKINI, statistik, dan perilaku konsumen yang relevan dengan produk dan audiens tersebut.
-2.  Lakukan analisis mendalam berdasarkan data YAML dan HASIL PENCARIAN.
-3.  Buat laporan "Market Mapping & Strategy" yang komprehensif.
-
-STRUKTUR LAPORAN (WAJIB FORMAT HTML):
--   \`<h2>Analisis Lanskap Pasar (Berdasarkan Tren Terkini)</h2>\`
-    -   \`<p>\` (Paragraf analisis tren dari Google Search) \`</p>\`
--   \`<h2>Segmentasi Audiens (Primer & Sekunder)</h2>\`
-    -   \`<p>\` (Analisis mendalam tentang audiens) \`</p>\`
--   \`<h2>Analisis Kompetitor (Hipotesis)</h2>\`
-    -   \`<p>\` (Analisis kompetitor berdasarkan USP produk) \`</p>\`
--   \`<h2>Strategi Pemosisian (Positioning)</h2>\`
-    -   \`<p>\` (Rekomendasi strategi) \`</p>\`
--   \`<h2>Rekomendasi Kanal Pemasaran</h2>\`
-    -   \`<ul><li>\` (Sebutkan 3-5 kanal yang paling relevan) \`</li></ul>\`
-
-PENTING: Kembalikan HANYA teks HTML yang bersih.
-Sertakan sitasi (citations) dari hasil pencarian Anda.
-    `;
-    
+    const { model, fallbackModel, generationConfig, prompt, payload, maxContinuations } = await buildMapMarketRequest(req.body);
+
+    const result = await generateChecked(model, payload, {
+      route: 'map-market', fallbackModel, generationConfig, prompt, bypassCache: shouldBypassCache(req), maxContinuations,
+    });
+    // Laporan (sudah disanitasi, lihat api/lib/sanitize.js) dengan catatan kaki per kalimat dari groundingMetadata
+    const { html: analysisText, citations, searchQueries, uncitedParagraphs } = applyGrounding(result.text, result.candidate);
+    setGenerationHeaders(res, result);
+
+    res.status(200).json({ analysisText, citations, searchQueries, uncitedParagraphs });
+
+  } catch (error) {
+    console.error("Error in /api/map-market:", error.message);
+    sendError(res, error);
+  }
+});
+
+// Konteks prompt route turunan laporan /api/map-market: data produk, laporan (teks polos) dan daftar sumbernya.
+// Google Search tidak bisa digabung dengan responseSchema, jadi sumber route JSON diambil dari laporan ini.
+const buildReportContext = (userInput, report, citations) => {
+  const sourceList = citations.map(citation => `[${citation.number}] ${citation.title || citation.domain} (${citation.domain || citation.uri})`);
+  let contextText = `--- DATA PRODUK ---\n${userInput}\n\n`;
+  contextText += `--- LAPORAN MAPPING MARKET ---\n${reportToText(report)}\n\n`;
+  contextText += `--- DAFTAR SUMBER ---\n${sourceList.length > 0 ? sourceList.join('\n') : '(tidak ada sumber)'}`;
+  return contextText;
+};
+
+// 4b. /api/map-market-competitors (Matriks Kompetitor & Peta Persepsi App 3)
+app.post('/api/map-market-competitors', validateBody(schemas['map-market-competitors']), async (req, res) => {
+  console.log('HIT: /api/map-market-competitors');
+  try {
+    const { userInput, report } = req.body;
+    const { model, fallbackModel, generationConfig } = resolveModel('map-market-competitors', req.body.model);
+    const citations = normalizeCitations(req.body.citations);
+
+    const systemPrompt = await renderPrompt('map-market-competitors');
+    const contextText = buildReportContext(userInput, report, citations);
+
     const payload = {
-      contents: [{ parts: [{ text: userInput }] }],
-      systemInstruction: { parts: [{ text: systemPrompt }] },
-      tools: [{ "google_search": {} }], 
+      contents: [{ parts: [{ text: contextText }] }],
+      systemInstruction: { parts: [{ text: systemPrompt.text }] },
+      generationConfig: {
+        responseMimeType: "application/json",
+        responseSchema: COMPETITORS_RESPONSE_SCHEMA
+      }
     };
 
-    const candidate = await callGeminiAPI(model, payload);
-    const analysisText = candidate.content.parts[0].text;
-
-    let citations = [];
-    const groundingMetadata = candidate.groundingMetadata;
-    if (groundingMetadata && groundingMetadata.groundingAttributions) {
-        citations = groundingMetadata.groundingAttributions
-            .map(attribution => ({
-                uri: attribution.web?.uri,
-                title: attribution.web?.title,
-            }))
-            .filter(source => source.uri && source.title);
-    }
-    
-    res.status(200).json({ analysisText, citations });
+    const result = await generateChecked(model, payload, {
+      route: 'map-market-competitors', fallbackModel, generationConfig, prompt: systemPrompt, bypassCache: shouldBypassCache(req),
+    });
+    const matrix = parseCompetitors(result.text, result.finishReason, citations);
+    setGenerationHeaders(res, result);
+
+    res.status(200).json(matrix);
 
   } catch (error) {
-    console.error("Error in /api/map-market:", error.message);
-    res.status(500).json({ message: error.message });
+    console.error("Error in /api/map-market-competitors:", error.message);
+    sendError(res, error);
+  }
+});
+
+// 4c. /api/map-market-sizing (Estimasi Input TAM/SAM/SOM App 3 - DENGAN GOOGLE SEARCH)
+app.post('/api/map-market-sizing', validateBody(schemas['map-market-sizing']), async (req, res) => {
+  console.log('HIT: /api/map-market-sizing');
+  try {
+    const { userInput, report } = req.body;
+    const { model, fallbackModel, generationConfig } = resolveModel('map-market-sizing', req.body.model);
+    const knownInputs = normalizeKnownInputs(req.body.knownInputs);
+
+    const systemPrompt = await renderPrompt('map-market-sizing');
+    const knownList = Object.entries(knownInputs).map(([key, value]) => `${key}: ${value}`);
+    let contextText = `--- DATA PRODUK ---\n${userInput}\n\n`;
+    if (report) contextText += `--- LAPORAN MAPPING MARKET ---\n${reportToText(report)}\n\n`;
+    contextText += `--- NILAI YANG SUDAH DIKETAHUI ---\n${knownList.length > 0 ? knownList.join('\n') : '(tidak ada, estimasi semua input)'}`;
+
+    const payload = {
+      contents: [{ parts: [{ text: contextText }] }],
+      systemInstruction: { parts: [{ text: systemPrompt.text }] },
+      tools: [{ "google_search": {} }],
+    };
+
+    const result = await generateChecked(model, payload, {
+      route: 'map-market-sizing', fallbackModel, generationConfig, prompt: systemPrompt, bypassCache: shouldBypassCache(req),
+    });
+    const sizing = parseMarketSizing(result.text, result.finishReason, result.candidate, knownInputs);
+    setGenerationHeaders(res, result);
+
+    res.status(200).json(sizing);
+
+  } catch (error) {
+    console.error("Error in /api/map-market-sizing:", error.message);
+    sendError(res, error);
+  }
+});
+
+// 4d. /api/map-market-diff (Ringkasan "Perubahan Sejak Laporan Sebelumnya" dari riwayat App 3)
+app.post('/api/map-market-diff', validateBody(schemas['map-market-diff']), async (req, res) => {
+  console.log('HIT: /api/map-market-diff');
+  try {
+    const { previousReport, currentReport, previousDate, currentDate } = req.body;
+    const { model, fallbackModel, generationConfig } = resolveModel('map-market-diff', req.body.model);
+
+    const systemPrompt = await renderPrompt('map-market-diff');
+    const describeReport = (label, date, report, citations) => {
+      const sourceList = normalizeCitations(citations).map(citation => `[${citation.number}] ${citation.title || citation.domain} (${citation.domain || citation.uri})`);
+      return `--- ${label}${date ? ` (${date})` : ''} ---\n${reportToText(report)}\n\nSumber:\n${sourceList.length > 0 ? sourceList.join('\n') : '(tidak ada sumber)'}`;
+    };
+    const contextText = [
+      describeReport('LAPORAN SEBELUMNYA', previousDate, previousReport, req.body.previousCitations),
+      describeReport('LAPORAN TERBARU', currentDate, currentReport, req.body.currentCitations),
+    ].join('\n\n');
+
+    const payload = {
+      contents: [{ parts: [{ text: contextText }] }],
+      systemInstruction: { parts: [{ text: systemPrompt.text }] },
+    };
+
+    const result = await generateChecked(model, payload, {
+      route: 'map-market-diff', fallbackModel, generationConfig, prompt: systemPrompt, bypassCache: shouldBypassCache(req),
+    });
+    setGenerationHeaders(res, result);
+
+    res.status(200).json({ summaryHtml: sanitizeHtml(result.text) });
+
+  } catch (error) {
+    console.error("Error in /api/map-market-diff:", error.message);
+    sendError(res, error);
+  }
+});
+
+// 4e. /api/map-market-swot (Analisis SWOT App 3, sumber dari laporan /api/map-market)
+app.post('/api/map-market-swot', validateBody(schemas['map-market-swot']), async (req, res) => {
+  console.log('HIT: /api/map-market-swot');
+  try {
+    const { userInput, report } = req.body;
+    const { model, fallbackModel, generationConfig } = resolveModel('map-market-swot', req.body.model);
+    const citations = normalizeCitations(req.body.citations);
+
+    const systemPrompt = await renderPrompt('map-market-swot');
+    const contextText = buildReportContext(userInput, report, citations);
+
+    const payload = {
+      contents: [{ parts: [{ text: contextText }] }],
+      systemInstruction: { parts: [{ text: systemPrompt.text }] },
+      generationConfig: {
+        responseMimeType: "application/json",
+        responseSchema: SWOT_RESPONSE_SCHEMA
+      }
+    };
+
+    const result = await generateChecked(model, payload, {
+      route: 'map-market-swot', fallbackModel, generationConfig, prompt: systemPrompt, bypassCache: shouldBypassCache(req),
+    });
+    const swot = parseSwot(result.text, result.finishReason, citations);
+    setGenerationHeaders(res, result);
+
+    res.status(200).json(swot);
+
+  } catch (error) {
+    console.error("Error in /api/map-market-swot:", error.message);
+    sendError(res, error);
+  }
+});
+
+// 4f. /api/map-market-five-forces (Analisis Porter's Five Forces App 3, sumber dari laporan /api/map-market)
+app.post('/api/map-market-five-forces', validateBody(schemas['map-market-five-forces']), async (req, res) => {
+  console.log('HIT: /api/map-market-five-forces');
+  try {
+    const { userInput, report } = req.body;
+    const { model, fallbackModel, generationConfig } = resolveModel('map-market-five-forces', req.body.model);
+    const citations = normalizeCitations(req.body.citations);
+
+    const systemPrompt = await renderPrompt('map-market-five-forces');
+    const contextText = buildReportContext(userInput, report, citations);
+
+    const payload = {
+      contents: [{ parts: [{ text: contextText }] }],
+      systemInstruction: { parts: [{ text: systemPrompt.text }] },
+      generationConfig: {
+        responseMimeType: "application/json",
+        responseSchema: FIVE_FORCES_RESPONSE_SCHEMA
+      }
+    };
+
+    const result = await generateChecked(model, payload, {
+      route: 'map-market-five-forces', fallbackModel, generationConfig, prompt: systemPrompt, bypassCache: shouldBypassCache(req),
+    });
+    const fiveForces = parseFiveForces(result.text, result.finishReason, citations);
+    setGenerationHeaders(res, result);
+
+    res.status(200).json(fiveForces);
+
+  } catch (error) {
+    console.error("Error in /api/map-market-five-forces:", error.message);
+    sendError(res, error);
   }
 });
 
 // 5. /api/map-market-helper (Bantuan Form App 3)
-app.post('/api/map-market-helper', async (req, res) => {
+app.post('/api/map-market-helper', validateBody(schemas['map-market-helper']), async (req, res) => {
   console.log('HIT: /api/map-market-helper');
   try {
     const { productName } = req.body;
-    const model = 'gemini-2.5-flash-preview-09-2025';
-
-    const systemPrompt = `
-Anda adalah asisten AI yang membantu mengisi formulir 'Market Map'.
-Seorang pengguna akan memberikan nama produk.
-Tugas Anda adalah membuat draf hipotesis untuk 5 bidang:
-- usp (Unique Selling Proposition)
-- audiencePrimary
-- audienceSecondary
-- customerJobs (3 item, dipisahkan newline)
-- customerPains (3 item, dipisahkan newline)
-- customerGains (3 item, dipisahkan newline)
-
-PENTING: Kembalikan HANYA objek JSON yang valid.
-    `;
+    const { model, fallbackModel, generationConfig } = resolveModel('map-market-helper', req.body.model);
+
+    const systemPrompt = await renderPrompt('map-market-helper', { productName });
     
     const schema = {
       type: "OBJECT",
@@ -327,21 +833,24 @@ PENTING: Kembalikan HANYA objek JSON yang valid.
 
     const payload = {
       contents: [{ parts: [{ text: `Nama Produk: "${productName}"` }] }],
-      systemInstruction: { parts: [{ text: systemPrompt }] },
+      systemInstruction: { parts: [{ text: systemPrompt.text }] },
       generationConfig: {
         responseMimeType: "application/json",
         responseSchema: schema
       }
     };
 
-    const candidate = await callGeminiAPI(model, payload);
-    const jsonResult = JSON.parse(candidate.content.parts[0].text);
+    const result = await generateChecked(model, payload, {
+      route: 'map-market-helper', fallbackModel, generationConfig, prompt: systemPrompt, bypassCache: shouldBypassCache(req),
+    });
+    const jsonResult = parseJSONText(result.text, result.finishReason);
+    setGenerationHeaders(res, result);
     
     res.status(200).json(jsonResult);
 
   } catch (error) {
     console.error("Error in /api/map-market-helper:", error.message);
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
@@ -349,22 +858,13 @@ PENTING: Kembalikan HANYA objek JSON yang valid.
 // === ENDPOINTS APP 4: PSIKOLOGIS MARKET ===
 
 // 6. /api/psikologis-helper (Bantuan Form App 4)
-app.post('/api/psikologis-helper', async (req, res) => {
+app.post('/api/psikologis-helper', validateBody(schemas['psikologis-helper']), async (req, res) => {
   console.log('HIT: /api/psikologis-helper');
   try {
     const { businessName } = req.body;
-    const model = 'gemini-2.5-flash-preview-09-2025';
-
-    const systemPrompt = `
-Anda adalah asisten AI yang membantu mengisi formulir 'Analisis Psikologis'.
-Pengguna memberikan nama/ide bisnis.
-Buat draf hipotesis untuk 3 bidang:
-- mappingInput: (Hipotesis singkat tentang USP & Target Audiens)
-- reviewInput: (Contoh 2-3 review pelanggan fiktif, positif & negatif)
-- socialInput: (Contoh 2-3 obrolan fiktif di media sosial tentang produk/masalah)
-
-PENTING: Kembalikan HANYA objek JSON yang valid. Buat konten dalam format multiline string.
-    `;
+    const { model, fallbackModel, generationConfig } = resolveModel('psikologis-helper', req.body.model);
+
+    const systemPrompt = await renderPrompt('psikologis-helper', { businessName });
     
     const schema = {
       type: "OBJECT",
@@ -378,143 +878,202 @@ PENTING: Kembalikan HANYA objek JSON yang valid. Buat konten dalam format multil
 
     const payload = {
       contents: [{ parts: [{ text: `Nama Bisnis: "${businessName}"` }] }],
-      systemInstruction: { parts: [{ text: systemPrompt }] },
+      systemInstruction: { parts: [{ text: systemPrompt.text }] },
       generationConfig: {
         responseMimeType: "application/json",
         responseSchema: schema
       }
     };
 
-    const candidate = await callGeminiAPI(model, payload);
-    const jsonResult = JSON.parse(candidate.content.parts[0].text);
+    const result = await generateChecked(model, payload, {
+      route: 'psikologis-helper', fallbackModel, generationConfig, prompt: systemPrompt, bypassCache: shouldBypassCache(req),
+    });
+    const jsonResult = parseJSONText(result.text, result.finishReason);
+    setGenerationHeaders(res, result);
     
     res.status(200).json(jsonResult);
 
   } catch (error) {
     console.error("Error in /api/psikologis-helper:", error.message);
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
 // 7. /api/psikologis-market (Analisis Utama App 4)
-app.post('/api/psikologis-market', async (req, res) => {
+const buildPsikologisMarketRequest = async ({ userInput, model: requestedModel }) => {
+  const { model, fallbackModel, generationConfig } = resolveModel('psikologis-market', requestedModel);
+
+  const systemPrompt = await renderPrompt('psikologis-market');
+
+  const payload = {
+    contents: [{ parts: [{ text: userInput }] }],
+    systemInstruction: { parts: [{ text: systemPrompt.text }] },
+  };
+
+  return { model, fallbackModel, generationConfig, prompt: systemPrompt, payload, maxContinuations: MAX_CONTINUATIONS };
+};
+
+app.post('/api/psikologis-market', validateBody(schemas['psikologis-market']), async (req, res) => {
   console.log('HIT: /api/psikologis-market');
   try {
-    const { userInput } = req.body; 
-    const model = 'gemini-2.5-flash-preview-09-2025';
-
-    const systemPrompt = `
-Anda adalah seorang Detektif Profiler Audiens (Audience Profiler) kelas dunia.
-Anda menganalisis data mentah (mapping, review, obrolan sosial) untuk mengungkap wawasan psikologis terdalam.
-Tugas Anda adalah membuat Laporan Profil Psikologis yang sangat terstruktur dalam format Markdown.
-
-STRUKTUR LAPORAN (WAJIB):
-# Laporan Profil Psikologis Audiens
-
-## 1. Analisis Emosional (Perasaan)
-### ### Emosi Positif
-- (Sebutkan emosi positif utama yang dicari/dirasakan)
-### ### Emosi Negatif (Pain Points)
-- (Sebutkan emosi negatif utama yang ingin dihindari)
-
-## 2. Analisis Rasional (Pikiran)
-### ### Keyakinan (Beliefs)
-- (Apa yang mereka yakini tentang produk/masalah ini?)
-### ### Keberatan (Objections)
-- (Apa keraguan atau keberatan utama mereka sebelum membeli?)
-### ### Pemicu Logis (Logical Triggers)
-- (Fakta/data apa yang mendorong mereka membeli?)
-
-## 3. Analisis Perilaku (Kebiasaan)
-### ### Kebiasaan Media
-- (Di mana mereka menghabiskan waktu online?)
-### ### Pola Pembelian
-- (Bagaimana mereka biasanya membeli?)
-### ### Bahasa yang Digunakan
-- (Sebutkan 3-5 kata kunci/slang yang sering mereka gunakan)
-
-PENTING: Kembalikan HANYA teks laporan Markdown. Tanpa "Tentu, ini laporannya:".
-    `;
-    
-    const payload = {
-      contents: [{ parts: [{ text: userInput }] }],
-      systemInstruction: { parts: [{ text: systemPrompt }] },
-    };
+    const { model, fallbackModel, generationConfig, prompt, payload, maxContinuations } = await buildPsikologisMarketRequest(req.body);
 
-    const candidate = await callGeminiAPI(model, payload);
-    const text = candidate.content.parts[0].text;
+    const result = await generateChecked(model, payload, {
+      route: 'psikologis-market', fallbackModel, generationConfig, prompt, bypassCache: shouldBypassCache(req), maxContinuations,
+    });
+    const { text } = result;
+    setGenerationHeaders(res, result);
     
     res.status(200).send(text);
 
   } catch (error) {
     console.error("Error in /api/psikologis-market:", error.message);
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
+// 7b. /api/psikologis-market/stream (Versi streaming SSE)
+app.post('/api/psikologis-market/stream', validateBody(schemas['psikologis-market']), createStreamHandler('psikologis-market', buildPsikologisMarketRequest));
+
+// 7c. /api/psikologis-market/chunked (Map-reduce untuk data mentah besar, SSE; lihat api/lib/chunking.js)
+/**
+ * Tahap map: ekstrak temuan tiap bagian (route 'psikologis-extract'), RAW_CHUNK_CONCURRENCY bagian sekaligus.
+ * Bagian yang gagal dilewati; request baru gagal jika semua bagian gagal.
+ * Begitu `signal` dibatalkan (klien menutup koneksi), panggilan yang berjalan ikut dibatalkan dan
+ * bagian berikutnya tidak diambil lagi.
+ * @param {function} onProgress - ({ index, status: 'running'|'done'|'error', completed, failed, total })
+ * @returns {Promise<object>} - { results: temuan per bagian (null jika gagal), failed }
+ */
+const extractPsikologisFindings = async (chunks, { onProgress, signal, bypassCache }) => {
+  const { model, fallbackModel, generationConfig } = resolveModel('psikologis-extract');
+  const systemPrompt = await renderPrompt('psikologis-extract');
+  const total = chunks.length;
+  const results = new Array(total).fill(null);
+  let nextIndex = 0;
+  let completed = 0;
+  let failed = 0;
+  let lastError = null;
+
+  const worker = async () => {
+    while (nextIndex < total && !signal.aborted) {
+      const index = nextIndex++;
+      onProgress({ index, status: 'running', completed, failed, total });
+      const payload = {
+        contents: [{ parts: [{ text: `--- BAGIAN ${index + 1} DARI ${total} ---\n${chunks[index]}` }] }],
+        systemInstruction: { parts: [{ text: systemPrompt.text }] },
+        generationConfig: {
+          responseMimeType: "application/json",
+          responseSchema: FINDINGS_RESPONSE_SCHEMA
+        }
+      };
+      try {
+        const result = await generateChecked(model, payload, {
+          route: 'psikologis-extract', fallbackModel, generationConfig, prompt: systemPrompt, bypassCache, signal,
+        });
+        results[index] = parseChunkFindings(result.text, result.finishReason);
+        completed++;
+        onProgress({ index, status: 'done', completed, failed, total });
+      } catch (error) {
+        // Klien sudah berhenti: bagian yang dibatalkan bukan kegagalan, dan tidak ada lagi yang dikirim
+        if (signal.aborted) return;
+        console.error(`Error in psikologis-extract (bagian ${index + 1}/${total}):`, error.message);
+        lastError = error;
+        failed++;
+        onProgress({ index, status: 'error', completed, failed, total, message: toApiError(error).message });
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(RAW_CHUNK_CONCURRENCY, total) }, worker));
+
+  if (failed === total && !signal.aborted) throw lastError;
+  return { results, failed };
+};
+
+const buildPsikologisChunkedRequest = async ({ rawInput, model }, { sendEvent, signal, bypassCache }) => {
+  const chunks = splitIntoChunks(rawInput);
+  // Data yang muat dalam satu bagian langsung dianalisis seperti /api/psikologis-market
+  if (chunks.length <= 1) return buildPsikologisMarketRequest({ userInput: rawInput, model });
+  assertChunkCount(chunks);
+
+  console.log(`MAP-REDUCE: psikologis-market, ${chunks.length} bagian`);
+  sendEvent('progress', { stage: 'map', completed: 0, failed: 0, total: chunks.length });
+  const { results, failed } = await extractPsikologisFindings(chunks, {
+    onProgress: progress => sendEvent('progress', { stage: 'map', ...progress }),
+    signal,
+    bypassCache,
+  });
+  sendEvent('progress', { stage: 'reduce', completed: chunks.length - failed, failed, total: chunks.length });
+
+  const userInput = formatFindingsDigest(mergeFindings(results), { total: chunks.length, failed });
+  return buildPsikologisMarketRequest({ userInput, model });
+};
+
+// Laporan akhir memakai prompt, kontrak, dan cache route psikologis-market
+app.post('/api/psikologis-market/chunked', validateBody(schemas['psikologis-market-chunked']), createStreamHandler('psikologis-market', buildPsikologisChunkedRequest));
+
 // 8. /api/psikologis-hooks (Fitur Sekunder App 4)
-app.post('/api/psikologis-hooks', async (req, res) => {
-  console.log('HIT: /api/psikologis-hooks');
-  try {
-    const { prompt } = req.body; 
-    const model = 'gemini-2.5-flash-preview-09-2025';
+const buildPsikologisHooksRequest = async ({ prompt, model: requestedModel }) => {
+  const { model, fallbackModel, generationConfig } = resolveModel('psikologis-hooks', requestedModel);
 
-    const systemPrompt = `
-Anda adalah seorang Ahli Copywriter Iklan.
-Pengguna akan memberikan Laporan Profil Psikologis Audiens.
-Tugas Anda: Buat 5 "Hook Iklan" baru yang tajam dan kreatif berdasarkan laporan tersebut.
-Setiap hook harus menargetkan satu wawasan psikologis spesifik (emosi, pikiran, atau perilaku).
+  const systemPrompt = await renderPrompt('psikologis-hooks');
+  
+  const payload = {
+    contents: [{ parts: [{ text: prompt }] }],
+    systemInstruction: { parts: [{ text: systemPrompt.text }] },
+  };
 
-Format sebagai daftar Markdown.
-PENTING: Kembalikan HANYA 5 hook dalam format daftar. Tanpa embel-embel.
-    `;
-    
-    const payload = {
-      contents: [{ parts: [{ text: prompt }] }],
-      systemInstruction: { parts: [{ text: systemPrompt }] },
-    };
+  return { model, fallbackModel, generationConfig, prompt: systemPrompt, payload, maxContinuations: MAX_CONTINUATIONS };
+};
 
-    const candidate = await callGeminiAPI(model, payload);
-    const text = candidate.content.parts[0].text;
+app.post('/api/psikologis-hooks', validateBody(schemas['psikologis-hooks']), async (req, res) => {
+  console.log('HIT: /api/psikologis-hooks');
+  try {
+    const { model, fallbackModel, generationConfig, prompt, payload, maxContinuations } = await buildPsikologisHooksRequest(req.body);
+
+    const result = await generateChecked(model, payload, {
+      route: 'psikologis-hooks', fallbackModel, generationConfig, prompt, bypassCache: shouldBypassCache(req), maxContinuations,
+    });
+    const { text } = result;
+    setGenerationHeaders(res, result);
     
     res.status(200).send(text);
 
   } catch (error) {
     console.error("Error in /api/psikologis-hooks:", error.message);
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
 // 9. /api/psikologis-persona (Fitur Sekunder App 4)
-app.post('/api/psikologis-persona', async (req, res) => {
-  console.log('HIT: /api/psikologis-persona');
-  try {
-    const { prompt } = req.body; 
-    const model = 'gemini-2.5-flash-preview-09-2025';
+const buildPsikologisPersonaRequest = async ({ prompt, model: requestedModel }) => {
+  const { model, fallbackModel, generationConfig } = resolveModel('psikologis-persona', requestedModel);
 
-    const systemPrompt = `
-Anda adalah seorang Penulis Cerita (Storyteller) yang empatik.
-Pengguna akan memberikan Laporan Profil Psikologis Audiens.
-Tugas Anda: Tulis sebuah cerita persona "Satu Hari dalam Kehidupan" (A Day in the Life) yang singkat (2-3 paragraf) untuk audiens tersebut.
-Cerita harus menghidupkan emosi, pikiran, dan perilaku dari laporan.
+  const systemPrompt = await renderPrompt('psikologis-persona');
+  
+  const payload = {
+    contents: [{ parts: [{ text: prompt }] }],
+    systemInstruction: { parts: [{ text: systemPrompt.text }] },
+  };
 
-Format sebagai Markdown.
-PENTING: Kembalikan HANYA cerita persona. Tanpa embel-embel.
-    `;
-    
-    const payload = {
-      contents: [{ parts: [{ text: prompt }] }],
-      systemInstruction: { parts: [{ text: systemPrompt }] },
-    };
+  return { model, fallbackModel, generationConfig, prompt: systemPrompt, payload, maxContinuations: MAX_CONTINUATIONS };
+};
 
-    const candidate = await callGeminiAPI(model, payload);
-    const text = candidate.content.parts[0].text;
+app.post('/api/psikologis-persona', validateBody(schemas['psikologis-persona']), async (req, res) => {
+  console.log('HIT: /api/psikologis-persona');
+  try {
+    const { model, fallbackModel, generationConfig, prompt, payload, maxContinuations } = await buildPsikologisPersonaRequest(req.body);
+
+    const result = await generateChecked(model, payload, {
+      route: 'psikologis-persona', fallbackModel, generationConfig, prompt, bypassCache: shouldBypassCache(req), maxContinuations,
+    });
+    const { text } = result;
+    setGenerationHeaders(res, result);
     
     res.status(200).send(text);
 
   } catch (error) {
     console.error("Error in /api/psikologis-persona:", error.message);
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
@@ -522,96 +1081,95 @@ PENTING: Kembalikan HANYA cerita persona. Tanpa embel-embel.
 // === ENDPOINT APP 5: PERENCANA KONTEN ===
 
 // 10. /api/content-planner (Analisis Utama App 5)
-app.post('/api/content-planner', async (req, res) => {
+const buildContentPlannerRequest = async ({ userPrompt, model: requestedModel }) => {
+  const { model, fallbackModel, generationConfig } = resolveModel('content-planner', requestedModel);
+
+  const systemPrompt = await renderPrompt('content-planner');
+
+  const payload = {
+    contents: [{ parts: [{ text: userPrompt }] }],
+    systemInstruction: { parts: [{ text: systemPrompt.text }] },
+  };
+
+  return { model, fallbackModel, generationConfig, prompt: systemPrompt, payload, maxContinuations: MAX_CONTINUATIONS };
+};
+
+// Ambil hanya tag <table> dari jawaban model (keberadaan tabel & kolomnya dijamin kontrak output), lalu sanitasi
+const extractPlannerTable = (text) => {
+  const tableMatch = text.match(/<table[\s\S]*?<\/table>/i);
+  return sanitizeHtml(tableMatch ? tableMatch[0] : text);
+};
+
+app.post('/api/content-planner', validateBody(schemas['content-planner']), async (req, res) => {
   console.log('HIT: /api/content-planner');
   try {
-    const { userPrompt } = req.body; 
-    const model = 'gemini-2.5-flash-preview-09-2025';
-
-    const systemPrompt = `
-Anda adalah seorang Ahli Strategi Konten Media Sosial.
-Pengguna akan memberikan Topik, Tujuan, dan Durasi Rencana.
-Tugas Anda adalah membuat rencana konten yang mendetail.
-
-PENTING: Respons Anda HARUS berupa TABEL HTML (dimulai dengan \`<table>\` dan diakhiri dengan \`</table>\`).
-JANGAN tambahkan teks, judul, atau penjelasan apa pun di luar tag tabel.
-
-Kolom tabel harus mencakup (minimal):
-- Hari/Postingan
-- Pilar Konten (misal: Edukasi, Inspirasi, Hiburan, Promosi)
-- Ide Konten / Topik
-- Format (misal: Reels, Carousel, Teks)
-- CTA (Call to Action)
-    `;
-    
-    const payload = {
-      contents: [{ parts: [{ text: userPrompt }] }],
-      systemInstruction: { parts: [{ text: systemPrompt }] },
-    };
+    const { model, fallbackModel, generationConfig, prompt, payload, maxContinuations } = await buildContentPlannerRequest(req.body);
 
-    const candidate = await callGeminiAPI(model, payload);
-    let htmlTable = candidate.content.parts[0].text;
-    
-    const tableMatch = htmlTable.match(/<table[\s\S]*?<\/table>/i);
-    if (tableMatch) {
-      htmlTable = tableMatch[0];
-    } else {
-      htmlTable = `<table><tr><td>Error: AI tidak mengembalikan format tabel yang valid. Coba lagi.</td></tr></table>`;
-    }
+    const result = await generateChecked(model, payload, {
+      route: 'content-planner', fallbackModel, generationConfig, prompt, bypassCache: shouldBypassCache(req), maxContinuations,
+    });
+    const htmlTable = extractPlannerTable(result.text);
+    setGenerationHeaders(res, result);
     
     res.status(200).send(htmlTable);
 
   } catch (error) {
     console.error("Error in /api/content-planner:", error.message);
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
+// 10b. /api/content-planner/stream (Versi streaming SSE, hasil akhir tetap dibersihkan ke <table>)
+app.post('/api/content-planner/stream', validateBody(schemas['content-planner']), createStreamHandler('content-planner', buildContentPlannerRequest, extractPlannerTable));
+
 
 // === ENDPOINT APP 6: COPYWRITING ===
 
 // 11. /api/copywriting (Analisis Utama App 6)
-app.post('/api/copywriting', async (req, res) => {
+const buildCopywritingRequest = async ({ userPrompt, model: requestedModel }) => {
+  const { model, fallbackModel, generationConfig } = resolveModel('copywriting', requestedModel);
+
+  const systemPrompt = await renderPrompt('copywriting');
+
+  const payload = {
+    contents: [{ parts: [{ text: userPrompt }] }],
+    systemInstruction: { parts: [{ text: systemPrompt.text }] },
+  };
+
+  return { model, fallbackModel, generationConfig, prompt: systemPrompt, payload, maxContinuations: MAX_CONTINUATIONS };
+};
+
+app.post('/api/copywriting', validateBody(schemas['copywriting']), async (req, res) => {
   console.log('HIT: /api/copywriting');
   try {
-    const { userPrompt } = req.body; 
-    const model = 'gemini-2.5-flash-preview-09-2025';
-
-    const systemPrompt = `
-Anda adalah seorang Master Copywriter AI.
-Anda akan menerima brief lengkap dari pengguna (Deskripsi, Target, CTA, Platform, Formula, Hook, Bahasa).
-Tugas Anda adalah menulis copywriting yang sangat persuasif dan siap pakai berdasarkan brief tersebut.
-
-PENTING: Respons Anda HARUS HANYA berupa naskah copywriting yang sudah jadi.
-JANGAN tambahkan "Tentu, ini copywritingnya:", "Hasil:", judul, atau penjelasan apa pun.
-Langsung tulis naskahnya.
-    `;
-    
-    const payload = {
-      contents: [{ parts: [{ text: userPrompt }] }],
-      systemInstruction: { parts: [{ text: systemPrompt }] },
-    };
+    const { model, fallbackModel, generationConfig, prompt, payload, maxContinuations } = await buildCopywritingRequest(req.body);
 
-    const candidate = await callGeminiAPI(model, payload);
-    const text = candidate.content.parts[0].text;
+    const result = await generateChecked(model, payload, {
+      route: 'copywriting', fallbackModel, generationConfig, prompt, bypassCache: shouldBypassCache(req), maxContinuations,
+    });
+    const { text } = result;
+    setGenerationHeaders(res, result);
     
     res.status(200).send(text);
 
   } catch (error) {
     console.error("Error in /api/copywriting:", error.message);
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
+// 11b. /api/copywriting/stream (Versi streaming SSE)
+app.post('/api/copywriting/stream', validateBody(schemas['copywriting']), createStreamHandler('copywriting', buildCopywritingRequest));
+
 
 // === ENDPOINT APP 7: TTS GENERATOR ===
 
 // 12. /api/tts-generator (Analisis Utama App 7)
-app.post('/api/tts-generator', async (req, res) => {
+app.post('/api/tts-generator', validateBody(schemas['tts-generator']), async (req, res) => {
   console.log('HIT: /api/tts-generator');
   try {
     const { promptText, voice } = req.body;
-    const model = 'gemini-2.5-flash-preview-tts';
+    const { model, fallbackModel, generationConfig } = resolveModel('tts-generator', req.body.model);
 
     const payload = {
       contents: [{
@@ -627,7 +1185,8 @@ app.post('/api/tts-generator', async (req, res) => {
       },
     };
 
-    const candidate = await callGeminiAPI(model, payload);
+    const candidate = await callGeminiAPI(model, payload, { route: 'tts-generator', fallbackModel, generationConfig, bypassCache: shouldBypassCache(req) });
+    setGenerationHeaders(res, candidate);
     
     const part = candidate.content?.parts?.[0];
     const audioData = part?.inlineData?.data;
@@ -636,12 +1195,12 @@ app.post('/api/tts-generator', async (req, res) => {
     if (audioData && mimeType && mimeType.startsWith("audio/")) {
       res.status(200).json({ audioData, mimeType });
     } else {
-      throw new Error("Respons API tidak valid atau tidak mengandung data audio.");
+      throw new ApiError('INVALID_MODEL_OUTPUT', "Respons API tidak valid atau tidak mengandung data audio.");
     }
 
   } catch (error) {
     console.error("Error in /api/tts-generator:", error.message);
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
@@ -649,15 +1208,118 @@ app.post('/api/tts-generator', async (req, res) => {
 
 // Rute dasar (root) untuk cek status
 app.get('/api', (req, res) => {
+  const providerName = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
   res.status(200).json({ 
-    message: 'Selamat datang di API Backend AI SATSET! Semua sistem berjalan.' 
+    message: 'Selamat datang di API Backend AI SATSET! Semua sistem berjalan.',
+    provider: providerName,
+    circuit: getCircuitBreaker(providerName).getStatus(),
   });
 });
 
+// Daftar model & pilihan per alat (untuk pemilih model di UI)
+app.get('/api/models', (req, res) => {
+  try {
+    res.status(200).json(listModels());
+  } catch (error) {
+    console.error("Error in /api/models:", error.message);
+    sendError(res, error);
+  }
+});
+
+// Agregat pemakaian token & biaya (harian, per alat, per model) per workspace + status anggaran
+app.get('/api/usage', async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 7 : Number(req.query.days);
+    // Default: pemakaian workspace aktif; admin bisa melihat semua dengan ?scope=all
+    const allWorkspaces = req.query.scope === 'all' && req.user.role === 'admin';
+    const workspaceId = allWorkspaces ? null : (req.workspace ? req.workspace.id : null);
+    res.status(200).json(await getUsageSummary({ days, workspaceId }));
+  } catch (error) {
+    console.error("Error in /api/usage:", error.message);
+    sendError(res, error);
+  }
+});
+
+// Login, sesi, dan workspace tim (api/routes/auth.js, api/routes/workspaces.js)
+app.use('/api/auth', authRouter);
+app.use('/api/workspaces', workspacesRouter);
+
+// Proyek & arsip hasil per workspace (api/routes/projects.js, api/routes/generations.js)
+app.use('/api/projects', projectsRouter);
+app.use('/api/generations', generationsRouter);
+
+// Pipeline kampanye: semua alat berurutan dari satu brief (api/routes/pipeline.js)
+// Builder, pembersih hasil, dan inspeksi hasil per langkah, sama dengan route masing-masing
+const PIPELINE_GENERATORS = {
+  // Output langkah analyze disimpan sebagai ekspor YAML agar mudah diedit dan langsung jadi input map-market
+  analyze: {
+    buildRequest: buildAnalyzeRequest,
+    finalize: (text, result) => analysisToYaml(parseAnalysis(text, result.finishReason)),
+    inspect: text => ({ valueMap: inspectValueMapText(text) }),
+  },
+  'map-market': { buildRequest: buildMapMarketRequest, finalize: (text, result) => applyGrounding(text, result.candidate).html },
+  'psikologis-market': { buildRequest: buildPsikologisMarketRequest },
+  'psikologis-hooks': { buildRequest: buildPsikologisHooksRequest },
+  'psikologis-persona': { buildRequest: buildPsikologisPersonaRequest },
+  'content-planner': { buildRequest: buildContentPlannerRequest, finalize: extractPlannerTable },
+  copywriting: { buildRequest: buildCopywritingRequest },
+};
+
+/**
+ * Menjalankan satu route generasi secara internal (tanpa HTTP) untuk runner pipeline.
+ * @returns {Promise<object>} - { text, meta: { finishReason, safetyRatings, continuations, repairs, cache, prompt,
+ *                                             citations?, searchQueries?, uncitedParagraphs?, valueMap? } }
+ */
+const generateForPipeline = async (route, body) => {
+  const { buildRequest, finalize = text => text, inspect = () => ({}) } = PIPELINE_GENERATORS[route];
+  const { model, fallbackModel, generationConfig, prompt, payload, maxContinuations } = await buildRequest(body);
+
+  const result = await generateChecked(model, payload, { route, fallbackModel, generationConfig, prompt, maxContinuations });
+  const meta = {
+    finishReason: result.finishReason,
+    safetyRatings: summarizeSafetyRatings(result.safetyRatings),
+    continuations: result.continuations,
+    repairs: result.repairs,
+    cache: describeCache(result.cache),
+    prompt: describePrompt(result.prompt),
+  };
+  if (route === 'map-market') {
+    const { citations, searchQueries, uncitedParagraphs } = applyGrounding(result.text, result.candidate);
+    Object.assign(meta, { citations, searchQueries, uncitedParagraphs });
+  }
+
+  const text = finalize(result.text, result);
+  return { text, meta: { ...meta, ...inspect(text) } };
+};
+
+app.use('/api/pipeline', createPipelineRouter({ generate: generateForPipeline }));
+
+// Admin: registry prompt berversi (api/routes/admin-prompts.js)
+app.use('/api/admin/prompts', adminPromptsRouter);
+
+// Route /api yang tidak dikenal
+app.use('/api', (req, res, next) => {
+  next(new ApiError('NOT_FOUND', `Endpoint ${req.method} ${req.originalUrl} tidak ditemukan.`));
+});
+
+// Penanganan error terpusat (validasi, body JSON rusak, dll)
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, new ApiError('VALIDATION_FAILED', 'Body request bukan JSON yang valid.'));
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, new ApiError('VALIDATION_FAILED', 'Body request terlalu besar (maksimal 10mb).'));
+  }
+  if (!(err instanceof ApiError)) {
+    console.error(`Unhandled error in ${req.originalUrl}:`, err);
+  }
+  sendError(res, err);
+});
+
 // Menjalankan server secara lokal (diabaikan oleh Vercel)
 if (process.env.NODE_ENV !== 'production') {
   app.listen(port, () => {
-    console.log(`Server lokal berjalan di http://localhost:${port}`);
+    console.log(`Server lokal berjalan di http://localhost:${port} (LLM_PROVIDER=${process.env.LLM_PROVIDER || 'gemini'})`);
   });
 }
 
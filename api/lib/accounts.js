@@ -0,0 +1,248 @@
+/**
+ * Pengguna, password, dan workspace tim (disimpan di DATA_DIR/auth/*.json lewat api/lib/collection.js).
+ *
+ *   REGISTRATION_MODE          invite (default): hanya email yang diundang ke workspace yang boleh daftar
+ *                              open: siapa pun boleh daftar (dibatasi AUTH_ALLOWED_EMAIL_DOMAINS jika diset)
+ *   AUTH_ALLOWED_EMAIL_DOMAINS Daftar domain dipisah koma, misal "satset.id,agensi.co.id"
+ *   ADMIN_EMAILS               Email admin dipisah koma. Email ini selalu boleh mendaftar (juga di mode
+ *                              invite) dan akunnya menjadi admin (bisa mengelola prompt, dll).
+ *
+ * Admin hanya berasal dari ADMIN_EMAILS, bukan dari siapa yang mendaftar pertama.
+ * Setiap pengguna baru mendapat workspace pribadi; undangan yang tertunda untuk emailnya
+ * otomatis menjadi keanggotaan saat akun dibuat.
+ */
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { ApiError } = require('./errors');
+const { createCollection } = require('./collection');
+
+const scrypt = promisify(crypto.scrypt);
+
+const users = createCollection('auth/users');
+const workspaces = createCollection('auth/workspaces');
+
+const WORKSPACE_ROLES = ['owner', 'member'];
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const parseEmailList = (value) => String(value || '').split(',').map(normalizeEmail).filter(Boolean);
+
+const isAdminEmail = (email) => parseEmailList(process.env.ADMIN_EMAILS).includes(normalizeEmail(email));
+
+// === Password (scrypt, format "scrypt$<salt>$<hash>") ===
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('base64url');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('base64url')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// === Pengguna ===
+
+/**
+ * Data pengguna yang aman dikirim ke klien (tanpa hash password/nonce).
+ */
+const toPublicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  createdAt: user.createdAt,
+});
+
+const findUserByEmail = (email) => users.find(user => user.email === normalizeEmail(email));
+
+const getUser = (id) => users.get(id);
+
+const hasPendingInvitation = async (email) => Boolean(
+  await workspaces.find(workspace => workspace.invitations.some(invite => invite.email === email))
+);
+
+const isOpenRegistration = () => (process.env.REGISTRATION_MODE || 'invite').toLowerCase() === 'open';
+
+/**
+ * Apakah siapa pun (tanpa undangan) bisa mendaftar saat ini (REGISTRATION_MODE=open).
+ */
+const isRegistrationOpen = async () => isOpenRegistration();
+
+/**
+ * Apakah email boleh membuat akun baru (lihat REGISTRATION_MODE di atas).
+ */
+const canRegister = async (email) => {
+  const normalized = normalizeEmail(email);
+  if (isAdminEmail(normalized)) return true;
+  if (await hasPendingInvitation(normalized)) return true;
+  if (!isOpenRegistration()) return false;
+
+  const domains = (process.env.AUTH_ALLOWED_EMAIL_DOMAINS || '')
+    .split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean);
+  return domains.length === 0 || domains.includes(normalized.split('@')[1]);
+};
+
+/**
+ * Membuat akun + workspace pribadi, lalu menerima undangan yang tertunda.
+ * @param {object} input - { email, name, password (opsional untuk akun magic link) }
+ */
+const createUser = async ({ email, name, password }) => {
+  const normalized = normalizeEmail(email);
+  const isAdmin = isAdminEmail(normalized);
+  const passwordHash = password ? await hashPassword(password) : null;
+
+  // Cek dijalankan di antrean tulis koleksi agar dua pendaftaran bersamaan tidak lolos berdua
+  const user = await users.insert({
+    email: normalized,
+    name: (name || normalized.split('@')[0]).trim(),
+    passwordHash,
+    role: isAdmin ? 'admin' : 'member',
+    sessionVersion: 1,
+    magicLinkNonce: null,
+  }, async current => {
+    if (!(await canRegister(normalized))) {
+      throw new ApiError('FORBIDDEN', 'Pendaftaran hanya untuk email yang diundang ke workspace tim.');
+    }
+    if (current.some(item => item.email === normalized)) {
+      throw new ApiError('VALIDATION_FAILED', 'Email sudah terdaftar. Silakan masuk.', {
+        fields: [{ field: 'email', message: 'Email sudah terdaftar.' }],
+      });
+    }
+  });
+
+  await workspaces.insert({
+    name: `Workspace ${user.name}`,
+    members: [{ userId: user.id, role: 'owner' }],
+    invitations: [],
+  });
+  await acceptInvitations(user);
+  console.log(`AUTH: akun baru ${user.email}${isAdmin ? ' (admin)' : ''}`);
+  return user;
+};
+
+const updateUser = (id, changes) => users.update(id, changes);
+
+// === Workspace ===
+
+const getMembership = (workspace, userId) => workspace.members.find(member => member.userId === userId) || null;
+
+const listWorkspacesForUser = (userId) => workspaces.list(workspace => Boolean(getMembership(workspace, userId)));
+
+/**
+ * Ringkasan workspace untuk klien, dari sudut pandang `userId`.
+ */
+const toWorkspaceSummary = (workspace, userId) => ({
+  id: workspace.id,
+  name: workspace.name,
+  role: getMembership(workspace, userId)?.role || null,
+  memberCount: workspace.members.length,
+});
+
+/**
+ * Workspace yang boleh diakses pengguna; lempar NOT_FOUND/FORBIDDEN jika tidak.
+ * @param {string} role - Peran minimal ('member' atau 'owner')
+ */
+const getWorkspaceForUser = async (workspaceId, userId, role = 'member') => {
+  const workspace = await workspaces.get(workspaceId);
+  if (!workspace) throw new ApiError('NOT_FOUND', 'Workspace tidak ditemukan.');
+  const membership = getMembership(workspace, userId);
+  if (!membership) throw new ApiError('FORBIDDEN', 'Anda bukan anggota workspace ini.');
+  if (role === 'owner' && membership.role !== 'owner') {
+    throw new ApiError('FORBIDDEN', 'Hanya pemilik workspace yang bisa melakukan ini.');
+  }
+  return workspace;
+};
+
+const createWorkspace = (name, ownerId) => workspaces.insert({
+  name: name.trim(),
+  members: [{ userId: ownerId, role: 'owner' }],
+  invitations: [],
+});
+
+/**
+ * Detail workspace dengan data anggota (nama & email).
+ */
+const getWorkspaceDetail = async (workspace, userId) => {
+  const members = await Promise.all(workspace.members.map(async member => {
+    const user = await getUser(member.userId);
+    return { userId: member.userId, role: member.role, email: user?.email || null, name: user?.name || null };
+  }));
+  return { ...toWorkspaceSummary(workspace, userId), members, invitations: workspace.invitations };
+};
+
+/**
+ * Menambahkan anggota: langsung jika email sudah punya akun, selain itu dicatat sebagai undangan.
+ * @returns {Promise<object>} - { workspace, invited: true jika berupa undangan }
+ */
+const addMember = async (workspaceId, { email, role = 'member', invitedBy }) => {
+  const normalized = normalizeEmail(email);
+  const user = await findUserByEmail(normalized);
+
+  const workspace = await workspaces.update(workspaceId, current => {
+    if (user) {
+      if (getMembership(current, user.id)) {
+        throw new ApiError('VALIDATION_FAILED', `${normalized} sudah menjadi anggota.`);
+      }
+      return { members: [...current.members, { userId: user.id, role }] };
+    }
+    return {
+      invitations: [
+        ...current.invitations.filter(invite => invite.email !== normalized),
+        { email: normalized, role, invitedBy, invitedAt: new Date().toISOString() },
+      ],
+    };
+  });
+  return { workspace, invited: !user };
+};
+
+const removeMember = (workspaceId, userId) => workspaces.update(workspaceId, current => {
+  const owners = current.members.filter(member => member.role === 'owner');
+  if (owners.length === 1 && owners[0].userId === userId) {
+    throw new ApiError('VALIDATION_FAILED', 'Pemilik terakhir tidak bisa dikeluarkan dari workspace.');
+  }
+  return { members: current.members.filter(member => member.userId !== userId) };
+});
+
+const removeInvitation = (workspaceId, email) => workspaces.update(workspaceId, current => ({
+  invitations: current.invitations.filter(invite => invite.email !== normalizeEmail(email)),
+}));
+
+const acceptInvitations = async (user) => {
+  const invited = await workspaces.list(workspace => workspace.invitations.some(invite => invite.email === user.email));
+  for (const workspace of invited) {
+    await workspaces.update(workspace.id, current => {
+      const invite = current.invitations.find(item => item.email === user.email);
+      return {
+        members: getMembership(current, user.id) ? current.members : [...current.members, { userId: user.id, role: invite.role }],
+        invitations: current.invitations.filter(item => item.email !== user.email),
+      };
+    });
+  }
+};
+
+module.exports = {
+  WORKSPACE_ROLES,
+  normalizeEmail,
+  verifyPassword,
+  hashPassword,
+  toPublicUser,
+  findUserByEmail,
+  getUser,
+  isRegistrationOpen,
+  canRegister,
+  createUser,
+  updateUser,
+  listWorkspacesForUser,
+  toWorkspaceSummary,
+  getWorkspaceForUser,
+  createWorkspace,
+  getWorkspaceDetail,
+  addMember,
+  removeMember,
+  removeInvitation,
+};
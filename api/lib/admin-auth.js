@@ -0,0 +1,20 @@
+/**
+ * Proteksi endpoint /api/admin/*: hanya pengguna dengan peran admin.
+ *
+ * Request sudah melewati requireAuth (api/lib/auth.js), jadi `req.user` berisi pengguna
+ * yang login. Peran admin dimiliki akun yang emailnya tercantum di ADMIN_EMAILS saat mendaftar,
+ * atau pemanggil yang mengirim ADMIN_TOKEN sebagai `Authorization: Bearer <token>` (untuk skrip/otomasi).
+ */
+const { ApiError } = require('./errors');
+
+const requireAdmin = (req, res, next) => {
+  if (!req.user) {
+    return next(new ApiError('UNAUTHORIZED', 'Silakan masuk terlebih dahulu.'));
+  }
+  if (req.user.role !== 'admin') {
+    return next(new ApiError('FORBIDDEN', 'Hanya admin yang bisa mengakses admin API.'));
+  }
+  next();
+};
+
+module.exports = { requireAdmin };
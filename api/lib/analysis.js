@@ -0,0 +1,116 @@
+/**
+ * Hasil terstruktur /api/analyze (App 2): satu objek JSON sesuai ANALYSIS_RESPONSE_SCHEMA
+ * (responseSchema Gemini). Tampilan baca dan ekspor YAML value map sama-sama dibuat dari objek ini,
+ * jadi key-nya mengikuti format YAML di api/lib/value-map.js, ditambah `core_value`.
+ *
+ * Frontend punya analysisToYaml yang sama (src/App.jsx); ubah keduanya bersamaan.
+ */
+const YAML = require('yaml');
+const { ApiError } = require('./errors');
+const { parseJSONText } = require('./candidate');
+const { validateValueMap } = require('./value-map');
+
+const STRING = { type: 'STRING' };
+const STRING_LIST = { type: 'ARRAY', items: STRING };
+
+const ANALYSIS_RESPONSE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    product_name: STRING,
+    usp: STRING,
+    core_value: STRING,
+    audience: {
+      type: 'OBJECT',
+      properties: { primary: STRING, secondary: STRING },
+      required: ['primary', 'secondary'],
+    },
+    value_map: {
+      type: 'OBJECT',
+      properties: { customer_jobs: STRING_LIST, customer_pains: STRING_LIST, customer_gains: STRING_LIST },
+      required: ['customer_jobs', 'customer_pains', 'customer_gains'],
+    },
+    product_features: STRING_LIST,
+    benefits: {
+      type: 'OBJECT',
+      properties: { functional: STRING_LIST, emotional: STRING_LIST },
+      required: ['functional', 'emotional'],
+    },
+  },
+  required: ['product_name', 'usp', 'core_value', 'audience', 'value_map', 'product_features', 'benefits'],
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const toText = (value) => (typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '');
+const toList = (value) => (Array.isArray(value) ? value.map(toText).filter(Boolean) : []);
+const toObject = (value) => (isPlainObject(value) ? value : {});
+
+/**
+ * Bentuk baku analisis: semua field ada, teks di-trim, item daftar kosong dibuang.
+ */
+const normalizeAnalysis = (data) => {
+  const audience = toObject(data.audience);
+  const valueMap = toObject(data.value_map);
+  const benefits = toObject(data.benefits);
+  return {
+    product_name: toText(data.product_name),
+    usp: toText(data.usp),
+    core_value: toText(data.core_value),
+    audience: { primary: toText(audience.primary), secondary: toText(audience.secondary) },
+    value_map: {
+      customer_jobs: toList(valueMap.customer_jobs),
+      customer_pains: toList(valueMap.customer_pains),
+      customer_gains: toList(valueMap.customer_gains),
+    },
+    product_features: toList(data.product_features),
+    benefits: { functional: toList(benefits.functional), emotional: toList(benefits.emotional) },
+  };
+};
+
+/**
+ * Parse teks JSON dari model menjadi analisis baku.
+ * @param {string} text - Teks JSON lengkap
+ * @param {string} finishReason - Untuk pesan error saat JSON terpotong
+ */
+const parseAnalysis = (text, finishReason) => {
+  const data = parseJSONText(text, finishReason);
+  if (!isPlainObject(data)) {
+    throw new ApiError('INVALID_MODEL_OUTPUT', 'Respons analisis harus berupa objek JSON.', { finishReason });
+  }
+  return normalizeAnalysis(data);
+};
+
+// Buang teks/daftar kosong agar YAML bersih (field wajib yang kosong tetap terdeteksi validasi)
+const compact = (value) => {
+  if (Array.isArray(value)) return value.length > 0 ? value : undefined;
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value)
+      .map(([key, item]) => [key, compact(item)])
+      .filter(([, item]) => item !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+  }
+  return value ? value : undefined;
+};
+
+/**
+ * Ekspor YAML value map dari analisis (input Mapping Market dan langkah berikutnya di pipeline).
+ */
+const analysisToYaml = (analysis) => {
+  const { product_name, usp, core_value, audience, value_map, product_features, benefits } = normalizeAnalysis(analysis);
+  const ordered = compact({ product_name, usp, core_value, audience, value_map, product_features, benefits }) || {};
+  return YAML.stringify(ordered, { lineWidth: 0 });
+};
+
+/**
+ * Validasi ekspor YAML analisis terhadap skema value map: { valid, errors }.
+ */
+const inspectAnalysis = (analysis) => {
+  const { valid, errors } = validateValueMap(analysisToYaml(analysis));
+  return { valid, errors };
+};
+
+module.exports = {
+  ANALYSIS_RESPONSE_SCHEMA,
+  parseAnalysis,
+  analysisToYaml,
+  inspectAnalysis,
+};
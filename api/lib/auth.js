@@ -0,0 +1,175 @@
+/**
+ * Sesi login dan middleware autentikasi untuk semua route /api/*.
+ *
+ * Klien mengirim `Authorization: Bearer <token sesi>` (didapat dari /api/auth/login, /register,
+ * atau /magic-link/verify) dan opsional `X-Workspace-Id` untuk memilih workspace aktif
+ * (default: workspace pertama pengguna). Logout menaikkan `sessionVersion` pengguna sehingga
+ * semua token lama otomatis tidak berlaku.
+ *
+ *   AUTH_SESSION_TTL_HOURS  Masa berlaku token sesi (default 168 = 7 hari)
+ *   ADMIN_TOKEN             Jika dikirim sebagai bearer, request diproses sebagai pengguna layanan
+ *                           dengan peran admin (untuk skrip/otomasi tanpa login)
+ */
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+const { assertPersistentDataDir } = require('./storage');
+const { signToken, verifyToken } = require('./tokens');
+const { getUser, listWorkspacesForUser, getWorkspaceForUser } = require('./accounts');
+const { getRequestContext } = require('./request-context');
+
+const SESSION_TTL_SECONDS = parseFloat(process.env.AUTH_SESSION_TTL_HOURS || '168') * 3600;
+
+// Login gagal berulang per email dibatasi agar password tidak bisa ditebak massal
+const MAX_FAILED_LOGINS = 10;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const MAX_TRACKED_EMAILS = 10000;
+
+// Path (relatif terhadap /api) yang bisa diakses tanpa login
+const PUBLIC_PATHS = [
+  '/',
+  '/auth/config',
+  '/auth/register',
+  '/auth/login',
+  '/auth/magic-link',
+  '/auth/magic-link/verify',
+];
+
+const SERVICE_USER = { id: 'service', email: 'service@satset.local', name: 'Service', role: 'admin' };
+
+// email -> { count, firstAt }
+const failedLogins = new Map();
+
+// Dipanggil saat email baru dicatat agar Map tidak tumbuh tanpa batas oleh email acak
+const purgeFailedLogins = () => {
+  const now = Date.now();
+  for (const [email, entry] of failedLogins) {
+    if (now - entry.firstAt >= FAILED_LOGIN_WINDOW_MS) failedLogins.delete(email);
+  }
+  while (failedLogins.size >= MAX_TRACKED_EMAILS) {
+    failedLogins.delete(failedLogins.keys().next().value);
+  }
+};
+
+/**
+ * Lempar RATE_LIMITED jika email ini terlalu sering gagal login.
+ */
+const assertLoginAllowed = (email) => {
+  const entry = failedLogins.get(email);
+  if (!entry) return;
+  const elapsed = Date.now() - entry.firstAt;
+  if (elapsed >= FAILED_LOGIN_WINDOW_MS) {
+    failedLogins.delete(email);
+    return;
+  }
+  if (entry.count >= MAX_FAILED_LOGINS) {
+    const retryAfter = Math.ceil((FAILED_LOGIN_WINDOW_MS - elapsed) / 1000);
+    throw new ApiError('RATE_LIMITED', 'Terlalu banyak percobaan login gagal.', { retryAfter });
+  }
+};
+
+const recordLoginResult = (email, success) => {
+  if (success) {
+    failedLogins.delete(email);
+    return;
+  }
+  let entry = failedLogins.get(email);
+  if (!entry) {
+    purgeFailedLogins();
+    entry = { count: 0, firstAt: Date.now() };
+    failedLogins.set(email, entry);
+  }
+  entry.count++;
+};
+
+/**
+ * @param {object} user - Dokumen pengguna (butuh `id` dan `sessionVersion`)
+ * @returns {string} - Token sesi
+ */
+const createSessionToken = (user) => signToken({ typ: 'session', sub: user.id, sv: user.sessionVersion }, SESSION_TTL_SECONDS);
+
+const tokensMatch = (given, expected) => {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const getBearerToken = (req) => {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Pengguna dari header Authorization, atau null jika tidak ada/tidak valid.
+ */
+const authenticate = async (req) => {
+  const token = getBearerToken(req);
+  if (!token) return null;
+  if (process.env.ADMIN_TOKEN && tokensMatch(token, process.env.ADMIN_TOKEN)) return SERVICE_USER;
+
+  const payload = verifyToken(token, 'session');
+  if (!payload) return null;
+  const user = await getUser(payload.sub);
+  if (!user || user.sessionVersion !== payload.sv) return null;
+  return user;
+};
+
+/**
+ * Workspace aktif: dari header X-Workspace-Id (harus anggota), atau workspace pertama pengguna.
+ * @returns {Promise<object|null>}
+ */
+const resolveWorkspace = async (req, user) => {
+  const requested = (req.get('X-Workspace-Id') || '').trim();
+  if (user === SERVICE_USER) return null;
+  if (requested) return getWorkspaceForUser(requested, user.id);
+  const [first] = await listWorkspacesForUser(user.id);
+  return first || null;
+};
+
+/**
+ * Middleware Express: tolak request tanpa sesi valid dengan 401 UNAUTHORIZED, lalu isi
+ * req.user, req.workspace, dan konteks request (caller = 'user:<id>', userId, workspaceId).
+ * Login dan akun ditolak sepenuhnya jika DATA_DIR tidak persisten (api/lib/storage.js).
+ */
+const requireAuth = async (req, res, next) => {
+  if (req.method === 'OPTIONS' || req.path === '/') return next();
+
+  try {
+    assertPersistentDataDir();
+    if (PUBLIC_PATHS.includes(req.path)) return next();
+
+    const user = await authenticate(req);
+    if (!user) {
+      return next(new ApiError('UNAUTHORIZED', 'Sesi tidak valid atau sudah berakhir. Silakan masuk lagi.'));
+    }
+    const workspace = await resolveWorkspace(req, user);
+
+    req.user = user;
+    req.workspace = workspace;
+    Object.assign(getRequestContext(), {
+      caller: `user:${user.id}`,
+      userId: user.id,
+      workspaceId: workspace ? workspace.id : null,
+    });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware Express untuk data milik workspace (proyek, generasi): wajib ada workspace aktif.
+ */
+const requireWorkspace = (req, res, next) => {
+  if (!req.workspace) {
+    return next(new ApiError('FORBIDDEN', 'Pilih workspace terlebih dahulu (header X-Workspace-Id).'));
+  }
+  next();
+};
+
+module.exports = {
+  requireAuth,
+  requireWorkspace,
+  createSessionToken,
+  assertLoginAllowed,
+  recordLoginResult,
+};
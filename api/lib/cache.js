@@ -0,0 +1,144 @@
+/**
+ * Cache respons LLM, dikunci dengan hash (provider + model + payload).
+ *
+ *   CACHE_BACKEND       memory (default) | file | none
+ *   CACHE_MAX_ENTRIES   Batas entri backend memory (default 500)
+ *
+ * Backend `file` menyimpan satu file JSON per entri di DATA_DIR/cache/ sehingga
+ * cache bertahan saat server restart (lihat api/lib/storage.js).
+ * TTL ditentukan per route lewat CACHE_TTL_SECONDS; TTL 0 berarti route tidak di-cache.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const { dataPath, readJSON, writeJSON } = require('./storage');
+
+const HOUR = 60 * 60;
+
+// TTL per route (detik). Route kreatif (copywriting) sengaja tidak di-cache agar
+// "Generate ulang" selalu memberi variasi baru; audio TTS terlalu besar untuk disimpan.
+const CACHE_TTL_SECONDS = {
+  analyze: 24 * HOUR,
+  'ai-help': 24 * HOUR,
+  summarize: 24 * HOUR,
+  // Hasil Google Search cepat basi, jadi lebih pendek
+  'map-market': 6 * HOUR,
+  'map-market-competitors': 6 * HOUR,
+  'map-market-sizing': 6 * HOUR,
+  'map-market-swot': 6 * HOUR,
+  'map-market-five-forces': 6 * HOUR,
+  'map-market-diff': 24 * HOUR,
+  'map-market-helper': 24 * HOUR,
+  'psikologis-helper': 24 * HOUR,
+  'psikologis-market': 24 * HOUR,
+  'psikologis-extract': 24 * HOUR,
+  'psikologis-hooks': 6 * HOUR,
+  'psikologis-persona': 6 * HOUR,
+  'content-planner': 6 * HOUR,
+  copywriting: 0,
+  'tts-generator': 0,
+};
+
+const MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES || '500', 10);
+
+const createMemoryBackend = () => {
+  const entries = new Map();
+  return {
+    async get(key) {
+      return entries.get(key) || null;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      // Map menjaga urutan sisip: hapus entri tertua jika penuh
+      while (entries.size > MAX_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+};
+
+const createFileBackend = () => ({
+  async get(key) {
+    return readJSON(dataPath('cache', `${key}.json`));
+  },
+  async set(key, entry) {
+    await writeJSON(dataPath('cache', `${key}.json`), entry);
+  },
+  async delete(key) {
+    await fs.promises.rm(dataPath('cache', `${key}.json`), { force: true });
+  },
+});
+
+const createBackend = () => {
+  const backendName = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+  if (backendName === 'none') return null;
+  if (backendName === 'file') return createFileBackend();
+  return createMemoryBackend();
+};
+
+const backend = createBackend();
+
+const getTTL = (route) => (route in CACHE_TTL_SECONDS ? CACHE_TTL_SECONDS[route] : 0);
+
+/**
+ * Kunci cache: sha256 dari provider, model, dan payload lengkap (system prompt + input + config).
+ */
+const buildCacheKey = (providerName, model, payload) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ provider: providerName, model, payload }))
+  .digest('hex');
+
+/**
+ * @returns {Promise<object|null>} - { value, createdAt } atau null jika tidak ada/kedaluwarsa
+ */
+const getCached = async (route, key) => {
+  if (!backend || getTTL(route) <= 0) return null;
+  try {
+    const entry = await backend.get(key);
+    if (!entry) return null;
+    if (Date.now() > entry.expiresAt) {
+      await backend.delete(key);
+      return null;
+    }
+    return entry;
+  } catch (error) {
+    // Cache hanya optimasi, jangan gagalkan request
+    console.warn(`Gagal membaca cache ${route}:`, error.message);
+    return null;
+  }
+};
+
+const setCached = async (route, key, value) => {
+  const ttl = getTTL(route);
+  if (!backend || ttl <= 0) return;
+  try {
+    const createdAt = Date.now();
+    await backend.set(key, { value, createdAt, expiresAt: createdAt + ttl * 1000 });
+  } catch (error) {
+    console.warn(`Gagal menulis cache ${route}:`, error.message);
+  }
+};
+
+/**
+ * Menghapus entri cache, misal output yang ternyata melanggar kontrak (api/lib/contracts.js)
+ * agar tidak dipakai ulang selama TTL.
+ */
+const deleteCached = async (key) => {
+  if (!backend) return;
+  try {
+    await backend.delete(key);
+  } catch (error) {
+    console.warn('Gagal menghapus cache:', error.message);
+  }
+};
+
+/**
+ * Klien meminta bypass cache lewat header `Cache-Control: no-cache` (tombol "Buat Ulang").
+ * Respons baru tetap disimpan ke cache.
+ */
+const shouldBypassCache = (req) => /no-cache|no-store/i.test(req.get('Cache-Control') || '');
+
+module.exports = { CACHE_TTL_SECONDS, buildCacheKey, getCached, setCached, deleteCached, shouldBypassCache };
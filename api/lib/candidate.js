@@ -0,0 +1,140 @@
+/**
+ * Helper untuk membaca respons Gemini (candidate, finishReason, safetyRatings, promptFeedback).
+ *
+ * Dokumentasi finishReason: STOP (selesai normal), MAX_TOKENS (terpotong karena batas token),
+ * SAFETY / RECITATION / BLOCKLIST / PROHIBITED_CONTENT / SPII (diblokir).
+ */
+const { ApiError } = require('./errors');
+
+// finishReason yang berarti output ditahan oleh model, bukan selesai/terpotong
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'];
+
+// Probabilitas yang dianggap "ditandai" saat ditampilkan ke pengguna
+const FLAGGED_PROBABILITIES = ['MEDIUM', 'HIGH'];
+
+/**
+ * Meringkas safetyRatings menjadi [{ category, probability, blocked }].
+ */
+const summarizeSafetyRatings = (safetyRatings) => (safetyRatings || []).map(rating => ({
+  category: rating.category,
+  probability: rating.probability,
+  blocked: Boolean(rating.blocked),
+}));
+
+const getFlaggedRatings = (safetyRatings) => summarizeSafetyRatings(safetyRatings)
+  .filter(rating => rating.blocked || FLAGGED_PROBABILITIES.includes(rating.probability));
+
+/**
+ * Lempar SAFETY_BLOCKED jika prompt ditolak (promptFeedback.blockReason).
+ * @param {object} data - Respons lengkap dari provider
+ * @param {string[]} inputFields - Field body request yang dikirim sebagai prompt
+ */
+const assertPromptNotBlocked = (data, inputFields = []) => {
+  const promptFeedback = data.promptFeedback;
+  if (!promptFeedback || !promptFeedback.blockReason) return;
+
+  throw new ApiError('SAFETY_BLOCKED', `Prompt diblokir oleh filter keamanan (${promptFeedback.blockReason}).`, {
+    source: 'prompt',
+    reason: promptFeedback.blockReason,
+    safetyRatings: getFlaggedRatings(promptFeedback.safetyRatings),
+    inputFields,
+  });
+};
+
+/**
+ * Lempar SAFETY_BLOCKED jika output ditahan (finishReason SAFETY, RECITATION, dll).
+ * @param {object} candidate - candidates[0] dari respons
+ * @param {string[]} inputFields - Field body request yang dikirim sebagai prompt
+ */
+const assertCandidateNotBlocked = (candidate, inputFields = []) => {
+  if (!BLOCKED_FINISH_REASONS.includes(candidate.finishReason)) return;
+
+  throw new ApiError('SAFETY_BLOCKED', `Output diblokir oleh model (finishReason: ${candidate.finishReason}).`, {
+    source: 'response',
+    reason: candidate.finishReason,
+    safetyRatings: getFlaggedRatings(candidate.safetyRatings),
+    inputFields,
+  });
+};
+
+/**
+ * Mengambil teks dari candidate, lempar INVALID_MODEL_OUTPUT jika kosong.
+ */
+const getCandidateText = (candidate) => {
+  const text = (candidate.content?.parts || []).map(part => part.text || '').join('');
+  if (!text) {
+    throw new ApiError('INVALID_MODEL_OUTPUT', 'Model tidak mengembalikan teks.', { finishReason: candidate.finishReason });
+  }
+  return text;
+};
+
+/**
+ * Mem-parse teks JSON dari model (route dengan responseSchema), lempar INVALID_MODEL_OUTPUT jika rusak.
+ * @param {string} text - Teks lengkap (boleh hasil beberapa lanjutan)
+ * @param {string} finishReason - finishReason terakhir, untuk pesan yang lebih jelas saat terpotong
+ */
+const parseJSONText = (text, finishReason) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const details = { finishReason };
+    if (finishReason === 'MAX_TOKENS') {
+      throw new ApiError('INVALID_MODEL_OUTPUT', 'Respons JSON terpotong karena batas token (MAX_TOKENS).', details);
+    }
+    throw new ApiError('INVALID_MODEL_OUTPUT', `Respons model bukan JSON yang valid: ${error.message}`, details);
+  }
+};
+
+/**
+ * Mengambil dan mem-parse JSON dari candidate (route dengan responseSchema).
+ */
+const parseCandidateJSON = (candidate) => parseJSONText(getCandidateText(candidate), candidate.finishReason);
+
+/**
+ * Info cache untuk klien: { status: HIT | MISS | BYPASS, age: umur hasil dalam detik }.
+ */
+const describeCache = (cache) => {
+  if (!cache) return { status: 'MISS', age: 0 };
+  return { status: cache.status, age: Math.max(0, Math.round((Date.now() - cache.createdAt) / 1000)) };
+};
+
+/**
+ * Versi prompt yang dipakai (lihat api/lib/prompts.js): { id, version }, tanpa teks prompt.
+ */
+const describePrompt = (prompt) => (prompt ? { id: prompt.id, version: prompt.version } : undefined);
+
+/**
+ * Menulis metadata generasi ke header respons agar bisa dibaca frontend
+ * tanpa mengubah bentuk body (teks/HTML/JSON) tiap route.
+ * @param {object} res - Response Express
+ * @param {object} meta - { finishReason, safetyRatings, continuations, repairs, cache, prompt }
+ */
+const setGenerationHeaders = (res, { finishReason, safetyRatings, continuations = 0, repairs = 0, cache, prompt }) => {
+  if (finishReason) res.set('X-Finish-Reason', finishReason);
+  res.set('X-Safety-Ratings', JSON.stringify(summarizeSafetyRatings(safetyRatings)));
+  res.set('X-Continuations', String(continuations));
+  // Berapa kali output diperbaiki karena melanggar kontrak format (api/lib/contracts.js)
+  res.set('X-Contract-Repairs', String(repairs));
+  const { status, age } = describeCache(cache);
+  res.set('X-Cache', status);
+  res.set('X-Cache-Age', String(age));
+  // Format `id@versi`, misal `analyze@3`
+  if (prompt) res.set('X-Prompt-Version', `${prompt.id}@${prompt.version}`);
+};
+
+// Header di atas harus di-expose lewat CORS agar terbaca oleh fetch di browser
+const GENERATION_HEADERS = ['X-Finish-Reason', 'X-Safety-Ratings', 'X-Continuations', 'X-Contract-Repairs', 'X-Cache', 'X-Cache-Age', 'X-Prompt-Version'];
+
+module.exports = {
+  BLOCKED_FINISH_REASONS,
+  GENERATION_HEADERS,
+  summarizeSafetyRatings,
+  assertPromptNotBlocked,
+  assertCandidateNotBlocked,
+  getCandidateText,
+  parseJSONText,
+  parseCandidateJSON,
+  setGenerationHeaders,
+  describeCache,
+  describePrompt,
+};
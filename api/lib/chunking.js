@@ -0,0 +1,186 @@
+/**
+ * Map-reduce untuk data mentah besar di Psikologis Market (POST /api/psikologis-market/chunked).
+ *
+ *   1. splitIntoChunks: data mentah dipotong per baris menjadi bagian maksimal RAW_CHUNK_MAX_CHARS karakter,
+ *      paling banyak RAW_CHUNK_MAX_COUNT bagian (assertChunkCount; setiap bagian satu panggilan LLM).
+ *   2. map: setiap bagian diekstrak ke temuan terstruktur lewat route 'psikologis-extract'
+ *      (FINDINGS_RESPONSE_SCHEMA, satu daftar per kategori laporan).
+ *   3. mergeFindings: temuan semua bagian digabung, yang sama (setelah dinormalisasi) diduplikasi dan
+ *      dihitung di berapa bagian muncul.
+ *   4. reduce: formatFindingsDigest menjadi userInput route 'psikologis-market' untuk laporan akhir.
+ *
+ * Kategori di FINDING_CATEGORIES mengikuti bagian laporan di api/prompts/psikologis-market.txt.
+ */
+const { ApiError } = require('./errors');
+const { parseJSONText } = require('./candidate');
+
+// Angka dari env minimal 1; kosong/tidak valid memakai `fallback` (0 worker = laporan kosong)
+const readPositiveInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Math.max(1, Number.isNaN(value) ? fallback : value);
+};
+
+const RAW_CHUNK_MAX_CHARS = readPositiveInt('RAW_CHUNK_MAX_CHARS', 20000);
+// Batas jumlah bagian per request agar biaya satu request tetap terkendali
+const RAW_CHUNK_MAX_COUNT = readPositiveInt('RAW_CHUNK_MAX_COUNT', 50);
+// Jumlah bagian yang diekstrak bersamaan
+const RAW_CHUNK_CONCURRENCY = readPositiveInt('RAW_CHUNK_CONCURRENCY', 3);
+// Contoh kutipan yang disimpan per temuan
+const MAX_QUOTES_PER_FINDING = 2;
+
+const FINDING_CATEGORIES = {
+  emosi_positif: 'Emosi Positif',
+  emosi_negatif: 'Emosi Negatif (Pain Points)',
+  keyakinan: 'Keyakinan (Beliefs)',
+  keberatan: 'Keberatan (Objections)',
+  pemicu_logis: 'Pemicu Logis (Logical Triggers)',
+  kebiasaan_media: 'Kebiasaan Media',
+  pola_pembelian: 'Pola Pembelian',
+  bahasa: 'Bahasa yang Digunakan (slang/kata kunci)',
+};
+const CATEGORY_KEYS = Object.keys(FINDING_CATEGORIES);
+
+const FINDINGS_RESPONSE_SCHEMA = {
+  type: 'OBJECT',
+  properties: Object.fromEntries(CATEGORY_KEYS.map(key => [key, {
+    type: 'ARRAY',
+    items: {
+      type: 'OBJECT',
+      properties: {
+        finding: { type: 'STRING' },
+        // Kutipan asli singkat dari data sebagai bukti; boleh kosong
+        quote: { type: 'STRING' },
+      },
+      required: ['finding'],
+    },
+  }])),
+  required: CATEGORY_KEYS,
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const toText = (value) => (typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '');
+const normalizeFinding = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Memotong teks menjadi bagian maksimal `maxChars` karakter tanpa memotong baris.
+ * Baris yang lebih panjang dari `maxChars` dipotong di spasi terakhir sebelum batas.
+ * @returns {string[]} - Bagian-bagian yang tidak kosong
+ */
+const splitIntoChunks = (text, maxChars = RAW_CHUNK_MAX_CHARS) => {
+  const lines = String(text || '').split(/\r?\n/).flatMap(line => {
+    const pieces = [];
+    let rest = line;
+    while (rest.length > maxChars) {
+      const cut = rest.lastIndexOf(' ', maxChars);
+      const end = cut > 0 ? cut : maxChars;
+      pieces.push(rest.slice(0, end));
+      rest = rest.slice(end).trimStart();
+    }
+    pieces.push(rest);
+    return pieces;
+  });
+
+  const chunks = [];
+  let current = '';
+  lines.forEach(line => {
+    if (current && current.length + line.length + 1 > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${line}` : line;
+  });
+  if (current) chunks.push(current);
+  return chunks.map(chunk => chunk.trim()).filter(Boolean);
+};
+
+/**
+ * Lempar VALIDATION_FAILED jika data mentah terpecah menjadi lebih dari RAW_CHUNK_MAX_COUNT bagian.
+ */
+const assertChunkCount = (chunks) => {
+  if (chunks.length <= RAW_CHUNK_MAX_COUNT) return;
+  const message = `Data mentah terlalu panjang (${chunks.length} bagian, maksimal ${RAW_CHUNK_MAX_COUNT} bagian `
+    + `masing-masing ${RAW_CHUNK_MAX_CHARS} karakter). Kurangi data atau ambil sampelnya.`;
+  throw new ApiError('VALIDATION_FAILED', message, { fields: [{ field: 'rawInput', message }] });
+};
+
+/**
+ * Parse temuan satu bagian: { <kategori>: [{ finding, quote }] }.
+ * Kategori yang tidak ada bernilai null (ditandai inspectFindings).
+ */
+const parseChunkFindings = (text, finishReason) => {
+  const data = parseJSONText(text, finishReason);
+  if (!isPlainObject(data)) {
+    throw new ApiError('INVALID_MODEL_OUTPUT', 'Respons ekstraksi temuan harus berupa objek JSON.', { finishReason });
+  }
+  return Object.fromEntries(CATEGORY_KEYS.map(key => [key, Array.isArray(data[key])
+    ? data[key].filter(isPlainObject).map(item => ({ finding: toText(item.finding), quote: toText(item.quote) })).filter(item => item.finding)
+    : null,
+  ]));
+};
+
+/**
+ * Pelanggaran isi temuan satu bagian (untuk kontrak output, lihat api/lib/contracts.js).
+ * Daftar kosong boleh (bagian data bisa saja tidak relevan), asal semua kategori ada.
+ */
+const inspectFindings = (findings) => CATEGORY_KEYS
+  .filter(key => findings[key] === null)
+  .map(key => `Field '${key}' wajib berupa array (boleh kosong).`);
+
+/**
+ * Gabungkan temuan semua bagian; temuan yang sama dihitung sekali per bagian.
+ * @param {Array<object|null>} results - Hasil parseChunkFindings per bagian (null = bagian gagal)
+ * @returns {object} - { <kategori>: [{ finding, count, quotes }] } urut dari yang paling sering
+ */
+const mergeFindings = (results) => Object.fromEntries(CATEGORY_KEYS.map(key => {
+  const merged = new Map();
+  results.filter(Boolean).forEach(findings => {
+    const seenInChunk = new Set();
+    (findings[key] || []).forEach(({ finding, quote }) => {
+      const normalized = normalizeFinding(finding);
+      if (!normalized) return;
+      const item = merged.get(normalized) || { finding, count: 0, quotes: [] };
+      if (!seenInChunk.has(normalized)) item.count++;
+      seenInChunk.add(normalized);
+      if (quote && item.quotes.length < MAX_QUOTES_PER_FINDING && !item.quotes.includes(quote)) item.quotes.push(quote);
+      merged.set(normalized, item);
+    });
+  });
+  return [key, [...merged.values()].sort((a, b) => b.count - a.count)];
+}));
+
+/**
+ * Teks temuan gabungan untuk laporan akhir (userInput route 'psikologis-market').
+ * @param {object} merged - Hasil mergeFindings
+ * @param {object} stats - { total: jumlah bagian, failed: jumlah bagian yang gagal diekstrak }
+ */
+const formatFindingsDigest = (merged, { total, failed = 0 }) => {
+  const processed = total - failed;
+  const lines = [
+    '--- TEMUAN GABUNGAN DARI DATA MENTAH ---',
+    `Data mentah terlalu panjang sehingga diolah per bagian (${processed} bagian). Angka (n/${processed}) menunjukkan di berapa bagian temuan itu muncul; makin besar, makin umum di audiens. Gabungkan temuan yang maknanya sama.`,
+  ];
+  if (failed > 0) lines.push(`Catatan: ${failed} dari ${total} bagian gagal diproses dan tidak ikut dihitung.`);
+  CATEGORY_KEYS.forEach(key => {
+    lines.push('', `## ${FINDING_CATEGORIES[key]}`);
+    if (merged[key].length === 0) {
+      lines.push('- (tidak ditemukan)');
+      return;
+    }
+    merged[key].forEach(({ finding, count, quotes }) => {
+      const example = quotes.length > 0 ? ` — contoh: ${quotes.map(quote => `"${quote}"`).join('; ')}` : '';
+      lines.push(`- ${finding} (${count}/${processed})${example}`);
+    });
+  });
+  return lines.join('\n');
+};
+
+module.exports = {
+  RAW_CHUNK_CONCURRENCY,
+  FINDINGS_RESPONSE_SCHEMA,
+  splitIntoChunks,
+  assertChunkCount,
+  parseChunkFindings,
+  inspectFindings,
+  mergeFindings,
+  formatFindingsDigest,
+};
@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Uji batas default, bukan nilai dari env mesin yang menjalankan test
+delete process.env.RAW_CHUNK_MAX_COUNT;
+
+const {
+  splitIntoChunks, assertChunkCount, parseChunkFindings, inspectFindings, mergeFindings, formatFindingsDigest,
+} = require('./chunking');
+
+const emptyFindings = () => ({
+  emosi_positif: [], emosi_negatif: [], keyakinan: [], keberatan: [],
+  pemicu_logis: [], kebiasaan_media: [], pola_pembelian: [], bahasa: [],
+});
+
+describe('splitIntoChunks', () => {
+  it('memotong di batas baris tanpa melebihi maxChars', () => {
+    const lines = ['aaaa', 'bbbb', 'cccc', 'dddd', 'eeee'];
+    const chunks = splitIntoChunks(lines.join('\n'), 10);
+    assert.deepEqual(chunks, ['aaaa\nbbbb', 'cccc\ndddd', 'eeee']);
+    chunks.forEach(chunk => assert.ok(chunk.length <= 10));
+  });
+
+  it('menerima baris CRLF dan membuang bagian kosong', () => {
+    assert.deepEqual(splitIntoChunks('satu\r\ndua\r\n\r\n', 100), ['satu\ndua']);
+    assert.deepEqual(splitIntoChunks('  \n\n', 100), []);
+    assert.deepEqual(splitIntoChunks(undefined, 100), []);
+  });
+
+  it('memotong satu baris yang terlalu panjang di spasi terakhir', () => {
+    const line = 'kopi ini enak sekali tapi bikin perih di lambung';
+    const chunks = splitIntoChunks(line, 20);
+    chunks.forEach(chunk => assert.ok(chunk.length <= 20, chunk));
+    assert.equal(chunks.join(' '), line);
+  });
+
+  it('memotong paksa baris panjang tanpa spasi', () => {
+    const chunks = splitIntoChunks('x'.repeat(25), 10);
+    assert.deepEqual(chunks, ['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+  });
+});
+
+describe('assertChunkCount', () => {
+  it('melempar VALIDATION_FAILED jika bagian melebihi RAW_CHUNK_MAX_COUNT', () => {
+    assert.doesNotThrow(() => assertChunkCount(new Array(50).fill('a')));
+    assert.throws(() => assertChunkCount(new Array(51).fill('a')), error => (
+      error.code === 'VALIDATION_FAILED' && error.details.fields[0].field === 'rawInput' && /51 bagian/.test(error.message)
+    ));
+  });
+});
+
+describe('parseChunkFindings', () => {
+  it('menormalkan temuan dan menandai kategori yang hilang', () => {
+    const findings = parseChunkFindings(JSON.stringify({
+      emosi_positif: [{ finding: ' Lega ', quote: 'akhirnya' }, { finding: '' }, 'bukan objek'],
+      emosi_negatif: [],
+    }));
+    assert.deepEqual(findings.emosi_positif, [{ finding: 'Lega', quote: 'akhirnya' }]);
+    assert.deepEqual(findings.emosi_negatif, []);
+    assert.equal(findings.bahasa, null);
+    assert.equal(inspectFindings(findings).length, 6);
+  });
+
+  it('menolak JSON yang bukan objek', () => {
+    assert.throws(() => parseChunkFindings('[]'), { code: 'INVALID_MODEL_OUTPUT' });
+  });
+});
+
+describe('mergeFindings', () => {
+  it('menggabungkan temuan yang sama sekali per bagian dan mengurutkan dari yang paling sering', () => {
+    const first = emptyFindings();
+    first.emosi_negatif = [
+      { finding: 'Perut perih', quote: 'perih banget' },
+      { finding: 'perut perih!', quote: 'perih banget' },
+      { finding: 'Harga mahal', quote: '' },
+    ];
+    const second = emptyFindings();
+    second.emosi_negatif = [{ finding: 'PERUT PERIH', quote: 'mules' }];
+
+    const merged = mergeFindings([first, null, second]);
+    assert.deepEqual(merged.emosi_negatif, [
+      { finding: 'Perut perih', count: 2, quotes: ['perih banget', 'mules'] },
+      { finding: 'Harga mahal', count: 1, quotes: [] },
+    ]);
+    assert.deepEqual(merged.bahasa, []);
+  });
+});
+
+describe('formatFindingsDigest', () => {
+  it('mencantumkan jumlah bagian, bagian gagal, dan kategori kosong', () => {
+    const findings = emptyFindings();
+    findings.keberatan = [{ finding: 'Ragu soal rasa', quote: 'pahit nggak?' }];
+    const digest = formatFindingsDigest(mergeFindings([findings, findings, findings]), { total: 4, failed: 1 });
+
+    assert.match(digest, /Catatan: 1 dari 4 bagian gagal diproses/);
+    assert.match(digest, /^- Ragu soal rasa \(3\/3\) — contoh: "pahit nggak\?"$/m);
+    assert.match(digest, /## Emosi Positif\n- \(tidak ditemukan\)/);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Circuit breaker per provider: jika upstream gagal (down/5xx/jaringan) berturut-turut,
+ * request berikutnya langsung ditolak tanpa memanggil upstream selama beberapa detik.
+ *
+ *   CIRCUIT_FAILURE_THRESHOLD  Jumlah kegagalan berturut-turut sebelum circuit terbuka (default 5)
+ *   CIRCUIT_OPEN_SECONDS       Lama circuit terbuka sebelum satu request uji dicoba (default 30)
+ *
+ * Status: CLOSED (normal) -> OPEN (tolak semua) -> HALF_OPEN (satu request uji) -> CLOSED/OPEN.
+ */
+const { ApiError, toApiError } = require('./errors');
+
+const FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10);
+const OPEN_MS = parseInt(process.env.CIRCUIT_OPEN_SECONDS || '30', 10) * 1000;
+
+/**
+ * Hanya error yang menandakan upstream bermasalah yang dihitung.
+ * Rate limit, error validasi, atau output aneh tidak membuka circuit.
+ */
+const isOutageError = (error) => {
+  const apiError = toApiError(error);
+  return apiError.code === 'UPSTREAM_UNAVAILABLE' || (apiError.code === 'UPSTREAM_ERROR' && apiError.retryable);
+};
+
+class CircuitBreaker {
+  constructor(name) {
+    this.name = name;
+    this.state = 'CLOSED';
+    this.failures = 0;
+    this.openedAt = 0;
+  }
+
+  /**
+   * Lempar UPSTREAM_UNAVAILABLE (tanpa retry) jika circuit sedang terbuka.
+   */
+  assertCanRequest() {
+    const now = Date.now();
+    if (this.state === 'CLOSED') return;
+
+    if (now - this.openedAt >= OPEN_MS) {
+      // Izinkan satu request uji; openedAt digeser agar request lain tetap ditolak selama uji berjalan
+      this.state = 'HALF_OPEN';
+      this.openedAt = now;
+      return;
+    }
+
+    const retryAfter = Math.ceil((OPEN_MS - (now - this.openedAt)) / 1000);
+    const error = new ApiError('UPSTREAM_UNAVAILABLE', `Provider '${this.name}' sedang gangguan (circuit breaker terbuka).`, {
+      retryAfter,
+      circuit: this.state,
+    });
+    error.retryable = false;
+    throw error;
+  }
+
+  recordSuccess() {
+    if (this.state !== 'CLOSED') console.log(`Circuit ${this.name}: CLOSED (upstream pulih)`);
+    this.state = 'CLOSED';
+    this.failures = 0;
+  }
+
+  recordFailure(error) {
+    if (!isOutageError(error)) return;
+    this.failures++;
+    if (this.state === 'HALF_OPEN' || this.failures >= FAILURE_THRESHOLD) {
+      console.warn(`Circuit ${this.name}: OPEN selama ${OPEN_MS / 1000} detik (${this.failures} kegagalan berturut-turut)`);
+      this.state = 'OPEN';
+      this.openedAt = Date.now();
+    }
+  }
+
+  getStatus() {
+    return { state: this.state, failures: this.failures };
+  }
+}
+
+const breakers = new Map();
+
+const getCircuitBreaker = (name) => {
+  if (!breakers.has(name)) breakers.set(name, new CircuitBreaker(name));
+  return breakers.get(name);
+};
+
+module.exports = { getCircuitBreaker };
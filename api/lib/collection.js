@@ -0,0 +1,92 @@
+/**
+ * Koleksi dokumen JSON sederhana: satu file DATA_DIR/<nama>.json berisi array dokumen.
+ * Cukup untuk data kecil yang jarang ditulis (pengguna, workspace). Semua penulisan
+ * per koleksi diserialkan agar dua request bersamaan tidak saling menimpa.
+ *
+ * Dokumen selalu punya `id`, `createdAt`, dan `updatedAt`. Nilai yang dikembalikan
+ * adalah salinan, jadi mengubahnya tidak mengubah isi koleksi.
+ */
+const crypto = require('crypto');
+const { dataPath, readJSON, writeJSON } = require('./storage');
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * @param {string} name - Nama file (tanpa .json), boleh berisi subfolder, misal 'auth/users'
+ */
+const createCollection = (name) => {
+  let items = null;
+  let loading = null;
+  let writeQueue = Promise.resolve();
+
+  const load = async () => {
+    if (items) return items;
+    if (!loading) {
+      loading = readJSON(dataPath(`${name}.json`), []).then(data => {
+        items = Array.isArray(data) ? data : [];
+        return items;
+      });
+    }
+    return loading;
+  };
+
+  // Menjalankan `mutate(items)` (boleh async) lalu menyimpan file; jika mutate melempar error, file tidak ditulis
+  const write = (mutate) => {
+    const next = writeQueue.catch(() => {}).then(async () => {
+      await load();
+      const result = await mutate(items);
+      await writeJSON(dataPath(`${name}.json`), items);
+      return result;
+    });
+    writeQueue = next;
+    return next;
+  };
+
+  const list = async (filter = () => true) => (await load()).filter(filter).map(clone);
+
+  const find = async (predicate) => {
+    const item = (await load()).find(predicate);
+    return item ? clone(item) : null;
+  };
+
+  const get = (id) => find(item => item.id === id);
+
+  const count = async () => (await load()).length;
+
+  /**
+   * @param {object} doc - Dokumen baru (tanpa id/createdAt/updatedAt)
+   * @param {function} [check] - async (salinan semua dokumen) => void, dijalankan di antrean tulis tepat
+   *   sebelum dokumen ditambahkan; lempar error untuk membatalkan (misal cek email ganda)
+   */
+  const insert = (doc, check) => write(async current => {
+    if (check) await check(current.map(clone));
+    const now = new Date().toISOString();
+    const item = { id: crypto.randomUUID(), ...clone(doc), createdAt: now, updatedAt: now };
+    current.push(item);
+    return clone(item);
+  });
+
+  /**
+   * @param {string} id - Id dokumen
+   * @param {object|function} changes - Field baru, atau (dokumen) => field baru
+   * @returns {Promise<object|null>} - Dokumen setelah diubah, null jika tidak ditemukan
+   */
+  const update = (id, changes) => write(current => {
+    const index = current.findIndex(item => item.id === id);
+    if (index === -1) return null;
+    const patch = typeof changes === 'function' ? changes(clone(current[index])) : changes;
+    current[index] = { ...current[index], ...clone(patch), id, updatedAt: new Date().toISOString() };
+    return clone(current[index]);
+  });
+
+  const remove = (id) => write(current => {
+    const index = current.findIndex(item => item.id === id);
+    if (index === -1) return false;
+    current.splice(index, 1);
+    return true;
+  });
+
+  return { list, find, get, count, insert, update, remove };
+};
+
+module.exports = { createCollection };
@@ -0,0 +1,168 @@
+/**
+ * Matriks kompetitor terstruktur /api/map-market-competitors (App 3): satu objek JSON sesuai
+ * COMPETITORS_RESPONSE_SCHEMA, diekstrak dari laporan Mapping Market beserta sumber bernomornya.
+ *
+ * Setiap kompetitor diberi skor 1-10 per dimensi di COMPETITOR_DIMENSIONS; frontend memakai skor ini
+ * sebagai sumbu peta persepsi (perceptual map), jadi daftar dimensinya sama dengan COMPETITOR_DIMENSIONS
+ * di src/App.jsx; ubah keduanya bersamaan.
+ * `sources` berisi nomor catatan kaki laporan ([n]) dan diganti dengan sumbernya ({ number, uri, title, domain }).
+ */
+const { ApiError } = require('./errors');
+const { parseJSONText } = require('./candidate');
+const { sanitizeUrl } = require('./sanitize');
+
+const COMPETITOR_DIMENSIONS = ['harga', 'kualitas', 'inovasi', 'jangkauan', 'kekuatan_merek'];
+const PRICE_TIERS = ['ekonomis', 'menengah', 'premium'];
+const MIN_SCORE = 1;
+const MAX_SCORE = 10;
+const MIN_COMPETITORS = 2;
+
+const STRING = { type: 'STRING' };
+const STRING_LIST = { type: 'ARRAY', items: STRING };
+const SCORES_SCHEMA = {
+  type: 'OBJECT',
+  properties: Object.fromEntries(COMPETITOR_DIMENSIONS.map(dimension => [dimension, { type: 'INTEGER' }])),
+  required: COMPETITOR_DIMENSIONS,
+};
+
+const COMPETITORS_RESPONSE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    competitors: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          name: STRING,
+          price_tier: { type: 'STRING', enum: PRICE_TIERS },
+          key_claims: STRING_LIST,
+          channels: STRING_LIST,
+          strengths: STRING_LIST,
+          weaknesses: STRING_LIST,
+          sources: { type: 'ARRAY', items: { type: 'INTEGER' } },
+          scores: SCORES_SCHEMA,
+        },
+        required: ['name', 'price_tier', 'key_claims', 'channels', 'strengths', 'weaknesses', 'sources', 'scores'],
+      },
+    },
+    // Usulan posisi produk kita; pengguna bisa menggesernya di peta persepsi
+    product_position: SCORES_SCHEMA,
+  },
+  required: ['competitors', 'product_position'],
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const toText = (value) => (typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '');
+const toList = (value) => (Array.isArray(value) ? value.map(toText).filter(Boolean) : []);
+
+// Skor di luar 1-10 dijepit; skor yang tidak ada bernilai null (ditandai inspectCompetitors)
+const toScore = (value) => {
+  const number = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(number)) return null;
+  return Math.min(MAX_SCORE, Math.max(MIN_SCORE, Math.round(number)));
+};
+
+const normalizeScores = (scores) => {
+  const source = isPlainObject(scores) ? scores : {};
+  return Object.fromEntries(COMPETITOR_DIMENSIONS.map(dimension => [dimension, toScore(source[dimension])]));
+};
+
+/**
+ * Nomor sumber -> sumber dari daftar sitasi laporan; nomor yang tidak dikenal dibuang.
+ */
+const resolveSources = (numbers, citations) => {
+  const unique = [...new Set((Array.isArray(numbers) ? numbers : []).map(Number).filter(Number.isInteger))];
+  return unique
+    .map(number => citations.find(citation => citation.number === number))
+    .filter(Boolean);
+};
+
+/**
+ * Sitasi dari klien (hasil /api/map-market) yang aman dipakai: bernomor dan URL-nya lolos sanitizeUrl.
+ */
+const normalizeCitations = (citations) => (Array.isArray(citations) ? citations : [])
+  .filter(isPlainObject)
+  .map((citation, index) => ({
+    number: Number.isInteger(citation.number) ? citation.number : index + 1,
+    uri: sanitizeUrl(citation.uri),
+    title: toText(citation.title),
+    domain: toText(citation.domain),
+  }))
+  .filter(citation => citation.uri);
+
+/**
+ * Bentuk baku matriks kompetitor: semua field ada, teks di-trim, skor dijepit 1-10.
+ */
+const normalizeCompetitors = (data, citations = []) => ({
+  competitors: (Array.isArray(data.competitors) ? data.competitors : [])
+    .filter(isPlainObject)
+    .map(competitor => ({
+      name: toText(competitor.name),
+      price_tier: PRICE_TIERS.includes(competitor.price_tier) ? competitor.price_tier : null,
+      key_claims: toList(competitor.key_claims),
+      channels: toList(competitor.channels),
+      strengths: toList(competitor.strengths),
+      weaknesses: toList(competitor.weaknesses),
+      sources: resolveSources(competitor.sources, citations),
+      scores: normalizeScores(competitor.scores),
+    })),
+  product_position: normalizeScores(data.product_position),
+});
+
+/**
+ * Parse teks JSON dari model menjadi matriks kompetitor baku.
+ * @param {string} text - Teks JSON lengkap
+ * @param {string} finishReason - Untuk pesan error saat JSON terpotong
+ * @param {object[]} citations - Sitasi laporan (normalizeCitations) untuk mengisi `sources`
+ */
+const parseCompetitors = (text, finishReason, citations = []) => {
+  const data = parseJSONText(text, finishReason);
+  if (!isPlainObject(data)) {
+    throw new ApiError('INVALID_MODEL_OUTPUT', 'Respons matriks kompetitor harus berupa objek JSON.', { finishReason });
+  }
+  return normalizeCompetitors(data, citations);
+};
+
+/**
+ * Pelanggaran isi matriks kompetitor (untuk kontrak output, lihat api/lib/contracts.js).
+ * @returns {string[]} - Daftar pesan (kosong jika valid)
+ */
+const inspectCompetitors = ({ competitors, product_position }) => {
+  const errors = [];
+  if (competitors.length < MIN_COMPETITORS) {
+    errors.push(`Minimal ${MIN_COMPETITORS} kompetitor, ditemukan ${competitors.length}.`);
+  }
+  competitors.forEach((competitor, index) => {
+    const label = competitor.name || `#${index + 1}`;
+    if (!competitor.name) errors.push(`Kompetitor #${index + 1} wajib punya 'name'.`);
+    if (!competitor.price_tier) errors.push(`Kompetitor ${label}: 'price_tier' harus salah satu dari ${PRICE_TIERS.join(', ')}.`);
+    const missing = COMPETITOR_DIMENSIONS.filter(dimension => competitor.scores[dimension] === null);
+    if (missing.length > 0) errors.push(`Kompetitor ${label}: skor ${missing.join(', ')} wajib berupa angka ${MIN_SCORE}-${MAX_SCORE}.`);
+  });
+  const missingPosition = COMPETITOR_DIMENSIONS.filter(dimension => product_position[dimension] === null);
+  if (missingPosition.length > 0) {
+    errors.push(`'product_position': skor ${missingPosition.join(', ')} wajib berupa angka ${MIN_SCORE}-${MAX_SCORE}.`);
+  }
+  return errors;
+};
+
+/**
+ * Teks polos laporan Mapping Market untuk konteks prompt; catatan kaki [n] tetap terbaca.
+ */
+const reportToText = (html) => String(html || '')
+  .replace(/<\/(p|h[1-6]|li|tr)>/gi, '\n')
+  .replace(/<[^>]*>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+module.exports = {
+  COMPETITOR_DIMENSIONS,
+  COMPETITORS_RESPONSE_SCHEMA,
+  normalizeCitations,
+  resolveSources,
+  parseCompetitors,
+  inspectCompetitors,
+  reportToText,
+};
@@ -0,0 +1,279 @@
+/**
+ * Kontrak output per route: aturan format yang wajib dipenuhi jawaban model
+ * (heading wajib, kolom tabel, jumlah item daftar, field JSON).
+ *
+ * Jika jawaban melanggar kontrak, route meminta perbaikan ke model (repair re-prompt) berisi
+ * daftar pelanggarannya, maksimal CONTRACT_MAX_REPAIRS kali (env, default 1). Jika masih
+ * melanggar, request gagal dengan INVALID_MODEL_OUTPUT (details.violations). Setiap jawaban yang melanggar
+ * diteruskan ke `onViolation` agar entri cache-nya dihapus dan tidak dipakai ulang selama TTL.
+ * Setiap pemeriksaan dicatat ke log kontrak (api/lib/generation-log.js) agar admin bisa melihat
+ * seberapa sering tiap versi prompt melanggar kontraknya (GET /api/admin/prompts/:id).
+ *
+ * Aturan per route:
+ *   json: { required: [field teks wajib] }         jawaban harus objek JSON
+ *   analysis: true                                  JSON analisis + validasi value map (api/lib/analysis.js)
+ *   competitors: true                               JSON matriks kompetitor + validasi skor (api/lib/competitors.js)
+ *   sizing: true                                    JSON input ukuran pasar + validasi angka (api/lib/market-sizing.js)
+ *   swot / fiveForces: true                         JSON SWOT / Five Forces + validasi faktor (api/lib/frameworks.js)
+ *   findings: true                                  JSON temuan per bagian data mentah (api/lib/chunking.js)
+ *   headings: [judul]                               heading Markdown (#) atau HTML (<h1>-<h6>) yang wajib ada
+ *   table: { columns: [kolom], minRows }            tabel HTML dengan kolom header dan jumlah baris data minimal
+ *   listItems: n                                    tepat n item daftar tingkat teratas
+ *   minParagraphs / maxParagraphs: n                jumlah paragraf (dipisah baris kosong)
+ *   noPreamble: true                                tanpa kalimat pengantar ("Tentu, ini ...")
+ * Route tanpa kontrak (misal: tts-generator) tidak diperiksa.
+ */
+const { ApiError } = require('./errors');
+const { parseAnalysis, inspectAnalysis } = require('./analysis');
+const { parseCompetitors, inspectCompetitors } = require('./competitors');
+const { parseMarketSizing, inspectMarketSizing } = require('./market-sizing');
+const { parseSwot, parseFiveForces, inspectSwot, inspectFiveForces } = require('./frameworks');
+const { parseChunkFindings, inspectFindings } = require('./chunking');
+const { logContractCheck } = require('./generation-log');
+
+const CONTRACT_MAX_REPAIRS = parseInt(process.env.CONTRACT_MAX_REPAIRS || '1', 10);
+
+// Awal pesan repair; juga dipakai provider mock untuk mengenali permintaan perbaikan
+const REPAIR_PROMPT_PREFIX = 'PERBAIKI FORMAT OUTPUT';
+
+const CONTRACTS = {
+  analyze: { analysis: true },
+  'ai-help': { json: { required: ['jenisProduk', 'lokasiPenjualan', 'deskripsiProduk', 'targetKonsumen'] } },
+  summarize: { noPreamble: true, maxParagraphs: 1 },
+  'map-market': {
+    headings: ['Analisis Lanskap Pasar', 'Segmentasi Audiens', 'Analisis Kompetitor', 'Strategi Pemosisian', 'Rekomendasi Kanal Pemasaran'],
+  },
+  'map-market-competitors': { competitors: true },
+  'map-market-sizing': { sizing: true },
+  'map-market-swot': { swot: true },
+  'map-market-five-forces': { fiveForces: true },
+  'map-market-diff': { headings: ['Tren Baru', 'Perubahan Rekomendasi Kanal', 'Sumber Baru', 'Perubahan Lainnya'] },
+  'map-market-helper': {
+    json: { required: ['usp', 'audiencePrimary', 'audienceSecondary', 'customerJobs', 'customerPains', 'customerGains'] },
+  },
+  'psikologis-helper': { json: { required: ['mappingInput', 'reviewInput', 'socialInput'] } },
+  'psikologis-market': {
+    noPreamble: true,
+    headings: [
+      'Analisis Emosional', 'Emosi Positif', 'Emosi Negatif',
+      'Analisis Rasional', 'Keyakinan', 'Keberatan', 'Pemicu Logis',
+      'Analisis Perilaku', 'Kebiasaan Media', 'Pola Pembelian', 'Bahasa yang Digunakan',
+    ],
+  },
+  'psikologis-extract': { findings: true },
+  'psikologis-hooks': { noPreamble: true, listItems: 5 },
+  'psikologis-persona': { noPreamble: true, minParagraphs: 2 },
+  'content-planner': { table: { columns: ['Hari', 'Pilar', 'Ide', 'Format', 'CTA'], minRows: 1 } },
+  copywriting: { noPreamble: true },
+};
+
+// Hanya kata pengantar utuh; "baik" dihitung jika diikuti koma agar "Baik pagi maupun malam" tetap lolos
+const PREAMBLE_PATTERN = /^(?:(?:tentu|baiklah|berikut|oke|ok|siap|sure|here)\b[,.!:]?|baik\s*,|hasil\s*:)/i;
+const LIST_ITEM_PATTERN = /^(?:[-*•]|\d+[.)])\s+\S/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const stripTags = (html) => html.replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ');
+
+const getParagraphs = (text) => text.split(/\n\s*\n/).map(part => part.trim()).filter(Boolean);
+
+// Judul heading Markdown (berapa pun jumlah #-nya) dan HTML
+const getHeadings = (text) => [
+  ...[...text.matchAll(/^\s*#+\s*(.+)$/gm)].map(match => match[1].replace(/#/g, '')),
+  ...[...text.matchAll(/<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/gi)].map(match => stripTags(match[1])),
+].map(normalize);
+
+const checkJSON = ({ required }, text, violations) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    violations.push(`Jawaban harus berupa JSON yang valid (${error.message}).`);
+    return;
+  }
+  if (!isPlainObject(data)) {
+    violations.push('Jawaban harus berupa objek JSON.');
+    return;
+  }
+  required.forEach(field => {
+    const value = data[field];
+    if (typeof value !== 'string' || !value.trim()) violations.push(`Field JSON '${field}' wajib diisi teks.`);
+  });
+};
+
+const checkAnalysis = (text, violations) => {
+  try {
+    const { errors } = inspectAnalysis(parseAnalysis(text));
+    errors.forEach(error => violations.push(error.message));
+  } catch (error) {
+    violations.push(error.message);
+  }
+};
+
+const checkCompetitors = (text, violations) => {
+  try {
+    inspectCompetitors(parseCompetitors(text)).forEach(error => violations.push(error));
+  } catch (error) {
+    violations.push(error.message);
+  }
+};
+
+const checkMarketSizing = (text, violations) => {
+  try {
+    inspectMarketSizing(parseMarketSizing(text)).forEach(error => violations.push(error));
+  } catch (error) {
+    violations.push(error.message);
+  }
+};
+
+const checkSwot = (text, violations) => {
+  try {
+    inspectSwot(parseSwot(text)).forEach(error => violations.push(error));
+  } catch (error) {
+    violations.push(error.message);
+  }
+};
+
+const checkFiveForces = (text, violations) => {
+  try {
+    inspectFiveForces(parseFiveForces(text)).forEach(error => violations.push(error));
+  } catch (error) {
+    violations.push(error.message);
+  }
+};
+
+const checkFindings = (text, violations) => {
+  try {
+    inspectFindings(parseChunkFindings(text)).forEach(error => violations.push(error));
+  } catch (error) {
+    violations.push(error.message);
+  }
+};
+
+const checkTable = ({ columns, minRows }, text, violations) => {
+  const tableMatch = text.match(/<table[\s\S]*?<\/table>/i);
+  if (!tableMatch) {
+    violations.push('Jawaban harus berupa tabel HTML (<table>...</table>).');
+    return;
+  }
+  const rows = [...tableMatch[0].matchAll(/<tr[\s\S]*?<\/tr>/gi)].map(match => match[0]);
+  const headerRow = rows.find(row => /<th[\s>]/i.test(row)) || rows[0] || '';
+  const headers = [...headerRow.matchAll(/<t[hd][^>]*>([\s\S]*?)<\/t[hd]>/gi)].map(match => normalize(stripTags(match[1])));
+
+  const missing = columns.filter(column => !headers.some(header => header.includes(normalize(column))));
+  if (missing.length > 0) violations.push(`Tabel tidak memiliki kolom: ${missing.join(', ')}.`);
+
+  const dataRows = rows.filter(row => row !== headerRow && /<td[\s>]/i.test(row)).length;
+  if (dataRows < minRows) violations.push(`Tabel harus memiliki minimal ${minRows} baris isi, ditemukan ${dataRows}.`);
+};
+
+/**
+ * Memeriksa teks jawaban terhadap kontrak route.
+ * @param {string} route - Nama route
+ * @param {string} text - Teks lengkap dari model (sebelum `finalize`)
+ * @returns {string[]} - Daftar pelanggaran (kosong jika lolos atau route tanpa kontrak)
+ */
+const checkContract = (route, text) => {
+  const contract = CONTRACTS[route];
+  if (!contract) return [];
+  const violations = [];
+  const trimmed = (text || '').trim();
+
+  if (contract.json) checkJSON(contract.json, trimmed, violations);
+  if (contract.analysis) checkAnalysis(trimmed, violations);
+  if (contract.competitors) checkCompetitors(trimmed, violations);
+  if (contract.sizing) checkMarketSizing(trimmed, violations);
+  if (contract.swot) checkSwot(trimmed, violations);
+  if (contract.fiveForces) checkFiveForces(trimmed, violations);
+  if (contract.findings) checkFindings(trimmed, violations);
+  if (contract.table) checkTable(contract.table, trimmed, violations);
+
+  if (contract.noPreamble && PREAMBLE_PATTERN.test(trimmed)) {
+    violations.push('Jangan awali jawaban dengan kalimat pengantar (misal: "Tentu, ini ..."); langsung tulis isinya.');
+  }
+  if (contract.headings) {
+    const headings = getHeadings(trimmed);
+    const missing = contract.headings.filter(heading => !headings.some(found => found.includes(normalize(heading))));
+    if (missing.length > 0) violations.push(`Bagian wajib tidak ditemukan: ${missing.join(', ')}.`);
+  }
+  if (contract.listItems !== undefined) {
+    const count = trimmed.split('\n').filter(line => LIST_ITEM_PATTERN.test(line)).length;
+    if (count !== contract.listItems) {
+      violations.push(`Harus tepat ${contract.listItems} item dalam format daftar, ditemukan ${count}.`);
+    }
+  }
+  const paragraphs = getParagraphs(trimmed).length;
+  if (contract.minParagraphs !== undefined && paragraphs < contract.minParagraphs) {
+    violations.push(`Harus minimal ${contract.minParagraphs} paragraf, ditemukan ${paragraphs}.`);
+  }
+  if (contract.maxParagraphs !== undefined && paragraphs > contract.maxParagraphs) {
+    violations.push(`Harus maksimal ${contract.maxParagraphs} paragraf, ditemukan ${paragraphs}.`);
+  }
+  return violations;
+};
+
+/**
+ * Pesan user untuk meminta model memperbaiki jawabannya sendiri.
+ */
+const buildRepairPrompt = (violations) => [
+  `${REPAIR_PROMPT_PREFIX}: jawaban Anda sebelumnya tidak memenuhi format yang diminta.`,
+  'Pelanggaran:',
+  ...violations.map(violation => `- ${violation}`),
+  'Tulis ulang SELURUH jawaban dengan format yang benar. Pertahankan isinya, jangan menambahkan penjelasan atau permintaan maaf.',
+].join('\n');
+
+/**
+ * Memeriksa hasil generasi dan meminta perbaikan sampai lolos kontrak.
+ * @param {string} route - Nama route
+ * @param {object} result - Hasil generateText/streamText ({ text, cache, prompt, ... })
+ * @param {function} repair - async (text, repairPrompt) => hasil generasi baru dengan bentuk yang sama
+ * @param {object} options - { stream: true jika berasal dari route streaming (untuk log),
+ *                             onViolation: async (result) => void untuk setiap hasil yang melanggar }
+ * @returns {Promise<object>} - `result` terakhir ditambah `repairs` (jumlah perbaikan)
+ */
+const enforceContract = async (route, result, repair, options = {}) => {
+  const { onViolation = async () => {} } = options;
+  const cached = Boolean(result.cache && result.cache.status === 'HIT');
+  let violations = checkContract(route, result.text);
+  const initialViolations = violations;
+  let repairs = 0;
+
+  while (violations.length > 0 && repairs < CONTRACT_MAX_REPAIRS) {
+    repairs++;
+    console.warn(`CONTRACT: ${route} melanggar kontrak (${violations.join(' | ')}), meminta perbaikan (${repairs}/${CONTRACT_MAX_REPAIRS})`);
+    await onViolation(result);
+    result = await repair(result.text, buildRepairPrompt(violations));
+    violations = checkContract(route, result.text);
+  }
+  if (violations.length > 0) await onViolation(result);
+
+  // Hasil dari cache sudah tercatat saat pertama kali dibuat
+  if (CONTRACTS[route] && !cached) {
+    await logContractCheck({
+      route,
+      promptId: result.prompt ? result.prompt.id : null,
+      promptVersion: result.prompt ? result.prompt.version : null,
+      stream: Boolean(options.stream),
+      passed: initialViolations.length === 0,
+      repairs,
+      failed: violations.length > 0,
+      violations: initialViolations,
+    });
+  }
+
+  if (violations.length > 0) {
+    throw new ApiError('INVALID_MODEL_OUTPUT', `Output ${route} tidak memenuhi format yang diminta setelah ${repairs} kali perbaikan.`, {
+      finishReason: result.finishReason,
+      violations,
+    });
+  }
+  return { ...result, repairs };
+};
+
+module.exports = {
+  CONTRACTS,
+  REPAIR_PROMPT_PREFIX,
+  checkContract,
+  buildRepairPrompt,
+  enforceContract,
+};
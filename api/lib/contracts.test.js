@@ -0,0 +1,119 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Log kontrak (api/lib/generation-log.js) ditulis ke folder sementara, bukan data/ milik repo
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'satset-contracts-'));
+process.env.DATA_DIR = dataDir;
+
+const { REPAIR_PROMPT_PREFIX, checkContract, buildRepairPrompt, enforceContract } = require('./contracts');
+
+const HOOKS = ['1. Satu', '2. Dua', '3. Tiga', '4. Empat', '5. Lima'].join('\n');
+
+describe('checkContract', () => {
+  it('meloloskan route tanpa kontrak', () => {
+    assert.deepEqual(checkContract('tts-generator', ''), []);
+  });
+
+  it('menolak kalimat pengantar dan paragraf berlebih', () => {
+    const violations = checkContract('summarize', 'Tentu, ini ringkasannya.\n\nParagraf kedua.');
+    assert.equal(violations.length, 2);
+    assert.match(violations[0], /pengantar/);
+    assert.match(violations[1], /paragraf/i);
+  });
+
+  it('tidak menganggap kata biasa yang berawalan kata pengantar sebagai pengantar', () => {
+    assert.deepEqual(checkContract('copywriting', 'Siapa bilang kopi bikin maag? Coba yang low acid.'), []);
+    assert.deepEqual(checkContract('copywriting', 'Oktober ini promo 20%!'), []);
+    assert.deepEqual(checkContract('copywriting', 'Baik pagi maupun malam, kopinya tetap ramah lambung.'), []);
+    assert.equal(checkContract('copywriting', 'Baik, ini copy-nya.').length, 1);
+    assert.equal(checkContract('copywriting', 'Oke! Ini dia.').length, 1);
+  });
+
+  it('menghitung item daftar tingkat teratas', () => {
+    assert.deepEqual(checkContract('psikologis-hooks', HOOKS), []);
+    assert.match(checkContract('psikologis-hooks', HOOKS.split('\n').slice(0, 4).join('\n'))[0], /5/);
+  });
+
+  it('memeriksa field teks wajib pada kontrak json', () => {
+    const text = JSON.stringify({ mappingInput: 'a', reviewInput: ' ', socialInput: 'c' });
+    assert.deepEqual(checkContract('psikologis-helper', text), ["Field JSON 'reviewInput' wajib diisi teks."]);
+    assert.match(checkContract('psikologis-helper', '{"mappingInput":')[0], /JSON yang valid/);
+    assert.deepEqual(checkContract('psikologis-helper', '[]'), ['Jawaban harus berupa objek JSON.']);
+  });
+
+  it('menerima heading Markdown maupun HTML', () => {
+    const headings = ['Tren Baru', 'Perubahan Rekomendasi Kanal', 'Sumber Baru', 'Perubahan Lainnya'];
+    assert.deepEqual(checkContract('map-market-diff', headings.map(heading => `## ${heading}\nIsi.`).join('\n\n')), []);
+    assert.deepEqual(checkContract('map-market-diff', headings.map(heading => `<h2>${heading}</h2><p>Isi.</p>`).join('')), []);
+    assert.deepEqual(checkContract('map-market-diff', '## Tren Baru'), [
+      'Bagian wajib tidak ditemukan: Perubahan Rekomendasi Kanal, Sumber Baru, Perubahan Lainnya.',
+    ]);
+  });
+
+  it('memeriksa kolom dan jumlah baris tabel', () => {
+    const header = '<tr><th>Hari</th><th>Pilar</th><th>Ide</th><th>Format</th><th>CTA</th></tr>';
+    const row = '<tr><td>Senin</td><td>Edukasi</td><td>Tips</td><td>Reels</td><td>Follow</td></tr>';
+    assert.deepEqual(checkContract('content-planner', `<table>${header}${row}</table>`), []);
+    assert.deepEqual(checkContract('content-planner', `<table>${header.replace('<th>CTA</th>', '')}</table>`), [
+      'Tabel tidak memiliki kolom: CTA.',
+      'Tabel harus memiliki minimal 1 baris isi, ditemukan 0.',
+    ]);
+    assert.match(checkContract('content-planner', 'Hari | Pilar')[0], /tabel HTML/);
+  });
+});
+
+describe('buildRepairPrompt', () => {
+  it('diawali REPAIR_PROMPT_PREFIX dan mencantumkan setiap pelanggaran', () => {
+    const prompt = buildRepairPrompt(['Pelanggaran A.', 'Pelanggaran B.']);
+    assert.ok(prompt.startsWith(REPAIR_PROMPT_PREFIX));
+    assert.match(prompt, /^- Pelanggaran A\.$/m);
+    assert.match(prompt, /^- Pelanggaran B\.$/m);
+  });
+});
+
+describe('enforceContract', () => {
+  after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  let repairCalls;
+  let violated;
+  const options = { onViolation: async result => violated.push(result.text) };
+  beforeEach(() => {
+    repairCalls = [];
+    violated = [];
+  });
+
+  it('tidak meminta perbaikan jika jawaban lolos', async () => {
+    const result = await enforceContract('psikologis-hooks', { text: HOOKS }, async () => {
+      throw new Error('repair tidak boleh dipanggil');
+    }, options);
+    assert.equal(result.repairs, 0);
+    assert.deepEqual(violated, []);
+  });
+
+  it('meminta perbaikan dengan daftar pelanggaran dan memakai hasilnya', async () => {
+    const result = await enforceContract('psikologis-hooks', { text: 'Tentu! Ini hook-nya.' }, async (text, repairPrompt) => {
+      repairCalls.push({ text, repairPrompt });
+      return { text: HOOKS };
+    }, options);
+
+    assert.equal(result.repairs, 1);
+    assert.equal(result.text, HOOKS);
+    assert.equal(repairCalls.length, 1);
+    assert.equal(repairCalls[0].text, 'Tentu! Ini hook-nya.');
+    assert.ok(repairCalls[0].repairPrompt.startsWith(REPAIR_PROMPT_PREFIX));
+    assert.match(repairCalls[0].repairPrompt, /pengantar/);
+    assert.deepEqual(violated, ['Tentu! Ini hook-nya.']);
+  });
+
+  it('melempar INVALID_MODEL_OUTPUT jika hasil perbaikan masih melanggar', async () => {
+    await assert.rejects(
+      enforceContract('psikologis-hooks', { text: 'Tentu!' }, async () => ({ text: 'Baik, ini dia.' }), options),
+      error => error.code === 'INVALID_MODEL_OUTPUT' && error.details.violations.length > 0,
+    );
+    // Jawaban awal dan hasil perbaikan sama-sama diteruskan agar cache-nya dihapus
+    assert.deepEqual(violated, ['Tentu!', 'Baik, ini dia.']);
+  });
+});
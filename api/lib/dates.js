@@ -0,0 +1,20 @@
+/**
+ * Helper tanggal di zona waktu operasional tim (WIB).
+ */
+const TIME_ZONE = 'Asia/Jakarta';
+
+/**
+ * Tanggal dalam format YYYY-MM-DD (WIB).
+ * @param {Date|string|number} date - Default: sekarang
+ */
+const getJakartaDate = (date = new Date()) => new Date(date).toLocaleDateString('en-CA', { timeZone: TIME_ZONE });
+
+/**
+ * Awal hari berikutnya (00.00 WIB) sebagai Date.
+ */
+const getNextJakartaMidnight = (date = new Date()) => {
+  const today = getJakartaDate(date);
+  return new Date(new Date(`${today}T00:00:00+07:00`).getTime() + 24 * 60 * 60 * 1000);
+};
+
+module.exports = { TIME_ZONE, getJakartaDate, getNextJakartaMidnight };
@@ -0,0 +1,97 @@
+/**
+ * Taksonomi error API. Setiap error dikirim ke klien sebagai:
+ *   { code: 'UPSTREAM_RATE_LIMITED', message: '...', details: { ... } }
+ * Frontend memetakan `code` ke pesan Bahasa Indonesia yang spesifik.
+ */
+
+// code -> { status HTTP, apakah boleh di-retry ke upstream }
+const ERROR_CODES = {
+  VALIDATION_FAILED: { status: 400, retryable: false },
+  UNAUTHORIZED: { status: 401, retryable: false },
+  FORBIDDEN: { status: 403, retryable: false },
+  NOT_FOUND: { status: 404, retryable: false },
+  REQUEST_IN_PROGRESS: { status: 409, retryable: false },
+  CONFLICT: { status: 409, retryable: false },
+  SAFETY_BLOCKED: { status: 422, retryable: false },
+  UPSTREAM_RATE_LIMITED: { status: 429, retryable: true },
+  BUDGET_EXCEEDED: { status: 429, retryable: false },
+  RATE_LIMITED: { status: 429, retryable: false },
+  CONFIG_MISSING_KEY: { status: 500, retryable: false },
+  CONFIG_INVALID: { status: 500, retryable: false },
+  INTERNAL_ERROR: { status: 500, retryable: false },
+  UPSTREAM_ERROR: { status: 502, retryable: true },
+  INVALID_MODEL_OUTPUT: { status: 502, retryable: true },
+  UPSTREAM_UNAVAILABLE: { status: 503, retryable: true },
+};
+
+class ApiError extends Error {
+  /**
+   * @param {string} code - Salah satu key ERROR_CODES
+   * @param {string} message - Pesan teknis (untuk log dan fallback di frontend)
+   * @param {object} details - Data tambahan (misal: field yang tidak valid)
+   */
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+    this.status = ERROR_CODES[this.code].status;
+    this.retryable = ERROR_CODES[this.code].retryable;
+    this.details = details;
+  }
+}
+
+/**
+ * Error jaringan dari fetch (undici): TypeError('fetch failed') dengan `cause` berisi kode
+ * seperti ECONNRESET, ETIMEDOUT, EAI_AGAIN, atau UND_ERR_SOCKET. Sifatnya sementara, jadi boleh di-retry.
+ */
+const isNetworkError = (error) => (
+  (error instanceof TypeError && error.message === 'fetch failed')
+  || Boolean(error.cause && typeof error.cause.code === 'string')
+);
+
+/**
+ * Mengubah error apa pun (error provider, SyntaxError JSON, dll) menjadi ApiError.
+ */
+const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  // Waktu tunggu dari upstream (header Retry-After), diteruskan ke klien dalam detik
+  const retryDetails = error.retryAfterMs !== undefined ? { retryAfter: Math.ceil(error.retryAfterMs / 1000) } : undefined;
+
+  if (error.status === 429) {
+    return new ApiError('UPSTREAM_RATE_LIMITED', error.message, retryDetails);
+  }
+  if (error.status === 503 || error.status === 504) {
+    return new ApiError('UPSTREAM_UNAVAILABLE', error.message, retryDetails);
+  }
+  if (error.status >= 400) {
+    const apiError = new ApiError('UPSTREAM_ERROR', error.message, { upstreamStatus: error.status });
+    // Error 4xx dari upstream (request salah, model tidak ada) tidak akan berubah jika diulang
+    apiError.retryable = error.status >= 500;
+    return apiError;
+  }
+  if (error instanceof SyntaxError) {
+    return new ApiError('INVALID_MODEL_OUTPUT', `Respons model bukan JSON yang valid: ${error.message}`);
+  }
+  if (isNetworkError(error)) {
+    return new ApiError('UPSTREAM_UNAVAILABLE', error.cause && error.cause.message ? `${error.message}: ${error.cause.message}` : error.message);
+  }
+  return new ApiError('INTERNAL_ERROR', error.message);
+};
+
+/**
+ * Mengirim error sebagai body JSON terstruktur (plus header Retry-After jika ada).
+ */
+const sendError = (res, error) => {
+  const apiError = toApiError(error);
+  if (apiError.details && apiError.details.retryAfter !== undefined) {
+    res.set('Retry-After', String(apiError.details.retryAfter));
+  }
+  res.status(apiError.status).json({
+    code: apiError.code,
+    message: apiError.message,
+    details: apiError.details,
+  });
+};
+
+module.exports = { ApiError, ERROR_CODES, toApiError, sendError };
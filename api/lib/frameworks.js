@@ -0,0 +1,140 @@
+/**
+ * Analisis strategis terstruktur di atas laporan Mapping Market (App 3):
+ *   /api/map-market-swot         SWOT (kekuatan, kelemahan, peluang, ancaman)
+ *   /api/map-market-five-forces  Porter's Five Forces
+ *
+ * Keduanya memakai responseSchema, jadi sumbernya diambil dari laporan /api/map-market seperti matriks
+ * kompetitor: setiap faktor punya `sources` berisi nomor catatan kaki laporan ([n]) yang diganti dengan
+ * sumbernya ({ number, uri, title, domain }, lihat resolveSources di api/lib/competitors.js).
+ */
+const { ApiError } = require('./errors');
+const { parseJSONText } = require('./candidate');
+const { resolveSources } = require('./competitors');
+
+const SWOT_QUADRANTS = ['strengths', 'weaknesses', 'opportunities', 'threats'];
+const FIVE_FORCES = ['competitive_rivalry', 'threat_of_new_entrants', 'threat_of_substitutes', 'buyer_power', 'supplier_power'];
+const FORCE_LEVELS = ['rendah', 'sedang', 'tinggi'];
+const MIN_SWOT_FACTORS = 2;
+const MIN_FORCE_FACTORS = 1;
+
+const STRING = { type: 'STRING' };
+const FACTOR_LIST_SCHEMA = {
+  type: 'ARRAY',
+  items: {
+    type: 'OBJECT',
+    properties: {
+      factor: STRING,
+      rationale: STRING,
+      sources: { type: 'ARRAY', items: { type: 'INTEGER' } },
+    },
+    required: ['factor', 'rationale', 'sources'],
+  },
+};
+
+const SWOT_RESPONSE_SCHEMA = {
+  type: 'OBJECT',
+  properties: Object.fromEntries(SWOT_QUADRANTS.map(quadrant => [quadrant, FACTOR_LIST_SCHEMA])),
+  required: SWOT_QUADRANTS,
+};
+
+const FIVE_FORCES_RESPONSE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    ...Object.fromEntries(FIVE_FORCES.map(force => [force, {
+      type: 'OBJECT',
+      properties: {
+        level: { type: 'STRING', enum: FORCE_LEVELS },
+        factors: FACTOR_LIST_SCHEMA,
+      },
+      required: ['level', 'factors'],
+    }])),
+    // Kesimpulan daya tarik industri secara keseluruhan
+    summary: STRING,
+  },
+  required: [...FIVE_FORCES, 'summary'],
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const toText = (value) => (typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '');
+
+const normalizeFactors = (factors, citations) => (Array.isArray(factors) ? factors : [])
+  .filter(isPlainObject)
+  .map(item => ({
+    factor: toText(item.factor),
+    rationale: toText(item.rationale),
+    sources: resolveSources(item.sources, citations),
+  }))
+  .filter(item => item.factor);
+
+const parseObject = (text, finishReason, label) => {
+  const data = parseJSONText(text, finishReason);
+  if (!isPlainObject(data)) {
+    throw new ApiError('INVALID_MODEL_OUTPUT', `Respons ${label} harus berupa objek JSON.`, { finishReason });
+  }
+  return data;
+};
+
+/**
+ * Parse JSON SWOT dari model: { strengths, weaknesses, opportunities, threats: [{ factor, rationale, sources }] }.
+ * @param {object[]} citations - Sitasi laporan (normalizeCitations) untuk mengisi `sources`
+ */
+const parseSwot = (text, finishReason, citations = []) => {
+  const data = parseObject(text, finishReason, 'SWOT');
+  return Object.fromEntries(SWOT_QUADRANTS.map(quadrant => [quadrant, normalizeFactors(data[quadrant], citations)]));
+};
+
+/**
+ * Parse JSON Five Forces dari model: { <force>: { level, factors }, summary }.
+ * @param {object[]} citations - Sitasi laporan (normalizeCitations) untuk mengisi `sources`
+ */
+const parseFiveForces = (text, finishReason, citations = []) => {
+  const data = parseObject(text, finishReason, 'Five Forces');
+  return {
+    ...Object.fromEntries(FIVE_FORCES.map(force => {
+      const item = isPlainObject(data[force]) ? data[force] : {};
+      return [force, {
+        level: FORCE_LEVELS.includes(item.level) ? item.level : null,
+        factors: normalizeFactors(item.factors, citations),
+      }];
+    })),
+    summary: toText(data.summary),
+  };
+};
+
+const inspectFactors = (label, factors, minFactors, errors) => {
+  if (factors.length < minFactors) errors.push(`'${label}' minimal ${minFactors} faktor, ditemukan ${factors.length}.`);
+  factors.forEach(({ factor, rationale }) => {
+    if (!rationale) errors.push(`Faktor "${factor}" di '${label}' wajib punya 'rationale'.`);
+  });
+};
+
+/**
+ * Pelanggaran isi SWOT (untuk kontrak output, lihat api/lib/contracts.js).
+ */
+const inspectSwot = (swot) => {
+  const errors = [];
+  SWOT_QUADRANTS.forEach(quadrant => inspectFactors(quadrant, swot[quadrant], MIN_SWOT_FACTORS, errors));
+  return errors;
+};
+
+/**
+ * Pelanggaran isi Five Forces (untuk kontrak output, lihat api/lib/contracts.js).
+ */
+const inspectFiveForces = (fiveForces) => {
+  const errors = [];
+  FIVE_FORCES.forEach(force => {
+    if (!fiveForces[force].level) errors.push(`'${force}.level' harus salah satu dari ${FORCE_LEVELS.join(', ')}.`);
+    inspectFactors(force, fiveForces[force].factors, MIN_FORCE_FACTORS, errors);
+  });
+  if (!fiveForces.summary) errors.push(`Field 'summary' wajib diisi teks.`);
+  return errors;
+};
+
+module.exports = {
+  SWOT_RESPONSE_SCHEMA,
+  FIVE_FORCES_RESPONSE_SCHEMA,
+  parseSwot,
+  parseFiveForces,
+  inspectSwot,
+  inspectFiveForces,
+};
@@ -0,0 +1,65 @@
+/**
+ * Log setiap generasi ke provider (bukan hasil cache) di DATA_DIR/logs/generations.jsonl,
+ * satu baris JSON per panggilan. Dipakai untuk membandingkan kualitas antar versi prompt
+ * dan untuk akuntansi token/biaya (api/lib/usage.js).
+ *
+ * Hasil pemeriksaan kontrak output (api/lib/contracts.js) dicatat terpisah di
+ * DATA_DIR/logs/contracts.jsonl dengan format yang sama.
+ */
+const fs = require('fs');
+const readline = require('readline');
+const { dataPath } = require('./storage');
+
+const GENERATION_LOG = 'generations.jsonl';
+const CONTRACT_LOG = 'contracts.jsonl';
+
+const getLogPath = (fileName) => dataPath('logs', fileName);
+
+const appendLog = async (fileName, entry) => {
+  try {
+    await fs.promises.appendFile(getLogPath(fileName), `${JSON.stringify({ at: new Date().toISOString(), ...entry })}\n`);
+  } catch (error) {
+    // Log hanya pelengkap, jangan gagalkan request
+    console.warn(`Gagal menulis log ${fileName}:`, error.message);
+  }
+};
+
+const readLog = async (fileName, filter) => {
+  const entries = [];
+  let stream;
+  try {
+    stream = fs.createReadStream(getLogPath(fileName), 'utf8');
+    for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (filter(entry)) entries.push(entry);
+      } catch (e) { /* baris rusak (misal: tulis terputus), abaikan */ }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`Gagal membaca log ${fileName}:`, error.message);
+  }
+  return entries;
+};
+
+/**
+ * @param {object} entry - { route, model, caller, workspaceId, promptId, promptVersion, finishReason, stream,
+ *                          latencyMs, promptTokens, outputTokens, totalTokens, costUsd } (lihat api/lib/usage.js)
+ */
+const logGeneration = (entry) => appendLog(GENERATION_LOG, entry);
+
+/**
+ * Membaca log generasi baris per baris.
+ * @param {function} filter - (entry) => boolean (opsional)
+ * @returns {Promise<object[]>}
+ */
+const readGenerationLog = (filter = () => true) => readLog(GENERATION_LOG, filter);
+
+/**
+ * @param {object} entry - { route, promptId, promptVersion, stream, passed, repairs, failed, violations }
+ */
+const logContractCheck = (entry) => appendLog(CONTRACT_LOG, entry);
+
+const readContractLog = (filter = () => true) => readLog(CONTRACT_LOG, filter);
+
+module.exports = { logGeneration, readGenerationLog, logContractCheck, readContractLog };
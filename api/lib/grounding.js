@@ -0,0 +1,161 @@
+/**
+ * Sitasi dari groundingMetadata Gemini (alat google_search) untuk laporan /api/map-market.
+ *
+ *   groundingChunks[i].web      -> { uri, title } sumber hasil pencarian
+ *   groundingSupports[j]        -> { segment: { partIndex, startIndex, endIndex, text }, groundingChunkIndices }
+ *                                  bagian jawaban yang didukung sumber tertentu (indeks dalam byte UTF-8)
+ *   webSearchQueries            -> kata kunci yang dicari model
+ * Respons lama hanya punya groundingAttributions (tanpa posisi), jadi sumbernya ditampilkan tanpa
+ * catatan kaki dan paragraf tidak ditandai.
+ *
+ * Sumber digabung per domain dan diberi nomor sesuai urutan kemunculannya di teks. Nomor catatan kaki
+ * disisipkan sebagai <sup class="citation"> di akhir kalimat yang didukung, dan paragraf <p> tanpa
+ * satu pun catatan kaki diberi class "uncited".
+ * resolveGrounding (sumber + posisi teks yang didukungnya) juga dipakai untuk jawaban JSON, misalnya
+ * mengaitkan sumber ke tiap input estimasi ukuran pasar (api/lib/market-sizing.js).
+ */
+const { sanitizeHtml, sanitizeUrl } = require('./sanitize');
+
+const getDomain = (uri, title) => {
+  // Gemini memakai URL redirect (vertexaisearch.cloud.google.com); judulnya berisi domain asli
+  if (title && /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(title.trim())) return title.trim().toLowerCase();
+  try {
+    return new URL(uri).hostname.replace(/^www\./, '').toLowerCase();
+  } catch (error) {
+    return title || uri;
+  }
+};
+
+// Posisi karakter dari posisi byte UTF-8 di dalam `text`
+const byteToCharIndex = (text, byteIndex) => Buffer.from(text, 'utf8').subarray(0, byteIndex).toString('utf8').length;
+
+/**
+ * Posisi (karakter) sebuah segmen di teks gabungan semua part: { start, end }, atau null jika tidak ditemukan.
+ */
+const locateSegment = (text, partOffsets, segment) => {
+  const partIndex = segment.partIndex || 0;
+  const partStart = partOffsets[partIndex];
+  if (partStart === undefined) return null;
+  const partText = text.slice(partStart, partOffsets[partIndex + 1]);
+  let start = partStart + byteToCharIndex(partText, segment.startIndex || 0);
+  let end = partStart + byteToCharIndex(partText, segment.endIndex || 0);
+  // Jika posisinya tidak cocok dengan teks segmen (misal: teks sudah diproses), cari teksnya langsung
+  if (segment.text && !text.slice(0, end).endsWith(segment.text)) {
+    const found = text.indexOf(segment.text);
+    if (found < 0) return null;
+    start = found;
+    end = found + segment.text.length;
+  }
+  return { start, end };
+};
+
+// Posisi sisipan catatan kaki: jangan di tengah tag HTML
+const getMarkerPosition = (text, end) => {
+  const tagStart = text.lastIndexOf('<', end - 1);
+  if (tagStart <= text.lastIndexOf('>', end - 1)) return end;
+  const tagEnd = text.indexOf('>', end);
+  return tagEnd < 0 ? text.length : tagEnd + 1;
+};
+
+const escapeQuotes = (value) => String(value).replace(/"/g, '&quot;');
+
+const renderMarker = (numbers, sources) => numbers
+  .map(number => {
+    const { uri, domain } = sources[number - 1];
+    return `<sup class="citation"><a href="${escapeQuotes(uri)}" target="_blank" title="${escapeQuotes(domain)}">[${number}]</a></sup>`;
+  })
+  .join('');
+
+// Tambahkan class ke atribut tag hasil sanitizeHtml (format atribut sudah baku: nama="nilai")
+const addClass = (attributes, className) => (/ class="/.test(attributes)
+  ? attributes.replace(/ class="([^"]*)"/, (match, classes) => ` class="${classes} ${className}"`)
+  : ` class="${className}"${attributes}`);
+
+/**
+ * Sumber bernomor dari groundingChunks dan bagian teks yang didukungnya.
+ * @param {string} text - Teks jawaban model (gabungan semua part)
+ * @param {object} candidate - Candidate terakhir (berisi groundingMetadata dan parts)
+ * @returns {object} - { sources: [{ number, uri, title, domain }], supports: [{ start, end, numbers }] }
+ */
+const resolveGrounding = (text, candidate = {}) => {
+  const metadata = candidate.groundingMetadata || {};
+  const chunks = (metadata.groundingChunks || []).map(chunk => ({
+    uri: sanitizeUrl(chunk.web?.uri),
+    title: chunk.web?.title,
+  }));
+
+  // Nomor sumber per domain, sesuai urutan kemunculan di teks
+  const sources = [];
+  const numberByDomain = {};
+  const numberOfChunk = (index) => {
+    const chunk = chunks[index];
+    if (!chunk || !chunk.uri) return null;
+    const domain = getDomain(chunk.uri, chunk.title);
+    if (!numberByDomain[domain]) {
+      sources.push({ number: sources.length + 1, uri: chunk.uri, title: chunk.title || domain, domain });
+      numberByDomain[domain] = sources.length;
+    }
+    return numberByDomain[domain];
+  };
+
+  const parts = (candidate.content?.parts || []).map(part => part.text || '');
+  const partOffsets = parts.reduce((offsets, part) => [...offsets, offsets[offsets.length - 1] + part.length], [0]);
+
+  const supports = [];
+  [...(metadata.groundingSupports || [])]
+    .sort((a, b) => (a.segment?.startIndex || 0) - (b.segment?.startIndex || 0))
+    .forEach(support => {
+      const range = support.segment ? locateSegment(text, partOffsets, support.segment) : null;
+      const numbers = [...new Set((support.groundingChunkIndices || []).map(numberOfChunk).filter(Boolean))].sort((a, b) => a - b);
+      if (range && numbers.length > 0) supports.push({ ...range, numbers });
+    });
+  // Sumber yang tidak menempel ke kalimat mana pun tetap dicantumkan di daftar
+  chunks.forEach((chunk, index) => numberOfChunk(index));
+
+  return { sources, supports };
+};
+
+/**
+ * Menyisipkan catatan kaki ke HTML laporan dan menyusun daftar sumber.
+ * @param {string} text - HTML laporan dari model (belum disanitasi)
+ * @param {object} candidate - Candidate terakhir (berisi groundingMetadata dan parts)
+ * @returns {object} - { html (sudah disanitasi), citations: [{ number, uri, title, domain }], searchQueries, uncitedParagraphs }
+ */
+const applyGrounding = (text, candidate = {}) => {
+  const metadata = candidate.groundingMetadata || {};
+  const searchQueries = metadata.webSearchQueries || [];
+
+  // Format lama: daftar sumber saja
+  if (!metadata.groundingChunks && metadata.groundingAttributions) {
+    const citations = metadata.groundingAttributions
+      .map(attribution => ({ uri: sanitizeUrl(attribution.web?.uri), title: attribution.web?.title }))
+      .filter(source => source.uri && source.title)
+      .map((source, index) => ({ number: index + 1, ...source, domain: getDomain(source.uri, source.title) }));
+    return { html: sanitizeHtml(text), citations, searchQueries, uncitedParagraphs: 0 };
+  }
+
+  const { sources, supports } = resolveGrounding(text, candidate);
+  const markers = [];
+  supports.forEach(({ end, numbers }) => {
+    const position = getMarkerPosition(text, end);
+    const existing = markers.find(marker => marker.position === position);
+    if (existing) existing.numbers = [...new Set([...existing.numbers, ...numbers])].sort((a, b) => a - b);
+    else markers.push({ position, numbers });
+  });
+
+  let annotated = text;
+  [...markers].sort((a, b) => b.position - a.position).forEach(({ position, numbers }) => {
+    annotated = `${annotated.slice(0, position)}${renderMarker(numbers, sources)}${annotated.slice(position)}`;
+  });
+
+  let uncitedParagraphs = 0;
+  const html = sanitizeHtml(annotated).replace(/<p([^>]*)>([\s\S]*?)<\/p>/g, (match, attributes, content) => {
+    if (content.includes('class="citation"') || !content.trim()) return match;
+    uncitedParagraphs++;
+    return `<p${addClass(attributes, 'uncited')}>${content}</p>`;
+  });
+
+  return { html, citations: sources, searchQueries, uncitedParagraphs };
+};
+
+module.exports = { applyGrounding, resolveGrounding };
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { applyGrounding, resolveGrounding } = require('./grounding');
+
+// Segmen groundingSupports untuk `part` di `text`, dengan indeks byte UTF-8 seperti dari Gemini
+const segmentOf = (text, part) => {
+  const index = text.indexOf(part);
+  return {
+    startIndex: Buffer.byteLength(text.slice(0, index)),
+    endIndex: Buffer.byteLength(text.slice(0, index + part.length)),
+    text: part,
+  };
+};
+
+const web = (uri, title) => ({ web: { uri, title } });
+
+describe('applyGrounding', () => {
+  const text = '<p>Kalimat satu. Kalimat dua.</p><p>Tanpa sumber.</p><p>Pasar <b>tumbuh</b> pesat.</p>';
+  const candidate = {
+    content: { parts: [{ text }] },
+    groundingMetadata: {
+      groundingChunks: [
+        web('https://b.id/1', 'b.id'),
+        web('https://www.a.id/x', 'Judul A'),
+        web('https://b.id/2', 'b.id'),
+        web('javascript:alert(1)', 'jahat.id'),
+        web('https://c.id', 'c.id'),
+      ],
+      // Sengaja tidak urut posisi: nomor mengikuti urutan kemunculan di teks
+      groundingSupports: [
+        { segment: segmentOf(text, 'Pasar <b>tumbuh'), groundingChunkIndices: [0] },
+        { segment: segmentOf(text, 'Kalimat satu.'), groundingChunkIndices: [1, 2] },
+      ],
+      webSearchQueries: ['kopi low acid'],
+    },
+  };
+
+  it('menomori sumber per domain sesuai urutan kemunculan di teks', () => {
+    const { citations, searchQueries } = applyGrounding(text, candidate);
+    assert.deepEqual(citations.map(({ number, domain }) => [number, domain]), [[1, 'a.id'], [2, 'b.id'], [3, 'c.id']]);
+    assert.deepEqual(searchQueries, ['kopi low acid']);
+  });
+
+  it('membuang sumber dengan URL tidak aman', () => {
+    const { citations, html } = applyGrounding(text, candidate);
+    assert.ok(!citations.some(citation => citation.domain === 'jahat.id'));
+    assert.ok(!html.includes('javascript:'));
+  });
+
+  it('menyisipkan catatan kaki di akhir kalimat, tidak di tengah tag', () => {
+    const { html } = applyGrounding(text, candidate);
+    assert.match(html, /Kalimat satu\.<sup class="citation"><a [^>]*>\[1\]<\/a><\/sup><sup class="citation"><a [^>]*>\[2\]<\/a><\/sup> Kalimat dua\./);
+    // Sumber b.id memakai URL chunk pertama yang muncul di teks (https://b.id/2)
+    assert.match(html, /<b>tumbuh<sup class="citation"><a href="https:\/\/b\.id\/2"[^>]*>\[2\]<\/a><\/sup><\/b>/);
+  });
+
+  it('menandai paragraf tanpa catatan kaki', () => {
+    const { html, uncitedParagraphs } = applyGrounding(text, candidate);
+    assert.equal(uncitedParagraphs, 1);
+    assert.match(html, /<p class="uncited">Tanpa sumber\.<\/p>/);
+  });
+
+  it('memakai daftar sumber saja untuk groundingAttributions lama', () => {
+    const { html, citations, uncitedParagraphs } = applyGrounding('<p>Isi</p>', {
+      groundingMetadata: { groundingAttributions: [web('https://a.id', 'A'), web('javascript:x', 'B')] },
+    });
+    assert.equal(html, '<p>Isi</p>');
+    assert.deepEqual(citations, [{ number: 1, uri: 'https://a.id', title: 'A', domain: 'a.id' }]);
+    assert.equal(uncitedParagraphs, 0);
+  });
+});
+
+describe('resolveGrounding', () => {
+  it('mengubah indeks byte UTF-8 menjadi posisi karakter', () => {
+    const text = 'Kopi ☕ enak. Harga terjangkau.';
+    const { supports } = resolveGrounding(text, {
+      content: { parts: [{ text }] },
+      groundingMetadata: {
+        groundingChunks: [web('https://a.id', 'a.id')],
+        groundingSupports: [{ segment: { ...segmentOf(text, 'Harga terjangkau.'), text: undefined }, groundingChunkIndices: [0] }],
+      },
+    });
+    assert.deepEqual(supports, [{ start: text.indexOf('Harga'), end: text.length, numbers: [1] }]);
+  });
+});
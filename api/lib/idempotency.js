@@ -0,0 +1,97 @@
+/**
+ * Middleware idempotensi berdasarkan header `Idempotency-Key` dari klien.
+ * Klik yang sama (pemanggil + key + endpoint + body) hanya memanggil LLM sekali:
+ *   - Request duplikat saat request pertama masih berjalan menunggu hasil yang sama
+ *     (endpoint streaming SSE, `/stream` dan `/chunked`, ditolak dengan 409 REQUEST_IN_PROGRESS karena stream
+ *     tidak bisa diputar ulang).
+ *   - Setelah selesai, respons sukses diputar ulang selama IDEMPOTENCY_TTL_SECONDS (default 600).
+ *   - Respons error 429/5xx tidak disimpan, sehingga klien boleh mencoba lagi dengan key yang sama.
+ * Request tanpa header diproses seperti biasa.
+ */
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+const { getRequestContext } = require('./request-context');
+
+const TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS || '600', 10) * 1000;
+const MAX_ENTRIES = 200;
+
+// storeKey -> { fingerprint, done: Promise<response|null>, response, expiresAt }
+const entries = new Map();
+
+const purgeExpired = () => {
+  const now = Date.now();
+  for (const [key, entry] of entries) {
+    if (entry.expiresAt <= now) entries.delete(key);
+  }
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+const replay = (res, response) => {
+  res.status(response.statusCode);
+  Object.entries(response.headers).forEach(([name, value]) => res.set(name, value));
+  res.set('Idempotent-Replayed', 'true');
+  res.send(response.body);
+};
+
+// Header yang ikut diputar ulang (tipe konten + metadata generasi X-*)
+const pickReplayHeaders = (headers) => Object.fromEntries(
+  Object.entries(headers).filter(([name]) => name === 'content-type' || name.startsWith('x-'))
+);
+
+const isStoredStatus = (statusCode) => statusCode < 500 && statusCode !== 429;
+
+const idempotency = (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key || req.method !== 'POST') return next();
+
+  purgeExpired();
+  // Key milik pemanggil: pengguna lain dengan key yang sama tidak bisa memutar ulang respons ini
+  const storeKey = `${getRequestContext().caller}:${req.originalUrl}:${key}`;
+  const fingerprint = crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+  const isStream = /\/(stream|chunked)$/.test(req.path);
+  const existing = entries.get(storeKey);
+
+  if (existing) {
+    if (existing.fingerprint !== fingerprint) {
+      return next(new ApiError('VALIDATION_FAILED', 'Idempotency-Key sudah dipakai untuk request dengan isi berbeda.'));
+    }
+    if (existing.response) {
+      console.log(`IDEMPOTENT REPLAY: ${req.originalUrl}`);
+      return replay(res, existing.response);
+    }
+    if (isStream) {
+      return next(new ApiError('REQUEST_IN_PROGRESS', 'Request dengan Idempotency-Key ini masih diproses.'));
+    }
+    console.log(`IDEMPOTENT WAIT: ${req.originalUrl}`);
+    return existing.done.then(response => {
+      if (response) return replay(res, response);
+      next(new ApiError('REQUEST_IN_PROGRESS', 'Request sebelumnya dengan Idempotency-Key ini terputus. Silakan coba lagi.'));
+    });
+  }
+
+  let resolveDone;
+  const entry = { fingerprint, done: new Promise(resolve => { resolveDone = resolve; }), response: null, expiresAt: Date.now() + TTL_MS };
+  entries.set(storeKey, entry);
+
+  if (!isStream) {
+    // res.json memanggil res.send, jadi cukup tangkap res.send
+    const originalSend = res.send.bind(res);
+    res.send = (body) => {
+      entry.response = { statusCode: res.statusCode, headers: pickReplayHeaders(res.getHeaders()), body };
+      return originalSend(body);
+    };
+  }
+
+  res.on('close', () => {
+    resolveDone(entry.response);
+    if (isStream || !entry.response || !isStoredStatus(entry.response.statusCode)) {
+      entries.delete(storeKey);
+    }
+  });
+
+  next();
+};
+
+module.exports = { idempotency };
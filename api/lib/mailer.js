@@ -0,0 +1,62 @@
+/**
+ * Pengganti SMTP untuk lingkungan lokal: email tidak benar-benar dikirim, melainkan
+ * ditulis sebagai file .eml di DATA_DIR/outbox/ dan dicatat di log server.
+ * Buka file .eml (atau salin link dari log) untuk mengikuti magic link/undangan.
+ *
+ *   MAIL_FROM  Alamat pengirim (default "AI SATSET <no-reply@satset.local>")
+ *   APP_URL    URL frontend untuk link di email. Wajib; header Origin/Host dari request tidak
+ *              pernah dipakai karena bisa diisi penyerang (link login ke domain lain).
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+const { dataPath } = require('./storage');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'AI SATSET <no-reply@satset.local>';
+
+/**
+ * URL dasar frontend (tanpa garis miring di akhir) untuk link di email, hanya dari APP_URL.
+ * @throws {ApiError} CONFIG_MISSING_KEY jika APP_URL belum diset, CONFIG_INVALID jika bukan URL http(s)
+ */
+const getAppUrl = () => {
+  const appUrl = (process.env.APP_URL || '').trim();
+  if (!appUrl) {
+    throw new ApiError('CONFIG_MISSING_KEY', 'Server configuration error: APP_URL belum diset.');
+  }
+  let parsed;
+  try {
+    parsed = new URL(appUrl);
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    throw new ApiError('CONFIG_INVALID', 'Server configuration error: APP_URL harus berupa URL http(s).');
+  }
+  return appUrl.replace(/\/+$/, '');
+};
+
+/**
+ * @param {object} message - { to, subject, text }
+ * @returns {Promise<string>} - Path file .eml
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const filePath = dataPath('outbox', `${id}.eml`);
+  const eml = [
+    `From: ${MAIL_FROM}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    text,
+  ].join('\r\n');
+
+  await fs.promises.writeFile(filePath, eml);
+  // Isi email (berisi link login) hanya ditampilkan di log saat development
+  const body = process.env.NODE_ENV === 'production' ? '' : `\n${text}`;
+  console.log(`MAIL: "${subject}" untuk ${to} -> ${filePath}${body}`);
+  return filePath;
+};
+
+module.exports = { sendMail, getAppUrl };
@@ -0,0 +1,140 @@
+/**
+ * Estimasi input ukuran pasar (TAM/SAM/SOM) untuk /api/map-market-sizing (App 3).
+ *
+ * Route ini memakai Google Search agar angka statistiknya bisa dikutip, sehingga tidak bisa memakai
+ * responseSchema: model diminta menulis objek JSON polos, lalu sumber dari groundingMetadata dikaitkan
+ * ke tiap input berdasarkan posisi teks yang didukungnya (resolveGrounding di api/lib/grounding.js).
+ *
+ * Server hanya mengestimasi input; rumus TAM/SAM/SOM dihitung dan bisa diedit di frontend
+ * (MARKET_SIZING_INPUTS dan evaluateFormula di src/App.jsx). Key input di sini dan di frontend harus sama.
+ */
+const { ApiError } = require('./errors');
+const { parseJSONText } = require('./candidate');
+const { resolveGrounding } = require('./grounding');
+
+// Input rumus; persentase ditulis 0-100
+const SIZING_INPUTS = {
+  populasi: { percent: false },
+  porsi_terjangkau: { percent: true },
+  penetrasi: { percent: true },
+  harga: { percent: false },
+  frekuensi: { percent: false },
+};
+const SIZING_KEYS = Object.keys(SIZING_INPUTS);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const toText = (value) => (typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '');
+// Angka teks boleh memakai format Indonesia (titik ribuan, koma desimal), misal "1.250.000" atau "2,5"
+const parseNumberText = (text) => {
+  const clean = text.replace(/[^\d.,-]/g, '');
+  if (!/\d/.test(clean)) return NaN;
+  if (/^-?\d{1,3}(\.\d{3})+(,\d+)?$/.test(clean) || /^-?\d+,\d{1,2}$/.test(clean)) {
+    return Number(clean.replace(/\./g, '').replace(',', '.'));
+  }
+  return Number(clean.replace(/,/g, ''));
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'string' ? parseNumberText(value) : Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Model kadang membungkus JSON dengan ```json ... ``` walau diminta JSON polos
+const extractJSONText = (text) => {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return start >= 0 && end > start ? text.slice(start, end + 1) : text;
+};
+
+/**
+ * Rentang teks tiap input di JSON mentah: dari `"key"` sampai key input berikutnya.
+ */
+const getInputRanges = (text) => {
+  const starts = SIZING_KEYS
+    .map(key => ({ key, start: text.indexOf(`"${key}"`) }))
+    .filter(({ start }) => start >= 0)
+    .sort((a, b) => a.start - b.start);
+  return Object.fromEntries(starts.map(({ key, start }, index) => [key, { start, end: index + 1 < starts.length ? starts[index + 1].start : text.length }]));
+};
+
+/**
+ * Nilai yang sudah diketahui pengguna (body.knownInputs): hanya key yang dikenal dengan angka valid.
+ */
+const normalizeKnownInputs = (knownInputs) => Object.fromEntries(
+  Object.entries(isPlainObject(knownInputs) ? knownInputs : {})
+    .filter(([key]) => SIZING_KEYS.includes(key))
+    .map(([key, value]) => [key, toNumber(value)])
+    .filter(([, value]) => value !== null)
+);
+
+/**
+ * Parse jawaban model menjadi input ukuran pasar baku beserta sumbernya.
+ * @param {string} text - Teks jawaban (objek JSON, boleh dibungkus ```json)
+ * @param {string} finishReason - Untuk pesan error saat JSON terpotong
+ * @param {object} candidate - Candidate terakhir (groundingMetadata); kosong saat dicek kontrak
+ * @param {object} knownInputs - Nilai dari pengguna (normalizeKnownInputs), menimpa estimasi model
+ * @returns {object} - { inputs: { key: { value, basis, estimated, sources: [nomor] } }, citations, searchQueries }
+ */
+const parseMarketSizing = (text, finishReason, candidate = {}, knownInputs = {}) => {
+  const data = parseJSONText(extractJSONText(text || ''), finishReason);
+  if (!isPlainObject(data)) {
+    throw new ApiError('INVALID_MODEL_OUTPUT', 'Respons ukuran pasar harus berupa objek JSON.', { finishReason });
+  }
+
+  const { sources, supports } = resolveGrounding(text || '', candidate);
+  const ranges = getInputRanges(text || '');
+  // Hanya sumber yang mendukung salah satu input yang dicantumkan, dinomori ulang dari 1
+  const citations = [];
+  const citeSource = (number) => {
+    const index = citations.findIndex(citation => citation.source === number);
+    if (index >= 0) return index + 1;
+    citations.push({ source: number });
+    return citations.length;
+  };
+
+  const inputs = Object.fromEntries(SIZING_KEYS.map(key => {
+    if (knownInputs[key] !== undefined) {
+      return [key, { value: knownInputs[key], basis: 'Diisi pengguna', estimated: false, sources: [] }];
+    }
+    const item = isPlainObject(data[key]) ? data[key] : {};
+    const range = ranges[key];
+    const numbers = range
+      ? [...new Set(supports.filter(support => support.start < range.end && support.end > range.start).flatMap(support => support.numbers))].sort((a, b) => a - b)
+      : [];
+    return [key, {
+      value: toNumber(item.value),
+      basis: toText(item.basis),
+      estimated: item.estimated !== false,
+      sources: numbers.map(citeSource),
+    }];
+  }));
+
+  return {
+    inputs,
+    citations: citations.map(({ source }, index) => ({ ...sources[source - 1], number: index + 1 })),
+    searchQueries: (candidate.groundingMetadata && candidate.groundingMetadata.webSearchQueries) || [],
+  };
+};
+
+/**
+ * Pelanggaran isi input ukuran pasar (untuk kontrak output, lihat api/lib/contracts.js).
+ * @returns {string[]} - Daftar pesan (kosong jika valid)
+ */
+const inspectMarketSizing = ({ inputs }) => {
+  const errors = [];
+  SIZING_KEYS.forEach(key => {
+    const { value, basis } = inputs[key];
+    if (value === null || value <= 0) errors.push(`Input '${key}' wajib berupa angka lebih dari 0.`);
+    else if (SIZING_INPUTS[key].percent && value > 100) errors.push(`Input '${key}' adalah persentase (0-100), ditemukan ${value}.`);
+    if (!basis) errors.push(`Input '${key}' wajib punya 'basis' (dasar angka atau asumsinya).`);
+  });
+  return errors;
+};
+
+module.exports = {
+  SIZING_KEYS,
+  normalizeKnownInputs,
+  parseMarketSizing,
+  inspectMarketSizing,
+};
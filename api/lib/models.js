@@ -0,0 +1,130 @@
+/**
+ * Registry model LLM: model default & cadangan per route, serta setelan generasi.
+ *
+ *   MODEL_CONFIG_PATH  Path file konfigurasi (default api/config/models.json)
+ *
+ * Format konfigurasi:
+ *   models: { [id]: { label, description, capabilities: ['text' | 'json' | 'search' | 'audio'],
+ *                     pricing: { inputPerMillion, outputPerMillion } (USD per 1 juta token) } }
+ *   routes: { [route]: { model, fallback, capability, generationConfig: { temperature, topP, maxOutputTokens } } }
+ *
+ * `capability` menentukan model mana yang boleh dipilih pengguna untuk route tersebut.
+ * `fallback` dipakai otomatis jika model utama tidak ditemukan/deprecated di upstream.
+ */
+const fs = require('fs');
+const path = require('path');
+const { ApiError, toApiError } = require('./errors');
+
+const CONFIG_PATH = process.env.MODEL_CONFIG_PATH || path.join(__dirname, '..', 'config', 'models.json');
+
+// Hanya setelan ini yang boleh diatur dari konfigurasi (sisanya milik route, misal responseSchema)
+const ALLOWED_SETTINGS = ['temperature', 'topP', 'topK', 'maxOutputTokens'];
+
+const loadRegistry = () => {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    throw new ApiError('CONFIG_INVALID', `Konfigurasi model tidak bisa dibaca (${CONFIG_PATH}): ${error.message}`);
+  }
+
+  Object.entries(config.routes || {}).forEach(([route, routeConfig]) => {
+    [routeConfig.model, routeConfig.fallback].filter(Boolean).forEach(modelId => {
+      if (!config.models[modelId]) {
+        throw new ApiError('CONFIG_INVALID', `Route '${route}' memakai model '${modelId}' yang tidak terdaftar di ${CONFIG_PATH}.`);
+      }
+    });
+  });
+  return config;
+};
+
+let registry;
+const getRegistry = () => {
+  if (!registry) registry = loadRegistry();
+  return registry;
+};
+
+const getModelOptions = (routeConfig) => Object.entries(getRegistry().models)
+  .filter(([, model]) => model.capabilities.includes(routeConfig.capability))
+  .map(([id]) => id);
+
+const pickSettings = (generationConfig = {}) => Object.fromEntries(
+  Object.entries(generationConfig).filter(([key]) => ALLOWED_SETTINGS.includes(key))
+);
+
+/**
+ * Menentukan model untuk sebuah route.
+ * @param {string} route - Nama route (key di `routes`)
+ * @param {string} requestedModel - Model pilihan pengguna (opsional, dari body `model`)
+ * @returns {object} - { model, fallbackModel, generationConfig }
+ */
+const resolveModel = (route, requestedModel) => {
+  const routeConfig = getRegistry().routes[route];
+  if (!routeConfig) {
+    throw new ApiError('CONFIG_INVALID', `Route '${route}' belum terdaftar di konfigurasi model.`);
+  }
+
+  if (requestedModel && !getModelOptions(routeConfig).includes(requestedModel)) {
+    throw new ApiError('VALIDATION_FAILED', `Model '${requestedModel}' tidak tersedia untuk alat ini.`, {
+      fields: [{ field: 'model', message: `Pilihan: ${getModelOptions(routeConfig).join(', ')}.` }],
+    });
+  }
+
+  const model = requestedModel || routeConfig.model;
+  return {
+    model,
+    // Cadangan hanya untuk model default; pilihan eksplisit pengguna tidak diganti diam-diam
+    fallbackModel: !requestedModel && routeConfig.fallback !== model ? routeConfig.fallback : undefined,
+    generationConfig: pickSettings(routeConfig.generationConfig),
+  };
+};
+
+/**
+ * Menggabungkan setelan dari registry ke payload. Setelan milik route
+ * (responseSchema, speechConfig, dll) tetap diutamakan.
+ */
+const applyGenerationConfig = (payload, generationConfig) => {
+  if (!generationConfig || Object.keys(generationConfig).length === 0) return payload;
+  return { ...payload, generationConfig: { ...generationConfig, ...payload.generationConfig } };
+};
+
+/**
+ * Apakah error berarti model tidak ada/deprecated (layak pindah ke model cadangan).
+ */
+const isModelUnavailableError = (error) => {
+  const apiError = toApiError(error);
+  if (apiError.code !== 'UPSTREAM_ERROR' || !apiError.details) return false;
+  const { upstreamStatus } = apiError.details;
+  return upstreamStatus === 404 || (upstreamStatus === 400 && /deprecat|not found|not supported/i.test(apiError.message));
+};
+
+/**
+ * Harga model (USD per 1 juta token), atau null jika model tidak terdaftar/tanpa harga.
+ */
+const getModelPricing = (model) => {
+  const entry = getRegistry().models[model];
+  return (entry && entry.pricing) || null;
+};
+
+/**
+ * Daftar model untuk endpoint GET /api/models (dipakai pemilih model di UI).
+ */
+const listModels = () => {
+  const { models, routes } = getRegistry();
+  return {
+    models: Object.entries(models).map(([id, model]) => ({
+      id,
+      label: model.label,
+      description: model.description,
+      capabilities: model.capabilities,
+      pricing: model.pricing,
+    })),
+    routes: Object.fromEntries(Object.entries(routes).map(([route, routeConfig]) => [route, {
+      default: routeConfig.model,
+      fallback: routeConfig.fallback,
+      options: getModelOptions(routeConfig),
+    }])),
+  };
+};
+
+module.exports = { resolveModel, applyGenerationConfig, isModelUnavailableError, getModelPricing, listModels };
@@ -0,0 +1,347 @@
+/**
+ * Pipeline kampanye: satu brief produk dijalankan berurutan melewati semua alat, menggantikan
+ * salin-tempel manual (YAML App 2 -> App 3, HTML App 3 -> App 4, laporan App 4 -> App 5 & 6).
+ *
+ *   analyze -> map-market -> psikologis-market -> psikologis-hooks -> psikologis-persona
+ *           -> content-planner -> copywriting
+ *
+ * Run disimpan per workspace di DATA_DIR/workspaces/<id>/pipeline-runs.json:
+ *   { id, projectId, brief, status, createdBy,
+ *     steps: [{ id, status, input, output, edited, meta, error, startedAt, finishedAt }] }
+ *
+ * Status run: running | paused | failed | completed. Status langkah: pending | running | done | error.
+ *
+ * Satu panggilan runNextStep() menjalankan tepat satu langkah (aman untuk batas waktu fungsi
+ * serverless); klien mengulanginya selama run masih 'running'. Jeda berlaku setelah langkah
+ * yang sedang berjalan selesai. Output langkah yang sudah selesai boleh diedit: langkah-langkah
+ * sesudahnya dikembalikan ke 'pending' agar dijalankan ulang dengan input yang baru.
+ */
+const { ApiError, toApiError } = require('./errors');
+const { createCollection } = require('./collection');
+const { getProject, createGeneration } = require('./projects');
+const { extractValueMapYaml, inspectValueMapText } = require('./value-map');
+
+// Id alat pipeline di frontend (src/App.jsx); hasil setiap langkah diarsipkan atas nama alat ini
+const PIPELINE_TOOL = 'app8';
+
+// Langkah 'running' yang lebih lama dari ini dianggap macet (misal fungsi serverless timeout)
+const STEP_TIMEOUT_MS = 10 * 60 * 1000;
+
+const DEFAULT_PLAN_DURATION = 'Rencana 7 Hari';
+const DEFAULT_PLATFORM = 'Video Reels/Tiktok';
+const DEFAULT_FORMULA = 'AIDA (Attention, Interest, Desire, Action)';
+const DEFAULT_LANGUAGE = 'Bahasa Indonesia';
+
+const orNone = (value) => value || 'Tidak disebutkan';
+
+/**
+ * Urutan langkah. `buildInput(brief, outputs)` menyusun body route dari brief dan output
+ * langkah-langkah sebelumnya (outputs: { [stepId]: teks }), dengan format prompt yang sama
+ * seperti yang disusun masing-masing aplikasi di frontend.
+ */
+const STEPS = [
+  {
+    id: 'analyze',
+    buildInput: (brief) => ({
+      userQuery: [
+        '--- DATA PRODUK MENTAH ---',
+        `Nama Produk: ${brief.productName}`,
+        `Jenis Produk/Layanan: ${brief.productType}`,
+        `Lokasi penjualan: ${orNone(brief.salesLocation)}`,
+        'Deskripsi Singkat / Spesifikasi / Fitur Produk: ',
+        brief.description,
+        `Target Konsumen / Persona Utama: ${brief.targetAudience}`,
+        '--- DATA OPSIONAL ---',
+        `Kompetitor Utama: ${orNone(brief.competitors)}`,
+        `Harga Produk/Layanan: ${orNone(brief.price)}`,
+        `Positioning brand: ${orNone(brief.positioning)}`,
+        `Keunggulan utama menurut brand: ${orNone(brief.advantages)}`,
+        `Masalah konsumen yang ingin dipecahkan: ${orNone(brief.painPoints)}`,
+        '--- AKHIR DATA ---',
+        'Tolong analisis data di atas sekarang.',
+      ].join('\n'),
+    }),
+  },
+  {
+    id: 'map-market',
+    buildInput: (brief, outputs) => ({ userInput: extractValueMapYaml(outputs.analyze) }),
+  },
+  {
+    id: 'psikologis-market',
+    buildInput: (brief, outputs) => {
+      let userInput = `--- DATA MAPPING MARKET ---\n${outputs['map-market']}\n\n`;
+      if (brief.customerReviews) userInput += `--- DATA REVIEW PELANGGAN ---\n${brief.customerReviews}\n\n`;
+      return { userInput };
+    },
+  },
+  {
+    id: 'psikologis-hooks',
+    buildInput: (brief, outputs) => ({ prompt: outputs['psikologis-market'] }),
+  },
+  {
+    id: 'psikologis-persona',
+    buildInput: (brief, outputs) => ({ prompt: outputs['psikologis-market'] }),
+  },
+  {
+    id: 'content-planner',
+    buildInput: (brief, outputs) => ({
+      userPrompt: [
+        `Topik Utama / Produk: "${brief.productName}"`,
+        `Tujuan Utama Konten: "${brief.contentGoal}"`,
+        `Durasi Rencana: "${brief.planDuration || DEFAULT_PLAN_DURATION}"`,
+        '--- KONTEKS: PROFIL PSIKOLOGIS MARKET ---',
+        outputs['psikologis-market'],
+        '--- KONTEKS: HOOK ---',
+        outputs['psikologis-hooks'],
+        '--- KONTEKS: PERSONA ---',
+        outputs['psikologis-persona'],
+        '--- AKHIR KONTEKS ---',
+        'Gunakan konteks di atas agar setiap konten sesuai dengan psikologis dan persona target market.',
+        'Buatkan rencana konten yang mendetail dalam format TABEL HTML.',
+        'PENTING: Langsung berikan hasilnya sebagai tabel HTML. Tidak perlu judul, penjelasan, atau disclaimer di luar tag <table>.',
+      ].join('\n'),
+    }),
+  },
+  {
+    id: 'copywriting',
+    buildInput: (brief, outputs) => ({
+      userPrompt: [
+        `Deskripsi Produk/Topik: "${brief.productName} - ${brief.description}"`,
+        `Target Penonton/Audiens: "${brief.targetAudience}"`,
+        `CTA (Call to Action) / Goals: "${brief.cta}"`,
+        `Peruntukan / Platform: ${brief.platform || DEFAULT_PLATFORM}`,
+        `Formula Copywriting yang Digunakan: ${brief.formula || DEFAULT_FORMULA}`,
+        `Bahasa yang Digunakan: ${brief.language || DEFAULT_LANGUAGE}`,
+        '--- KONTEKS: HOOK ---',
+        outputs['psikologis-hooks'],
+        '--- KONTEKS: PERSONA ---',
+        outputs['psikologis-persona'],
+        '--- AKHIR KONTEKS ---',
+        'Pilih hook dan sudut pandang yang paling kuat dari konteks di atas. Buatkan copywritingnya sekarang.',
+        'PENTING: Berikan HANYA hasil copywriting yang sudah jadi, siap pakai, dalam bahasa yang diminta. Jangan tambahkan "Tentu, ini hasilnya:" atau "Hasil Copywriting:" atau penjelasan apa pun. Langsung tulis copywritingnya.',
+      ].join('\n'),
+    }),
+  },
+];
+
+const STEP_IDS = STEPS.map(step => step.id);
+
+// Field brief = skema 'pipeline-run' tanpa projectId (lihat api/lib/schemas.js)
+const BRIEF_FIELDS = [
+  'productName', 'productType', 'salesLocation', 'description', 'targetAudience', 'competitors', 'price',
+  'positioning', 'advantages', 'painPoints', 'customerReviews', 'contentGoal', 'planDuration', 'cta',
+  'platform', 'formula', 'language',
+];
+
+// workspaceId -> koleksi run
+const stores = new Map();
+
+const getRuns = (workspaceId) => {
+  if (!stores.has(workspaceId)) {
+    stores.set(workspaceId, createCollection(`workspaces/${workspaceId}/pipeline-runs`));
+  }
+  return stores.get(workspaceId);
+};
+
+const createPendingStep = (id) => ({
+  id, status: 'pending', input: null, output: null, edited: false, meta: null, error: null, startedAt: null, finishedAt: null,
+});
+
+const isStepActive = (step) => (
+  step.status === 'running' && Date.now() - new Date(step.startedAt).getTime() < STEP_TIMEOUT_MS
+);
+
+const assertNoActiveStep = (run) => {
+  const active = run.steps.find(isStepActive);
+  if (active) {
+    throw new ApiError('REQUEST_IN_PROGRESS', `Langkah '${active.id}' masih berjalan.`, { stepId: active.id });
+  }
+};
+
+const notFound = (runId) => new ApiError('NOT_FOUND', `Pipeline '${runId}' tidak ditemukan.`);
+
+/**
+ * Ringkasan run untuk daftar: tanpa input/output langkah.
+ */
+const toRunSummary = (run) => ({
+  id: run.id,
+  projectId: run.projectId,
+  productName: run.brief.productName,
+  status: run.status,
+  createdBy: run.createdBy,
+  createdAt: run.createdAt,
+  updatedAt: run.updatedAt,
+  steps: run.steps.map(step => ({ id: step.id, status: step.status })),
+});
+
+const listRuns = async (workspaceId, { projectId } = {}) => (await getRuns(workspaceId).list(run => (
+  !projectId || run.projectId === projectId
+)))
+  .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+  .map(toRunSummary);
+
+const getRun = async (workspaceId, runId) => {
+  const run = await getRuns(workspaceId).get(runId);
+  if (!run) throw notFound(runId);
+  return run;
+};
+
+/**
+ * Membuat run baru berstatus 'running' (langkah pertama dijalankan lewat runNextStep).
+ * @param {object} input - Body skema 'pipeline-run': { projectId, ...brief }
+ * @param {string} createdBy - Email pembuat
+ */
+const createRun = async (workspaceId, input, createdBy) => {
+  await getProject(workspaceId, input.projectId);
+  const brief = Object.fromEntries(BRIEF_FIELDS
+    .filter(field => typeof input[field] === 'string' && input[field].trim())
+    .map(field => [field, input[field].trim()]));
+
+  return getRuns(workspaceId).insert({
+    projectId: input.projectId,
+    brief,
+    status: 'running',
+    createdBy,
+    steps: STEP_IDS.map(createPendingStep),
+  });
+};
+
+const setStatus = async (workspaceId, runId, allowedFrom, status) => {
+  const run = await getRuns(workspaceId).update(runId, current => {
+    if (!allowedFrom.includes(current.status)) {
+      throw new ApiError('CONFLICT', `Pipeline berstatus '${current.status}', tidak bisa diubah menjadi '${status}'.`, {
+        status: current.status,
+      });
+    }
+    return { status };
+  });
+  if (!run) throw notFound(runId);
+  return run;
+};
+
+// Langkah yang sedang berjalan tetap diselesaikan; langkah berikutnya tidak dimulai
+const pauseRun = (workspaceId, runId) => setStatus(workspaceId, runId, ['running'], 'paused');
+
+// Dari 'failed', langkah yang error diulang pada runNextStep berikutnya
+const resumeRun = (workspaceId, runId) => setStatus(workspaceId, runId, ['paused', 'failed'], 'running');
+
+/**
+ * Menjalankan langkah berikutnya yang belum selesai, lalu menyimpan hasilnya ke run dan
+ * mengarsipkannya sebagai generasi proyek. Error dari langkah dicatat di langkah tersebut
+ * (run menjadi 'failed'), bukan dilempar, agar klien tetap menerima run terbaru.
+ * @param {function} generate - async (route, body) => { text, meta } (disediakan api/index.js)
+ * @param {string} createdBy - Email pengguna yang menjalankan
+ * @returns {Promise<object>} - Run setelah langkah selesai
+ */
+const runNextStep = async (workspaceId, runId, generate, createdBy) => {
+  const runs = getRuns(workspaceId);
+  let step;
+  let input;
+
+  // Klaim langkah secara atomik agar dua tab tidak menjalankan langkah yang sama
+  const claimed = await runs.update(runId, run => {
+    if (run.status !== 'running') {
+      const message = run.status === 'completed'
+        ? 'Semua langkah pipeline sudah selesai.'
+        : `Pipeline berstatus '${run.status}'. Lanjutkan pipeline terlebih dahulu.`;
+      throw new ApiError('CONFLICT', message, { status: run.status });
+    }
+    assertNoActiveStep(run);
+    step = run.steps.find(item => item.status !== 'done');
+    const outputs = Object.fromEntries(run.steps.filter(item => item.status === 'done').map(item => [item.id, item.output]));
+    input = STEPS.find(definition => definition.id === step.id).buildInput(run.brief, outputs);
+    return {
+      steps: run.steps.map(item => (item.id === step.id
+        ? { ...createPendingStep(item.id), status: 'running', input, startedAt: new Date().toISOString() }
+        : item)),
+    };
+  });
+  if (!claimed) throw notFound(runId);
+
+  console.log(`PIPELINE: ${runId} menjalankan langkah ${step.id}`);
+  let patch;
+  try {
+    const { text, meta } = await generate(step.id, input);
+    patch = { status: 'done', output: text, meta };
+  } catch (error) {
+    const apiError = toApiError(error);
+    console.error(`PIPELINE: ${runId} gagal di langkah ${step.id}:`, apiError.message);
+    patch = { status: 'error', error: { code: apiError.code, message: apiError.message, details: apiError.details } };
+  }
+
+  const run = await runs.update(runId, current => {
+    const steps = current.steps.map(item => (item.id === step.id
+      ? { ...item, ...patch, finishedAt: new Date().toISOString() }
+      : item));
+    let { status } = current;
+    if (patch.status === 'error') status = 'failed';
+    else if (steps.every(item => item.status === 'done')) status = 'completed';
+    // Jeda selama langkah berjalan tetap dipertahankan (status 'paused')
+    return { steps, status };
+  });
+  if (!run) throw notFound(runId);
+
+  if (patch.status === 'done') {
+    try {
+      await createGeneration(workspaceId, {
+        projectId: run.projectId,
+        tool: PIPELINE_TOOL,
+        route: step.id,
+        input,
+        output: patch.output,
+        meta: { ...patch.meta, pipelineRunId: run.id },
+      }, createdBy);
+    } catch (error) {
+      console.warn(`PIPELINE: gagal mengarsipkan langkah ${step.id} ke proyek ${run.projectId}:`, error.message);
+    }
+  }
+  return run;
+};
+
+/**
+ * Mengganti output langkah yang sudah selesai (hasil edit pengguna). Langkah-langkah sesudahnya
+ * dikembalikan ke 'pending'; run yang sudah selesai/gagal menjadi 'paused' agar bisa dilanjutkan.
+ */
+const updateStepOutput = async (workspaceId, runId, stepId, output) => {
+  if (!STEP_IDS.includes(stepId)) {
+    throw new ApiError('VALIDATION_FAILED', `Langkah '${stepId}' tidak dikenal. Pilihan: ${STEP_IDS.join(', ')}.`);
+  }
+  const run = await getRuns(workspaceId).update(runId, current => {
+    assertNoActiveStep(current);
+    const index = current.steps.findIndex(item => item.id === stepId);
+    if (current.steps[index].status !== 'done') {
+      throw new ApiError('CONFLICT', `Langkah '${stepId}' belum selesai, belum ada output untuk diedit.`);
+    }
+    const steps = current.steps.map((item, i) => {
+      if (i === index) {
+        // Validasi ulang value map agar metadata tidak basi setelah YAML diperbaiki manual
+        const meta = stepId === 'analyze' ? { ...item.meta, valueMap: inspectValueMapText(output) } : item.meta;
+        return { ...item, output, meta, edited: true };
+      }
+      if (i > index && item.status !== 'pending') return createPendingStep(item.id);
+      return item;
+    });
+    const hasPending = steps.some(item => item.status !== 'done');
+    const status = hasPending && ['completed', 'failed'].includes(current.status) ? 'paused' : current.status;
+    return { steps, status };
+  });
+  if (!run) throw notFound(runId);
+  return run;
+};
+
+const deleteRun = async (workspaceId, runId) => {
+  if (!(await getRuns(workspaceId).remove(runId))) throw notFound(runId);
+  return { deleted: true };
+};
+
+module.exports = {
+  STEP_IDS,
+  listRuns,
+  getRun,
+  createRun,
+  pauseRun,
+  resumeRun,
+  runNextStep,
+  updateStepOutput,
+  deleteRun,
+};
@@ -0,0 +1,186 @@
+/**
+ * Penyimpanan proyek (produk/kampanye yang sedang dikerjakan) dan riwayat generasi per workspace.
+ *
+ * Setiap workspace punya dua koleksi JSON (api/lib/collection.js) di DATA_DIR/workspaces/<id>/:
+ *   projects.json     { id, name, description, createdBy, tools: { <tool>: { state, updatedAt, updatedBy } } }
+ *   generations.json  { id, projectId, tool, route, input, output, meta, createdBy }
+ *
+ * `tools` berisi state terakhir setiap alat (isi form + hasil) agar pekerjaan bisa dilanjutkan
+ * dari perangkat lain; `generations` adalah arsip setiap hasil AI yang disimpan klien.
+ */
+const { ApiError } = require('./errors');
+const { createCollection } = require('./collection');
+
+// Id alat = id aplikasi di frontend (src/App.jsx), plus 'product' untuk konteks produk aktif
+// yang dipakai bersama semua alat (hasil App 2-4 yang bisa diimpor alat lain)
+const TOOLS = ['app2', 'app3', 'app4', 'app5', 'app6', 'app7', 'app8', 'product'];
+
+// Generasi lama per proyek dihapus otomatis agar file tidak tumbuh tanpa batas
+const MAX_GENERATIONS_PER_PROJECT = 200;
+const PREVIEW_LENGTH = 200;
+
+// workspaceId -> { projects, generations }
+const stores = new Map();
+
+const getStores = (workspaceId) => {
+  if (!stores.has(workspaceId)) {
+    stores.set(workspaceId, {
+      projects: createCollection(`workspaces/${workspaceId}/projects`),
+      generations: createCollection(`workspaces/${workspaceId}/generations`),
+    });
+  }
+  return stores.get(workspaceId);
+};
+
+const assertTool = (tool) => {
+  if (!TOOLS.includes(tool)) {
+    throw new ApiError('VALIDATION_FAILED', `Alat '${tool}' tidak dikenal. Pilihan: ${TOOLS.join(', ')}.`);
+  }
+};
+
+// === Proyek ===
+
+/**
+ * Ringkasan proyek untuk daftar: tanpa isi state, hanya kapan setiap alat terakhir disimpan.
+ */
+const toProjectSummary = (project) => ({
+  id: project.id,
+  name: project.name,
+  description: project.description,
+  createdBy: project.createdBy,
+  createdAt: project.createdAt,
+  updatedAt: project.updatedAt,
+  tools: Object.fromEntries(Object.entries(project.tools).map(([tool, entry]) => [tool, entry.updatedAt])),
+});
+
+const listProjects = async (workspaceId) => (await getStores(workspaceId).projects.list())
+  .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+  .map(toProjectSummary);
+
+const getProject = async (workspaceId, projectId) => {
+  const project = await getStores(workspaceId).projects.get(projectId);
+  if (!project) throw new ApiError('NOT_FOUND', `Proyek '${projectId}' tidak ditemukan.`);
+  return project;
+};
+
+/**
+ * @param {object} input - { name, description }
+ * @param {string} createdBy - Email pembuat
+ */
+const createProject = (workspaceId, { name, description = '' }, createdBy) => getStores(workspaceId).projects.insert({
+  name: name.trim(),
+  description: description.trim(),
+  createdBy,
+  tools: {},
+});
+
+const updateProject = async (workspaceId, projectId, { name, description }) => {
+  const project = await getStores(workspaceId).projects.update(projectId, {
+    ...(name !== undefined ? { name: name.trim() } : {}),
+    ...(description !== undefined ? { description: description.trim() } : {}),
+  });
+  if (!project) throw new ApiError('NOT_FOUND', `Proyek '${projectId}' tidak ditemukan.`);
+  return project;
+};
+
+/**
+ * Menyimpan state terakhir satu alat (menimpa state sebelumnya).
+ * @returns {Promise<object>} - { state, updatedAt, updatedBy }
+ */
+const saveToolState = async (workspaceId, projectId, tool, state, updatedBy) => {
+  assertTool(tool);
+  const entry = { state, updatedAt: new Date().toISOString(), updatedBy };
+  const project = await getStores(workspaceId).projects.update(projectId, current => ({
+    tools: { ...current.tools, [tool]: entry },
+  }));
+  if (!project) throw new ApiError('NOT_FOUND', `Proyek '${projectId}' tidak ditemukan.`);
+  return entry;
+};
+
+const deleteProject = async (workspaceId, projectId) => {
+  const { projects, generations } = getStores(workspaceId);
+  if (!(await projects.remove(projectId))) {
+    throw new ApiError('NOT_FOUND', `Proyek '${projectId}' tidak ditemukan.`);
+  }
+  const orphans = await generations.list(generation => generation.projectId === projectId);
+  for (const generation of orphans) {
+    await generations.remove(generation.id);
+  }
+  return { deleted: true, generationsDeleted: orphans.length };
+};
+
+// === Generasi ===
+
+const toGenerationSummary = (generation) => ({
+  id: generation.id,
+  projectId: generation.projectId,
+  tool: generation.tool,
+  route: generation.route,
+  createdBy: generation.createdBy,
+  createdAt: generation.createdAt,
+  meta: generation.meta,
+  preview: (generation.output || '').slice(0, PREVIEW_LENGTH),
+});
+
+/**
+ * @param {object} filter - { projectId, tool, route, limit (default 20, maksimal 100) }
+ * @returns {Promise<object[]>} - Ringkasan generasi, terbaru dulu
+ */
+const listGenerations = async (workspaceId, { projectId, tool, route, limit = 20 } = {}) => {
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    throw new ApiError('VALIDATION_FAILED', `'limit' harus bilangan bulat 1-100.`);
+  }
+  const generations = await getStores(workspaceId).generations.list(generation => (
+    (!projectId || generation.projectId === projectId) && (!tool || generation.tool === tool) && (!route || generation.route === route)
+  ));
+  return generations
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(toGenerationSummary);
+};
+
+const getGeneration = async (workspaceId, generationId) => {
+  const generation = await getStores(workspaceId).generations.get(generationId);
+  if (!generation) throw new ApiError('NOT_FOUND', `Generasi '${generationId}' tidak ditemukan.`);
+  return generation;
+};
+
+/**
+ * @param {object} input - { projectId, tool, route, input, output, meta }
+ * @param {string} createdBy - Email pembuat
+ */
+const createGeneration = async (workspaceId, { projectId, tool, route, input = {}, output = '', meta = {} }, createdBy) => {
+  assertTool(tool);
+  await getProject(workspaceId, projectId);
+
+  const { generations } = getStores(workspaceId);
+  const generation = await generations.insert({ projectId, tool, route, input, output, meta, createdBy });
+
+  const existing = (await generations.list(item => item.projectId === projectId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  for (const old of existing.slice(MAX_GENERATIONS_PER_PROJECT)) {
+    await generations.remove(old.id);
+  }
+  return generation;
+};
+
+const deleteGeneration = async (workspaceId, generationId) => {
+  if (!(await getStores(workspaceId).generations.remove(generationId))) {
+    throw new ApiError('NOT_FOUND', `Generasi '${generationId}' tidak ditemukan.`);
+  }
+  return { deleted: true };
+};
+
+module.exports = {
+  TOOLS,
+  listProjects,
+  getProject,
+  createProject,
+  updateProject,
+  saveToolState,
+  deleteProject,
+  listGenerations,
+  getGeneration,
+  createGeneration,
+  deleteGeneration,
+};
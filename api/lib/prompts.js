@@ -0,0 +1,170 @@
+/**
+ * Registry system prompt berversi.
+ *
+ * Versi awal (v1) tiap prompt adalah file api/prompts/<id>.txt; metadata (nama, deskripsi,
+ * variabel yang boleh dipakai) ada di api/prompts/catalog.json. Versi baru yang dibuat
+ * lewat /api/admin/prompts disimpan di DATA_DIR/prompts/<id>.json (lihat api/lib/storage.js),
+ * sehingga prompt bisa di-tuning tanpa deploy.
+ *
+ * Template memakai variabel `{{nama}}`. Variabel `tanggal` (YYYY-MM-DD, WIB) selalu tersedia;
+ * variabel lain diberikan oleh route (misal `productName` untuk map-market-helper).
+ */
+const fs = require('fs');
+const path = require('path');
+const { ApiError } = require('./errors');
+const { dataPath, readJSON, writeJSON } = require('./storage');
+const { getJakartaDate } = require('./dates');
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+const CATALOG = require('../prompts/catalog.json');
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+
+// Dokumen prompt yang sudah dibaca dari disk, dikosongkan per id saat ada perubahan
+const documents = new Map();
+// Antrean tulis per id agar dua perubahan bersamaan tidak saling menimpa
+const writeQueues = new Map();
+
+const getCatalogEntry = (id) => {
+  // Object.hasOwn agar id seperti '__proto__' atau 'constructor' tidak lolos sebagai entri katalog
+  if (!Object.hasOwn(CATALOG, id)) throw new ApiError('NOT_FOUND', `Prompt '${id}' tidak ditemukan.`);
+  return CATALOG[id];
+};
+
+const getSeedVersion = (id) => ({
+  version: 1,
+  template: fs.readFileSync(path.join(PROMPTS_DIR, `${id}.txt`), 'utf8'),
+  note: 'Versi awal (bawaan kode).',
+  author: 'system',
+  createdAt: null,
+});
+
+/**
+ * @returns {Promise<object>} - { id, activeVersion, versions: [{ version, template, note, author, createdAt }] }
+ */
+const loadDocument = async (id) => {
+  getCatalogEntry(id);
+  if (!documents.has(id)) {
+    const stored = await readJSON(dataPath('prompts', `${id}.json`));
+    documents.set(id, stored || { id, activeVersion: 1, versions: [getSeedVersion(id)] });
+  }
+  return documents.get(id);
+};
+
+const updateDocument = (id, update) => {
+  const previous = writeQueues.get(id) || Promise.resolve();
+  const next = previous.catch(() => {}).then(async () => {
+    const document = await loadDocument(id);
+    const updated = update(JSON.parse(JSON.stringify(document)));
+    await writeJSON(dataPath('prompts', `${id}.json`), updated);
+    documents.set(id, updated);
+    return updated;
+  });
+  writeQueues.set(id, next);
+  return next;
+};
+
+const findVersion = (document, version) => {
+  const found = document.versions.find(item => item.version === version);
+  if (!found) throw new ApiError('NOT_FOUND', `Prompt '${document.id}' tidak punya versi ${version}.`);
+  return found;
+};
+
+const getTemplateVariables = (template) => [...new Set([...template.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+
+/**
+ * Mengisi template versi aktif dengan variabel.
+ * @param {string} id - Id prompt (sama dengan nama route)
+ * @param {object} variables - Nilai variabel dari route
+ * @returns {Promise<object>} - { id, version, text }
+ */
+const renderPrompt = async (id, variables = {}) => {
+  const document = await loadDocument(id);
+  const { version, template } = findVersion(document, document.activeVersion);
+  const values = { tanggal: getJakartaDate(), ...variables };
+  const text = template
+    .replace(VARIABLE_PATTERN, (match, name) => (values[name] !== undefined ? String(values[name]) : ''))
+    .trim();
+  return { id, version, text };
+};
+
+const summarizePrompt = (id, document) => {
+  const latest = document.versions[document.versions.length - 1];
+  return {
+    id,
+    ...CATALOG[id],
+    activeVersion: document.activeVersion,
+    latestVersion: latest.version,
+    updatedAt: latest.createdAt,
+  };
+};
+
+const listPrompts = async () => Promise.all(
+  Object.keys(CATALOG).map(async id => summarizePrompt(id, await loadDocument(id)))
+);
+
+const getPrompt = async (id) => {
+  const document = await loadDocument(id);
+  return { ...summarizePrompt(id, document), versions: document.versions };
+};
+
+/**
+ * Membuat versi baru. Template hanya boleh memakai variabel yang terdaftar di catalog.json.
+ * @param {object} input - { template, note, author, activate: langsung jadikan versi aktif (default true) }
+ */
+const createPromptVersion = async (id, { template, note = '', author = 'admin', activate = true }) => {
+  const { variables } = getCatalogEntry(id);
+  const unknown = getTemplateVariables(template).filter(name => !variables.includes(name));
+  if (unknown.length > 0) {
+    throw new ApiError('VALIDATION_FAILED', `Variabel tidak dikenal: ${unknown.join(', ')}. Pilihan: ${variables.join(', ')}.`, {
+      fields: [{ field: 'template', message: `Variabel yang tersedia: ${variables.map(name => `{{${name}}}`).join(', ')}.` }],
+    });
+  }
+
+  const document = await updateDocument(id, current => {
+    const version = Math.max(...current.versions.map(item => item.version)) + 1;
+    current.versions.push({ version, template, note, author, createdAt: new Date().toISOString() });
+    if (activate) current.activeVersion = version;
+    return current;
+  });
+  return { ...summarizePrompt(id, document), versions: document.versions };
+};
+
+/**
+ * Menjadikan versi tertentu aktif (termasuk rollback ke versi lama).
+ */
+const activatePromptVersion = async (id, version) => {
+  const document = await updateDocument(id, current => {
+    findVersion(current, version);
+    current.activeVersion = version;
+    return current;
+  });
+  return { ...summarizePrompt(id, document), versions: document.versions };
+};
+
+/**
+ * Menghapus versi yang tidak aktif. Versi 1 (bawaan kode) tidak bisa dihapus.
+ */
+const deletePromptVersion = async (id, version) => {
+  const document = await updateDocument(id, current => {
+    findVersion(current, version);
+    if (version === 1) {
+      throw new ApiError('VALIDATION_FAILED', 'Versi 1 adalah prompt bawaan dan tidak bisa dihapus.');
+    }
+    if (version === current.activeVersion) {
+      throw new ApiError('VALIDATION_FAILED', `Versi ${version} sedang aktif. Aktifkan versi lain terlebih dahulu.`);
+    }
+    current.versions = current.versions.filter(item => item.version !== version);
+    return current;
+  });
+  return { ...summarizePrompt(id, document), versions: document.versions };
+};
+
+module.exports = {
+  renderPrompt,
+  listPrompts,
+  getPrompt,
+  createPromptVersion,
+  activatePromptVersion,
+  deletePromptVersion,
+};
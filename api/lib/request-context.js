@@ -0,0 +1,32 @@
+/**
+ * Konteks per request (AsyncLocalStorage) agar modul di bawahnya, misal pencatatan
+ * pemakaian token, tahu siapa pemanggilnya tanpa meneruskan `req` ke setiap fungsi.
+ *
+ * `caller` awalnya diambil dari header `X-Client-Id` atau alamat IP; setelah requireAuth
+ * (api/lib/auth.js) diganti menjadi 'user:<id>' dan ditambah `userId` serta `workspaceId`.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+const MAX_CLIENT_ID_LENGTH = 100;
+
+const getCaller = (req) => {
+  const clientId = (req.get('X-Client-Id') || '').trim();
+  if (clientId) return `client:${clientId.slice(0, MAX_CLIENT_ID_LENGTH)}`;
+  return `ip:${req.ip}`;
+};
+
+/**
+ * Middleware Express: jalankan sisa request di dalam konteks { caller }.
+ */
+const requestContext = (req, res, next) => {
+  storage.run({ caller: getCaller(req) }, next);
+};
+
+/**
+ * @returns {object} - Konteks request aktif, atau {} di luar request
+ */
+const getRequestContext = () => storage.getStore() || {};
+
+module.exports = { requestContext, getRequestContext };
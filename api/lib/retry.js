@@ -0,0 +1,66 @@
+/**
+ * Kebijakan retry tunggal untuk panggilan ke provider LLM.
+ * Frontend tidak me-retry error server lagi, jadi satu klik = maksimal LLM_MAX_ATTEMPTS panggilan upstream.
+ *
+ *   LLM_MAX_ATTEMPTS        Jumlah percobaan total (default 3)
+ *   LLM_MAX_RETRY_DELAY_MS  Batas waktu tunggu antar percobaan (default 20000). Jika upstream
+ *                           meminta menunggu lebih lama (Retry-After), error langsung diteruskan ke klien.
+ */
+const { toApiError } = require('./errors');
+
+const MAX_ATTEMPTS = parseInt(process.env.LLM_MAX_ATTEMPTS || '3', 10);
+const MAX_RETRY_DELAY_MS = parseInt(process.env.LLM_MAX_RETRY_DELAY_MS || '20000', 10);
+const BASE_DELAY_MS = 1000;
+
+/**
+ * Waktu tunggu sebelum percobaan berikutnya: Retry-After dari upstream jika ada,
+ * selain itu exponential backoff dengan jitter.
+ */
+const getRetryDelay = (error, attempt) => {
+  if (error.retryAfterMs !== undefined) return error.retryAfterMs;
+  return Math.pow(2, attempt) * BASE_DELAY_MS + Math.random() * BASE_DELAY_MS;
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    // Listener dilepas agar tidak menumpuk di signal yang dipakai ulang untuk banyak retry
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Menjalankan `fn` dengan retry untuk error yang retryable (lihat ERROR_CODES di errors.js).
+ * @param {function} fn - (attempt) => Promise
+ * @param {object} options - { attempts, label: nama untuk log, signal: AbortSignal,
+ *                             shouldRetry: (error) => boolean, syarat tambahan untuk retry }
+ */
+const withRetry = async (fn, options = {}) => {
+  const { attempts = MAX_ATTEMPTS, label = 'LLM', signal, shouldRetry = () => true } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      console.error(`Error calling ${label} (attempt ${attempt + 1}/${attempts}):`, error.message);
+
+      if (!toApiError(error).retryable || attempt >= attempts - 1 || !shouldRetry(error)) throw error;
+
+      const delay = getRetryDelay(error, attempt);
+      if (delay > MAX_RETRY_DELAY_MS) {
+        console.warn(`Upstream meminta menunggu ${Math.round(delay / 1000)} detik, tidak di-retry.`);
+        throw error;
+      }
+      console.warn(`Retrying ${label} after error... (${Math.round(delay)}ms, Attempt ${attempt + 1})`);
+      await sleep(delay, signal);
+    }
+  }
+};
+
+module.exports = { withRetry, MAX_ATTEMPTS };
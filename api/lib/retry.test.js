@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { withRetry } = require('./retry');
+const { toApiError } = require('./errors');
+
+// Bentuk error fetch (undici) saat koneksi putus: TypeError dengan kode di `cause`
+const fetchFailed = (code) => Object.assign(new TypeError('fetch failed'), {
+  cause: Object.assign(new Error(`socket ${code}`), { code }),
+});
+
+describe('toApiError', () => {
+  it('memetakan error jaringan fetch ke UPSTREAM_UNAVAILABLE yang retryable', () => {
+    ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'].forEach(code => {
+      const apiError = toApiError(fetchFailed(code));
+      assert.equal(apiError.code, 'UPSTREAM_UNAVAILABLE', code);
+      assert.equal(apiError.retryable, true);
+    });
+    assert.equal(toApiError(new TypeError('fetch failed')).code, 'UPSTREAM_UNAVAILABLE');
+  });
+
+  it('tetap memetakan error lain ke INTERNAL_ERROR', () => {
+    assert.equal(toApiError(new TypeError('x is not a function')).code, 'INTERNAL_ERROR');
+  });
+});
+
+describe('withRetry', () => {
+  it('mengulang panggilan yang gagal karena koneksi terputus', async () => {
+    let calls = 0;
+    const result = await withRetry(async () => {
+      calls++;
+      if (calls === 1) throw fetchFailed('ECONNRESET');
+      return 'ok';
+    }, { attempts: 2, label: 'test' });
+    assert.equal(result, 'ok');
+    assert.equal(calls, 2);
+  });
+
+  it('tidak mengulang error yang tidak retryable', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      throw new TypeError('x is not a function');
+    }, { attempts: 3, label: 'test' }), TypeError);
+    assert.equal(calls, 1);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Sanitasi HTML buatan model (allowlist) sebelum dikirim ke klien, misalnya laporan /api/map-market
+ * dan tabel /api/content-planner. Model bisa terkena prompt injection dari review pengguna atau
+ * halaman web hasil Google Search, jadi HTML-nya diperlakukan seperti input tak tepercaya.
+ *
+ * Frontend menjalankan sanitasi yang sama sebelum render (sanitizeHtml di src/App.jsx);
+ * ubah allowlist keduanya bersamaan. Aturannya:
+ *   - Tag di ALLOWED_TAGS dipertahankan, hanya dengan atribut di ALLOWED_ATTRIBUTES.
+ *   - Tag di DROPPED_TAGS dibuang beserta isinya; tag lain dibuang tetapi teksnya dipertahankan.
+ *   - href hanya boleh http(s), mailto, atau tautan relatif; setiap <a> diberi rel="noopener noreferrer".
+ *   - Komentar HTML dibuang, dan "<" / ">" yang bukan bagian tag di-escape.
+ */
+const ALLOWED_TAGS = [
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'div', 'span', 'blockquote', 'pre', 'code',
+  'ul', 'ol', 'li', 'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'a',
+  'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+];
+
+const VOID_TAGS = ['br', 'hr'];
+
+const DROPPED_TAGS = ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'template', 'noscript', 'textarea', 'title', 'svg', 'math', 'select', 'head'];
+
+// Atribut per tag; '*' berlaku untuk semua tag
+const ALLOWED_ATTRIBUTES = {
+  '*': ['class', 'title'],
+  a: ['href', 'target'],
+  ol: ['start'],
+  th: ['colspan', 'rowspan', 'scope'],
+  td: ['colspan', 'rowspan'],
+};
+
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto'];
+
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const escapeText = (text) => text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeAttribute = (value) => value.replace(/&(?![a-zA-Z]+;|#\d+;|#x[\da-fA-F]+;)/g, '&amp;')
+  .replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Karakter kontrol dan spasi yang diabaikan browser saat membaca skema URL (misal "java\tscript:")
+const URL_IGNORED_CHARS = new RegExp('[\\u0000- \\u007f-\\u009f]', 'g');
+
+const NAMED_ENTITIES = { colon: ':', tab: '\t', newline: '\n', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeEntities = (value) => value.replace(/&(#x[\da-f]+|#\d+|[a-z]+);?/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+  }
+  const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+  return decoded !== undefined ? decoded : match;
+});
+
+/**
+ * URL aman untuk href: http(s), mailto, atau relatif. Mengembalikan null untuk skema lain
+ * (javascript:, data:, vbscript:, ...), termasuk yang disamarkan dengan entitas atau spasi.
+ */
+const sanitizeUrl = (url) => {
+  if (typeof url !== 'string') return null;
+  const normalized = decodeEntities(url).replace(URL_IGNORED_CHARS, '').toLowerCase();
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+  if (scheme && !SAFE_URL_SCHEMES.includes(scheme[1])) return null;
+  return url.trim();
+};
+
+const sanitizeAttributes = (tag, source) => {
+  const allowed = [...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[tag] || [])];
+  const attributes = [];
+  for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    if (!allowed.includes(name) || attributes.some(([existing]) => existing === name)) continue;
+    let value = match[2] ?? match[3] ?? match[4] ?? '';
+    if (name === 'href') {
+      value = sanitizeUrl(value);
+      if (value === null) continue;
+    }
+    if (name === 'target' && value !== '_blank') continue;
+    attributes.push([name, value]);
+  }
+  if (tag === 'a') attributes.push(['rel', 'noopener noreferrer']);
+  return attributes.map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join('');
+};
+
+/**
+ * Membersihkan HTML dengan allowlist di atas.
+ * @param {string} html - HTML dari model
+ * @returns {string} - HTML yang aman dirender dengan innerHTML
+ */
+const sanitizeHtml = (html) => {
+  if (!html) return '';
+  let output = '';
+  let dropping = null;
+
+  for (const match of String(html).matchAll(TOKEN_PATTERN)) {
+    const [token, closing, rawTag, attributeSource] = match;
+    const tag = rawTag ? rawTag.toLowerCase() : null;
+
+    if (dropping) {
+      if (closing && tag === dropping) dropping = null;
+      continue;
+    }
+    if (token.startsWith('<!--')) continue;
+    if (!tag) {
+      output += escapeText(token);
+      continue;
+    }
+    if (DROPPED_TAGS.includes(tag)) {
+      if (!closing && !/\/\s*$/.test(attributeSource)) dropping = tag;
+      continue;
+    }
+    if (!ALLOWED_TAGS.includes(tag)) continue;
+
+    if (closing) {
+      if (!VOID_TAGS.includes(tag)) output += `</${tag}>`;
+    } else {
+      output += `<${tag}${sanitizeAttributes(tag, attributeSource)}>`;
+    }
+  }
+  return output;
+};
+
+module.exports = { sanitizeHtml, sanitizeUrl };
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { sanitizeHtml, sanitizeUrl } = require('./sanitize');
+
+describe('sanitizeUrl', () => {
+  it('menolak javascript: termasuk yang disamarkan huruf besar, entitas, atau spasi', () => {
+    assert.equal(sanitizeUrl('javascript:alert(1)'), null);
+    assert.equal(sanitizeUrl('JaVaScRiPt:alert(1)'), null);
+    assert.equal(sanitizeUrl('jav&#x61;script:alert(1)'), null);
+    assert.equal(sanitizeUrl('java&tab;script:alert(1)'), null);
+    assert.equal(sanitizeUrl(' java\tscript:alert(1)'), null);
+  });
+
+  it('menolak skema lain di luar http(s) dan mailto', () => {
+    assert.equal(sanitizeUrl('data:text/html,<script>alert(1)</script>'), null);
+    assert.equal(sanitizeUrl('vbscript:msgbox(1)'), null);
+    assert.equal(sanitizeUrl(undefined), null);
+  });
+
+  it('mempertahankan http(s), mailto, dan tautan relatif', () => {
+    assert.equal(sanitizeUrl(' https://satset.id/a '), 'https://satset.id/a');
+    assert.equal(sanitizeUrl('mailto:halo@satset.id'), 'mailto:halo@satset.id');
+    assert.equal(sanitizeUrl('/laporan#bagian-2'), '/laporan#bagian-2');
+  });
+});
+
+describe('sanitizeHtml', () => {
+  it('membuang href javascript: tetapi mempertahankan tautannya', () => {
+    assert.equal(sanitizeHtml('<a href="javascript:alert(1)">klik</a>'), '<a rel="noopener noreferrer">klik</a>');
+  });
+
+  it('hanya mempertahankan atribut di allowlist', () => {
+    assert.equal(sanitizeHtml('<p class="isi" style="color:red" onmouseover="x()">teks</p>'), '<p class="isi">teks</p>');
+    assert.equal(
+      sanitizeHtml('<a href="https://a.id/?q=1&x=2" target="_self" onclick="x()">a</a>'),
+      '<a href="https://a.id/?q=1&amp;x=2" rel="noopener noreferrer">a</a>',
+    );
+    assert.equal(sanitizeHtml('<a href="/a" target="_blank">a</a>'), '<a href="/a" target="_blank" rel="noopener noreferrer">a</a>');
+  });
+
+  it('membuang tag berbahaya beserta isinya, tag asing tanpa isinya', () => {
+    assert.equal(sanitizeHtml('<script>alert(1)</script><b>aman</b>'), '<b>aman</b>');
+    assert.equal(sanitizeHtml('<style>p{}</style><svg><g onload="x()"></g></svg>teks'), 'teks');
+    assert.equal(sanitizeHtml('<img src=x onerror=alert(1)><custom>teks</custom>'), 'teks');
+  });
+
+  it('membuang komentar dan meng-escape < > yang bukan tag', () => {
+    assert.equal(sanitizeHtml('<!-- <script>x</script> -->1 < 2 > 0'), '1 &lt; 2 &gt; 0');
+  });
+
+  it('mempertahankan struktur tabel dan tag void', () => {
+    assert.equal(
+      sanitizeHtml('<table><tr><th scope="col" width="9">A</th></tr><tr><td colspan="2">B<br/></td></tr></table>'),
+      '<table><tr><th scope="col">A</th></tr><tr><td colspan="2">B<br></td></tr></table>',
+    );
+  });
+
+  it('mengembalikan string kosong untuk input kosong', () => {
+    assert.equal(sanitizeHtml(''), '');
+    assert.equal(sanitizeHtml(null), '');
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Skema input per route (lihat api/lib/validation.js untuk format aturan).
+ */
+
+// Suara prebuilt yang didukung model TTS Gemini (sama dengan pilihan di App 7)
+const TTS_VOICES = [
+  'Achernar', 'Achird', 'Algenib', 'Algieba', 'Alnilam', 'Aoede', 'Autonoe', 'Callirrhoe',
+  'Charon', 'Despina', 'Enceladus', 'Erinome', 'Fenrir', 'Gacrux', 'Iapetus', 'Kore',
+  'Laomedeia', 'Leda', 'Orus', 'Puck', 'Pulcherrima', 'Rasalgethi', 'Sadachbia', 'Sadaltager',
+  'Schedar', 'Sulafat', 'Umbriel', 'Vindemiatrix', 'Zephyr', 'Zubenelgenubi',
+];
+
+const MAX_NAME_LENGTH = 200;
+const MAX_BRIEF_LENGTH = 20000;
+// Laporan (analisis, profil psikologis) yang dikirim ulang sebagai konteks
+const MAX_REPORT_LENGTH = 100000;
+// Data mentah App 4 (review, obrolan sosial) bisa sangat panjang
+const MAX_RAW_DATA_LENGTH = 500000;
+// Data mentah yang diolah per bagian (map-reduce): sekitar RAW_CHUNK_MAX_COUNT x RAW_CHUNK_MAX_CHARS
+// (api/lib/chunking.js); jumlah bagian yang sebenarnya tetap dibatasi assertChunkCount
+const MAX_CHUNKED_RAW_DATA_LENGTH = 1000000;
+// Sumber Google Search per laporan Mapping Market
+const MAX_CITATIONS = 100;
+const MAX_TTS_TEXT_LENGTH = 5000;
+const MAX_PROMPT_TEMPLATE_LENGTH = 50000;
+const MAX_EMAIL_LENGTH = 254;
+const MAX_DESCRIPTION_LENGTH = 2000;
+// Hasil generasi yang diarsipkan (laporan panjang, tabel konten, dll)
+const MAX_GENERATION_OUTPUT_LENGTH = 1000000;
+
+const emailField = {
+  type: 'string',
+  required: true,
+  maxLength: MAX_EMAIL_LENGTH,
+  pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  patternMessage: `'email' harus berupa alamat email yang valid.`,
+};
+const passwordField = { type: 'string', required: true, minLength: 8, maxLength: 200 };
+
+// Override model opsional dari pemilih model di UI (divalidasi lagi oleh api/lib/models.js)
+const modelField = { model: { type: 'string', maxLength: 100 } };
+
+const schemas = {
+  analyze: {
+    userQuery: { type: 'string', required: true, maxLength: MAX_BRIEF_LENGTH },
+    ...modelField,
+  },
+  'ai-help': {
+    userQuery: { type: 'string', required: true, maxLength: MAX_BRIEF_LENGTH },
+    ...modelField,
+  },
+  summarize: {
+    prompt: { type: 'string', required: true, maxLength: MAX_REPORT_LENGTH },
+    ...modelField,
+  },
+  'map-market': {
+    userInput: { type: 'string', required: true, maxLength: MAX_BRIEF_LENGTH },
+    ...modelField,
+  },
+  'map-market-competitors': {
+    userInput: { type: 'string', required: true, maxLength: MAX_BRIEF_LENGTH },
+    // Laporan /api/map-market (HTML) dan sitasinya; nomor [n] di laporan merujuk ke citations[].number
+    report: { type: 'string', required: true, maxLength: MAX_REPORT_LENGTH },
+    citations: { type: 'array', maxLength: MAX_CITATIONS },
+    ...modelField,
+  },
+  'map-market-sizing': {
+    userInput: { type: 'string', required: true, maxLength: MAX_BRIEF_LENGTH },
+    report: { type: 'string', maxLength: MAX_REPORT_LENGTH },
+    // Input rumus yang sudah diketahui pengguna ({ populasi: 1200000, ... }); sisanya diestimasi AI
+    knownInputs: { type: 'object' },
+    ...modelField,
+  },
+  // SWOT dan Five Forces memakai laporan dan sitasi yang sama dengan map-market-competitors
+  'map-market-swot': {
+    userInput: { type: 'string', required: true, maxLength: MAX_BRIEF_LENGTH },
+    report: { type: 'string', required: true, maxLength: MAX_REPORT_LENGTH },
+    citations: { type: 'array', maxLength: MAX_CITATIONS },
+    ...modelField,
+  },
+  'map-market-five-forces': {
+    userInput: { type: 'string', required: true, maxLength: MAX_BRIEF_LENGTH },
+    report: { type: 'string', required: true, maxLength: MAX_REPORT_LENGTH },
+    citations: { type: 'array', maxLength: MAX_CITATIONS },
+    ...modelField,
+  },
+  // Dua laporan /api/map-market dari riwayat proyek (lama dan baru) beserta tanggal dan sitasinya
+  'map-market-diff': {
+    previousReport: { type: 'string', required: true, maxLength: MAX_REPORT_LENGTH },
+    currentReport: { type: 'string', required: true, maxLength: MAX_REPORT_LENGTH },
+    previousDate: { type: 'string', maxLength: 50 },
+    currentDate: { type: 'string', maxLength: 50 },
+    previousCitations: { type: 'array', maxLength: MAX_CITATIONS },
+    currentCitations: { type: 'array', maxLength: MAX_CITATIONS },
+    ...modelField,
+  },
+  'map-market-helper': {
+    productName: { type: 'string', required: true, maxLength: MAX_NAME_LENGTH },
+    ...modelField,
+  },
+  'psikologis-helper': {
+    businessName: { type: 'string', required: true, maxLength: MAX_NAME_LENGTH },
+    ...modelField,
+  },
+  'psikologis-market': {
+    userInput: { type: 'string', required: true, maxLength: MAX_RAW_DATA_LENGTH },
+    ...modelField,
+  },
+  // Tab "Tempel Data Mentah" App 4, diolah per bagian (api/lib/chunking.js)
+  'psikologis-market-chunked': {
+    rawInput: { type: 'string', required: true, maxLength: MAX_CHUNKED_RAW_DATA_LENGTH },
+    ...modelField,
+  },
+  'psikologis-hooks': {
+    prompt: { type: 'string', required: true, maxLength: MAX_REPORT_LENGTH },
+    ...modelField,
+  },
+  'psikologis-persona': {
+    prompt: { type: 'string', required: true, maxLength: MAX_REPORT_LENGTH },
+    ...modelField,
+  },
+  'content-planner': {
+    userPrompt: { type: 'string', required: true, maxLength: MAX_BRIEF_LENGTH },
+    ...modelField,
+  },
+  copywriting: {
+    userPrompt: { type: 'string', required: true, maxLength: MAX_BRIEF_LENGTH },
+    ...modelField,
+  },
+  'tts-generator': {
+    promptText: { type: 'string', required: true, maxLength: MAX_TTS_TEXT_LENGTH },
+    voice: { type: 'string', required: true, enum: TTS_VOICES },
+    ...modelField,
+  },
+  'admin-prompt-version': {
+    template: { type: 'string', required: true, maxLength: MAX_PROMPT_TEMPLATE_LENGTH },
+    note: { type: 'string', maxLength: 500 },
+    author: { type: 'string', maxLength: MAX_NAME_LENGTH },
+    activate: { type: 'boolean' },
+  },
+  'admin-prompt-activate': {
+    activeVersion: { type: 'number', required: true },
+  },
+  'auth-register': {
+    email: emailField,
+    name: { type: 'string', maxLength: MAX_NAME_LENGTH },
+    password: passwordField,
+  },
+  'auth-login': {
+    email: emailField,
+    password: { type: 'string', required: true, maxLength: 200 },
+  },
+  'auth-magic-link': {
+    email: emailField,
+  },
+  'auth-magic-link-verify': {
+    token: { type: 'string', required: true, maxLength: 2000 },
+  },
+  workspace: {
+    name: { type: 'string', required: true, maxLength: MAX_NAME_LENGTH },
+  },
+  'workspace-member': {
+    email: emailField,
+    role: { type: 'string', enum: ['owner', 'member'] },
+  },
+  project: {
+    name: { type: 'string', required: true, maxLength: MAX_NAME_LENGTH },
+    description: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH },
+  },
+  'project-update': {
+    name: { type: 'string', maxLength: MAX_NAME_LENGTH },
+    description: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH },
+  },
+  'project-tool-state': {
+    state: { type: 'object', required: true },
+  },
+  generation: {
+    projectId: { type: 'string', required: true, maxLength: 100 },
+    tool: { type: 'string', required: true, maxLength: 20 },
+    route: { type: 'string', required: true, maxLength: 100 },
+    input: { type: 'object' },
+    output: { type: 'string', maxLength: MAX_GENERATION_OUTPUT_LENGTH },
+    meta: { type: 'object' },
+  },
+  // Brief produk untuk pipeline kampanye (api/lib/pipeline.js); field = isi form App 2, 5, dan 6
+  'pipeline-run': {
+    projectId: { type: 'string', required: true, maxLength: 100 },
+    productName: { type: 'string', required: true, maxLength: MAX_NAME_LENGTH },
+    productType: { type: 'string', required: true, maxLength: MAX_NAME_LENGTH },
+    salesLocation: { type: 'string', maxLength: MAX_NAME_LENGTH },
+    description: { type: 'string', required: true, maxLength: MAX_DESCRIPTION_LENGTH },
+    targetAudience: { type: 'string', required: true, maxLength: MAX_DESCRIPTION_LENGTH },
+    competitors: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH },
+    price: { type: 'string', maxLength: MAX_NAME_LENGTH },
+    positioning: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH },
+    advantages: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH },
+    painPoints: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH },
+    customerReviews: { type: 'string', maxLength: MAX_RAW_DATA_LENGTH },
+    contentGoal: { type: 'string', required: true, maxLength: MAX_DESCRIPTION_LENGTH },
+    planDuration: { type: 'string', maxLength: MAX_NAME_LENGTH },
+    cta: { type: 'string', required: true, maxLength: MAX_DESCRIPTION_LENGTH },
+    platform: { type: 'string', maxLength: MAX_NAME_LENGTH },
+    formula: { type: 'string', maxLength: MAX_NAME_LENGTH },
+    language: { type: 'string', maxLength: MAX_NAME_LENGTH },
+  },
+  'pipeline-step-output': {
+    output: { type: 'string', required: true, maxLength: MAX_REPORT_LENGTH },
+  },
+};
+
+module.exports = { schemas, TTS_VOICES };
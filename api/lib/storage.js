@@ -0,0 +1,58 @@
+/**
+ * Lokasi dan helper baca/tulis file data server (cache, dll).
+ *
+ *   DATA_DIR  Folder data. Default: /tmp/satset-data di Vercel (satu-satunya folder yang bisa ditulis),
+ *             selain itu folder `data/` di root repo (di-ignore git). /tmp di Vercel tidak persisten,
+ *             jadi login/akun menolak jalan di sana sampai DATA_DIR diset (lihat assertPersistentDataDir).
+ */
+const fs = require('fs');
+const path = require('path');
+const { ApiError } = require('./errors');
+
+const getDataDir = () => {
+  if (process.env.DATA_DIR) return process.env.DATA_DIR;
+  if (process.env.VERCEL) return '/tmp/satset-data';
+  return path.join(__dirname, '..', '..', 'data');
+};
+
+/**
+ * Lempar CONFIG_MISSING_KEY jika DATA_DIR hanya default sementara (/tmp di Vercel), untuk data yang
+ * wajib bertahan (akun). Di folder sementara setiap instance baru mulai kosong.
+ */
+const assertPersistentDataDir = () => {
+  if (!process.env.DATA_DIR && process.env.VERCEL) {
+    throw new ApiError('CONFIG_MISSING_KEY', 'Server configuration error: DATA_DIR belum diset ke penyimpanan persisten.');
+  }
+};
+
+/**
+ * Path di dalam DATA_DIR; folder induknya dibuat jika belum ada.
+ */
+const dataPath = (...segments) => {
+  const fullPath = path.join(getDataDir(), ...segments);
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  return fullPath;
+};
+
+/**
+ * Membaca file JSON, kembalikan `fallback` jika file tidak ada atau rusak.
+ */
+const readJSON = async (filePath, fallback = null) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`Gagal membaca ${filePath}:`, error.message);
+    return fallback;
+  }
+};
+
+/**
+ * Menulis file JSON secara atomik (tulis ke file sementara lalu rename).
+ */
+const writeJSON = async (filePath, data) => {
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+  await fs.promises.rename(tmpPath, filePath);
+};
+
+module.exports = { getDataDir, assertPersistentDataDir, dataPath, readJSON, writeJSON };
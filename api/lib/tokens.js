@@ -0,0 +1,67 @@
+/**
+ * Token bertanda tangan (format JWT, HS256) untuk sesi login dan magic link.
+ *
+ *   AUTH_SECRET  Kunci HMAC. Wajib di production; saat development kunci acak dibuat
+ *                sekali dan disimpan di DATA_DIR/auth/secret agar sesi bertahan saat restart.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const { ApiError } = require('./errors');
+const { dataPath } = require('./storage');
+
+let devSecret = null;
+
+const getSecret = () => {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+  if (process.env.NODE_ENV === 'production') {
+    throw new ApiError('CONFIG_MISSING_KEY', 'Server configuration error: AUTH_SECRET belum diset.');
+  }
+  if (!devSecret) {
+    const secretPath = dataPath('auth', 'secret');
+    if (!fs.existsSync(secretPath)) {
+      fs.writeFileSync(secretPath, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+      console.warn(`AUTH_SECRET tidak diset, memakai kunci development di ${secretPath}.`);
+    }
+    devSecret = fs.readFileSync(secretPath, 'utf8').trim();
+  }
+  return devSecret;
+};
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const sign = (data) => crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+
+/**
+ * @param {object} payload - Isi token; `typ` membedakan jenis token ('session' | 'magic')
+ * @param {number} ttlSeconds - Masa berlaku
+ * @returns {string}
+ */
+const signToken = (payload, ttlSeconds) => {
+  const now = Math.floor(Date.now() / 1000);
+  const data = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ ...payload, iat: now, exp: now + ttlSeconds })}`;
+  return `${data}.${sign(data)}`;
+};
+
+/**
+ * @param {string} token
+ * @param {string} type - `typ` yang diharapkan
+ * @returns {object|null} - Payload, atau null jika tanda tangan salah/kedaluwarsa/jenis berbeda
+ */
+const verifyToken = (token, type) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+  const given = Buffer.from(parts[2]);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    if (payload.typ !== type || payload.exp <= Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { signToken, verifyToken };
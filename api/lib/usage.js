@@ -0,0 +1,222 @@
+/**
+ * Akuntansi pemakaian token & biaya per panggilan LLM, plus batas anggaran harian.
+ *
+ *   DAILY_BUDGET_USD         Batas biaya semua pemanggil per hari (WIB). 0 / kosong = tanpa batas
+ *   DAILY_TOKEN_BUDGET       Batas total token semua pemanggil per hari. 0 / kosong = tanpa batas
+ *   CALLER_DAILY_BUDGET_USD  Batas biaya per pemanggil per hari. 0 / kosong = tanpa batas
+ *
+ * Setiap panggilan ke provider (bukan hasil cache) dicatat di log generasi
+ * (api/lib/generation-log.js) beserta token, biaya, latensi, dan pemanggil.
+ * Biaya dihitung dari `pricing` di api/config/models.json.
+ *
+ * Total hari ini disimpan di memori (dimuat dari log saat pertama dipakai), sehingga pada
+ * deployment multi-instance batas berlaku per instance, dan request yang berjalan bersamaan
+ * bisa sedikit melewati batas.
+ */
+const { ApiError } = require('./errors');
+const { logGeneration, readGenerationLog } = require('./generation-log');
+const { getModelPricing } = require('./models');
+const { getRequestContext } = require('./request-context');
+const { getJakartaDate, getNextJakartaMidnight } = require('./dates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SUMMARY_DAYS = 90;
+
+const parseLimit = (value) => {
+  const limit = parseFloat(value || '0');
+  return Number.isFinite(limit) && limit > 0 ? limit : null;
+};
+
+const getBudgetLimits = () => ({
+  dailyUsd: parseLimit(process.env.DAILY_BUDGET_USD),
+  dailyTokens: parseLimit(process.env.DAILY_TOKEN_BUDGET),
+  callerDailyUsd: parseLimit(process.env.CALLER_DAILY_BUDGET_USD),
+});
+
+const roundUsd = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * usageMetadata Gemini -> { promptTokens, outputTokens, totalTokens }.
+ * Token "thinking" (thoughtsTokenCount) ditagih sebagai output.
+ */
+const normalizeUsage = (usageMetadata = {}) => {
+  const promptTokens = usageMetadata.promptTokenCount || 0;
+  const outputTokens = (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0);
+  return { promptTokens, outputTokens, totalTokens: usageMetadata.totalTokenCount || promptTokens + outputTokens };
+};
+
+/**
+ * @returns {number|null} - Biaya dalam USD, null jika harga model tidak diketahui
+ */
+const calculateCost = (model, usage) => {
+  const pricing = getModelPricing(model);
+  if (!pricing) return null;
+  return roundUsd((usage.promptTokens * pricing.inputPerMillion + usage.outputTokens * pricing.outputPerMillion) / 1e6);
+};
+
+const createBucket = () => ({
+  requests: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, latencyMs: 0,
+});
+
+const addToBucket = (bucket, entry) => {
+  bucket.requests++;
+  bucket.promptTokens += entry.promptTokens || 0;
+  bucket.outputTokens += entry.outputTokens || 0;
+  bucket.totalTokens += entry.totalTokens || 0;
+  bucket.costUsd = roundUsd(bucket.costUsd + (entry.costUsd || 0));
+  bucket.latencyMs += entry.latencyMs || 0;
+};
+
+const finalizeBucket = ({ latencyMs, ...bucket }) => ({
+  ...bucket,
+  avgLatencyMs: bucket.requests ? Math.round(latencyMs / bucket.requests) : 0,
+});
+
+// Total hari ini: { date, total: bucket, callers: Map<caller, bucket> }
+let dailyTotals = null;
+let dailyTotalsLoading = null;
+
+const loadDailyTotals = async (date) => {
+  const totals = { date, total: createBucket(), callers: new Map() };
+  (await readGenerationLog(entry => getJakartaDate(entry.at) === date)).forEach(entry => {
+    addToDailyTotals(totals, entry);
+  });
+  return totals;
+};
+
+const addToDailyTotals = (totals, entry) => {
+  addToBucket(totals.total, entry);
+  if (!totals.callers.has(entry.caller)) totals.callers.set(entry.caller, createBucket());
+  addToBucket(totals.callers.get(entry.caller), entry);
+};
+
+const getDailyTotals = async () => {
+  const today = getJakartaDate();
+  if (dailyTotals && dailyTotals.date === today) return dailyTotals;
+  if (!dailyTotalsLoading || dailyTotalsLoading.date !== today) {
+    dailyTotalsLoading = { date: today, promise: loadDailyTotals(today) };
+  }
+  const totals = await dailyTotalsLoading.promise;
+  if (!dailyTotals || dailyTotals.date !== today) dailyTotals = totals;
+  return dailyTotals;
+};
+
+/**
+ * Status anggaran hari ini untuk pemanggil request aktif.
+ */
+const getBudgetStatus = async () => {
+  const { caller } = getRequestContext();
+  const totals = await getDailyTotals();
+  const limits = getBudgetLimits();
+  const callerTotals = totals.callers.get(caller) || createBucket();
+  return {
+    date: totals.date,
+    resetAt: getNextJakartaMidnight().toISOString(),
+    global: {
+      limitUsd: limits.dailyUsd,
+      usedUsd: totals.total.costUsd,
+      limitTokens: limits.dailyTokens,
+      usedTokens: totals.total.totalTokens,
+    },
+    caller: {
+      id: caller || null,
+      limitUsd: limits.callerDailyUsd,
+      usedUsd: callerTotals.costUsd,
+    },
+  };
+};
+
+/**
+ * Lempar BUDGET_EXCEEDED jika anggaran harian (global atau pemanggil) sudah habis.
+ * Dipanggil sebelum request ke provider; hasil cache tidak dibatasi.
+ */
+const assertWithinBudget = async () => {
+  const status = await getBudgetStatus();
+  const exceeded = (scope, limit, used, unit) => {
+    throw new ApiError('BUDGET_EXCEEDED', `Batas ${unit === 'token' ? 'token' : 'biaya'} harian (${scope}) tercapai: ${used} dari ${limit} ${unit}.`, {
+      scope, limit, used, unit, resetAt: status.resetAt,
+    });
+  };
+
+  if (status.global.limitUsd !== null && status.global.usedUsd >= status.global.limitUsd) {
+    exceeded('global', status.global.limitUsd, status.global.usedUsd, 'USD');
+  }
+  if (status.global.limitTokens !== null && status.global.usedTokens >= status.global.limitTokens) {
+    exceeded('global', status.global.limitTokens, status.global.usedTokens, 'token');
+  }
+  if (status.caller.limitUsd !== null && status.caller.usedUsd >= status.caller.limitUsd) {
+    exceeded('caller', status.caller.limitUsd, status.caller.usedUsd, 'USD');
+  }
+};
+
+/**
+ * Mencatat satu panggilan provider ke log generasi dan total harian.
+ * @param {object} record - { route, model, prompt, finishReason, usageMetadata, latencyMs, stream }
+ */
+const recordUsage = async ({ route, model, prompt, finishReason, usageMetadata, latencyMs, stream = false }) => {
+  const usage = normalizeUsage(usageMetadata);
+  const entry = {
+    route,
+    model,
+    caller: getRequestContext().caller || null,
+    workspaceId: getRequestContext().workspaceId || null,
+    promptId: prompt ? prompt.id : null,
+    promptVersion: prompt ? prompt.version : null,
+    finishReason: finishReason || null,
+    stream,
+    latencyMs,
+    ...usage,
+    costUsd: calculateCost(model, usage),
+  };
+
+  const totals = await getDailyTotals();
+  await logGeneration(entry);
+  addToDailyTotals(totals, entry);
+};
+
+const groupBy = (entries, getKey) => {
+  const groups = {};
+  entries.forEach(entry => {
+    const key = getKey(entry) || 'unknown';
+    if (!groups[key]) groups[key] = createBucket();
+    addToBucket(groups[key], entry);
+  });
+  return Object.entries(groups)
+    .map(([key, bucket]) => ({ key, ...finalizeBucket(bucket) }))
+    .sort((a, b) => b.costUsd - a.costUsd || b.requests - a.requests);
+};
+
+/**
+ * Agregat pemakaian untuk GET /api/usage.
+ * @param {object} options - { days: jumlah hari ke belakang termasuk hari ini (1-90),
+ *                            workspaceId: hanya pemakaian workspace ini (kosong = semua) }
+ * @returns {Promise<object>} - { days, since, workspaceId, totals, daily, byRoute, byModel, budget }
+ */
+const getUsageSummary = async ({ days = 7, workspaceId = null } = {}) => {
+  if (!Number.isInteger(days) || days < 1 || days > MAX_SUMMARY_DAYS) {
+    throw new ApiError('VALIDATION_FAILED', `'days' harus bilangan bulat 1-${MAX_SUMMARY_DAYS}.`);
+  }
+
+  const dates = Array.from({ length: days }, (_, index) => getJakartaDate(Date.now() - (days - 1 - index) * DAY_MS));
+  const entries = await readGenerationLog(entry => (
+    getJakartaDate(entry.at) >= dates[0] && (!workspaceId || entry.workspaceId === workspaceId)
+  ));
+
+  const totals = createBucket();
+  entries.forEach(entry => addToBucket(totals, entry));
+
+  const byDate = new Map(groupBy(entries, entry => getJakartaDate(entry.at)).map(({ key, ...bucket }) => [key, bucket]));
+
+  return {
+    days,
+    since: dates[0],
+    workspaceId,
+    totals: finalizeBucket(totals),
+    daily: dates.map(date => ({ date, ...(byDate.get(date) || finalizeBucket(createBucket())) })),
+    byRoute: groupBy(entries, entry => entry.route).map(({ key, ...bucket }) => ({ route: key, ...bucket })),
+    byModel: groupBy(entries, entry => entry.model).map(({ key, ...bucket }) => ({ model: key, ...bucket })),
+    budget: await getBudgetStatus(),
+  };
+};
+
+module.exports = { recordUsage, assertWithinBudget, getUsageSummary };
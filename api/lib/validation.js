@@ -0,0 +1,64 @@
+/**
+ * Validasi body request yang sederhana dan tanpa dependensi.
+ *
+ * Skema berbentuk { namaField: aturan }, dengan aturan:
+ *   type: 'string' | 'number' | 'boolean' | 'object' | 'array'
+ *   required: true jika wajib ada (string kosong dianggap tidak ada)
+ *   maxLength / minLength: batas panjang string atau array
+ *   enum: daftar nilai yang diizinkan
+ *   pattern: RegExp yang harus cocok (string), dengan `patternMessage` sebagai pesan error opsional
+ */
+const { ApiError } = require('./errors');
+
+const getType = (value) => (Array.isArray(value) ? 'array' : typeof value);
+
+/**
+ * @param {object} body - req.body
+ * @param {object} schema - Skema field
+ * @returns {Array<{ field, message }>} - Daftar pelanggaran (kosong jika valid)
+ */
+const validate = (body, schema) => {
+  const errors = [];
+  const data = body && typeof body === 'object' ? body : {};
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = data[field];
+    const isMissing = value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+    if (isMissing) {
+      if (rule.required) errors.push({ field, message: `'${field}' wajib diisi.` });
+      return;
+    }
+    if (rule.type && getType(value) !== rule.type) {
+      errors.push({ field, message: `'${field}' harus bertipe ${rule.type}.` });
+      return;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      errors.push({ field, message: `'${field}' maksimal ${rule.maxLength} karakter (saat ini ${value.length}).` });
+    }
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      errors.push({ field, message: `'${field}' minimal ${rule.minLength} karakter.` });
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      errors.push({ field, message: `'${field}' tidak valid. Pilihan: ${rule.enum.join(', ')}.` });
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push({ field, message: rule.patternMessage || `'${field}' formatnya tidak valid.` });
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Middleware Express: tolak request dengan 400 VALIDATION_FAILED jika body tidak sesuai skema.
+ */
+const validateBody = (schema) => (req, res, next) => {
+  const errors = validate(req.body, schema);
+  if (errors.length > 0) {
+    return next(new ApiError('VALIDATION_FAILED', errors.map(e => e.message).join(' '), { fields: errors }));
+  }
+  next();
+};
+
+module.exports = { validate, validateBody };
@@ -0,0 +1,169 @@
+/**
+ * Format YAML "value map" (ekspor dari hasil /api/analyze, lihat api/lib/analysis.js), yang dipakai
+ * sebagai input Mapping Market (App 3) dan pipeline kampanye (api/lib/pipeline.js).
+ *
+ * Skema yang sama dipakai frontend untuk validasi inline di App 3 (VALUE_MAP_SCHEMA di src/App.jsx);
+ * ubah keduanya bersamaan. Aturan per field:
+ *   type: 'string' | 'list' (daftar teks) | 'object' (dengan `fields`)
+ *   required: true jika wajib ada (teks kosong, "N/A", atau daftar kosong dianggap tidak ada)
+ * Field di luar skema dibiarkan (tidak dianggap error).
+ */
+const YAML = require('yaml');
+
+const VISUAL_BREAK = '---VISUAL_BREAK---';
+
+const VALUE_MAP_SCHEMA = {
+  product_name: { type: 'string', required: true },
+  usp: { type: 'string', required: true },
+  audience: {
+    type: 'object',
+    required: true,
+    fields: {
+      primary: { type: 'string', required: true },
+      secondary: { type: 'string' },
+    },
+  },
+  value_map: {
+    type: 'object',
+    required: true,
+    fields: {
+      customer_jobs: { type: 'list', required: true },
+      customer_pains: { type: 'list', required: true },
+      customer_gains: { type: 'list', required: true },
+    },
+  },
+  product_features: { type: 'list' },
+  benefits: {
+    type: 'object',
+    fields: {
+      functional: { type: 'list' },
+      emotional: { type: 'list' },
+    },
+  },
+};
+
+// Nilai pengganti yang berarti "belum diisi" (form manual lama mengisi 'N/A')
+const EMPTY_VALUES = ['', 'n/a', 'na', '-'];
+
+// Batas jumlah error yang dilaporkan agar respons tetap ringkas
+const MAX_ERRORS = 20;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isText = (value) => typeof value === 'string' || typeof value === 'number';
+const isEmpty = (value) => (
+  value === undefined || value === null
+  || (isText(value) && EMPTY_VALUES.includes(String(value).trim().toLowerCase()))
+  || (Array.isArray(value) && value.length === 0)
+);
+
+const formatPath = (path) => path.reduce((name, key) => (
+  typeof key === 'number' ? `${name}[${key}]` : (name ? `${name}.${key}` : key)
+), '');
+
+/**
+ * Bagian YAML dari jawaban /api/analyze format lama, tanpa pagar ```yaml. Tanpa pemisah, seluruh teks dianggap YAML.
+ */
+const extractValueMapYaml = (text) => {
+  const parts = text.split(VISUAL_BREAK);
+  if (parts.length < 2) return text.trim();
+  return parts[1].trim().replace(/^```(?:yaml)?\n|```$/g, '').trim();
+};
+
+const checkFields = (schema, value, path, report) => {
+  Object.entries(schema).forEach(([key, rule]) => {
+    const fieldPath = [...path, key];
+    const name = formatPath(fieldPath);
+    const fieldValue = value[key];
+
+    if (isEmpty(fieldValue)) {
+      if (rule.required) report(fieldPath, `'${name}' wajib diisi.`);
+      return;
+    }
+    if (rule.type === 'string' && !isText(fieldValue)) {
+      report(fieldPath, `'${name}' harus berupa teks satu baris.`);
+    } else if (rule.type === 'list') {
+      if (!Array.isArray(fieldValue)) {
+        report(fieldPath, `'${name}' harus berupa daftar (setiap item diawali "- ").`);
+        return;
+      }
+      fieldValue.forEach((item, index) => {
+        if (!isText(item) || isEmpty(item)) {
+          report([...fieldPath, index], `'${formatPath([...fieldPath, index])}' harus berupa teks yang tidak kosong.`);
+        }
+      });
+    } else if (rule.type === 'object') {
+      if (!isPlainObject(fieldValue)) {
+        report(fieldPath, `'${name}' harus berisi sub-field (${Object.keys(rule.fields).join(', ')}).`);
+        return;
+      }
+      checkFields(rule.fields, fieldValue, fieldPath, report);
+    }
+  });
+};
+
+/**
+ * Parse dan validasi teks YAML value map.
+ * @param {string} text - Teks YAML (tanpa bagian visual)
+ * @returns {object} - { valid, data: objek hasil parse (null jika YAML rusak), errors: [{ path, line, message }] }
+ */
+const validateValueMap = (text) => {
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(text || '', { lineCounter });
+
+  if (doc.errors.length > 0) {
+    return {
+      valid: false,
+      data: null,
+      errors: doc.errors.slice(0, MAX_ERRORS).map(error => ({
+        path: '',
+        line: error.linePos ? error.linePos[0].line : null,
+        message: `Format YAML tidak valid: ${error.message.split('\n')[0]}`,
+      })),
+    };
+  }
+
+  const data = doc.toJS();
+  if (!isPlainObject(data)) {
+    return { valid: false, data: null, errors: [{ path: '', line: 1, message: 'Value map harus berupa daftar field "nama: nilai".' }] };
+  }
+
+  // Baris sebuah path: key-nya (atau item daftar), atau key induk terdekat yang ada (untuk field yang hilang)
+  const lineOf = (path) => {
+    for (let length = path.length; length > 0; length--) {
+      const key = path[length - 1];
+      const parent = length > 1 ? doc.getIn(path.slice(0, length - 1), true) : doc.contents;
+      let node = null;
+      if (YAML.isMap(parent)) {
+        const pair = parent.items.find(item => item.key && item.key.value === key);
+        node = pair && pair.key;
+      } else if (YAML.isSeq(parent)) {
+        node = parent.items[key];
+      }
+      if (node && node.range) return lineCounter.linePos(node.range[0]).line;
+    }
+    return 1;
+  };
+
+  const errors = [];
+  checkFields(VALUE_MAP_SCHEMA, data, [], (path, message) => {
+    if (errors.length < MAX_ERRORS) errors.push({ path: formatPath(path), line: lineOf(path), message });
+  });
+  return { valid: errors.length === 0, data, errors };
+};
+
+/**
+ * Validasi value map dari teks langkah 'analyze' pipeline: ekspor YAML, atau format lama
+ * (bagian visual + ---VISUAL_BREAK--- + YAML) dari run yang dibuat sebelum output terstruktur.
+ * @returns {object} - { valid, errors } (tanpa data, untuk dikirim sebagai metadata generasi)
+ */
+const inspectValueMapText = (text) => {
+  const { valid, errors } = validateValueMap(extractValueMapYaml(text));
+  return { valid, errors };
+};
+
+module.exports = {
+  VALUE_MAP_SCHEMA,
+  extractValueMapYaml,
+  validateValueMap,
+  inspectValueMapText,
+};
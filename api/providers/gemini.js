@@ -0,0 +1,66 @@
+/**
+ * Provider Google Gemini (generativelanguage.googleapis.com).
+ * Payload dan respons sudah dalam format asli Gemini, jadi tidak ada konversi.
+ */
+const { readSSE } = require('./sse');
+const { assertResponseOk } = require('./http');
+const { ApiError } = require('../lib/errors');
+
+const GEMINI_BASE_URL = process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta';
+
+// Kunci API akan diambil dari Environment Variable di Vercel
+const apiKey = process.env.GEMINI_API_KEY;
+
+/**
+ * Memastikan konfigurasi provider lengkap sebelum request dikirim.
+ */
+const validateConfig = () => {
+  if (!apiKey) {
+    console.error("FATAL ERROR: GEMINI_API_KEY is not set in Vercel Environment Variables.");
+    throw new ApiError('CONFIG_MISSING_KEY', "Server configuration error: API Key is missing.");
+  }
+};
+
+/**
+ * Memanggil endpoint generateContent Gemini.
+ * @param {string} model - Nama model Gemini
+ * @param {object} payload - Payload format Gemini
+ * @returns {Promise<object>} - Respons mentah Gemini ({ candidates, usageMetadata, ... })
+ */
+const generateContent = async (model, payload, context = {}) => {
+  const apiUrl = `${GEMINI_BASE_URL}/models/${model}:generateContent?key=${apiKey}`;
+  const response = await postJSON(apiUrl, payload, context.signal);
+  return response.json();
+};
+
+/**
+ * Memanggil endpoint streamGenerateContent Gemini (mode SSE).
+ * Setiap potongan yang dihasilkan berbentuk respons Gemini parsial
+ * ({ candidates: [{ content: { parts: [{ text }] } }] }).
+ * @param {string} model - Nama model Gemini
+ * @param {object} payload - Payload format Gemini
+ * @param {object} context - { signal } untuk membatalkan stream
+ */
+async function* streamGenerateContent(model, payload, context = {}) {
+  const apiUrl = `${GEMINI_BASE_URL}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`;
+  const response = await postJSON(apiUrl, payload, context.signal);
+
+  for await (const data of readSSE(response)) {
+    if (data) yield JSON.parse(data);
+  }
+}
+
+const postJSON = async (url, payload, signal) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal,
+  });
+
+  await assertResponseOk(response);
+
+  return response;
+};
+
+module.exports = { name: 'gemini', validateConfig, generateContent, streamGenerateContent };
@@ -0,0 +1,38 @@
+/**
+ * Helper HTTP bersama untuk provider yang memanggil API lewat fetch.
+ */
+
+/**
+ * Membaca waktu tunggu yang diminta upstream (ms), dari header `Retry-After`
+ * (detik atau tanggal HTTP) atau dari `RetryInfo.retryDelay` di body error Gemini ("30s").
+ * @returns {number|undefined}
+ */
+const parseRetryAfter = (response, errorText) => {
+  const header = response.headers.get('retry-after');
+  if (header) {
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const match = /"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/.exec(errorText || '');
+  if (match) return parseFloat(match[1]) * 1000;
+  return undefined;
+};
+
+/**
+ * Lempar Error dengan `status` dan `retryAfterMs` jika response tidak OK.
+ * @param {Response} response - Response fetch
+ */
+const assertResponseOk = async (response) => {
+  if (response.ok) return;
+
+  const errorText = await response.text();
+  const error = new Error(`API error ${response.status}: ${errorText}`);
+  error.status = response.status;
+  error.retryAfterMs = parseRetryAfter(response, errorText);
+  throw error;
+};
+
+module.exports = { assertResponseOk, parseRetryAfter };
@@ -0,0 +1,30 @@
+/**
+ * Pemilih provider LLM berdasarkan environment variable `LLM_PROVIDER`.
+ *
+ *   LLM_PROVIDER=gemini  (default) Google Gemini, butuh GEMINI_API_KEY
+ *   LLM_PROVIDER=openai  Endpoint kompatibel OpenAI (Ollama, llama.cpp, dll)
+ *                        OPENAI_BASE_URL, OPENAI_API_KEY (opsional), OPENAI_MODEL
+ *   LLM_PROVIDER=mock    Respons fixture deterministik tanpa API key/jaringan
+ *                        MOCK_FIXTURES_DIR (opsional), MOCK_LATENCY_MS (opsional),
+ *                        MOCK_MAX_OUTPUT_TOKENS (opsional, simulasi output terpotong)
+ *
+ * Setiap provider mengekspor { name, validateConfig, generateContent } dan
+ * selalu mengembalikan respons dalam format Gemini ({ candidates, usageMetadata }).
+ */
+const gemini = require('./gemini');
+const openai = require('./openai');
+const mock = require('./mock');
+const { ApiError } = require('../lib/errors');
+
+const providers = { gemini, openai, mock };
+
+const getProvider = () => {
+  const providerName = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const provider = providers[providerName];
+  if (!provider) {
+    throw new ApiError('CONFIG_INVALID', `Server configuration error: LLM_PROVIDER '${providerName}' tidak dikenal (pilihan: ${Object.keys(providers).join(', ')}).`);
+  }
+  return provider;
+};
+
+module.exports = { getProvider };
@@ -0,0 +1,221 @@
+/**
+ * Provider mock yang deterministik dan berjalan tanpa jaringan.
+ *
+ * Respons diambil dari fixture `api/fixtures/<route>.json`. Format fixture:
+ *   { "text": "...", "groundingMetadata": { ... } }  -> respons teks
+ *   { "json": { ... } }                              -> respons JSON (route dengan responseSchema)
+ * Field opsional untuk mensimulasikan kasus khusus:
+ *   "finishReason": "SAFETY", "safetyRatings": [ ... ], "promptFeedback": { "blockReason": "SAFETY" }
+ *
+ * generationConfig.maxOutputTokens (atau env MOCK_MAX_OUTPUT_TOKENS) dihormati: teks dipotong
+ * dan finishReason menjadi MAX_TOKENS.
+ * Permintaan lanjutan (contents berisi jawaban model sebelumnya) melanjutkan teks fixture.
+ * Permintaan perbaikan kontrak output (lihat api/lib/contracts.js) memakai field opsional
+ * "repair": { "text" | "json" } jika ada, selain itu fixture yang sama dikirim ulang utuh.
+ *
+ * Jika fixture tidak ada, mock membuat respons dari payload:
+ * audio senyap untuk TTS, objek contoh dari responseSchema, atau gema teks input.
+ */
+const fs = require('fs');
+const path = require('path');
+const { REPAIR_PROMPT_PREFIX } = require('../lib/contracts');
+
+const FIXTURES_DIR = process.env.MOCK_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures');
+const MOCK_LATENCY_MS = parseInt(process.env.MOCK_LATENCY_MS || '0', 10);
+const MOCK_STREAM_DELAY_MS = parseInt(process.env.MOCK_STREAM_DELAY_MS || '20', 10);
+const MOCK_STREAM_CHUNK_SIZE = 40;
+// Simulasi batas token output untuk menguji auto-continue (0 = tanpa batas)
+const MOCK_MAX_OUTPUT_TOKENS = parseInt(process.env.MOCK_MAX_OUTPUT_TOKENS || '0', 10);
+const MOCK_SAMPLE_RATE = 24000;
+
+const loadFixture = (route) => {
+  if (!route) return null;
+  const fixturePath = path.join(FIXTURES_DIR, `${route}.json`);
+  if (!fs.existsSync(fixturePath)) return null;
+  return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+};
+
+const getInputText = (payload) => (payload.contents || [])
+  .flatMap(content => content.parts || [])
+  .map(part => part.text || '')
+  .join('\n');
+
+/**
+ * Membuat contoh nilai dari skema Gemini (OBJECT/ARRAY/STRING/NUMBER/...).
+ */
+const buildFromSchema = (schema, key = 'nilai') => {
+  switch ((schema.type || '').toUpperCase()) {
+    case 'OBJECT': {
+      const result = {};
+      Object.entries(schema.properties || {}).forEach(([prop, propSchema]) => {
+        result[prop] = buildFromSchema(propSchema, prop);
+      });
+      return result;
+    }
+    case 'ARRAY':
+      return [buildFromSchema(schema.items || { type: 'STRING' }, key)];
+    case 'NUMBER':
+    case 'INTEGER':
+      return 1;
+    case 'BOOLEAN':
+      return true;
+    default:
+      return schema.enum ? schema.enum[0] : `Contoh ${key}`;
+  }
+};
+
+/**
+ * Audio PCM 16-bit senyap (0,5 detik) dalam base64, sama seperti format TTS Gemini.
+ */
+const buildSilentAudio = () => {
+  const pcm = Buffer.alloc(MOCK_SAMPLE_RATE); // 0,5 detik x 2 byte per sampel
+  return { mimeType: `audio/L16;codec=pcm;rate=${MOCK_SAMPLE_RATE}`, data: pcm.toString('base64') };
+};
+
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+const getContentText = (content) => (content.parts || []).map(part => part.text || '').join('');
+
+// Posisi pesan perbaikan kontrak terakhir di contents (-1 jika bukan permintaan perbaikan)
+const findRepairIndex = (payload) => {
+  const contents = payload.contents || [];
+  for (let i = contents.length - 1; i >= 0; i--) {
+    if (contents[i].role === 'user' && getContentText(contents[i]).startsWith(REPAIR_PROMPT_PREFIX)) return i;
+  }
+  return -1;
+};
+
+/**
+ * Teks yang sudah dijawab model pada permintaan lanjutan (auto-continue setelah MAX_TOKENS).
+ * Jawaban sebelum pesan perbaikan tidak dihitung, karena perbaikan menulis ulang seluruh jawaban.
+ */
+const getPreviousModelText = (payload) => (payload.contents || [])
+  .slice(findRepairIndex(payload) + 1)
+  .filter(content => content.role === 'model')
+  .map(getContentText)
+  .join('');
+
+/**
+ * Fixture untuk payload ini: isi "repair" menggantikan text/json pada permintaan perbaikan.
+ */
+const selectFixture = (fixture, payload) => {
+  if (!fixture || !fixture.repair || findRepairIndex(payload) < 0) return fixture;
+  return { ...fixture, text: undefined, json: undefined, ...fixture.repair };
+};
+
+const buildCandidate = (route, payload) => {
+  const generationConfig = payload.generationConfig || {};
+  const fixture = selectFixture(loadFixture(route), payload);
+
+  if (generationConfig.responseModalities && generationConfig.responseModalities.includes('AUDIO')) {
+    return { content: { role: 'model', parts: [{ inlineData: buildSilentAudio() }] }, finishReason: 'STOP' };
+  }
+
+  let text;
+  if (fixture && fixture.json !== undefined) {
+    text = JSON.stringify(fixture.json);
+  } else if (fixture && fixture.text !== undefined) {
+    text = fixture.text;
+  } else if (generationConfig.responseSchema) {
+    text = JSON.stringify(buildFromSchema(generationConfig.responseSchema));
+  } else {
+    text = `[MOCK] Respons untuk: ${getInputText(payload).trim().slice(0, 200)}`;
+  }
+
+  const previousText = getPreviousModelText(payload);
+  if (previousText && text.startsWith(previousText)) {
+    text = text.slice(previousText.length);
+  }
+
+  let finishReason = (fixture && fixture.finishReason) || 'STOP';
+  const maxOutputTokens = generationConfig.maxOutputTokens || MOCK_MAX_OUTPUT_TOKENS;
+  const maxChars = maxOutputTokens ? maxOutputTokens * 4 : Infinity;
+  if (text.length > maxChars) {
+    text = text.slice(0, maxChars);
+    finishReason = 'MAX_TOKENS';
+  }
+
+  const candidate = { content: { role: 'model', parts: [{ text }] }, finishReason };
+  if (fixture && fixture.safetyRatings) {
+    candidate.safetyRatings = fixture.safetyRatings;
+  }
+  if (fixture && fixture.groundingMetadata) {
+    candidate.groundingMetadata = fixture.groundingMetadata;
+  }
+  return candidate;
+};
+
+const validateConfig = () => {};
+
+/**
+ * @param {string} model - Nama model (hanya dicatat)
+ * @param {object} payload - Payload format Gemini
+ * @param {object} context - { route } untuk memilih fixture, { signal } untuk membatalkan (seperti fetch)
+ * @returns {Promise<object>} - Respons dalam format Gemini
+ */
+const generateContent = async (model, payload, context = {}) => {
+  if (MOCK_LATENCY_MS > 0) {
+    await new Promise((res, rej) => {
+      const timer = setTimeout(() => {
+        if (context.signal) context.signal.removeEventListener('abort', onAbort);
+        res();
+      }, MOCK_LATENCY_MS);
+      const onAbort = () => {
+        clearTimeout(timer);
+        rej(context.signal.reason);
+      };
+      if (context.signal) context.signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  const fixture = loadFixture(context.route);
+  if (fixture && fixture.promptFeedback) {
+    return { promptFeedback: fixture.promptFeedback, modelVersion: `mock:${model}` };
+  }
+
+  const candidate = buildCandidate(context.route, payload);
+  const systemText = (payload.systemInstruction?.parts || []).map(part => part.text || '').join('\n');
+  const promptTokenCount = estimateTokens(`${systemText}\n${getInputText(payload)}`);
+  const candidatesTokenCount = estimateTokens(candidate.content.parts[0].text || '');
+
+  return {
+    candidates: [candidate],
+    usageMetadata: {
+      promptTokenCount,
+      candidatesTokenCount,
+      totalTokenCount: promptTokenCount + candidatesTokenCount,
+    },
+    modelVersion: `mock:${model}`,
+  };
+};
+
+/**
+ * Versi streaming: teks fixture dipotong per MOCK_STREAM_CHUNK_SIZE karakter.
+ */
+async function* streamGenerateContent(model, payload, context = {}) {
+  const response = await generateContent(model, payload, context);
+  if (!response.candidates) {
+    yield response;
+    return;
+  }
+  const { candidates: [candidate], usageMetadata } = response;
+  const text = candidate.content.parts[0].text || '';
+
+  for (let i = 0; i < text.length; i += MOCK_STREAM_CHUNK_SIZE) {
+    if (context.signal && context.signal.aborted) return;
+    const isLast = i + MOCK_STREAM_CHUNK_SIZE >= text.length;
+    yield {
+      candidates: [{
+        content: { role: 'model', parts: [{ text: text.slice(i, i + MOCK_STREAM_CHUNK_SIZE) }] },
+        finishReason: isLast ? candidate.finishReason : undefined,
+        safetyRatings: isLast ? candidate.safetyRatings : undefined,
+      }],
+      usageMetadata: isLast ? usageMetadata : undefined,
+    };
+    if (MOCK_STREAM_DELAY_MS > 0) {
+      await new Promise(res => setTimeout(res, MOCK_STREAM_DELAY_MS));
+    }
+  }
+}
+
+module.exports = { name: 'mock', validateConfig, generateContent, streamGenerateContent };
@@ -0,0 +1,142 @@
+/**
+ * Provider untuk endpoint yang kompatibel dengan OpenAI Chat Completions
+ * (OpenAI, Ollama, llama.cpp server, LM Studio, vLLM, dll).
+ *
+ * Payload Gemini dikonversi ke format `messages`, lalu respons dikonversi
+ * kembali ke bentuk `candidates` Gemini agar semua route tidak perlu tahu
+ * provider mana yang sedang dipakai.
+ */
+const { readSSE } = require('./sse');
+const { assertResponseOk } = require('./http');
+const { ApiError } = require('../lib/errors');
+
+// Default mengarah ke Ollama lokal
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/$/, '');
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+// Nama model Gemini tidak dikenal oleh server lokal, jadi bisa ditimpa lewat env
+const OPENAI_MODEL = process.env.OPENAI_MODEL;
+
+const FINISH_REASON_MAP = {
+  stop: 'STOP',
+  length: 'MAX_TOKENS',
+  content_filter: 'SAFETY',
+};
+
+const partsToText = (parts = []) => parts.map(part => part.text || '').join('');
+
+/**
+ * Mengubah payload Gemini menjadi body request Chat Completions.
+ */
+const toChatCompletionBody = (model, payload) => {
+  const generationConfig = payload.generationConfig || {};
+
+  if (generationConfig.responseModalities && generationConfig.responseModalities.includes('AUDIO')) {
+    throw new ApiError('CONFIG_INVALID', "Provider 'openai' tidak mendukung output audio (TTS). Gunakan provider 'gemini' atau 'mock'.");
+  }
+
+  if (payload.tools && payload.tools.length > 0) {
+    console.warn(`Provider 'openai' mengabaikan tools (${payload.tools.map(t => Object.keys(t).join(',')).join(', ')}).`);
+  }
+
+  let systemText = payload.systemInstruction ? partsToText(payload.systemInstruction.parts) : '';
+  if (generationConfig.responseSchema) {
+    // Model lokal umumnya tidak mendukung responseSchema, jadi skema disisipkan ke instruksi
+    systemText += `\n\nKembalikan HANYA JSON yang valid sesuai skema berikut:\n${JSON.stringify(generationConfig.responseSchema)}`;
+  }
+
+  const messages = [];
+  if (systemText.trim()) {
+    messages.push({ role: 'system', content: systemText });
+  }
+  (payload.contents || []).forEach(content => {
+    messages.push({
+      role: content.role === 'model' ? 'assistant' : 'user',
+      content: partsToText(content.parts),
+    });
+  });
+
+  const body = { model: OPENAI_MODEL || model, messages };
+  if (generationConfig.temperature !== undefined) body.temperature = generationConfig.temperature;
+  if (generationConfig.topP !== undefined) body.top_p = generationConfig.topP;
+  if (generationConfig.maxOutputTokens !== undefined) body.max_tokens = generationConfig.maxOutputTokens;
+  if (generationConfig.responseMimeType === 'application/json') {
+    body.response_format = { type: 'json_object' };
+  }
+  return body;
+};
+
+/**
+ * Mengubah respons Chat Completions menjadi bentuk respons Gemini.
+ */
+const toGeminiResponse = (data) => {
+  const candidates = (data.choices || []).map(choice => ({
+    content: { role: 'model', parts: [{ text: choice.message?.content || '' }] },
+    finishReason: FINISH_REASON_MAP[choice.finish_reason] || 'OTHER',
+  }));
+
+  return { candidates, usageMetadata: toUsageMetadata(data.usage) };
+};
+
+const toUsageMetadata = (usage = {}) => ({
+  promptTokenCount: usage.prompt_tokens || 0,
+  candidatesTokenCount: usage.completion_tokens || 0,
+  totalTokenCount: usage.total_tokens || 0,
+});
+
+const validateConfig = () => {};
+
+/**
+ * Memanggil endpoint /chat/completions.
+ * @param {string} model - Nama model (diabaikan jika OPENAI_MODEL diset)
+ * @param {object} payload - Payload format Gemini
+ * @param {object} context - { signal } untuk membatalkan request
+ * @returns {Promise<object>} - Respons dalam format Gemini
+ */
+const generateContent = async (model, payload, context = {}) => {
+  const response = await postChatCompletion(toChatCompletionBody(model, payload), context.signal);
+  return toGeminiResponse(await response.json());
+};
+
+/**
+ * Versi streaming dari generateContent (`stream: true`).
+ * Setiap delta dikonversi menjadi respons Gemini parsial.
+ */
+async function* streamGenerateContent(model, payload, context = {}) {
+  // include_usage: chunk terakhir (tanpa choices) berisi total token
+  const body = { ...toChatCompletionBody(model, payload), stream: true, stream_options: { include_usage: true } };
+  const response = await postChatCompletion(body, context.signal);
+
+  for await (const data of readSSE(response)) {
+    if (!data || data === '[DONE]') continue;
+    const chunk = JSON.parse(data);
+    if (chunk.usage) {
+      yield { usageMetadata: toUsageMetadata(chunk.usage) };
+    }
+    const choice = (chunk.choices || [])[0];
+    if (!choice) continue;
+    yield {
+      candidates: [{
+        content: { role: 'model', parts: [{ text: choice.delta?.content || '' }] },
+        finishReason: choice.finish_reason ? (FINISH_REASON_MAP[choice.finish_reason] || 'OTHER') : undefined,
+      }],
+    };
+  }
+}
+
+const postChatCompletion = async (body, signal) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (OPENAI_API_KEY) headers.Authorization = `Bearer ${OPENAI_API_KEY}`;
+
+  const response = await fetch(`${OPENAI_BASE_URL}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  await assertResponseOk(response);
+
+  return response;
+};
+
+module.exports = { name: 'openai', validateConfig, generateContent, streamGenerateContent };
@@ -0,0 +1,26 @@
+/**
+ * Membaca body response fetch yang berformat Server-Sent Events.
+ * Menghasilkan isi setiap baris `data:` (tanpa prefix) satu per satu.
+ * @param {Response} response - Response fetch dengan body stream
+ */
+async function* readSSE(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.startsWith('data:')) {
+        yield line.slice(5).trim();
+      }
+    }
+  }
+
+  if (buffer.startsWith('data:')) {
+    yield buffer.slice(5).trim();
+  }
+}
+
+module.exports = { readSSE };
@@ -0,0 +1,126 @@
+/**
+ * Admin API untuk registry prompt (lihat api/lib/prompts.js).
+ *
+ *   GET    /api/admin/prompts                       Daftar prompt + versi aktif
+ *   GET    /api/admin/prompts/:id                   Detail, riwayat versi, statistik pemakaian dan pelanggaran
+ *                                                   kontrak output per versi (lihat api/lib/contracts.js)
+ *   POST   /api/admin/prompts/:id/versions          Buat versi baru { template, note, author, activate }
+ *   PUT    /api/admin/prompts/:id                   Ganti versi aktif { activeVersion } (termasuk rollback)
+ *   DELETE /api/admin/prompts/:id/versions/:version Hapus versi yang tidak aktif
+ */
+const express = require('express');
+const { ApiError } = require('../lib/errors');
+const { validateBody } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+const { requireAdmin } = require('../lib/admin-auth');
+const {
+  listPrompts,
+  getPrompt,
+  createPromptVersion,
+  activatePromptVersion,
+  deletePromptVersion,
+} = require('../lib/prompts');
+const { readGenerationLog, readContractLog } = require('../lib/generation-log');
+
+const router = express.Router();
+router.use(requireAdmin);
+
+const parseVersion = (value) => {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new ApiError('VALIDATION_FAILED', `Versi '${value}' tidak valid.`);
+  }
+  return version;
+};
+
+/**
+ * Jumlah generasi dan sebaran finishReason per versi, dari log generasi.
+ */
+const getVersionUsage = async (promptId) => {
+  const usage = {};
+  (await readGenerationLog(entry => entry.promptId === promptId)).forEach(entry => {
+    const stats = usage[entry.promptVersion] || (usage[entry.promptVersion] = { generations: 0, finishReasons: {}, lastUsedAt: null });
+    stats.generations++;
+    const reason = entry.finishReason || 'UNKNOWN';
+    stats.finishReasons[reason] = (stats.finishReasons[reason] || 0) + 1;
+    stats.lastUsedAt = entry.at;
+  });
+  return usage;
+};
+
+/**
+ * Hasil pemeriksaan kontrak output per versi, dari log kontrak: berapa yang lolos langsung,
+ * yang lolos setelah diperbaiki, yang tetap gagal, dan pelanggaran yang paling sering.
+ */
+const getVersionContracts = async (promptId) => {
+  const contracts = {};
+  (await readContractLog(entry => entry.promptId === promptId)).forEach(entry => {
+    const stats = contracts[entry.promptVersion] || (contracts[entry.promptVersion] = {
+      checks: 0, passed: 0, repaired: 0, failed: 0, violationRate: 0, violations: {}, lastViolationAt: null,
+    });
+    stats.checks++;
+    if (entry.passed) {
+      stats.passed++;
+    } else {
+      if (entry.failed) stats.failed++;
+      else stats.repaired++;
+      (entry.violations || []).forEach(violation => {
+        stats.violations[violation] = (stats.violations[violation] || 0) + 1;
+      });
+      stats.lastViolationAt = entry.at;
+    }
+    stats.violationRate = Number(((stats.checks - stats.passed) / stats.checks).toFixed(3));
+  });
+  return contracts;
+};
+
+router.get('/', async (req, res, next) => {
+  try {
+    res.status(200).json({ prompts: await listPrompts() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const prompt = await getPrompt(req.params.id);
+    res.status(200).json({
+      ...prompt,
+      usage: await getVersionUsage(req.params.id),
+      contracts: await getVersionContracts(req.params.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/versions', validateBody(schemas['admin-prompt-version']), async (req, res, next) => {
+  try {
+    const prompt = await createPromptVersion(req.params.id, { author: req.user.email, ...req.body });
+    console.log(`PROMPT: ${req.params.id} v${prompt.latestVersion} dibuat (aktif: v${prompt.activeVersion})`);
+    res.status(201).json(prompt);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:id', validateBody(schemas['admin-prompt-activate']), async (req, res, next) => {
+  try {
+    const prompt = await activatePromptVersion(req.params.id, parseVersion(req.body.activeVersion));
+    console.log(`PROMPT: ${req.params.id} sekarang memakai v${prompt.activeVersion}`);
+    res.status(200).json(prompt);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id/versions/:version', async (req, res, next) => {
+  try {
+    res.status(200).json(await deletePromptVersion(req.params.id, parseVersion(req.params.version)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
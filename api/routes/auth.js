@@ -0,0 +1,165 @@
+/**
+ * Login, pendaftaran, dan magic link (lihat api/lib/auth.js dan api/lib/accounts.js).
+ *
+ *   GET  /api/auth/config             { registrationOpen } untuk layar login
+ *   POST /api/auth/register           { email, name, password } -> sesi
+ *   POST /api/auth/login              { email, password } -> sesi
+ *   POST /api/auth/magic-link         { email } -> kirim link login ke email (lewat api/lib/mailer.js)
+ *   POST /api/auth/magic-link/verify  { token } -> sesi (link hanya bisa dipakai sekali)
+ *   GET  /api/auth/me                 Pengguna yang login + workspace-nya
+ *   POST /api/auth/logout             Akhiri semua sesi pengguna
+ *
+ * Sesi berbentuk { token, user, workspaces }.
+ */
+const crypto = require('crypto');
+const express = require('express');
+const { ApiError } = require('../lib/errors');
+const { validateBody } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+const { signToken, verifyToken } = require('../lib/tokens');
+const { sendMail, getAppUrl } = require('../lib/mailer');
+const { createSessionToken, assertLoginAllowed, recordLoginResult } = require('../lib/auth');
+const {
+  normalizeEmail,
+  verifyPassword,
+  toPublicUser,
+  findUserByEmail,
+  getUser,
+  isRegistrationOpen,
+  canRegister,
+  createUser,
+  updateUser,
+  listWorkspacesForUser,
+  toWorkspaceSummary,
+} = require('../lib/accounts');
+
+const MAGIC_LINK_TTL_SECONDS = 15 * 60;
+
+const router = express.Router();
+
+const buildSession = async (user) => {
+  const current = await updateUser(user.id, { lastLoginAt: new Date().toISOString() });
+  const workspaces = await listWorkspacesForUser(user.id);
+  return {
+    token: createSessionToken(current),
+    user: toPublicUser(current),
+    workspaces: workspaces.map(workspace => toWorkspaceSummary(workspace, user.id)),
+  };
+};
+
+router.get('/config', async (req, res, next) => {
+  try {
+    res.status(200).json({ registrationOpen: await isRegistrationOpen() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/register', validateBody(schemas['auth-register']), async (req, res, next) => {
+  try {
+    const user = await createUser(req.body);
+    res.status(201).json(await buildSession(user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/login', validateBody(schemas['auth-login']), async (req, res, next) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    assertLoginAllowed(email);
+
+    const user = await findUserByEmail(email);
+    const valid = user ? await verifyPassword(req.body.password, user.passwordHash) : false;
+    recordLoginResult(email, valid);
+    if (!valid) {
+      throw new ApiError('UNAUTHORIZED', 'Email atau password salah.');
+    }
+    console.log(`AUTH: ${email} masuk dengan password`);
+    res.status(200).json(await buildSession(user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/magic-link', validateBody(schemas['auth-magic-link']), async (req, res, next) => {
+  try {
+    const appUrl = getAppUrl();
+    const email = normalizeEmail(req.body.email);
+    const user = await findUserByEmail(email);
+
+    // Akun baru lewat magic link hanya jika email boleh mendaftar (diundang / pendaftaran terbuka)
+    if (user || await canRegister(email)) {
+      const nonce = crypto.randomBytes(16).toString('hex');
+      if (user) await updateUser(user.id, { magicLinkNonce: nonce });
+      const token = signToken({ typ: 'magic', email, nonce: user ? nonce : null }, MAGIC_LINK_TTL_SECONDS);
+      await sendMail({
+        to: email,
+        subject: 'Link masuk AI SATSET',
+        text: [
+          'Klik link berikut untuk masuk ke AI SATSET:',
+          '',
+          `${appUrl}/?magic=${encodeURIComponent(token)}`,
+          '',
+          `Link berlaku ${MAGIC_LINK_TTL_SECONDS / 60} menit dan hanya bisa dipakai sekali.`,
+          'Abaikan email ini jika Anda tidak meminta link masuk.',
+        ].join('\n'),
+      });
+    } else {
+      console.log(`AUTH: magic link untuk ${email} tidak dikirim (belum terdaftar/diundang)`);
+    }
+
+    // Jawaban sama untuk email terdaftar maupun tidak, agar daftar pengguna tidak bisa ditebak
+    res.status(202).json({ message: 'Jika email terdaftar atau diundang, link masuk sudah dikirim.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/magic-link/verify', validateBody(schemas['auth-magic-link-verify']), async (req, res, next) => {
+  try {
+    const payload = verifyToken(req.body.token, 'magic');
+    if (!payload) {
+      throw new ApiError('UNAUTHORIZED', 'Link masuk tidak valid atau sudah kedaluwarsa.');
+    }
+
+    let user = await findUserByEmail(payload.email);
+    if (user) {
+      if (!payload.nonce || user.magicLinkNonce !== payload.nonce) {
+        throw new ApiError('UNAUTHORIZED', 'Link masuk sudah dipakai. Minta link baru.');
+      }
+      await updateUser(user.id, { magicLinkNonce: null });
+    } else {
+      user = await createUser({ email: payload.email });
+    }
+    console.log(`AUTH: ${user.email} masuk dengan magic link`);
+    res.status(200).json(await buildSession(user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/me', async (req, res, next) => {
+  try {
+    const workspaces = await listWorkspacesForUser(req.user.id);
+    res.status(200).json({
+      user: toPublicUser(req.user),
+      workspaces: workspaces.map(workspace => toWorkspaceSummary(workspace, req.user.id)),
+      activeWorkspaceId: req.workspace ? req.workspace.id : null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/logout', async (req, res, next) => {
+  try {
+    const user = await getUser(req.user.id);
+    if (user) await updateUser(user.id, { sessionVersion: user.sessionVersion + 1 });
+    res.status(200).json({ message: 'Berhasil keluar.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+/**
+ * Arsip hasil generasi dalam workspace aktif (lihat api/lib/projects.js).
+ *
+ *   GET    /api/generations?projectId=&tool=&route=&limit=  Ringkasan generasi terbaru (dengan cuplikan hasil)
+ *   POST   /api/generations                                 Simpan hasil { projectId, tool, route, input, output, meta }
+ *   GET    /api/generations/:id                             Generasi lengkap (input + hasil)
+ *   DELETE /api/generations/:id                             Hapus dari arsip
+ */
+const express = require('express');
+const { validateBody } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+const { requireWorkspace } = require('../lib/auth');
+const {
+  listGenerations,
+  getGeneration,
+  createGeneration,
+  deleteGeneration,
+} = require('../lib/projects');
+
+const router = express.Router();
+router.use(requireWorkspace);
+
+router.get('/', async (req, res, next) => {
+  try {
+    const generations = await listGenerations(req.workspace.id, {
+      projectId: req.query.projectId,
+      tool: req.query.tool,
+      route: req.query.route,
+      limit: req.query.limit === undefined ? 20 : Number(req.query.limit),
+    });
+    res.status(200).json({ generations });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/', validateBody(schemas.generation), async (req, res, next) => {
+  try {
+    res.status(201).json(await createGeneration(req.workspace.id, req.body, req.user.email));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    res.status(200).json(await getGeneration(req.workspace.id, req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id', async (req, res, next) => {
+  try {
+    res.status(200).json(await deleteGeneration(req.workspace.id, req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+/**
+ * Pipeline kampanye dari satu brief produk (lihat api/lib/pipeline.js).
+ *
+ *   GET    /api/pipeline/runs?projectId=            Daftar run (ringkasan), terbaru dulu
+ *   POST   /api/pipeline/runs                       Buat run { projectId, ...brief } (status 'running')
+ *   GET    /api/pipeline/runs/:id                   Detail run termasuk input/output setiap langkah
+ *   POST   /api/pipeline/runs/:id/step              Jalankan satu langkah berikutnya
+ *   POST   /api/pipeline/runs/:id/pause             Jeda setelah langkah yang sedang berjalan
+ *   POST   /api/pipeline/runs/:id/resume            Lanjutkan run yang dijeda/gagal
+ *   PUT    /api/pipeline/runs/:id/steps/:stepId     Edit output langkah { output }
+ *   DELETE /api/pipeline/runs/:id                   Hapus run
+ *
+ * Router dibuat lewat createPipelineRouter({ generate }) karena pemanggilan LLM per route
+ * ada di api/index.js.
+ */
+const express = require('express');
+const { validateBody } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+const { requireWorkspace } = require('../lib/auth');
+const {
+  listRuns,
+  getRun,
+  createRun,
+  pauseRun,
+  resumeRun,
+  runNextStep,
+  updateStepOutput,
+  deleteRun,
+} = require('../lib/pipeline');
+
+/**
+ * @param {object} options - { generate: async (route, body) => { text, meta } }
+ */
+const createPipelineRouter = ({ generate }) => {
+  const router = express.Router();
+  router.use(requireWorkspace);
+
+  router.get('/runs', async (req, res, next) => {
+    try {
+      const projectId = typeof req.query.projectId === 'string' ? req.query.projectId : undefined;
+      res.status(200).json({ runs: await listRuns(req.workspace.id, { projectId }) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/runs', validateBody(schemas['pipeline-run']), async (req, res, next) => {
+    try {
+      const run = await createRun(req.workspace.id, req.body, req.user.email);
+      console.log(`PIPELINE: run ${run.id} untuk "${run.brief.productName}" dibuat oleh ${req.user.email}`);
+      res.status(201).json(run);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/runs/:id', async (req, res, next) => {
+    try {
+      res.status(200).json(await getRun(req.workspace.id, req.params.id));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/runs/:id/step', async (req, res, next) => {
+    try {
+      res.status(200).json(await runNextStep(req.workspace.id, req.params.id, generate, req.user.email));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/runs/:id/pause', async (req, res, next) => {
+    try {
+      res.status(200).json(await pauseRun(req.workspace.id, req.params.id));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/runs/:id/resume', async (req, res, next) => {
+    try {
+      res.status(200).json(await resumeRun(req.workspace.id, req.params.id));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.put('/runs/:id/steps/:stepId', validateBody(schemas['pipeline-step-output']), async (req, res, next) => {
+    try {
+      res.status(200).json(await updateStepOutput(req.workspace.id, req.params.id, req.params.stepId, req.body.output));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/runs/:id', async (req, res, next) => {
+    try {
+      res.status(200).json(await deleteRun(req.workspace.id, req.params.id));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createPipelineRouter };
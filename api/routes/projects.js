@@ -0,0 +1,77 @@
+/**
+ * Proyek dalam workspace aktif dan state terakhir setiap alat (lihat api/lib/projects.js).
+ *
+ *   GET    /api/projects                    Daftar proyek (ringkasan)
+ *   POST   /api/projects                    Buat proyek { name, description }
+ *   GET    /api/projects/:id                Detail proyek termasuk state semua alat
+ *   PUT    /api/projects/:id                Ubah nama/deskripsi { name, description }
+ *   PUT    /api/projects/:id/tools/:tool    Simpan state alat { state }
+ *   DELETE /api/projects/:id                Hapus proyek beserta riwayat generasinya
+ */
+const express = require('express');
+const { validateBody } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+const { requireWorkspace } = require('../lib/auth');
+const {
+  listProjects,
+  getProject,
+  createProject,
+  updateProject,
+  saveToolState,
+  deleteProject,
+} = require('../lib/projects');
+
+const router = express.Router();
+router.use(requireWorkspace);
+
+router.get('/', async (req, res, next) => {
+  try {
+    res.status(200).json({ projects: await listProjects(req.workspace.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/', validateBody(schemas.project), async (req, res, next) => {
+  try {
+    const project = await createProject(req.workspace.id, req.body, req.user.email);
+    console.log(`PROJECT: "${project.name}" dibuat di workspace ${req.workspace.id}`);
+    res.status(201).json(project);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    res.status(200).json(await getProject(req.workspace.id, req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:id', validateBody(schemas['project-update']), async (req, res, next) => {
+  try {
+    res.status(200).json(await updateProject(req.workspace.id, req.params.id, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:id/tools/:tool', validateBody(schemas['project-tool-state']), async (req, res, next) => {
+  try {
+    res.status(200).json(await saveToolState(req.workspace.id, req.params.id, req.params.tool, req.body.state, req.user.email));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id', async (req, res, next) => {
+  try {
+    res.status(200).json(await deleteProject(req.workspace.id, req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
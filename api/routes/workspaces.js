@@ -0,0 +1,118 @@
+/**
+ * Workspace tim dan anggotanya (lihat api/lib/accounts.js).
+ *
+ *   GET    /api/workspaces                        Workspace milik pengguna yang login
+ *   POST   /api/workspaces                        Buat workspace baru { name } (pembuat jadi owner)
+ *   GET    /api/workspaces/:id                    Detail + anggota + undangan tertunda
+ *   POST   /api/workspaces/:id/members            Tambah/undang anggota { email, role } (owner saja)
+ *   DELETE /api/workspaces/:id/members/:userId    Keluarkan anggota (owner), atau keluar sendiri
+ *   DELETE /api/workspaces/:id/invitations/:email Batalkan undangan (owner saja)
+ *
+ * Email yang belum punya akun dicatat sebagai undangan dan dikirimi link masuk;
+ * undangan otomatis menjadi keanggotaan saat akun dibuat.
+ */
+const express = require('express');
+const { ApiError } = require('../lib/errors');
+const { validateBody } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+const { sendMail, getAppUrl } = require('../lib/mailer');
+const {
+  listWorkspacesForUser,
+  toWorkspaceSummary,
+  getWorkspaceForUser,
+  createWorkspace,
+  getWorkspaceDetail,
+  addMember,
+  removeMember,
+  removeInvitation,
+} = require('../lib/accounts');
+
+const router = express.Router();
+
+// Pengguna layanan (ADMIN_TOKEN) tidak punya workspace
+router.use((req, res, next) => {
+  if (req.user.id === 'service') {
+    return next(new ApiError('FORBIDDEN', 'Workspace hanya bisa dikelola oleh pengguna yang login.'));
+  }
+  next();
+});
+
+router.get('/', async (req, res, next) => {
+  try {
+    const workspaces = await listWorkspacesForUser(req.user.id);
+    res.status(200).json({ workspaces: workspaces.map(workspace => toWorkspaceSummary(workspace, req.user.id)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/', validateBody(schemas.workspace), async (req, res, next) => {
+  try {
+    const workspace = await createWorkspace(req.body.name, req.user.id);
+    console.log(`WORKSPACE: "${workspace.name}" dibuat oleh ${req.user.email}`);
+    res.status(201).json(toWorkspaceSummary(workspace, req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const workspace = await getWorkspaceForUser(req.params.id, req.user.id);
+    res.status(200).json(await getWorkspaceDetail(workspace, req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/members', validateBody(schemas['workspace-member']), async (req, res, next) => {
+  try {
+    const current = await getWorkspaceForUser(req.params.id, req.user.id, 'owner');
+    // Cek APP_URL sebelum anggota ditambahkan agar tidak ada undangan tanpa email
+    const appUrl = getAppUrl();
+    const { workspace, invited } = await addMember(current.id, {
+      email: req.body.email,
+      role: req.body.role || 'member',
+      invitedBy: req.user.email,
+    });
+
+    await sendMail({
+      to: req.body.email,
+      subject: `Undangan ke workspace "${workspace.name}" di AI SATSET`,
+      text: [
+        `${req.user.name} (${req.user.email}) menambahkan Anda ke workspace "${workspace.name}".`,
+        '',
+        invited
+          ? `Buka ${appUrl} lalu masuk dengan email ini (password baru atau magic link) untuk bergabung.`
+          : `Buka ${appUrl} dan pilih workspace "${workspace.name}" di bagian atas.`,
+      ].join('\n'),
+    });
+    console.log(`WORKSPACE: ${req.body.email} ${invited ? 'diundang ke' : 'ditambahkan ke'} "${workspace.name}"`);
+    res.status(invited ? 202 : 201).json({ invited, workspace: await getWorkspaceDetail(workspace, req.user.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id/members/:userId', async (req, res, next) => {
+  try {
+    const isSelf = req.params.userId === req.user.id;
+    const current = await getWorkspaceForUser(req.params.id, req.user.id, isSelf ? 'member' : 'owner');
+    const workspace = await removeMember(current.id, req.params.userId);
+    res.status(200).json(await getWorkspaceDetail(workspace, req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id/invitations/:email', async (req, res, next) => {
+  try {
+    const current = await getWorkspaceForUser(req.params.id, req.user.id, 'owner');
+    const workspace = await removeInvitation(current.id, req.params.email);
+    res.status(200).json(await getWorkspaceDetail(workspace, req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,490 +1,1959 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useContext, useMemo } from 'react';
+import YAML from 'yaml';
+import { Marked } from 'marked';
+import { REVIEW_IMPORT_MAX_BYTES, parseReviewFile, summarizeReviews, formatPercent, formatReviewDigest } from './reviewImport';
 
 // === FUNGSI HELPER GLOBAL ===
 
+/**
+ * Pesan error per `code` dari back-end (lihat api/lib/errors.js).
+ */
+const ERROR_MESSAGES = {
+  VALIDATION_FAILED: 'Input tidak valid.',
+  NOT_FOUND: 'Endpoint tidak ditemukan.',
+  REQUEST_IN_PROGRESS: 'Permintaan yang sama masih diproses. Tunggu sebentar lalu coba lagi.',
+  CONFLICT: 'Tindakan ini tidak bisa dilakukan pada status saat ini. Muat ulang lalu coba lagi.',
+  SAFETY_BLOCKED: 'Permintaan diblokir oleh filter keamanan AI. Coba ubah kata-kata pada input Anda.',
+  UPSTREAM_RATE_LIMITED: 'Layanan AI sedang sibuk (batas permintaan tercapai). Silakan coba lagi dalam beberapa saat.',
+  BUDGET_EXCEEDED: 'Batas anggaran AI harian sudah tercapai.',
+  UNAUTHORIZED: 'Sesi Anda berakhir. Silakan masuk lagi.',
+  FORBIDDEN: 'Anda tidak punya akses untuk tindakan ini.',
+  RATE_LIMITED: 'Terlalu banyak percobaan.',
+  UPSTREAM_UNAVAILABLE: 'Layanan AI sedang tidak tersedia. Silakan coba lagi nanti.',
+  UPSTREAM_ERROR: 'Layanan AI mengembalikan error. Silakan coba lagi.',
+  INVALID_MODEL_OUTPUT: 'AI mengembalikan respons yang tidak valid. Silakan coba lagi.',
+  CONFIG_MISSING_KEY: 'Server belum dikonfigurasi: API Key tidak ditemukan. Hubungi admin.',
+  CONFIG_INVALID: 'Konfigurasi server tidak valid. Hubungi admin.',
+  INTERNAL_ERROR: 'Terjadi kesalahan pada server.',
+};
+
+// Label kategori safetyRatings Gemini
+const SAFETY_CATEGORY_LABELS = {
+  HARM_CATEGORY_HARASSMENT: 'pelecehan',
+  HARM_CATEGORY_HATE_SPEECH: 'ujaran kebencian',
+  HARM_CATEGORY_SEXUALLY_EXPLICIT: 'konten seksual eksplisit',
+  HARM_CATEGORY_DANGEROUS_CONTENT: 'konten berbahaya',
+  HARM_CATEGORY_CIVIC_INTEGRITY: 'integritas sipil',
+};
+
+// Alasan blokir (promptFeedback.blockReason / finishReason)
+const SAFETY_REASON_LABELS = {
+  SAFETY: 'melanggar kebijakan keamanan',
+  RECITATION: 'terlalu mirip dengan konten berhak cipta',
+  BLOCKLIST: 'mengandung istilah yang diblokir',
+  PROHIBITED_CONTENT: 'mengandung konten terlarang',
+  SPII: 'mengandung data pribadi sensitif',
+  OTHER: 'alasan lain',
+};
+
+// Nama field body request -> label input yang dilihat pengguna
+const INPUT_FIELD_LABELS = {
+  userQuery: 'data produk',
+  userInput: 'data input/riset',
+  userPrompt: 'brief',
+  prompt: 'teks laporan yang dikirim',
+  productName: 'nama produk',
+  businessName: 'nama usaha',
+  promptText: 'naskah',
+};
+
+const formatSafetyCategories = (safetyRatings = []) => safetyRatings
+  .map(rating => SAFETY_CATEGORY_LABELS[rating.category] || rating.category)
+  .join(', ');
+
+/**
+ * Menjelaskan error SAFETY_BLOCKED: siapa yang diblokir (input/hasil AI), kenapa, dan input mana.
+ */
+const describeSafetyBlock = (details = {}) => {
+  const reason = SAFETY_REASON_LABELS[details.reason] || details.reason;
+  const categories = formatSafetyCategories(details.safetyRatings);
+  const inputs = (details.inputFields || []).map(field => INPUT_FIELD_LABELS[field] || field).join(', ');
+
+  let message = details.source === 'prompt'
+    ? 'Input Anda diblokir oleh filter keamanan AI'
+    : 'Hasil AI ditahan oleh filter keamanan';
+  if (reason) message += ` karena ${reason}`;
+  if (categories) message += ` (kategori: ${categories})`;
+  message += '.';
+  if (inputs) message += ` Periksa dan ubah kata-kata pada ${inputs} Anda, lalu coba lagi.`;
+  return message;
+};
+
+/**
+ * Membuat Error dari body error back-end ({ code, message, details }).
+ * `message` berisi pesan ramah pengguna, pesan asli server disimpan di `serverMessage`.
+ */
+const createApiError = (errorData, status) => {
+  const code = errorData.code || 'INTERNAL_ERROR';
+  let message = ERROR_MESSAGES[code] || errorData.message || `HTTP error ${status}`;
+  // Untuk error validasi, tampilkan detail field dari server
+  if (code === 'VALIDATION_FAILED' && errorData.message) {
+    message = `${message} ${errorData.message}`;
+  }
+  if (code === 'SAFETY_BLOCKED' && errorData.details) {
+    message = describeSafetyBlock(errorData.details);
+  }
+  if (code === 'BUDGET_EXCEEDED' && errorData.details) {
+    const owner = errorData.details.scope === 'caller' ? 'Anda' : 'tim';
+    const resetAt = new Date(errorData.details.resetAt).toLocaleString('id-ID', { dateStyle: 'medium', timeStyle: 'short' });
+    message = `Batas anggaran AI harian ${owner} sudah tercapai. Kuota direset pada ${resetAt}.`;
+  }
+  if (code === 'INVALID_MODEL_OUTPUT' && errorData.details && errorData.details.finishReason === 'MAX_TOKENS') {
+    message = 'Respons AI terpotong karena terlalu panjang. Coba persingkat input Anda.';
+  } else if (code === 'INVALID_MODEL_OUTPUT' && errorData.details && errorData.details.violations) {
+    // Format output tetap salah setelah diperbaiki otomatis (kontrak output server)
+    message = `AI tidak mengikuti format yang diminta (${errorData.details.violations.join(' ')}). Silakan coba lagi.`;
+  }
+  // Server sudah me-retry; beri tahu pengguna kapan boleh mencoba lagi
+  if (errorData.details && errorData.details.retryAfter) {
+    message = `${message.replace(/ Silakan coba lagi.*$/, '')} Silakan coba lagi dalam ${errorData.details.retryAfter} detik.`;
+  }
+  // Sesi tidak berlaku lagi: App kembali ke layar login
+  if (code === 'UNAUTHORIZED' && getAuthToken()) {
+    window.dispatchEvent(new Event('satset:unauthorized'));
+  }
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  error.details = errorData.details;
+  error.serverMessage = errorData.message;
+  return error;
+};
+
+/**
+ * Membaca metadata generasi (finishReason, safetyRatings, continuations, perbaikan format, cache,
+ * versi prompt, validasi value map khusus /api/analyze) dari header respons.
+ */
+const readGenerationMeta = (response) => {
+  let safetyRatings = [];
+  let valueMap = null;
+  try {
+    safetyRatings = JSON.parse(response.headers.get('X-Safety-Ratings') || '[]');
+    valueMap = JSON.parse(response.headers.get('X-Value-Map') || 'null');
+  } catch (e) { /* header rusak, abaikan */ }
+  return {
+    finishReason: response.headers.get('X-Finish-Reason'),
+    safetyRatings,
+    continuations: parseInt(response.headers.get('X-Continuations') || '0', 10),
+    repairs: parseInt(response.headers.get('X-Contract-Repairs') || '0', 10),
+    cache: {
+      status: response.headers.get('X-Cache') || 'MISS',
+      age: parseInt(response.headers.get('X-Cache-Age') || '0', 10),
+    },
+    promptVersion: response.headers.get('X-Prompt-Version'),
+    valueMap,
+  };
+};
+
+/**
+ * Key unik per aksi pengguna (satu klik). Dikirim sebagai header `Idempotency-Key`
+ * agar server tidak memanggil LLM dua kali untuk aksi yang sama (lihat api/lib/idempotency.js).
+ */
+const createIdempotencyKey = () => (
+  window.crypto && window.crypto.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+);
+
+// Sesi login (lihat api/routes/auth.js): token dan workspace aktif disimpan di localStorage
+const AUTH_TOKEN_KEY = 'satset_auth_token';
+const WORKSPACE_KEY = 'satset_workspace_id';
+
+const getAuthToken = () => localStorage.getItem(AUTH_TOKEN_KEY);
+
+const setAuthToken = (token) => {
+  if (token) localStorage.setItem(AUTH_TOKEN_KEY, token);
+  else localStorage.removeItem(AUTH_TOKEN_KEY);
+};
+
+const getActiveWorkspaceId = () => localStorage.getItem(WORKSPACE_KEY);
+
+const setActiveWorkspaceId = (workspaceId) => {
+  if (workspaceId) localStorage.setItem(WORKSPACE_KEY, workspaceId);
+  else localStorage.removeItem(WORKSPACE_KEY);
+};
+
+// Header sesi: token login + workspace aktif
+const getAuthHeaders = () => {
+  const token = getAuthToken();
+  const workspaceId = getActiveWorkspaceId();
+  return {
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    ...(workspaceId ? { 'X-Workspace-Id': workspaceId } : {}),
+  };
+};
+
+// Header request: sesi + idempotency key + permintaan mengabaikan cache (tombol "Buat Ulang")
+const buildRequestHeaders = ({ bypassCache, idempotencyKey }) => ({
+  'Content-Type': 'application/json',
+  ...getAuthHeaders(),
+  'Idempotency-Key': idempotencyKey,
+  ...(bypassCache ? { 'Cache-Control': 'no-cache' } : {}),
+});
+
 /**
  * Panggilan API terpusat untuk semua aplikasi.
  * Memanggil endpoint back-end lokal (di /api/)
+ * `options.onMeta(meta)` dipanggil dengan metadata generasi ({ finishReason, safetyRatings, continuations, repairs, cache, promptVersion, valueMap }).
+ * `options.bypassCache` meminta hasil baru walaupun ada di cache server.
+ *
+ * Retry ke LLM (backoff, Retry-After, circuit breaker) sepenuhnya ditangani server.
+ * Di sini hanya error jaringan (request mungkin tidak sampai) yang dicoba ulang,
+ * dengan Idempotency-Key yang sama sehingga server tidak memproses aksi yang sama dua kali.
  */
-const callLocalAPI = async (endpoint, body, retryCount = 0) => {
-  const maxRetries = 3;
-  const delay = Math.pow(2, retryCount) * 1000 + Math.random() * 1000;
+const callLocalAPI = async (endpoint, body, options = {}, retryCount = 0) => {
+  const maxRetries = 2;
+  const idempotencyKey = options.idempotencyKey || createIdempotencyKey();
 
+  let response;
   try {
-    const response = await fetch(endpoint, {
+    response = await fetch(endpoint, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: buildRequestHeaders({ bypassCache: options.bypassCache, idempotencyKey }),
       body: JSON.stringify(body),
     });
-
-    if (!response.ok) {
-      // Coba lagi untuk error server (5xx) atau rate limit (429)
-      if ((response.status >= 500 || response.status === 429) && retryCount < maxRetries) {
-        await new Promise(res => setTimeout(res, delay));
-        return callLocalAPI(endpoint, body, retryCount + 1);
-      }
-      // Untuk error klien (4xx) atau error final, lempar error
-      const errorData = await response.json().catch(() => ({ message: response.statusText }));
-      throw new Error(errorData.message || `HTTP error ${response.status}`);
-    }
-
-    // Cek jika respons adalah JSON atau teks biasa
-    const contentType = response.headers.get("content-type");
-    if (contentType && contentType.indexOf("application/json") !== -1) {
-      return await response.json();
-    } else {
-      return await response.text();
-    }
-
   } catch (error) {
-    // Coba lagi untuk error jaringan
     if (retryCount < maxRetries) {
+      const delay = Math.pow(2, retryCount) * 1000 + Math.random() * 1000;
       await new Promise(res => setTimeout(res, delay));
-      return callLocalAPI(endpoint, body, retryCount + 1);
+      return callLocalAPI(endpoint, body, { ...options, idempotencyKey }, retryCount + 1);
     }
-    console.error(`Gagal memanggil API ${endpoint} setelah ${maxRetries} percobaan:`, error);
+    console.error(`Gagal memanggil API ${endpoint} setelah ${maxRetries + 1} percobaan:`, error);
     throw error; // Lemparkan error final
   }
-};
-
 
-// === KOMPONEN IKON (SVG Inline) ===
-// --- PERBAIKAN: Semua ikon di bawah ini diubah untuk menerima `className` ---
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ message: response.statusText }));
+    const error = createApiError(errorData, response.status);
+    console.error(`Gagal memanggil API ${endpoint}:`, error.code, error.serverMessage);
+    throw error;
+  }
 
-const IconLayoutDashboard = ({ className }) => (
-    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}>
-        <rect width="7" height="9" x="3" y="3" rx="1" /><rect width="7" height="5" x="14" y="3" rx="1" /><rect width="7" height="9" x="14" y="12" rx="1" /><rect width="7" height="5" x="3" y="16" rx="1" />
-    </svg>
-);
-const IconBulb = ({ className }) => (
-    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}>
-        <path d="M8 17a5 5 0 0 1 8 0h-8Z" /><path d="M9 11a5.002 5.002 0 0 1 5-5 5 5 0 0 1 5 5c0 1.83-1.04 3.4-2.5 4.16V17a1 1 0 0 1-1 1h-7a1 1 0 0 1-1-1v-1.84C10.04 14.4 9 12.83 9 11Z" /><path d="M12 21a1 1 0 0 1 1-1h.01a1 1 0 0 1 0 2H13a1 1 0 0 1-1-1Z" /><path d="M12 3a1 1 0 0 1 1-1h.01a1 1 0 0 1 0 2H13a1 1 0 0 1-1-1Z" /><path d="M19.9 6.01a1 1 0 0 1-1.42 1.42 1 1 0 0 1-1.4-1.4Z" /><path d="M4.1 6.01a1 1 0 0 1 0 1.42 1 1 0 0 1-1.4 1.4Z" /><path d="m18 12 1.99.01a1 1 0 0 1 .99 1v.01a1 1 0 0 1-1 1H18a1 1 0 0 1 0-2Z" /><path d="m4 12 1.99.01a1 1 0 0 1 .99 1v.01a1 1 0 0 1-1 1H4a1 1 0 0 1 0-2Z" />
-    </svg>
-);
-const IconMap = ({ className }) => (
-    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}>
-        <polygon points="1 6 1 22 8 18 16 22 23 18 23 2 16 6 8 2 1 6" /><line x1="8" x2="8" y1="2" y2="18" /><line x1="16" x2="16" y1="6" y2="22" />
-    </svg>
-);
-const IconBrain = ({ className }) => (
-    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}>
-        <path d="M12 5a3 3 0 1 0-5.997.125 4 4 0 0 0-2.526 5.77 4 4 0 0 0 .556 6.588A4 4 0 0 0 9 22a4 4 0 0 0 4-4 4 4 0 0 0 4-4 4 4 0 0 0-2-3.465c.52-.69.8-1.58.8-2.535A3 3 0 0 0 12 5Z" /><path d="M12 5a3 3 0 1 1 5.997.125 4 4 0 0 1 2.526 5.77 4 4 0 0 1-.556 6.588A4 4 0 0 1 15 22a4 4 0 0 1-4-4 4 4 0 0 1-4-4 4 4 0 0 1 2-3.465c-.52-.69-.8-1.58-.8-2.535A3 3 0 0 1 12 5Z" /><path d="M12 5a3 3 0 0 0-3 3" /><path d="M12 5a3 3 0 0 1 3 3" /><path d="M12 22v-4" /><path d="M15 18a3 3 0 0 0-3-3 3 3 0 0 0-3 3" /><path d="M12 15a3 3 0 0 0-3-3" /><path d="M12 15a3 3 0 0 1 3-3" />
-    </svg>
-);
-const IconCalendar = ({ className }) => (
-    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}>
-        <rect width="18" height="18" x="3" y="4" rx="2" ry="2" /><line x1="16" x2="16" y1="2" y2="6" /><line x1="8" x2="8" y1="2" y2="6" /><line x1="3" x2="21" y1="10" y2="10" />
-    </svg>
-);
-const IconPencil = ({ className }) => (
-    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}>
-        <line x1="18" x2="22" y1="2" y2="6" /><path d="M7.5 20.5 19 9l-4-4L3.5 16.5 2 22l5.5-1.5Z" /><path d="m15 5 4 4" />
-    </svg>
-);
-const IconVolume = ({ className }) => (
-    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}>
-        <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5" /><path d="M15.54 8.46a5 5 0 0 1 0 7.07" /><path d="M19.07 4.93a10 10 0 0 1 0 14.14" />
-    </svg>
-);
+  if (options.onMeta) options.onMeta(readGenerationMeta(response));
 
-// --- Ikon internal App (PERLU DEFINISI LENGKAP) ---
-const IconWandSparkles = () => (
-  <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-    <path d="m21.64 3.64-1.28-1.28a1.21 1.21 0 0 0-1.72 0L11.8 9.2a1.21 1.21 0 0 0 0 1.72l5.8 5.8a1.21 1.21 0 0 0 1.72 0l6.84-6.84a1.21 1.21 0 0 0 0-1.72Z"/>
-    <path d="m14 7 3 3"/><path d="M5 6v4"/><path d="M19 14v4"/><path d="M10 2v2"/><path d="M7 8H3"/><path d="M14 17H9"/><path d="M17 17H9"/>
-  </svg>
-);
+  // Cek jika respons adalah JSON atau teks biasa
+  const contentType = response.headers.get("content-type");
+  if (contentType && contentType.indexOf("application/json") !== -1) {
+    return await response.json();
+  } else {
+    return await response.text();
+  }
+};
 
-const IconCopy = () => (
-  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-    <rect width="14" height="14" x="8" y="8" rx="2" ry="2"/>
-    <path d="M4 16c-1.1 0-2-.9-2-2V4c0-1.1.9-2 2-2h10c1.1 0 2 .9 2 2"/>
-  </svg>
-);
+/**
+ * Panggilan API streaming (Server-Sent Events) untuk endpoint `/stream`.
+ * Setiap potongan teks diteruskan ke `onChunk(potongan, teksSejauhIni)`.
+ * Mengembalikan teks akhir dari event `done`; metadata generasi diteruskan ke `onMeta`.
+ * Event `progress` (tahap sebelum stream, misal ekstraksi per bagian di /api/psikologis-market/chunked)
+ * diteruskan apa adanya ke `onProgress`.
+ * Jika dihentikan lewat `signal`, fetch melempar error dengan name 'AbortError'.
+ */
+const callLocalAPIStream = async (endpoint, body, { onChunk, onMeta, onProgress, signal, bypassCache } = {}) => {
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: buildRequestHeaders({ bypassCache, idempotencyKey: createIdempotencyKey() }),
+    body: JSON.stringify(body),
+    signal,
+  });
 
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ message: response.statusText }));
+    throw createApiError(errorData, response.status);
+  }
 
-// =======================================================================
-// === SLOT APLIKASI 1: DASHBOARD ===
-// =======================================================================
-const App1_Dashboard = ({ setActiveApp }) => {
-    
-    // Daftar shortcut untuk 6 aplikasi lainnya
-    const shortcuts = [
-        { id: 'app2', name: 'Analisis Value', icon: <IconBulb />, description: "Akses Analisis Value" },
-        { id: 'app3', name: 'Mapping Market', icon: <IconMap />, description: "Akses Mapping Market" },
-        { id: 'app4', name: 'Psikologis Market', icon: <IconBrain />, description: "Akses Psikologis Market" },
-        { id: 'app5', name: 'Perencana Konten', icon: <IconCalendar />, description: "Akses Perencana Konten" },
-        { id: 'app6', name: 'Copywriting', icon: <IconPencil />, description: "Akses Copywriting" },
-        { id: 'app7', name: 'TTS Generator', icon: <IconVolume />, description: "Akses TTS Generator" },
-    ];
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let fullText = '';
+  let finalText = null;
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Setiap event SSE dipisahkan oleh baris kosong
+    const rawEvents = buffer.split('\n\n');
+    buffer = rawEvents.pop();
+
+    for (const rawEvent of rawEvents) {
+      const eventLine = rawEvent.split('\n').find(line => line.startsWith('event:'));
+      const dataLine = rawEvent.split('\n').find(line => line.startsWith('data:'));
+      if (!dataLine) continue;
+      const eventName = eventLine ? eventLine.slice(6).trim() : 'message';
+      const data = JSON.parse(dataLine.slice(5));
+
+      if (eventName === 'chunk') {
+        fullText += data.text;
+        if (onChunk) onChunk(data.text, fullText);
+      } else if (eventName === 'progress') {
+        if (onProgress) onProgress(data);
+      } else if (eventName === 'done') {
+        finalText = data.text;
+        if (onMeta) {
+          onMeta({
+            finishReason: data.finishReason,
+            safetyRatings: data.safetyRatings || [],
+            continuations: data.continuations || 0,
+            repairs: data.repairs || 0,
+            cache: data.cache || { status: 'MISS', age: 0 },
+            promptVersion: data.prompt ? `${data.prompt.id}@${data.prompt.version}` : null,
+            valueMap: data.valueMap || null,
+          });
+        }
+      } else if (eventName === 'error') {
+        throw createApiError(data, response.status);
+      }
+    }
+  }
 
-    return (
-        <div className="p-6">
-            <h1 className="text-3xl font-bold mb-4">DIVISI ANALISIS & STRATEGI KOMUNIKASI</h1>
-            <p className="text-lg text-gray-600 dark:text-gray-300 mb-8">
-                Selamat datang di ruang kerja kami! Kami siap membantu menganalisis & merencakan konten dalam hitungan detik.
-            </p>
-            
-            <h2 className="text-2xl font-semibold mb-4">Shortcut Aplikasi</h2>
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                {shortcuts.map(app => (
-                    <button
-                        key={app.id}
-                        onClick={() => setActiveApp(app.id)}
-                        className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg hover:shadow-xl dark:hover:shadow-yellow-300/20 transition-shadow duration-300 flex items-center text-left w-full border border-gray-200 dark:border-gray-700"
-                    >
-                        {/* PERBAIKAN: Menggunakan <span> dengan lebar tetap (w-20 / 5rem) 
-                          untuk menampung ikon dan meratakannya. 
-                        */}
-                        <span className="w-20 flex items-center justify-center flex-shrink-0">
-                           {React.cloneElement(app.icon, { className: "h-8 w-8 text-[#2022f3] dark:text-[#f8fb18]" })}
-                        </span>
-                        <div>
-                            <h3 className="text-xl font-bold text-gray-900 dark:text-white">{app.name}</h3>
-                            <p className="text-gray-500 dark:text-gray-400">{app.description}</p>
-                        </div>
-                    </button>
-                ))}
-            </div>
-        </div>
-    );
+  return finalText !== null ? finalText : fullText;
 };
 
-// =======================================================================
-// === APLIKASI 2: AI VALUE PRODUCT ANALYST
-// =======================================================================
-const App2_AnalisisValue = () => {
-  
-  // --- State Management ---
-  const [formData, setFormData] = useState(() => {
-    const saved = localStorage.getItem('aiVal_formData');
-    return saved ? JSON.parse(saved) : {
-      'nama-produk': '', 'jenis-produk': '', 'lokasi-penjualan': '',
-      'deskripsi-produk': '', 'target-konsumen': '', 'kompetitor': '',
-      'harga': '', 'positioning': '', 'keunggulan-brand': '', 'pain-point-konsumen': '',
-    };
+const isAbortError = (error) => error && error.name === 'AbortError';
+
+/**
+ * Request JSON biasa (bukan generasi AI) ke back-end, misal login dan workspace.
+ * @param {string} endpoint
+ * @param {object} options - { method (default GET), body }
+ */
+const requestJSON = async (endpoint, { method = 'GET', body } = {}) => {
+  const response = await fetch(endpoint, {
+    method,
+    headers: { ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}), ...getAuthHeaders() },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
   });
-  
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [validationErrors, setValidationErrors] = useState({});
-  
-  // State untuk Hasil Utama
-  const [visualResult, setVisualResult] = useState(() => localStorage.getItem('aiVal_visualText') || null);
-  const [yamlResult, setYamlResult] = useState(() => localStorage.getItem('aiVal_yamlText') || null);
-  
-  const [copyStatus, setCopyStatus] = useState('Salin Hasil YAML');
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ message: response.statusText }));
+    throw createApiError(errorData, response.status);
+  }
+  return response.json();
+};
 
-  // State untuk Bantuan AI
-  const [isAiHelping, setIsAiHelping] = useState(false);
-  
-  // State untuk Ringkasan
-  const [isSummaryLoading, setIsSummaryLoading] = useState(false);
-  const [summaryResult, setSummaryResult] = useState(() => localStorage.getItem('aiVal_summaryResult') || null);
-  const [summaryError, setSummaryError] = useState(null);
+/**
+ * Registry model dari GET /api/models ({ models, routes }), diambil sekali dan dipakai bersama.
+ * Jika gagal, pemilih model disembunyikan dan server memakai model default.
+ */
+let modelRegistryPromise = null;
+const fetchModelRegistry = () => {
+  if (!modelRegistryPromise) {
+    modelRegistryPromise = requestJSON('/api/models').catch(() => null);
+  }
+  return modelRegistryPromise;
+};
 
+/**
+ * Pilihan model per alat, disimpan di localStorage. String kosong = default server.
+ * @param {string} route - Nama route back-end (misal: 'analyze')
+ */
+const useModelPreference = (route) => {
+  const storageKey = `satset_model_${route}`;
+  const [model, setModel] = useState(() => localStorage.getItem(storageKey) || '');
 
-  // --- EFEK: Menyimpan State ke localStorage Saat Berubah ---
   useEffect(() => {
-    localStorage.setItem('aiVal_formData', JSON.stringify(formData));
-  }, [formData]);
+    if (model) localStorage.setItem(storageKey, model);
+    else localStorage.removeItem(storageKey);
+  }, [model, storageKey]);
 
-  useEffect(() => {
-    if (visualResult) localStorage.setItem('aiVal_visualText', visualResult);
-    else localStorage.removeItem('aiVal_visualText');
-  }, [visualResult]);
-  
-  useEffect(() => {
-    if (yamlResult) localStorage.setItem('aiVal_yamlText', yamlResult);
-    else localStorage.removeItem('aiVal_yamlText');
-  }, [yamlResult]);
+  return [model, setModel];
+};
 
-  useEffect(() => {
-    if (summaryResult) localStorage.setItem('aiVal_summaryResult', summaryResult);
-    else localStorage.removeItem('aiVal_summaryResult');
-  }, [summaryResult]);
-  
+// Tambahkan `model` ke body request hanya jika pengguna memilih model selain default
+const withModel = (body, model) => (model ? { ...body, model } : body);
 
-  // --- Fungsi Helper ---
+// === PERSISTENSI PROYEK (lihat api/routes/projects.js & api/routes/generations.js) ===
+// State setiap alat disimpan ke server per proyek. localStorage hanya cache offline:
+// dibaca saat server tidak bisa dihubungi, dan perubahan yang belum terkirim dikirim ulang nanti.
 
-  const handleFormChange = (e) => {
-    const { id, value } = e.target;
-    setFormData(prev => ({ ...prev, [id]: value }));
-    if (validationErrors[id]) {
-      setValidationErrors(prev => ({ ...prev, [id]: false }));
+const PROJECT_SAVE_DELAY_MS = 1000;
+const projectCacheKey = (projectId) => `satset_project_${projectId}`;
+const projectListCacheKey = (workspaceId) => `satset_projects_${workspaceId}`;
+const PENDING_GENERATIONS_KEY = 'satset_pending_generations';
+
+const readCache = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+};
+
+// Cache bisa melebihi kuota localStorage (misal data mentah App 4); server tetap sumber utama
+const writeCache = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    console.warn(`Gagal menyimpan cache offline ${key}:`, e.message);
+  }
+};
+
+/**
+ * Menggabungkan proyek dari server dengan cache lokal: state alat yang belum terkirim
+ * (`pending`) dan lebih baru dari versi server dipakai, lalu dikirim ulang.
+ * @returns {object} - { project, unsynced: daftar alat yang perlu dikirim ulang }
+ */
+const mergeProjectWithCache = (serverProject, cached) => {
+  const tools = { ...serverProject.tools };
+  const unsynced = [];
+  Object.entries((cached && cached.tools) || {}).forEach(([tool, entry]) => {
+    const serverEntry = tools[tool];
+    if (entry.pending && (!serverEntry || entry.updatedAt > serverEntry.updatedAt)) {
+      tools[tool] = entry;
+      unsynced.push(tool);
     }
-  };
+  });
+  return { project: { ...serverProject, tools }, unsynced };
+};
 
-  const validateForm = useCallback(() => {
-    const requiredFields = [
-      'nama-produk', 'jenis-produk', 'lokasi-penjualan', 
-      'deskripsi-produk', 'target-konsumen'
-    ];
-    let newErrors = {};
-    let isValid = true;
-    
-    requiredFields.forEach(field => {
-      if (!formData[field] || formData[field].trim() === '') {
-        newErrors[field] = true;
-        isValid = false;
-      }
-    });
-    
-    setValidationErrors(newErrors);
-    return isValid;
-  }, [formData]);
+/**
+ * Penyimpan state proyek aktif: dibaca sinkron oleh useProjectState, ditulis ke cache
+ * lokal seketika dan ke server setelah jeda singkat (debounce per alat).
+ */
+const createProjectStore = (initialProject) => {
+  const project = { ...initialProject, tools: { ...initialProject.tools } };
+  const timers = {};
 
-  /**
-   * Meng-handle submit form utama (Analisis Sekarang)
-   */
-  const handleSubmit = async (event) => {
-    event.preventDefault();
-    
-    if (!validateForm()) {
-      setError("Harap isi semua kolom yang wajib ditandai *");
-      return;
+  const persistCache = () => writeCache(projectCacheKey(project.id), project);
+
+  const pushTool = async (tool) => {
+    const entry = project.tools[tool];
+    try {
+      await requestJSON(`/api/projects/${project.id}/tools/${tool}`, { method: 'PUT', body: { state: entry.state } });
+      if (project.tools[tool] === entry) {
+        project.tools[tool] = { ...entry, pending: false };
+        persistCache();
+      }
+    } catch (err) {
+      console.warn(`Gagal menyimpan ${tool} ke server, disimpan di cache lokal:`, err.message);
     }
-    
-    setIsLoading(true);
-    setError(null);
-    setVisualResult(null);
-    setYamlResult(null);
-    setSummaryResult(null);
-    setSummaryError(null);
-    
-    // Mengumpulkan data dari form state
-    const userQuery = `
---- DATA PRODUK MENTAH ---
-Nama Produk: ${formData['nama-produk']}
-Jenis Produk/Layanan: ${formData['jenis-produk']}
-Lokasi penjualan: ${formData['lokasi-penjualan']}
-Deskripsi Singkat / Spesifikasi / Fitur Produk: 
-${formData['deskripsi-produk']}
-Target Konsumen / Persona Utama: ${formData['target-konsumen']}
---- DATA OPSIONAL ---
-Kompetitor Utama: ${formData.kompetitor || 'Tidak disebutkan'}
-Harga Produk/Layanan: ${formData.harga || 'Tidak disebutkan'}
-Positioning brand: ${formData.positioning || 'Tidak disebutkan'}
-Keunggulan utama menurut brand: ${formData['keunggulan-brand'] || 'Tidak disebutkan'}
-Masalah konsumen yang ingin dipecahkan: ${formData['pain-point-konsumen'] || 'Tidak disebutkan'}
---- AKHIR DATA ---
-Tolong analisis data di atas sekarang.
-    `;
+  };
+
+  const getToolState = (tool) => (project.tools[tool] && project.tools[tool].state) || {};
+
+  const saveToolField = (tool, field, value) => {
+    project.tools[tool] = {
+      state: { ...getToolState(tool), [field]: value },
+      updatedAt: new Date().toISOString(),
+      pending: true,
+    };
+    persistCache();
+    clearTimeout(timers[tool]);
+    timers[tool] = setTimeout(() => pushTool(tool), PROJECT_SAVE_DELAY_MS);
+  };
+
+  return { id: project.id, name: project.name, getToolState, saveToolField, pushTool };
+};
 
+/**
+ * Mengirim generasi yang tertunda (gagal terkirim saat offline).
+ */
+const flushPendingGenerations = async () => {
+  const pending = readCache(PENDING_GENERATIONS_KEY, []);
+  if (pending.length === 0) return;
+  const failed = [];
+  for (const item of pending) {
     try {
-      // Memanggil back-end lokal
-      const fullText = await callLocalAPI('/api/analyze', { userQuery });
-      
-      const parts = fullText.split('---VISUAL_BREAK---');
-      
-      if (parts.length < 2) {
-        console.warn("AI response format error: separator not found. Displaying raw text.");
-        setVisualResult(fullText.trim());
-        setYamlResult(fullText.trim());
-      } else {
-        const visual = parts[0].trim();
-        const yaml = parts[1].replace(/^```yaml\n|```$/g, '').trim();
-        setVisualResult(visual);
-        setYamlResult(yaml);
-      }
-      
+      await requestJSON('/api/generations', { method: 'POST', body: item });
     } catch (err) {
-      setError(err.message || "Terjadi kesalahan. Silakan coba lagi.");
-    } finally {
-      setIsLoading(false);
+      // Proyek sudah dihapus / input tidak valid tidak akan berhasil jika diulang
+      if (err.code !== 'NOT_FOUND' && err.code !== 'VALIDATION_FAILED') failed.push(item);
     }
-  };
+  }
+  writeCache(PENDING_GENERATIONS_KEY, failed);
+};
 
-  /**
-   * Meng-handle klik tombol "Bantu AI"
-   */
-  const handleAiHelp = async () => {
-    const namaProduk = formData['nama-produk'];
-    if (!namaProduk || namaProduk.trim() === '') {
-      setValidationErrors(prev => ({ ...prev, 'nama-produk': true }));
-      setError("Harap isi 'Nama Produk' terlebih dahulu sebelum menggunakan Bantuan AI.");
+/**
+ * Memuat proyek dari server (atau cache lokal saat offline) dan membuat store-nya.
+ * @returns {Promise<object>} - Store dari createProjectStore
+ */
+const loadProjectStore = async (projectId) => {
+  const cached = readCache(projectCacheKey(projectId), null);
+  let serverProject;
+  try {
+    serverProject = await requestJSON(`/api/projects/${projectId}`);
+  } catch (err) {
+    if (!cached || err.code) throw err; // Error dari server (bukan jaringan) tidak ditutupi cache
+    console.warn('Server tidak bisa dihubungi, memakai proyek dari cache lokal.');
+    return createProjectStore(cached);
+  }
+  const { project, unsynced } = mergeProjectWithCache(serverProject, cached);
+  const store = createProjectStore(project);
+  writeCache(projectCacheKey(projectId), project);
+  unsynced.forEach(tool => store.pushTool(tool));
+  flushPendingGenerations();
+  return store;
+};
+
+const ProjectContext = React.createContext(null);
+
+/**
+ * Seperti useState, tetapi nilainya disimpan di proyek aktif per alat dan field.
+ * Nilai awal diambil dari proyek; `initialValue` hanya dipakai (dan langsung disimpan) jika belum ada.
+ * @param {string} tool - Id aplikasi (misal: 'app2')
+ * @param {string} field - Nama state
+ */
+const useProjectState = (tool, field, initialValue) => {
+  const project = useContext(ProjectContext);
+  // Nilai yang sudah ada di proyek tidak perlu disimpan ulang saat mount
+  const skipSaveRef = useRef(false);
+  const [value, setValue] = useState(() => {
+    const saved = project ? project.getToolState(tool)[field] : undefined;
+    if (saved !== undefined) {
+      skipSaveRef.current = true;
+      return saved;
+    }
+    return typeof initialValue === 'function' ? initialValue() : initialValue;
+  });
+
+  useEffect(() => {
+    if (skipSaveRef.current) {
+      skipSaveRef.current = false;
       return;
     }
-    
-    setIsAiHelping(true);
-    setError(null);
+    if (project) project.saveToolField(tool, field, value);
+  }, [project, tool, field, value]);
 
-    const userQuery = `Berdasarkan nama produk ini: "${namaProduk}", tolong buatkan draf untuk field-field berikut.`;
+  return [value, setValue];
+};
 
-    try {
-      // Memanggil back-end lokal
-      const suggestions = await callLocalAPI('/api/ai-help', { userQuery });
-      
-      // suggestions sudah dalam format JSON
-      setFormData(prev => ({
-        ...prev,
-        'jenis-produk': suggestions.jenisProduk || prev['jenis-produk'],
-        'lokasi-penjualan': suggestions.lokasiPenjualan || prev['lokasi-penjualan'],
-        'deskripsi-produk': suggestions.deskripsiProduk || prev['deskripsi-produk'],
-        'target-konsumen': suggestions.targetKonsumen || prev['target-konsumen'],
-      }));
+/**
+ * Fungsi untuk mengarsipkan hasil AI ke proyek aktif: (route, input, output, meta) => Promise.
+ * Promise selesai setelah arsip tersimpan (atau gagal); gagal kirim (offline) disimpan di
+ * localStorage dan dikirim ulang saat proyek dimuat lagi.
+ */
+const useRecordGeneration = (tool) => {
+  const project = useContext(ProjectContext);
+  return useCallback((route, input, output, meta = {}) => {
+    if (!project) return Promise.resolve();
+    const body = { projectId: project.id, tool, route, input, output: output || '', meta: meta || {} };
+    return requestJSON('/api/generations', { method: 'POST', body }).catch(err => {
+      console.warn('Gagal mengarsipkan hasil ke server:', err.message);
+      if (!err.code) writeCache(PENDING_GENERATIONS_KEY, [...readCache(PENDING_GENERATIONS_KEY, []), body]);
+    });
+  }, [project, tool]);
+};
 
-    } catch (err) {
-      setError(err.message || "Bantuan AI gagal. Silakan coba lagi.");
-    } finally {
-      setIsAiHelping(false);
-    }
-  };
 
-  /**
-   * Meng-handle klik tombol "Ringkasan Eksekutif"
-   * (Fungsi ini tidak memerlukan back-end baru, karena hanya memanggil ulang API biasa)
-   */
-  const handleSummary = async () => {
-    if (!visualResult) {
-      setSummaryError("Tidak ada hasil analisis untuk diringkas.");
+// === KONTEKS PRODUK AKTIF ===
+// Hasil utama setiap alat untuk produk yang sedang dikerjakan, agar alat berikutnya bisa
+// mengimpornya tanpa salin-tempel. Disimpan di proyek aktif sebagai state "alat" 'product'.
+const EMPTY_PRODUCT = {
+  productName: '',
+  valueMap: '',     // YAML Product Value Analyst dari App 2
+  marketMap: '',    // HTML Mapping Market dari App 3
+  psychProfile: '', // Laporan Psikologis Market dari App 4
+  hooks: '',        // Hook dari App 4
+  personas: '',     // Persona dari App 4
+  updatedAt: null,
+};
+
+const ProductContext = React.createContext(null);
+
+/**
+ * Menyediakan konteks produk aktif untuk semua alat dalam satu proyek.
+ * Pasang dengan `key` = id proyek agar state dibaca ulang saat proyek berganti.
+ */
+const ProductProvider = ({ children }) => {
+  const [product, setProduct] = useProjectState('product', 'context', EMPTY_PRODUCT);
+
+  const updateProduct = useCallback((changes) => {
+    setProduct(prev => ({ ...EMPTY_PRODUCT, ...prev, ...changes, updatedAt: new Date().toISOString() }));
+  }, [setProduct]);
+
+  const value = useMemo(() => ({ product: { ...EMPTY_PRODUCT, ...product }, updateProduct }), [product, updateProduct]);
+  return <ProductContext.Provider value={value}>{children}</ProductContext.Provider>;
+};
+
+/**
+ * @returns {object} - { product, updateProduct(changes) }
+ */
+const useActiveProduct = () => useContext(ProductContext) || { product: EMPTY_PRODUCT, updateProduct: () => {} };
+
+// Gambaran target market untuk form: persona (lebih ringkas) jika ada, jika tidak laporan psikologis lengkap
+const getAudienceProfile = (product) => product.personas || product.psychProfile;
+
+/**
+ * Tombol kecil untuk mengisi form dari konteks produk aktif; nonaktif jika datanya belum ada.
+ */
+const ImportFromProductButton = ({ label, available, onClick, className = '' }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    disabled={!available}
+    title={available ? label : `${label} (belum ada data di produk aktif)`}
+    className={`text-xs font-semibold py-1.5 px-3 rounded-md border border-cyan-500 text-cyan-700 dark:text-cyan-300 hover:bg-cyan-50 dark:hover:bg-cyan-900/30 disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent transition-colors ${className}`}
+  >
+    ⤓ {label}
+  </button>
+);
+
+// === VALUE MAP (YAML) ===
+// Format YAML Product Value Analyst (bagian kedua hasil App 2), input Mapping Market di App 3.
+// Skema harus sama dengan VALUE_MAP_SCHEMA di api/lib/value-map.js (server memvalidasi hasil /api/analyze).
+const VALUE_MAP_SCHEMA = {
+  product_name: { type: 'string', required: true },
+  usp: { type: 'string', required: true },
+  audience: {
+    type: 'object',
+    required: true,
+    fields: {
+      primary: { type: 'string', required: true },
+      secondary: { type: 'string' },
+    },
+  },
+  value_map: {
+    type: 'object',
+    required: true,
+    fields: {
+      customer_jobs: { type: 'list', required: true },
+      customer_pains: { type: 'list', required: true },
+      customer_gains: { type: 'list', required: true },
+    },
+  },
+  product_features: { type: 'list' },
+  benefits: {
+    type: 'object',
+    fields: {
+      functional: { type: 'list' },
+      emotional: { type: 'list' },
+    },
+  },
+};
+
+// Field formulir manual App 3 -> path di YAML. Daftar ditulis satu item per baris di formulir.
+const VALUE_MAP_FORM_FIELDS = {
+  productName: { path: ['product_name'], type: 'string' },
+  usp: { path: ['usp'], type: 'string' },
+  audiencePrimary: { path: ['audience', 'primary'], type: 'string' },
+  audienceSecondary: { path: ['audience', 'secondary'], type: 'string' },
+  customerJobs: { path: ['value_map', 'customer_jobs'], type: 'list' },
+  customerPains: { path: ['value_map', 'customer_pains'], type: 'list' },
+  customerGains: { path: ['value_map', 'customer_gains'], type: 'list' },
+};
+
+const VALUE_MAP_EMPTY_VALUES = ['', 'n/a', 'na', '-'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isYamlText = (value) => typeof value === 'string' || typeof value === 'number';
+const isEmptyYamlValue = (value) => (
+  value === undefined || value === null
+  || (isYamlText(value) && VALUE_MAP_EMPTY_VALUES.includes(String(value).trim().toLowerCase()))
+  || (Array.isArray(value) && value.length === 0)
+);
+
+const formatYamlPath = (path) => path.reduce((name, key) => (
+  typeof key === 'number' ? `${name}[${key}]` : (name ? `${name}.${key}` : key)
+), '');
+
+const checkValueMapFields = (schema, value, path, report) => {
+  Object.entries(schema).forEach(([key, rule]) => {
+    const fieldPath = [...path, key];
+    const name = formatYamlPath(fieldPath);
+    const fieldValue = value[key];
+
+    if (isEmptyYamlValue(fieldValue)) {
+      if (rule.required) report(fieldPath, `'${name}' wajib diisi.`);
       return;
     }
-    
-    setIsSummaryLoading(true);
-    setSummaryError(null);
-    setSummaryResult(null);
+    if (rule.type === 'string' && !isYamlText(fieldValue)) {
+      report(fieldPath, `'${name}' harus berupa teks satu baris.`);
+    } else if (rule.type === 'list') {
+      if (!Array.isArray(fieldValue)) {
+        report(fieldPath, `'${name}' harus berupa daftar (setiap item diawali "- ").`);
+        return;
+      }
+      fieldValue.forEach((item, index) => {
+        if (!isYamlText(item) || isEmptyYamlValue(item)) {
+          report([...fieldPath, index], `'${formatYamlPath([...fieldPath, index])}' harus berupa teks yang tidak kosong.`);
+        }
+      });
+    } else if (rule.type === 'object') {
+      if (!isPlainObject(fieldValue)) {
+        report(fieldPath, `'${name}' harus berisi sub-field (${Object.keys(rule.fields).join(', ')}).`);
+        return;
+      }
+      checkValueMapFields(rule.fields, fieldValue, fieldPath, report);
+    }
+  });
+};
 
-    const userQuery = `
-Berikut adalah teks analisis nilai produk. Tolong buatkan "Ringkasan Eksekutif" dalam 1 paragraf singkat (maksimal 3-4 kalimat) dalam bahasa Indonesia, menyoroti USP utama, target, dan manfaat kunci.
+/**
+ * Parse dan validasi YAML value map.
+ * @returns {object} - { valid, data (null jika YAML rusak), errors: [{ path, line, message }] }
+ */
+const validateValueMap = (text) => {
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(text || '', { lineCounter });
+
+  if (doc.errors.length > 0) {
+    return {
+      valid: false,
+      data: null,
+      errors: doc.errors.map(error => ({
+        path: '',
+        line: error.linePos ? error.linePos[0].line : null,
+        message: `Format YAML tidak valid: ${error.message.split('\n')[0]}`,
+      })),
+    };
+  }
 
---- TEKS UNTUK DIRINGKAS ---
-${visualResult}
---- AKHIR TEKS ---
-`;
-    
-    try {
-      // Kita bisa gunakan endpoint '/api/analyze' yang sama, tapi dengan userQuery yang berbeda
-      // atau buat endpoint baru /api/summarize. Untuk simpelnya, kita panggil /api/analyze
-      // tapi ini kurang ideal.
-      // Solusi LEBIH BAIK: Kita panggil endpoint /api/analyze, tapi endpoint itu harus
-      // cukup pintar untuk tidak selalu menggunakan SYSTEM_PROMPT utama.
-      // Untuk saat ini, kita akan membuat panggilan ke endpoint BEDA yang tidak pakai system prompt
-      // Mari kita panggil '/api/psikologis-hooks' sebagai "generic summarizer"
-      // INI HACK: Seharusnya kita buat endpoint /api/summarize
-      const summaryText = await callLocalAPI('/api/psikologis-hooks', { prompt: userQuery });
-      setSummaryResult(summaryText);
-    } catch (err) {
-      setSummaryError(err.message || "Gagal membuat ringkasan.");
-    } finally {
-      setIsSummaryLoading(false);
+  const data = doc.toJS();
+  if (!isPlainObject(data)) {
+    return { valid: false, data: null, errors: [{ path: '', line: 1, message: 'Value map harus berupa daftar field "nama: nilai".' }] };
+  }
+
+  // Baris key (atau item daftar) dari path; untuk field yang hilang, baris key induk terdekat
+  const lineOf = (path) => {
+    for (let length = path.length; length > 0; length--) {
+      const key = path[length - 1];
+      const parent = length > 1 ? doc.getIn(path.slice(0, length - 1), true) : doc.contents;
+      let node = null;
+      if (YAML.isMap(parent)) {
+        const pair = parent.items.find(item => item.key && item.key.value === key);
+        node = pair && pair.key;
+      } else if (YAML.isSeq(parent)) {
+        node = parent.items[key];
+      }
+      if (node && node.range) return lineCounter.linePos(node.range[0]).line;
     }
+    return 1;
   };
 
-  /**
-   * Meng-handle klik tombol "Reset Form"
-   */
-  const handleReset = () => {
-    setFormData({
-      'nama-produk': '', 'jenis-produk': '', 'lokasi-penjualan': '',
-      'deskripsi-produk': '', 'target-konsumen': '', 'kompetitor': '',
-      'harga': '', 'positioning': '', 'keunggulan-brand': '', 'pain-point-konsumen': '',
-    });
-    setError(null);
-    setValidationErrors({});
-    setVisualResult(null);
-    setYamlResult(null);
-    setSummaryResult(null);
-    setSummaryError(null);
-    setIsLoading(false);
-    setIsAiHelping(false);
-    setIsSummaryLoading(false);
-    
-    // Hapus localStorage
-    localStorage.removeItem('aiVal_formData');
-    localStorage.removeItem('aiVal_visualText');
-    localStorage.removeItem('aiVal_yamlText');
-    localStorage.removeItem('aiVal_summaryResult');
-  };
+  const errors = [];
+  checkValueMapFields(VALUE_MAP_SCHEMA, data, [], (path, message) => {
+    errors.push({ path: formatYamlPath(path), line: lineOf(path), message });
+  });
+  return { valid: errors.length === 0, data, errors };
+};
 
-  const handleCopyClick = () => {
-    if (!yamlResult) return;
-    const textToCopy = yamlResult;
-    const tempTextarea = document.createElement('textarea');
-    tempTextarea.value = textToCopy;
-    tempTextarea.style.position = 'absolute';
-    tempTextarea.style.left = '-9999px';
-    document.body.appendChild(tempTextarea);
-    tempTextarea.select();
-    tempTextarea.setSelectionRange(0, 99999);
-    try {
-      document.execCommand('copy');
-      setCopyStatus('Berhasil Disalin!');
-      setTimeout(() => setCopyStatus('Salin Hasil YAML'), 2000);
-    } catch (err) {
-      console.error('Gagal menyalin:', err);
-      setCopyStatus('Gagal Menyalin');
-      setTimeout(() => setCopyStatus('Salin Hasil YAML'), 2000);
-    }
-    document.body.removeChild(tempTextarea);
-  };
+const parseFormList = (text) => (text || '')
+  .split('\n')
+  .map(line => line.trim().replace(/^[-*•]\s*/, ''))
+  .filter(Boolean);
 
-  const getCopyButtonClass = () => {
-    let baseClass = "text-white font-semibold py-2 px-4 rounded-lg transition duration-200 text-sm disabled:opacity-50 disabled:cursor-not-allowed";
-    if (copyStatus === 'Berhasil Disalin!') return `${baseClass} bg-green-600 hover:bg-green-700`;
-    if (copyStatus === 'Gagal Menyalin') return `${baseClass} bg-red-600 hover:bg-red-700 w-full sm:w-auto`;
-    return `${baseClass} bg-gray-600 hover:bg-gray-500 w-full sm:w-auto`;
-  };
+/**
+ * Isi formulir manual App 3 dari data value map hasil parse.
+ */
+const valueMapToForm = (data) => Object.fromEntries(Object.entries(VALUE_MAP_FORM_FIELDS).map(([name, { path, type }]) => {
+  const value = path.reduce((current, key) => (isPlainObject(current) ? current[key] : undefined), data);
+  if (type === 'list') return [name, Array.isArray(value) ? value.map(String).join('\n') : ''];
+  return [name, isYamlText(value) ? String(value) : ''];
+}));
 
-  const getInputClass = (fieldName) => {
-    const baseClass = "w-full bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg p-2.5 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400 focus:ring-cyan-500 focus:border-cyan-500 shadow-sm";
-    if (validationErrors[fieldName]) {
-      return `${baseClass} border-red-500 focus:border-red-500 focus:ring-red-500`;
+/**
+ * YAML dari formulir manual. Jika `baseYaml` valid, field di luar formulir (product_features,
+ * benefits, komentar) dipertahankan; jika tidak, YAML dibuat baru dari formulir.
+ */
+const formToValueMapYaml = (form, baseYaml = '') => {
+  let doc = YAML.parseDocument(baseYaml || '');
+  if (doc.errors.length > 0 || !YAML.isMap(doc.contents)) doc = new YAML.Document({});
+
+  Object.entries(VALUE_MAP_FORM_FIELDS).forEach(([name, { path, type }]) => {
+    const value = type === 'list' ? parseFormList(form[name]) : (form[name] || '').trim();
+    const parentPath = path.slice(0, -1);
+    if (value.length === 0) {
+      if (doc.hasIn(path)) doc.deleteIn(path);
+      return;
     }
-    return baseClass;
-  };
+    // Induk yang bukan map (misal `audience: teks`) diganti map agar sub-field bisa diisi
+    if (parentPath.length > 0 && !YAML.isMap(doc.getIn(parentPath, true))) doc.setIn(parentPath, doc.createNode({}));
+    doc.setIn(path, value);
+  });
+  return doc.contents.items.length > 0 ? doc.toString() : '';
+};
 
-  const formatVisualText = (text) => {
-    if (!text) return { __html: '' };
-    let safeText = text
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;")
-      .replace(/"/g, "&quot;")
-      .replace(/'/g, "&#039;");
-    safeText = safeText.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-    safeText = safeText.replace(/\*(.*?)\*/g, '<em>$1</em>');
-    safeText = safeText.replace(/\n/g, '<br>');
-    return { __html: safeText };
+// --- Analisis terstruktur App 2 (JSON dari /api/analyze, lihat api/lib/analysis.js) ---
+const toAnalysisText = (value) => (typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '');
+const toAnalysisList = (value) => (Array.isArray(value) ? value.map(toAnalysisText).filter(Boolean) : []);
+const toAnalysisObject = (value) => (isPlainObject(value) ? value : {});
+
+/**
+ * Bentuk baku analisis (sama dengan normalizeAnalysis di server): semua field ada, daftar tanpa item kosong.
+ */
+const normalizeAnalysis = (data) => {
+  const source = toAnalysisObject(data);
+  const audience = toAnalysisObject(source.audience);
+  const valueMap = toAnalysisObject(source.value_map);
+  const benefits = toAnalysisObject(source.benefits);
+  return {
+    product_name: toAnalysisText(source.product_name),
+    usp: toAnalysisText(source.usp),
+    core_value: toAnalysisText(source.core_value),
+    audience: { primary: toAnalysisText(audience.primary), secondary: toAnalysisText(audience.secondary) },
+    value_map: {
+      customer_jobs: toAnalysisList(valueMap.customer_jobs),
+      customer_pains: toAnalysisList(valueMap.customer_pains),
+      customer_gains: toAnalysisList(valueMap.customer_gains),
+    },
+    product_features: toAnalysisList(source.product_features),
+    benefits: { functional: toAnalysisList(benefits.functional), emotional: toAnalysisList(benefits.emotional) },
   };
+};
 
-  const SpinnerIcon = () => (
-    <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white inline-block" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-    </svg>
-  );
+// Buang teks/daftar kosong agar ekspor YAML bersih
+const compactAnalysis = (value) => {
+  if (Array.isArray(value)) return value.length > 0 ? value : undefined;
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value)
+      .map(([key, item]) => [key, compactAnalysis(item)])
+      .filter(([, item]) => item !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+  }
+  return value ? value : undefined;
+};
 
-  const MagicIcon = () => (
-    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="mr-1.5" viewBox="0 0 16 16">
-      <path d="M7.657 6.247c.11-.33.576-.33.686 0l.645 1.937a2.5 2.5 0 0 0 1.916 1.414l2.03.295c.34.05.48.462.2.73l-1.473 1.437a2.5 2.5 0 0 0-.71 2.225l.346 2.024c.06.338-.298.597-.61.43l-1.815-.954a2.5 2.5 0 0 0-2.34 0l-1.815.954c-.312.166-.67-.092-.61-.43l.346-2.024a2.5 2.5 0 0 0-.71-2.225L1.84 9.613c-.28-.268-.14-.68.2-.73l2.03-.295a2.5 2.5 0 0 0 1.916-1.414l.645-1.937zM4.1 0l.365 1.462a.5.5 0 0 0 .382.288l1.528.22a.5.5 0 0 1 .28.854l-1.106.94a.5.5 0 0 0-.142.443l.26 1.516a.5.5 0 0 1-.724.526l-1.367-.718a.5.5 0 0 0-.466 0l-1.367.718a.5.5 0 0 1-.724-.526l.26-1.516a.5.5 0 0 0-.142-.443l-1.106-.94a.5.5 0 0 1 .28-.854l1.528-.22a.5.5 0 0 0 .382-.288L4.1 0zm7 0l.365 1.462a.5.5 0 0 0 .382.288l1.528.22a.5.5 0 0 1 .28.854l-1.106.94a.5.5 0 0 0-.142.443l.26 1.516a.5.5 0 0 1-.724.526l-1.367-.718a.5.5 0 0 0-.466 0l-1.367.718a.5.5 0 0 1-.724-.526l.26-1.516a.5.5 0 0 0-.142-.443l-1.106-.94a.5.5 0 0 1 .28-.854l1.528-.22a.5.5 0 0 0 .382-.288L11.1 0z"/>
-    </svg>
-  );
+/**
+ * Ekspor YAML value map dari analisis (sama dengan analysisToYaml di server).
+ */
+const analysisToYaml = (analysis) => {
+  const { product_name, usp, core_value, audience, value_map, product_features, benefits } = normalizeAnalysis(analysis);
+  const ordered = compactAnalysis({ product_name, usp, core_value, audience, value_map, product_features, benefits }) || {};
+  return YAML.stringify(ordered, { lineWidth: 0 });
+};
 
-  return (
-    <>
-      <style>{`
-        /* CSS khusus untuk App 2 */
-        .app2-container ::-webkit-scrollbar { width: 8px; height: 8px; }
-        .app2-container ::-webkit-scrollbar-track { background: #f1f5f9; /* gray-100 */ }
-        .app2-container ::-webkit-scrollbar-thumb { background: #94a3b8; /* gray-400 */ border-radius: 4px; }
-        .app2-container ::-webkit-scrollbar-thumb:hover { background: #64748b; /* gray-500 */ }
-        
-        /* Penyesuaian Dark Mode untuk Scrollbar */
-        .dark .app2-container ::-webkit-scrollbar-track { background: #1f2937; /* gray-800 */ }
-        .dark .app2-container ::-webkit-scrollbar-thumb { background: #4b5563; /* gray-600 */ }
-        .dark .app2-container ::-webkit-scrollbar-thumb:hover { background: #6b7280; /* gray-500 */ }
-        
-        .app2-container #output-yaml strong { font-weight: 700; color: #111827; /* gray-900 */ }
-        .dark .app2-container #output-yaml strong { color: #f9fafb; /* gray-50 */ }
-        .app2-container #output-yaml em { font-style: italic; color: #4b5563; /* gray-600 */ }
-        .dark .app2-container #output-yaml em { color: #d1d5db; /* gray-300 */ }
-      `}</style>
+// Bagian tampilan baca analisis, berurutan seperti laporan App 2 versi teks
+const ANALYSIS_SECTIONS = [
+  { label: 'USP (Unique Selling Proposition)', value: analysis => analysis.usp },
+  { label: 'Target Audiens Primer', value: analysis => analysis.audience.primary },
+  { label: 'Target Audiens Sekunder', value: analysis => analysis.audience.secondary },
+  { label: 'Fitur Kunci', value: analysis => analysis.product_features },
+  { label: 'Manfaat Fungsional', value: analysis => analysis.benefits.functional },
+  { label: 'Manfaat Emosional', value: analysis => analysis.benefits.emotional },
+  { label: 'Nilai Inti (Core Value)', value: analysis => analysis.core_value },
+  { label: 'Customer Jobs', value: analysis => analysis.value_map.customer_jobs },
+  { label: 'Customer Pains', value: analysis => analysis.value_map.customer_pains },
+  { label: 'Customer Gains', value: analysis => analysis.value_map.customer_gains },
+];
 
-      <div className="app2-container p-4 md:p-8">
-        <div className="max-w-7xl mx-auto">
-          {/* Judul dan Deskripsi Alat */}
-          <header className="text-center mb-10">
+/**
+ * Analisis sebagai teks Markdown sederhana (input ringkasan eksekutif).
+ */
+const analysisToMarkdown = (analysis) => {
+  const normalized = normalizeAnalysis(analysis);
+  return ANALYSIS_SECTIONS
+    .map(({ label, value }) => [label, value(normalized)])
+    .filter(([, value]) => value.length > 0)
+    .map(([label, value]) => `**${label}**\n${Array.isArray(value) ? value.map(item => `- ${item}`).join('\n') : value}`)
+    .join('\n\n');
+};
+
+
+// === SANITASI HTML ===
+// Semua HTML buatan model (dan hasil formatnya) dibersihkan sebelum dirender dengan dangerouslySetInnerHTML.
+// Allowlist sama dengan api/lib/sanitize.js (server juga menyanitasi sebelum merespons); ubah keduanya bersamaan.
+
+const SANITIZE_ALLOWED_TAGS = [
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'div', 'span', 'blockquote', 'pre', 'code',
+  'ul', 'ol', 'li', 'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'a',
+  'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+];
+const SANITIZE_DROPPED_TAGS = ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'template', 'noscript', 'textarea', 'title', 'svg', 'math', 'select', 'head'];
+const SANITIZE_ALLOWED_ATTRIBUTES = {
+  '*': ['class', 'title'],
+  a: ['href', 'target'],
+  ol: ['start'],
+  th: ['colspan', 'rowspan', 'scope'],
+  td: ['colspan', 'rowspan'],
+};
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto'];
+// Karakter kontrol dan spasi yang diabaikan browser saat membaca skema URL (misal "java\tscript:")
+const URL_IGNORED_CHARS = new RegExp('[\\u0000- \\u007f-\\u009f]', 'g');
+
+/**
+ * URL aman untuk href (http, https, mailto, atau relatif); null untuk javascript:, data:, dll.
+ */
+const sanitizeUrl = (url) => {
+  if (typeof url !== 'string') return null;
+  const scheme = url.replace(URL_IGNORED_CHARS, '').toLowerCase().match(/^([a-z][a-z0-9+.-]*):/);
+  if (scheme && !SAFE_URL_SCHEMES.includes(scheme[1])) return null;
+  return url.trim();
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#039;');
+
+const sanitizeNode = (node) => {
+  Array.from(node.childNodes).forEach(child => {
+    if (child.nodeType === Node.COMMENT_NODE) {
+      child.remove();
+      return;
+    }
+    if (child.nodeType !== Node.ELEMENT_NODE) return;
+
+    const tag = child.tagName.toLowerCase();
+    if (SANITIZE_DROPPED_TAGS.includes(tag)) {
+      child.remove();
+      return;
+    }
+    sanitizeNode(child);
+    if (!SANITIZE_ALLOWED_TAGS.includes(tag)) {
+      // Tag tak dikenal dibuang, teksnya dipertahankan
+      child.replaceWith(...Array.from(child.childNodes));
+      return;
+    }
+
+    const allowed = [...SANITIZE_ALLOWED_ATTRIBUTES['*'], ...(SANITIZE_ALLOWED_ATTRIBUTES[tag] || [])];
+    Array.from(child.attributes).forEach(({ name, value }) => {
+      const keep = allowed.includes(name)
+        && (name !== 'href' || sanitizeUrl(value) !== null)
+        && (name !== 'target' || value === '_blank');
+      if (!keep) child.removeAttribute(name);
+    });
+    if (tag === 'a') child.setAttribute('rel', 'noopener noreferrer');
+  });
+};
+
+/**
+ * Membersihkan HTML dengan allowlist di atas. DOMParser tidak menjalankan skrip atau memuat
+ * resource, jadi aman dipakai untuk mem-parse HTML yang belum bersih.
+ */
+const sanitizeHtml = (html) => {
+  if (!html) return '';
+  const doc = new DOMParser().parseFromString(`<!DOCTYPE html><body>${html}</body>`, 'text/html');
+  sanitizeNode(doc.body);
+  return doc.body.innerHTML;
+};
+
+
+// === MARKDOWN ===
+// Satu renderer Markdown (CommonMark + tabel GFM) untuk semua hasil teks AI. Styling Tailwind dipasang
+// per tag setelah sanitasi, jadi class dari model sendiri tidak ikut terpakai.
+
+const markdownParser = new Marked({ gfm: true, breaks: true });
+
+const MARKDOWN_CLASSES = {
+  h1: 'text-2xl font-bold text-cyan-600 dark:text-cyan-400 mb-4 border-b border-gray-200 dark:border-gray-700 pb-2',
+  h2: 'text-xl font-semibold text-cyan-700 dark:text-cyan-300 mt-6 mb-3',
+  h3: 'text-md font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider mt-4 mb-3',
+  h4: 'text-lg font-semibold text-gray-800 dark:text-gray-100 mt-5 mb-2',
+  h5: 'font-semibold text-gray-800 dark:text-gray-100 mt-4 mb-2',
+  h6: 'font-semibold text-gray-600 dark:text-gray-300 mt-4 mb-2',
+  p: 'mb-3 leading-relaxed text-gray-700 dark:text-gray-300',
+  ul: 'list-disc list-outside pl-5 mb-4 space-y-2 text-gray-700 dark:text-gray-300',
+  ol: 'list-decimal list-outside pl-5 mb-4 space-y-2 text-gray-700 dark:text-gray-300',
+  li: 'pb-1',
+  strong: 'font-bold text-gray-900 dark:text-white',
+  em: 'italic',
+  a: 'text-indigo-500 dark:text-indigo-400 hover:text-indigo-300 underline',
+  blockquote: 'border-l-4 border-cyan-500 dark:border-cyan-400 pl-4 italic text-gray-600 dark:text-gray-400 mb-4',
+  code: 'px-1 py-0.5 rounded bg-gray-100 dark:bg-gray-800 text-sm font-mono',
+  pre: 'p-3 mb-4 rounded-lg bg-gray-100 dark:bg-gray-800 overflow-x-auto text-sm',
+  hr: 'my-6 border-gray-200 dark:border-gray-700',
+  table: 'w-full border-collapse text-sm mb-4',
+  th: 'border border-gray-300 dark:border-gray-600 bg-gray-100 dark:bg-gray-800 px-3 py-2 text-left font-semibold',
+  td: 'border border-gray-300 dark:border-gray-600 px-3 py-2 align-top',
+};
+
+// Prompt Psikologis Market meminta heading "### ### Judul"; satukan menjadi "### Judul"
+const normalizeMarkdownHeadings = (text) => text.replace(/^( {0,3}#{1,6})(?:[ \t]+#{1,6})+(?=[ \t])/gm, '$1');
+
+/**
+ * Markdown -> HTML yang sudah disanitasi dan diberi styling proyek.
+ */
+const renderMarkdown = (text) => {
+  if (!text) return '';
+  const html = markdownParser.parse(normalizeMarkdownHeadings(text));
+  const doc = new DOMParser().parseFromString(`<!DOCTYPE html><body>${html}</body>`, 'text/html');
+  sanitizeNode(doc.body);
+  doc.body.querySelectorAll('*').forEach(element => {
+    const tag = element.tagName.toLowerCase();
+    element.setAttribute('class', tag === 'code' && element.parentElement.tagName === 'PRE' ? 'font-mono' : (MARKDOWN_CLASSES[tag] || ''));
+    if (tag === 'a') element.setAttribute('target', '_blank');
+  });
+  return doc.body.innerHTML;
+};
+
+/**
+ * Menampilkan teks Markdown dari AI. Props lain (misal: id) diteruskan ke <div> pembungkus.
+ */
+const Markdown = ({ text, className = '', ...props }) => {
+  const html = useMemo(() => renderMarkdown(text), [text]);
+  return <div className={className} {...props} dangerouslySetInnerHTML={{ __html: html }} />;
+};
+
+// === KOMPONEN IKON (SVG Inline) ===
+// --- PERBAIKAN: Semua ikon di bawah ini diubah untuk menerima `className` ---
+
+const IconLayoutDashboard = ({ className }) => (
+    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}>
+        <rect width="7" height="9" x="3" y="3" rx="1" /><rect width="7" height="5" x="14" y="3" rx="1" /><rect width="7" height="9" x="14" y="12" rx="1" /><rect width="7" height="5" x="3" y="16" rx="1" />
+    </svg>
+);
+const IconBulb = ({ className }) => (
+    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}>
+        <path d="M8 17a5 5 0 0 1 8 0h-8Z" /><path d="M9 11a5.002 5.002 0 0 1 5-5 5 5 0 0 1 5 5c0 1.83-1.04 3.4-2.5 4.16V17a1 1 0 0 1-1 1h-7a1 1 0 0 1-1-1v-1.84C10.04 14.4 9 12.83 9 11Z" /><path d="M12 21a1 1 0 0 1 1-1h.01a1 1 0 0 1 0 2H13a1 1 0 0 1-1-1Z" /><path d="M12 3a1 1 0 0 1 1-1h.01a1 1 0 0 1 0 2H13a1 1 0 0 1-1-1Z" /><path d="M19.9 6.01a1 1 0 0 1-1.42 1.42 1 1 0 0 1-1.4-1.4Z" /><path d="M4.1 6.01a1 1 0 0 1 0 1.42 1 1 0 0 1-1.4 1.4Z" /><path d="m18 12 1.99.01a1 1 0 0 1 .99 1v.01a1 1 0 0 1-1 1H18a1 1 0 0 1 0-2Z" /><path d="m4 12 1.99.01a1 1 0 0 1 .99 1v.01a1 1 0 0 1-1 1H4a1 1 0 0 1 0-2Z" />
+    </svg>
+);
+const IconMap = ({ className }) => (
+    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}>
+        <polygon points="1 6 1 22 8 18 16 22 23 18 23 2 16 6 8 2 1 6" /><line x1="8" x2="8" y1="2" y2="18" /><line x1="16" x2="16" y1="6" y2="22" />
+    </svg>
+);
+const IconBrain = ({ className }) => (
+    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}>
+        <path d="M12 5a3 3 0 1 0-5.997.125 4 4 0 0 0-2.526 5.77 4 4 0 0 0 .556 6.588A4 4 0 0 0 9 22a4 4 0 0 0 4-4 4 4 0 0 0 4-4 4 4 0 0 0-2-3.465c.52-.69.8-1.58.8-2.535A3 3 0 0 0 12 5Z" /><path d="M12 5a3 3 0 1 1 5.997.125 4 4 0 0 1 2.526 5.77 4 4 0 0 1-.556 6.588A4 4 0 0 1 15 22a4 4 0 0 1-4-4 4 4 0 0 1-4-4 4 4 0 0 1 2-3.465c-.52-.69-.8-1.58-.8-2.535A3 3 0 0 1 12 5Z" /><path d="M12 5a3 3 0 0 0-3 3" /><path d="M12 5a3 3 0 0 1 3 3" /><path d="M12 22v-4" /><path d="M15 18a3 3 0 0 0-3-3 3 3 0 0 0-3 3" /><path d="M12 15a3 3 0 0 0-3-3" /><path d="M12 15a3 3 0 0 1 3-3" />
+    </svg>
+);
+const IconCalendar = ({ className }) => (
+    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}>
+        <rect width="18" height="18" x="3" y="4" rx="2" ry="2" /><line x1="16" x2="16" y1="2" y2="6" /><line x1="8" x2="8" y1="2" y2="6" /><line x1="3" x2="21" y1="10" y2="10" />
+    </svg>
+);
+const IconPencil = ({ className }) => (
+    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}>
+        <line x1="18" x2="22" y1="2" y2="6" /><path d="M7.5 20.5 19 9l-4-4L3.5 16.5 2 22l5.5-1.5Z" /><path d="m15 5 4 4" />
+    </svg>
+);
+const IconVolume = ({ className }) => (
+    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}>
+        <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5" /><path d="M15.54 8.46a5 5 0 0 1 0 7.07" /><path d="M19.07 4.93a10 10 0 0 1 0 14.14" />
+    </svg>
+);
+const IconWorkflow = ({ className }) => (
+    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}>
+        <rect width="8" height="8" x="3" y="3" rx="2" /><path d="M7 11v4a2 2 0 0 0 2 2h4" /><rect width="8" height="8" x="13" y="13" rx="2" />
+    </svg>
+);
+
+// --- Ikon internal App (PERLU DEFINISI LENGKAP) ---
+const IconWandSparkles = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <path d="m21.64 3.64-1.28-1.28a1.21 1.21 0 0 0-1.72 0L11.8 9.2a1.21 1.21 0 0 0 0 1.72l5.8 5.8a1.21 1.21 0 0 0 1.72 0l6.84-6.84a1.21 1.21 0 0 0 0-1.72Z"/>
+    <path d="m14 7 3 3"/><path d="M5 6v4"/><path d="M19 14v4"/><path d="M10 2v2"/><path d="M7 8H3"/><path d="M14 17H9"/><path d="M17 17H9"/>
+  </svg>
+);
+
+const IconCopy = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <rect width="14" height="14" x="8" y="8" rx="2" ry="2"/>
+    <path d="M4 16c-1.1 0-2-.9-2-2V4c0-1.1.9-2 2-2h10c1.1 0 2 .9 2 2"/>
+  </svg>
+);
+
+/**
+ * Tombol global untuk menghentikan generasi streaming (digunakan App 2, 4, 5, 6)
+ */
+const StopGenerationButton = ({ onClick, className = '' }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    className={`flex items-center justify-center bg-red-600 hover:bg-red-700 text-white font-semibold py-2 px-4 rounded-lg shadow transition-colors duration-200 ${className}`}
+  >
+    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="currentColor" className="mr-1.5">
+      <rect width="14" height="14" x="5" y="5" rx="2" ry="2" />
+    </svg>
+    Stop
+  </button>
+);
+
+/**
+ * Catatan global tentang hasil generasi: output terpotong (MAX_TOKENS),
+ * dilanjutkan otomatis, formatnya diperbaiki otomatis, atau ditandai oleh safetyRatings. Tidak tampil jika tidak ada catatan.
+ */
+const GenerationNotice = ({ meta, className = '' }) => {
+  if (!meta) return null;
+  const flagged = (meta.safetyRatings || []).filter(rating => rating.probability === 'MEDIUM' || rating.probability === 'HIGH');
+  const notes = [];
+  if (meta.finishReason === 'MAX_TOKENS') {
+    notes.push('Output terpotong karena mencapai batas panjang AI. Coba persingkat input atau bagi permintaan menjadi beberapa bagian.');
+  } else if (meta.continuations > 0) {
+    notes.push(`Output panjang dilanjutkan otomatis ${meta.continuations} kali. Periksa bagian sambungannya.`);
+  }
+  if (meta.repairs > 0) {
+    notes.push(`Format output AI diperbaiki otomatis ${meta.repairs} kali agar sesuai struktur yang diminta.`);
+  }
+  if (meta.finishReason === 'CANCELLED') {
+    notes.push('Generasi dihentikan sebelum selesai.');
+  }
+  if (flagged.length > 0) {
+    notes.push(`Filter keamanan AI menandai hasil ini (kategori: ${formatSafetyCategories(flagged)}). Tinjau sebelum dipublikasikan.`);
+  }
+  if (meta.valueMap && !meta.valueMap.valid) {
+    const [first, ...rest] = meta.valueMap.errors;
+    const detail = first ? ` ${first.line ? `Baris ${first.line}: ` : ''}${first.message}${rest.length > 0 ? ` (+${rest.length} lainnya)` : ''}` : '';
+    notes.push(`Bagian YAML (value map) tidak sesuai format.${detail} Perbaiki sebelum dipakai di Mapping Market.`);
+  }
+  if (notes.length === 0) return null;
+
+  return (
+    <div className={`bg-amber-50 dark:bg-amber-900/30 border border-amber-300 dark:border-amber-700 text-amber-800 dark:text-amber-200 text-sm px-4 py-3 rounded-lg ${className}`}>
+      {notes.map((note, index) => <p key={index}>{note}</p>)}
+    </div>
+  );
+};
+
+const formatCacheAge = (seconds) => {
+  if (seconds < 60) return 'baru saja';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} menit lalu`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)} jam lalu`;
+  return `${Math.floor(seconds / 86400)} hari lalu`;
+};
+
+/**
+ * Penanda "hasil dari cache" + tombol untuk membuat ulang tanpa cache.
+ * Tidak tampil jika hasil bukan dari cache.
+ */
+const CacheBadge = ({ meta, onRefresh, disabled = false, className = '' }) => {
+  if (!meta || !meta.cache || meta.cache.status !== 'HIT') return null;
+  return (
+    <div className={`flex items-center justify-between gap-3 bg-cyan-50 dark:bg-cyan-900/30 border border-cyan-200 dark:border-cyan-800 text-cyan-800 dark:text-cyan-200 text-xs px-3 py-2 rounded-lg ${className}`}>
+      <span>⚡ Hasil dari cache (dibuat {formatCacheAge(meta.cache.age)})</span>
+      {onRefresh && (
+        <button
+          type="button"
+          onClick={onRefresh}
+          disabled={disabled}
+          className="font-semibold underline hover:text-cyan-600 dark:hover:text-cyan-100 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Buat Ulang
+        </button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Pemilih model untuk pengguna mahir (per alat). Pilihan yang sudah tidak
+ * tersedia di server dikembalikan ke default.
+ */
+const ModelPicker = ({ route, value, onChange, disabled = false, className = '' }) => {
+  const [registry, setRegistry] = useState(null);
+
+  useEffect(() => {
+    let isActive = true;
+    fetchModelRegistry().then(data => {
+      if (isActive) setRegistry(data);
+    });
+    return () => { isActive = false; };
+  }, []);
+
+  const routeInfo = registry && registry.routes && registry.routes[route];
+
+  useEffect(() => {
+    if (routeInfo && value && !routeInfo.options.includes(value)) onChange('');
+  }, [routeInfo, value, onChange]);
+
+  if (!routeInfo || routeInfo.options.length < 2) return null;
+
+  const getModel = (id) => registry.models.find(model => model.id === id) || { id, label: id };
+  const selected = getModel(value || routeInfo.default);
+
+  return (
+    <details className={`text-sm text-gray-600 dark:text-gray-400 ${className}`} open={Boolean(value)}>
+      <summary className="cursor-pointer select-none font-medium">Pengaturan lanjutan: model AI</summary>
+      <div className="mt-2">
+        <select
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={disabled}
+          className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200 focus:ring-2 focus:ring-cyan-500 disabled:opacity-50"
+        >
+          <option value="">Default ({getModel(routeInfo.default).label})</option>
+          {routeInfo.options.filter(id => id !== routeInfo.default).map(id => (
+            <option key={id} value={id}>{getModel(id).label}</option>
+          ))}
+        </select>
+        {selected.description && <p className="mt-1 text-xs">{selected.description}</p>}
+      </div>
+    </details>
+  );
+};
+
+
+// =======================================================================
+// === SLOT APLIKASI 1: DASHBOARD ===
+// =======================================================================
+// Nama alat per route back-end (untuk widget pemakaian)
+const ROUTE_LABELS = {
+  analyze: 'Analisis Value',
+  'ai-help': 'Analisis Value (Bantuan AI)',
+  summarize: 'Analisis Value (Ringkasan)',
+  'map-market': 'Mapping Market',
+  'map-market-helper': 'Mapping Market (Bantuan AI)',
+  'map-market-competitors': 'Mapping Market (Kompetitor)',
+  'map-market-sizing': 'Mapping Market (Ukuran Pasar)',
+  'map-market-diff': 'Mapping Market (Perubahan)',
+  'map-market-swot': 'Mapping Market (SWOT)',
+  'map-market-five-forces': 'Mapping Market (Five Forces)',
+  'psikologis-market': 'Psikologis Market',
+  'psikologis-helper': 'Psikologis Market (Bantuan AI)',
+  'psikologis-hooks': 'Psikologis Market (Hook)',
+  'psikologis-persona': 'Psikologis Market (Persona)',
+  'content-planner': 'Perencana Konten',
+  copywriting: 'Copywriting',
+  'tts-generator': 'TTS Generator',
+};
+
+const formatUsd = (value) => `$${(value || 0).toFixed(value >= 1 ? 2 : 4)}`;
+const formatTokens = (value) => new Intl.NumberFormat('id-ID', { notation: 'compact' }).format(value || 0);
+
+const BudgetBar = ({ label, used, limit, format }) => {
+  const percent = Math.min(100, Math.round((used / limit) * 100));
+  const barColor = percent >= 90 ? 'bg-red-500' : percent >= 70 ? 'bg-amber-500' : 'bg-cyan-500';
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400 mb-1">
+        <span>{label}</span>
+        <span>{format(used)} / {format(limit)}</span>
+      </div>
+      <div className="h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+        <div className={`h-full ${barColor}`} style={{ width: `${percent}%` }} />
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Widget dashboard: pemakaian token & biaya AI 7 hari terakhir (GET /api/usage).
+ */
+const UsageWidget = () => {
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isActive = true;
+    requestJSON('/api/usage?days=7')
+      .then(data => { if (isActive) setUsage(data); })
+      .catch(err => { if (isActive) setError(err.message); });
+    return () => { isActive = false; };
+  }, []);
+
+  if (error) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400 mb-8">Data pemakaian AI tidak tersedia: {error}</p>;
+  }
+  if (!usage) return null;
+
+  const today = usage.daily[usage.daily.length - 1];
+  const maxDailyCost = Math.max(...usage.daily.map(day => day.costUsd), 0);
+  const { global, caller } = usage.budget;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700 mb-8">
+      <h2 className="text-xl font-semibold mb-4">Pemakaian AI</h2>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="space-y-3">
+          <div>
+            <p className="text-sm text-gray-500 dark:text-gray-400">Biaya hari ini</p>
+            <p className="text-2xl font-bold text-gray-900 dark:text-white">{formatUsd(today.costUsd)}</p>
+            <p className="text-xs text-gray-500 dark:text-gray-400">{formatTokens(today.totalTokens)} token · {today.requests} permintaan</p>
+          </div>
+          {global.limitUsd !== null && <BudgetBar label="Anggaran tim" used={global.usedUsd} limit={global.limitUsd} format={formatUsd} />}
+          {global.limitTokens !== null && <BudgetBar label="Kuota token tim" used={global.usedTokens} limit={global.limitTokens} format={formatTokens} />}
+          {caller.limitUsd !== null && <BudgetBar label="Anggaran Anda" used={caller.usedUsd} limit={caller.limitUsd} format={formatUsd} />}
+        </div>
+
+        <div>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">Biaya {usage.days} hari terakhir ({formatUsd(usage.totals.costUsd)})</p>
+          <div className="flex items-end gap-1 h-24">
+            {usage.daily.map(day => (
+              <div
+                key={day.date}
+                title={`${day.date}: ${formatUsd(day.costUsd)}, ${formatTokens(day.totalTokens)} token`}
+                className="flex-1 bg-cyan-500/80 dark:bg-cyan-400/80 rounded-t"
+                style={{ height: `${maxDailyCost > 0 ? Math.max(2, (day.costUsd / maxDailyCost) * 100) : 2}%` }}
+              />
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">Alat paling boros</p>
+          {usage.byRoute.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">Belum ada pemakaian.</p>
+          ) : (
+            <ul className="space-y-1 text-sm">
+              {usage.byRoute.slice(0, 3).map(item => (
+                <li key={item.route} className="flex justify-between gap-2">
+                  <span className="truncate">{ROUTE_LABELS[item.route] || item.route}</span>
+                  <span className="font-semibold">{formatUsd(item.costUsd)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Panel dashboard: arsip hasil AI terbaru di proyek aktif (GET /api/generations).
+ */
+const GenerationHistory = () => {
+  const project = useContext(ProjectContext);
+  const [generations, setGenerations] = useState(null);
+  const [expanded, setExpanded] = useState(null); // { id, output } generasi yang sedang dibuka
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!project) return undefined;
+    let isActive = true;
+    requestJSON(`/api/generations?projectId=${encodeURIComponent(project.id)}&limit=10`)
+      .then(data => { if (isActive) setGenerations(data.generations); })
+      .catch(err => { if (isActive) setError(err.message); });
+    return () => { isActive = false; };
+  }, [project]);
+
+  const toggle = async (generation) => {
+    if (expanded && expanded.id === generation.id) {
+      setExpanded(null);
+      return;
+    }
+    try {
+      const full = await requestJSON(`/api/generations/${generation.id}`);
+      setExpanded({ id: full.id, output: full.output });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (error) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400 mb-8">Riwayat proyek tidak tersedia: {error}</p>;
+  }
+  if (!generations) return null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700 mb-8">
+      <h2 className="text-xl font-semibold mb-4">Riwayat Proyek: {project.name}</h2>
+      {generations.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Belum ada hasil AI di proyek ini. Hasil dari setiap alat otomatis tersimpan di sini.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          {generations.map(generation => (
+            <li key={generation.id} className="py-2">
+              <button type="button" onClick={() => toggle(generation)} className="w-full text-left flex justify-between gap-4">
+                <span className="min-w-0">
+                  <span className="font-semibold">{ROUTE_LABELS[generation.route] || generation.route}</span>
+                  <span className="block truncate text-gray-500 dark:text-gray-400">{generation.preview || '(tanpa teks)'}</span>
+                </span>
+                <span className="flex-shrink-0 text-xs text-gray-500 dark:text-gray-400 text-right">
+                  {new Date(generation.createdAt).toLocaleString('id-ID', { dateStyle: 'medium', timeStyle: 'short' })}
+                  <span className="block">{generation.createdBy}</span>
+                </span>
+              </button>
+              {expanded && expanded.id === generation.id && (
+                <pre className="mt-2 p-3 max-h-80 overflow-auto whitespace-pre-wrap bg-gray-50 dark:bg-gray-900 rounded-lg text-xs">{expanded.output || '(tanpa teks)'}</pre>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Isi konteks produk aktif dan alat yang menghasilkannya
+const PRODUCT_FIELD_LABELS = [
+  { field: 'valueMap', label: 'Value Map', source: 'Analisis Value' },
+  { field: 'marketMap', label: 'Mapping Market', source: 'Mapping Market' },
+  { field: 'psychProfile', label: 'Profil Psikologis', source: 'Psikologis Market' },
+  { field: 'hooks', label: 'Hook', source: 'Psikologis Market' },
+  { field: 'personas', label: 'Persona', source: 'Psikologis Market' },
+];
+
+/**
+ * Panel dashboard: data produk aktif yang sudah tersedia untuk diimpor alat lain.
+ */
+const ActiveProductPanel = () => {
+  const { product } = useActiveProduct();
+  return (
+    <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700 mb-8">
+      <h2 className="text-xl font-semibold mb-1">Produk Aktif{product.productName ? `: ${product.productName}` : ''}</h2>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+        Hasil setiap alat otomatis tersimpan di sini dan bisa diimpor lewat tombol "⤓" di alat berikutnya.
+      </p>
+      <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-3 text-sm">
+        {PRODUCT_FIELD_LABELS.map(({ field, label, source }) => (
+          <li key={field} className={`p-3 rounded-lg border ${product[field] ? 'border-green-400 bg-green-50 dark:bg-green-900/20' : 'border-gray-200 dark:border-gray-700'}`}>
+            <span className="font-semibold block">{label}</span>
+            <span className="text-xs text-gray-500 dark:text-gray-400">{product[field] ? 'Tersedia' : `Belum ada (dari ${source})`}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+/**
+ * Panel dashboard: anggota workspace aktif, undang anggota (owner), dan buat workspace baru.
+ * `onWorkspaceCreated(workspace)` dipanggil setelah workspace baru dibuat agar shell berpindah ke sana.
+ */
+const WorkspacePanel = ({ workspaceId, onWorkspaceCreated }) => {
+  const [detail, setDetail] = useState(null);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('member');
+  const [newWorkspaceName, setNewWorkspaceName] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!workspaceId) return undefined;
+    let isActive = true;
+    requestJSON(`/api/workspaces/${workspaceId}`)
+      .then(data => { if (isActive) setDetail(data); })
+      .catch(err => { if (isActive) setError(err.message); });
+    return () => { isActive = false; };
+  }, [workspaceId]);
+
+  const runAction = async (action) => {
+    setIsSaving(true);
+    setNotice(null);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleInvite = (event) => {
+    event.preventDefault();
+    if (!inviteEmail.trim()) return;
+    runAction(async () => {
+      const result = await requestJSON(`/api/workspaces/${workspaceId}/members`, {
+        method: 'POST',
+        body: { email: inviteEmail.trim(), role: inviteRole },
+      });
+      setDetail(result.workspace);
+      setNotice(result.invited
+        ? `Undangan dikirim ke ${inviteEmail.trim()}. Ia akan bergabung setelah membuat akun.`
+        : `${inviteEmail.trim()} ditambahkan ke workspace.`);
+      setInviteEmail('');
+    });
+  };
+
+  const handleRemove = (member) => {
+    if (!window.confirm(`Keluarkan ${member.email} dari workspace "${detail.name}"?`)) return;
+    runAction(async () => {
+      setDetail(await requestJSON(`/api/workspaces/${workspaceId}/members/${member.userId}`, { method: 'DELETE' }));
+    });
+  };
+
+  const handleCancelInvite = (invite) => {
+    runAction(async () => {
+      setDetail(await requestJSON(`/api/workspaces/${workspaceId}/invitations/${encodeURIComponent(invite.email)}`, { method: 'DELETE' }));
+    });
+  };
+
+  const handleCreateWorkspace = (event) => {
+    event.preventDefault();
+    if (!newWorkspaceName.trim()) return;
+    runAction(async () => {
+      const workspace = await requestJSON('/api/workspaces', { method: 'POST', body: { name: newWorkspaceName.trim() } });
+      setNewWorkspaceName('');
+      onWorkspaceCreated(workspace);
+    });
+  };
+
+  if (!detail) {
+    return error ? <p className="text-sm text-gray-500 dark:text-gray-400 mb-8">Data workspace tidak tersedia: {error}</p> : null;
+  }
+
+  const isOwner = detail.role === 'owner';
+  const inputClass = "w-full p-3 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-cyan-500 placeholder:text-gray-400 dark:placeholder:text-gray-500";
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700 mb-8">
+      <h2 className="text-xl font-semibold mb-4">Workspace: {detail.name}</h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">Anggota ({detail.members.length})</p>
+          <ul className="space-y-1 text-sm">
+            {detail.members.map(member => (
+              <li key={member.userId} className="flex justify-between items-center gap-2">
+                <span className="truncate">{member.name} <span className="text-gray-500 dark:text-gray-400">({member.email})</span></span>
+                <span className="flex items-center gap-2 flex-shrink-0">
+                  <span className="text-xs uppercase text-gray-500 dark:text-gray-400">{member.role === 'owner' ? 'Pemilik' : 'Anggota'}</span>
+                  {isOwner && member.role !== 'owner' && (
+                    <button type="button" onClick={() => handleRemove(member)} disabled={isSaving} className="text-xs text-red-600 dark:text-red-400 hover:underline disabled:opacity-50">
+                      Keluarkan
+                    </button>
+                  )}
+                </span>
+              </li>
+            ))}
+            {detail.invitations.map(invite => (
+              <li key={invite.email} className="flex justify-between items-center gap-2 text-gray-500 dark:text-gray-400">
+                <span className="truncate italic">{invite.email} (menunggu)</span>
+                {isOwner && (
+                  <button type="button" onClick={() => handleCancelInvite(invite)} disabled={isSaving} className="text-xs text-red-600 dark:text-red-400 hover:underline disabled:opacity-50">
+                    Batalkan
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="space-y-4">
+          {isOwner && (
+            <form onSubmit={handleInvite} className="space-y-2">
+              <p className="text-sm text-gray-500 dark:text-gray-400">Undang anggota tim</p>
+              <input type="email" className={inputClass} placeholder="email@perusahaan.com" value={inviteEmail} onChange={(e) => setInviteEmail(e.target.value)} disabled={isSaving} />
+              <div className="flex gap-2">
+                <select className={inputClass} value={inviteRole} onChange={(e) => setInviteRole(e.target.value)} disabled={isSaving}>
+                  <option value="member">Anggota</option>
+                  <option value="owner">Pemilik</option>
+                </select>
+                <button type="submit" disabled={isSaving || !inviteEmail.trim()} className="px-4 bg-cyan-600 hover:bg-cyan-500 text-white rounded-lg disabled:opacity-50 disabled:cursor-not-allowed">
+                  Undang
+                </button>
+              </div>
+            </form>
+          )}
+          <form onSubmit={handleCreateWorkspace} className="space-y-2">
+            <p className="text-sm text-gray-500 dark:text-gray-400">Buat workspace baru</p>
+            <div className="flex gap-2">
+              <input type="text" className={inputClass} placeholder="Misal: Klien Skincare" value={newWorkspaceName} onChange={(e) => setNewWorkspaceName(e.target.value)} disabled={isSaving} />
+              <button type="submit" disabled={isSaving || !newWorkspaceName.trim()} className="px-4 bg-cyan-600 hover:bg-cyan-500 text-white rounded-lg disabled:opacity-50 disabled:cursor-not-allowed">
+                Buat
+              </button>
+            </div>
+          </form>
+          {notice && <p className="text-sm text-green-600 dark:text-green-400">{notice}</p>}
+          {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const App1_Dashboard = ({ setActiveApp, workspaceId, onWorkspaceCreated }) => {
+    
+    // Daftar shortcut untuk 7 aplikasi lainnya
+    const shortcuts = [
+        { id: 'app2', name: 'Analisis Value', icon: <IconBulb />, description: "Akses Analisis Value" },
+        { id: 'app3', name: 'Mapping Market', icon: <IconMap />, description: "Akses Mapping Market" },
+        { id: 'app4', name: 'Psikologis Market', icon: <IconBrain />, description: "Akses Psikologis Market" },
+        { id: 'app5', name: 'Perencana Konten', icon: <IconCalendar />, description: "Akses Perencana Konten" },
+        { id: 'app6', name: 'Copywriting', icon: <IconPencil />, description: "Akses Copywriting" },
+        { id: 'app7', name: 'TTS Generator', icon: <IconVolume />, description: "Akses TTS Generator" },
+        { id: 'app8', name: 'Pipeline Kampanye', icon: <IconWorkflow />, description: "Jalankan semua alat dari satu brief" },
+    ];
+
+    return (
+        <div className="p-6">
+            <h1 className="text-3xl font-bold mb-4">DIVISI ANALISIS & STRATEGI KOMUNIKASI</h1>
+            <p className="text-lg text-gray-600 dark:text-gray-300 mb-8">
+                Selamat datang di ruang kerja kami! Kami siap membantu menganalisis & merencakan konten dalam hitungan detik.
+            </p>
+
+            <UsageWidget />
+            <ActiveProductPanel />
+            <GenerationHistory />
+            <WorkspacePanel workspaceId={workspaceId} onWorkspaceCreated={onWorkspaceCreated} />
+            
+            <h2 className="text-2xl font-semibold mb-4">Shortcut Aplikasi</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                {shortcuts.map(app => (
+                    <button
+                        key={app.id}
+                        onClick={() => setActiveApp(app.id)}
+                        className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg hover:shadow-xl dark:hover:shadow-yellow-300/20 transition-shadow duration-300 flex items-center text-left w-full border border-gray-200 dark:border-gray-700"
+                    >
+                        {/* PERBAIKAN: Menggunakan <span> dengan lebar tetap (w-20 / 5rem) 
+                          untuk menampung ikon dan meratakannya. 
+                        */}
+                        <span className="w-20 flex items-center justify-center flex-shrink-0">
+                           {React.cloneElement(app.icon, { className: "h-8 w-8 text-[#2022f3] dark:text-[#f8fb18]" })}
+                        </span>
+                        <div>
+                            <h3 className="text-xl font-bold text-gray-900 dark:text-white">{app.name}</h3>
+                            <p className="text-gray-500 dark:text-gray-400">{app.description}</p>
+                        </div>
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// =======================================================================
+// === APLIKASI 2: AI VALUE PRODUCT ANALYST
+// =======================================================================
+// Data lama App 2 dari versi yang hanya menyimpan di localStorage (dipakai sekali sebagai nilai awal proyek)
+const readLegacyApp2Value = (key) => localStorage.getItem(`aiVal_${key}`) || null;
+
+/**
+ * Tampilan baca analisis terstruktur App 2 (lihat ANALYSIS_SECTIONS).
+ */
+const AnalysisView = ({ analysis }) => {
+  const normalized = normalizeAnalysis(analysis);
+  return (
+    <div className="space-y-4">
+      {normalized.product_name && (
+        <h3 className="text-lg font-bold text-gray-900 dark:text-white">{normalized.product_name}</h3>
+      )}
+      {ANALYSIS_SECTIONS.map(({ label, value }) => {
+        const content = value(normalized);
+        if (content.length === 0) return null;
+        return (
+          <section key={label}>
+            <h4 className="font-bold text-gray-900 dark:text-gray-50 mb-1">{label}</h4>
+            {Array.isArray(content) ? (
+              <ul className="list-disc list-inside space-y-0.5">
+                {content.map((item, index) => <li key={index}>{item}</li>)}
+              </ul>
+            ) : (
+              <p>{content}</p>
+            )}
+          </section>
+        );
+      })}
+    </div>
+  );
+};
+
+const App2_AnalisisValue = () => {
+  
+  // --- State Management (disimpan ke proyek aktif, lihat useProjectState) ---
+  const [formData, setFormData] = useProjectState('app2', 'formData', () => {
+    const saved = readLegacyApp2Value('formData');
+    return saved ? JSON.parse(saved) : {
+      'nama-produk': '', 'jenis-produk': '', 'lokasi-penjualan': '',
+      'deskripsi-produk': '', 'target-konsumen': '', 'kompetitor': '',
+      'harga': '', 'positioning': '', 'keunggulan-brand': '', 'pain-point-konsumen': '',
+    };
+  });
+  
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [validationErrors, setValidationErrors] = useState({});
+  
+  // State untuk Hasil Utama: objek analisis terstruktur; tampilan baca dan YAML dibuat dari sini
+  const [analysis, setAnalysis] = useProjectState('app2', 'analysis', null);
+  // Hasil format lama (teks visual + YAML terpisah) dari proyek sebelum output terstruktur, hanya dibaca
+  const [legacyVisual, setLegacyVisual] = useProjectState('app2', 'visualResult', () => readLegacyApp2Value('visualText'));
+  const [legacyYaml, setLegacyYaml] = useProjectState('app2', 'yamlResult', () => readLegacyApp2Value('yamlText'));
+  const yamlResult = useMemo(() => (analysis ? analysisToYaml(analysis) : legacyYaml), [analysis, legacyYaml]);
+  const hasResult = Boolean(analysis || legacyVisual);
+  
+  const [copyStatus, setCopyStatus] = useState('Salin Hasil YAML');
+
+  // State untuk streaming (teks tampil bertahap + tombol Stop)
+  const [streamText, setStreamText] = useState('');
+  const abortControllerRef = useRef(null);
+  // Metadata generasi terakhir (finishReason, safetyRatings) untuk GenerationNotice
+  const [generationMeta, setGenerationMeta] = useState(null);
+  const [model, setModel] = useModelPreference('analyze');
+  const recordGeneration = useRecordGeneration('app2');
+  const { updateProduct } = useActiveProduct();
+
+  // State untuk Bantuan AI
+  const [isAiHelping, setIsAiHelping] = useState(false);
+  
+  // State untuk Ringkasan
+  const [isSummaryLoading, setIsSummaryLoading] = useState(false);
+  const [summaryResult, setSummaryResult] = useProjectState('app2', 'summaryResult', () => readLegacyApp2Value('summaryResult'));
+  const [summaryError, setSummaryError] = useState(null);
+
+  // Data lama sudah ikut tersimpan di proyek, hapus dari localStorage
+  useEffect(() => {
+    ['formData', 'visualText', 'yamlText', 'summaryResult'].forEach(key => localStorage.removeItem(`aiVal_${key}`));
+  }, []);
+
+
+  // --- Fungsi Helper ---
+
+  const handleFormChange = (e) => {
+    const { id, value } = e.target;
+    setFormData(prev => ({ ...prev, [id]: value }));
+    if (validationErrors[id]) {
+      setValidationErrors(prev => ({ ...prev, [id]: false }));
+    }
+  };
+
+  const validateForm = useCallback(() => {
+    const requiredFields = [
+      'nama-produk', 'jenis-produk', 'lokasi-penjualan', 
+      'deskripsi-produk', 'target-konsumen'
+    ];
+    let newErrors = {};
+    let isValid = true;
+    
+    requiredFields.forEach(field => {
+      if (!formData[field] || formData[field].trim() === '') {
+        newErrors[field] = true;
+        isValid = false;
+      }
+    });
+    
+    setValidationErrors(newErrors);
+    return isValid;
+  }, [formData]);
+
+  /**
+   * Meng-handle submit form utama (Analisis Sekarang)
+   */
+  const handleSubmit = async (event, { bypassCache = false } = {}) => {
+    if (event) event.preventDefault();
+    
+    if (!validateForm()) {
+      setError("Harap isi semua kolom yang wajib ditandai *");
+      return;
+    }
+    
+    setIsLoading(true);
+    setError(null);
+    clearResults();
+    setSummaryResult(null);
+    setSummaryError(null);
+    setGenerationMeta(null);
+    
+    // Mengumpulkan data dari form state
+    const userQuery = `
+--- DATA PRODUK MENTAH ---
+Nama Produk: ${formData['nama-produk']}
+Jenis Produk/Layanan: ${formData['jenis-produk']}
+Lokasi penjualan: ${formData['lokasi-penjualan']}
+Deskripsi Singkat / Spesifikasi / Fitur Produk: 
+${formData['deskripsi-produk']}
+Target Konsumen / Persona Utama: ${formData['target-konsumen']}
+--- DATA OPSIONAL ---
+Kompetitor Utama: ${formData.kompetitor || 'Tidak disebutkan'}
+Harga Produk/Layanan: ${formData.harga || 'Tidak disebutkan'}
+Positioning brand: ${formData.positioning || 'Tidak disebutkan'}
+Keunggulan utama menurut brand: ${formData['keunggulan-brand'] || 'Tidak disebutkan'}
+Masalah konsumen yang ingin dipecahkan: ${formData['pain-point-konsumen'] || 'Tidak disebutkan'}
+--- AKHIR DATA ---
+Tolong analisis data di atas sekarang.
+    `;
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    let meta = null;
+    setStreamText('');
+
+    try {
+      // Memanggil back-end lokal (streaming; potongan JSON hanya dipakai sebagai indikator progres)
+      const fullText = await callLocalAPIStream('/api/analyze/stream', withModel({ userQuery }, model), {
+        signal: controller.signal,
+        bypassCache,
+        onChunk: (chunk, textSoFar) => {
+          setStreamText(textSoFar);
+        },
+        onMeta: (nextMeta) => {
+          meta = nextMeta;
+          setGenerationMeta(nextMeta);
+        },
+      });
+      const result = parseAnalysisResponse(fullText);
+      setAnalysis(result);
+      recordGeneration('analyze', { formData }, fullText, meta);
+      updateProduct({ productName: formData['nama-produk'], valueMap: analysisToYaml(result) });
+      
+    } catch (err) {
+      if (isAbortError(err)) {
+        // JSON yang terpotong tidak bisa ditampilkan sebagian
+        setGenerationMeta({ finishReason: 'CANCELLED' });
+        setError("Analisis dihentikan sebelum selesai. Jalankan lagi untuk mendapatkan hasil lengkap.");
+      } else {
+        setError(err.message || "Terjadi kesalahan. Silakan coba lagi.");
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setStreamText('');
+      setIsLoading(false);
+    }
+  };
+
+  const clearResults = () => {
+    setAnalysis(null);
+    setLegacyVisual(null);
+    setLegacyYaml(null);
+  };
+
+  /**
+   * Teks akhir stream (JSON baku dari server) menjadi objek analisis.
+   */
+  const parseAnalysisResponse = (text) => {
+    try {
+      return normalizeAnalysis(JSON.parse(text));
+    } catch (e) {
+      throw new Error("Respons analisis tidak lengkap atau bukan JSON yang valid. Silakan coba lagi.");
+    }
+  };
+
+  /**
+   * Meng-handle klik tombol "Stop" saat analisis sedang di-stream
+   */
+  const handleStop = () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+  };
+
+  /**
+   * Meng-handle klik tombol "Bantu AI"
+   */
+  const handleAiHelp = async () => {
+    const namaProduk = formData['nama-produk'];
+    if (!namaProduk || namaProduk.trim() === '') {
+      setValidationErrors(prev => ({ ...prev, 'nama-produk': true }));
+      setError("Harap isi 'Nama Produk' terlebih dahulu sebelum menggunakan Bantuan AI.");
+      return;
+    }
+    
+    setIsAiHelping(true);
+    setError(null);
+
+    const userQuery = `Berdasarkan nama produk ini: "${namaProduk}", tolong buatkan draf untuk field-field berikut.`;
+
+    try {
+      // Memanggil back-end lokal
+      const suggestions = await callLocalAPI('/api/ai-help', { userQuery });
+      
+      // suggestions sudah dalam format JSON
+      setFormData(prev => ({
+        ...prev,
+        'jenis-produk': suggestions.jenisProduk || prev['jenis-produk'],
+        'lokasi-penjualan': suggestions.lokasiPenjualan || prev['lokasi-penjualan'],
+        'deskripsi-produk': suggestions.deskripsiProduk || prev['deskripsi-produk'],
+        'target-konsumen': suggestions.targetKonsumen || prev['target-konsumen'],
+      }));
+
+    } catch (err) {
+      setError(err.message || "Bantuan AI gagal. Silakan coba lagi.");
+    } finally {
+      setIsAiHelping(false);
+    }
+  };
+
+  /**
+   * Meng-handle klik tombol "Ringkasan Eksekutif"
+   * (Fungsi ini tidak memerlukan back-end baru, karena hanya memanggil ulang API biasa)
+   */
+  const handleSummary = async () => {
+    const visualText = analysis ? analysisToMarkdown(analysis) : legacyVisual;
+    if (!visualText) {
+      setSummaryError("Tidak ada hasil analisis untuk diringkas.");
+      return;
+    }
+    
+    setIsSummaryLoading(true);
+    setSummaryError(null);
+    setSummaryResult(null);
+
+    const userQuery = `
+Berikut adalah teks analisis nilai produk. Tolong buatkan "Ringkasan Eksekutif" dalam 1 paragraf singkat (maksimal 3-4 kalimat) dalam bahasa Indonesia, menyoroti USP utama, target, dan manfaat kunci.
+
+--- TEKS UNTUK DIRINGKAS ---
+${visualText}
+--- AKHIR TEKS ---
+`;
+    
+    try {
+      const summaryText = await callLocalAPI('/api/summarize', { prompt: userQuery });
+      setSummaryResult(summaryText);
+      recordGeneration('summarize', { purpose: 'summary' }, summaryText);
+    } catch (err) {
+      setSummaryError(err.message || "Gagal membuat ringkasan.");
+    } finally {
+      setIsSummaryLoading(false);
+    }
+  };
+
+  /**
+   * Meng-handle klik tombol "Reset Form"
+   */
+  const handleReset = () => {
+    handleStop();
+    setFormData({
+      'nama-produk': '', 'jenis-produk': '', 'lokasi-penjualan': '',
+      'deskripsi-produk': '', 'target-konsumen': '', 'kompetitor': '',
+      'harga': '', 'positioning': '', 'keunggulan-brand': '', 'pain-point-konsumen': '',
+    });
+    setError(null);
+    setValidationErrors({});
+    clearResults();
+    setSummaryResult(null);
+    setSummaryError(null);
+    setGenerationMeta(null);
+    setIsLoading(false);
+    setIsAiHelping(false);
+    setIsSummaryLoading(false);
+  };
+
+  const handleCopyClick = () => {
+    if (!yamlResult) return;
+    const textToCopy = yamlResult;
+    const tempTextarea = document.createElement('textarea');
+    tempTextarea.value = textToCopy;
+    tempTextarea.style.position = 'absolute';
+    tempTextarea.style.left = '-9999px';
+    document.body.appendChild(tempTextarea);
+    tempTextarea.select();
+    tempTextarea.setSelectionRange(0, 99999);
+    try {
+      document.execCommand('copy');
+      setCopyStatus('Berhasil Disalin!');
+      setTimeout(() => setCopyStatus('Salin Hasil YAML'), 2000);
+    } catch (err) {
+      console.error('Gagal menyalin:', err);
+      setCopyStatus('Gagal Menyalin');
+      setTimeout(() => setCopyStatus('Salin Hasil YAML'), 2000);
+    }
+    document.body.removeChild(tempTextarea);
+  };
+
+  const getCopyButtonClass = () => {
+    let baseClass = "text-white font-semibold py-2 px-4 rounded-lg transition duration-200 text-sm disabled:opacity-50 disabled:cursor-not-allowed";
+    if (copyStatus === 'Berhasil Disalin!') return `${baseClass} bg-green-600 hover:bg-green-700`;
+    if (copyStatus === 'Gagal Menyalin') return `${baseClass} bg-red-600 hover:bg-red-700 w-full sm:w-auto`;
+    return `${baseClass} bg-gray-600 hover:bg-gray-500 w-full sm:w-auto`;
+  };
+
+  const getInputClass = (fieldName) => {
+    const baseClass = "w-full bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg p-2.5 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400 focus:ring-cyan-500 focus:border-cyan-500 shadow-sm";
+    if (validationErrors[fieldName]) {
+      return `${baseClass} border-red-500 focus:border-red-500 focus:ring-red-500`;
+    }
+    return baseClass;
+  };
+
+  const SpinnerIcon = () => (
+    <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white inline-block" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+    </svg>
+  );
+
+  const MagicIcon = () => (
+    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="mr-1.5" viewBox="0 0 16 16">
+      <path d="M7.657 6.247c.11-.33.576-.33.686 0l.645 1.937a2.5 2.5 0 0 0 1.916 1.414l2.03.295c.34.05.48.462.2.73l-1.473 1.437a2.5 2.5 0 0 0-.71 2.225l.346 2.024c.06.338-.298.597-.61.43l-1.815-.954a2.5 2.5 0 0 0-2.34 0l-1.815.954c-.312.166-.67-.092-.61-.43l.346-2.024a2.5 2.5 0 0 0-.71-2.225L1.84 9.613c-.28-.268-.14-.68.2-.73l2.03-.295a2.5 2.5 0 0 0 1.916-1.414l.645-1.937zM4.1 0l.365 1.462a.5.5 0 0 0 .382.288l1.528.22a.5.5 0 0 1 .28.854l-1.106.94a.5.5 0 0 0-.142.443l.26 1.516a.5.5 0 0 1-.724.526l-1.367-.718a.5.5 0 0 0-.466 0l-1.367.718a.5.5 0 0 1-.724-.526l.26-1.516a.5.5 0 0 0-.142-.443l-1.106-.94a.5.5 0 0 1 .28-.854l1.528-.22a.5.5 0 0 0 .382-.288L4.1 0zm7 0l.365 1.462a.5.5 0 0 0 .382.288l1.528.22a.5.5 0 0 1 .28.854l-1.106.94a.5.5 0 0 0-.142.443l.26 1.516a.5.5 0 0 1-.724.526l-1.367-.718a.5.5 0 0 0-.466 0l-1.367.718a.5.5 0 0 1-.724-.526l.26-1.516a.5.5 0 0 0-.142-.443l-1.106-.94a.5.5 0 0 1 .28-.854l1.528-.22a.5.5 0 0 0 .382-.288L11.1 0z"/>
+    </svg>
+  );
+
+  return (
+    <>
+      <style>{`
+        /* CSS khusus untuk App 2 */
+        .app2-container ::-webkit-scrollbar { width: 8px; height: 8px; }
+        .app2-container ::-webkit-scrollbar-track { background: #f1f5f9; /* gray-100 */ }
+        .app2-container ::-webkit-scrollbar-thumb { background: #94a3b8; /* gray-400 */ border-radius: 4px; }
+        .app2-container ::-webkit-scrollbar-thumb:hover { background: #64748b; /* gray-500 */ }
+        
+        /* Penyesuaian Dark Mode untuk Scrollbar */
+        .dark .app2-container ::-webkit-scrollbar-track { background: #1f2937; /* gray-800 */ }
+        .dark .app2-container ::-webkit-scrollbar-thumb { background: #4b5563; /* gray-600 */ }
+        .dark .app2-container ::-webkit-scrollbar-thumb:hover { background: #6b7280; /* gray-500 */ }
+        
+        .app2-container #output-yaml strong { font-weight: 700; color: #111827; /* gray-900 */ }
+        .dark .app2-container #output-yaml strong { color: #f9fafb; /* gray-50 */ }
+        .app2-container #output-yaml em { font-style: italic; color: #4b5563; /* gray-600 */ }
+        .dark .app2-container #output-yaml em { color: #d1d5db; /* gray-300 */ }
+      `}</style>
+
+      <div className="app2-container p-4 md:p-8">
+        <div className="max-w-7xl mx-auto">
+          {/* Judul dan Deskripsi Alat */}
+          <header className="text-center mb-10">
             <h1 className="text-2xl sm:text-3xl md:text-4xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-cyan-500 to-blue-600">
               AI Value Product Analyst
             </h1>
@@ -697,132 +2166,1363 @@ ${visualResult}
                   </div>
                 </details>
 
-                {/* Pesan Error Global (jika ada) */}
-                {error && (
-                  <div className="mt-6 bg-red-100 dark:bg-red-900 border border-red-300 dark:border-red-700 text-red-700 dark:text-red-200 px-4 py-3 rounded-lg" role="alert">
-                    <strong className="font-bold">Error: </strong>
-                    <span className="block sm:inline">{error}</span>
-                  </div>
-                )}
+                {/* Pesan Error Global (jika ada) */}
+                {error && (
+                  <div className="mt-6 bg-red-100 dark:bg-red-900 border border-red-300 dark:border-red-700 text-red-700 dark:text-red-200 px-4 py-3 rounded-lg" role="alert">
+                    <strong className="font-bold">Error: </strong>
+                    <span className="block sm:inline">{error}</span>
+                  </div>
+                )}
+
+                <ModelPicker route="analyze" value={model} onChange={setModel} disabled={isLoading} className="mt-6" />
+
+                {/* Tombol Submit & Reset */}
+                <div className="mt-8 flex flex-col sm:flex-row gap-4">
+                  <button 
+                    type="submit" 
+                    id="analyze-button" 
+                    disabled={isLoading}
+                    className="flex-grow w-full bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-600 hover:to-blue-700 text-white font-bold py-3 px-4 rounded-lg shadow-lg transition duration-300 ease-in-out transform hover:-translate-y-0.5 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-cyan-500 focus:ring-offset-gray-100 dark:focus:ring-offset-gray-800 disabled:opacity-75 disabled:cursor-not-allowed"
+                  >
+                    {isLoading ? (
+                      <span id="button-spinner"><SpinnerIcon /> Menganalisis...</span>
+                    ) : (
+                      <span id="button-text">Analisis Sekarang</span>
+                    )}
+                  </button>
+                  {isLoading && (
+                    <StopGenerationButton onClick={handleStop} className="w-full sm:w-auto px-6 py-3" />
+                  )}
+                  <button 
+                    type="button" 
+                    onClick={handleReset}
+                    className="w-full sm:w-auto px-6 py-3 bg-gray-600 hover:bg-gray-500 text-white font-bold rounded-lg shadow-lg transition duration-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500 focus:ring-offset-gray-100 dark:focus:ring-offset-gray-800"
+                  >
+                    Reset Form
+                  </button>
+                </div>
+              </form>
+            </div>
+
+            {/* Kolom Output Hasil */}
+            <div className="bg-white dark:bg-gray-800 p-6 rounded-2xl shadow-lg border border-gray-200 dark:border-gray-700 flex flex-col" style={{ maxHeight: '1200px' }}>
+              <h2 className="text-xl sm:text-2xl font-semibold mb-6 text-cyan-600 dark:text-cyan-400 border-b border-gray-200 dark:border-gray-700 pb-3">
+                Hasil Analisis Nilai Produk
+              </h2>
+              
+              {/* === TAMPILAN OUTPUT === */}
+
+              {/* 1. Placeholder Awal */}
+              {!isLoading && !hasResult && (
+                <div id="placeholder" className="flex-grow flex items-center justify-center text-center">
+                  <div className="text-gray-500 dark:text-gray-500">
+                    <svg className="mx-auto h-12 w-12" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path></svg>
+                    <p className="mt-2 text-lg">Hasil analisis akan muncul di sini.</p>
+                    <p className="text-sm">Isi data produk di sebelah kiri dan klik "Analisis Sekarang".</p>
+                  </div>
+                </div>
+              )}
+
+              {/* 2. Tampilan Loading (hasil JSON baru ditampilkan setelah lengkap) */}
+              {isLoading && (
+                <div id="loading-placeholder" className="flex-grow flex flex-col items-center justify-center text-center">
+                  <SpinnerIcon />
+                  <p className="mt-2 text-lg text-cyan-600 dark:text-cyan-400">Sedang menganalisis data produk Anda...</p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {streamText ? `Menyusun hasil terstruktur (${streamText.length.toLocaleString('id-ID')} karakter diterima)...` : 'Harap tunggu sebentar.'}
+                  </p>
+                </div>
+              )}
+
+              {/* 3. Tampilan Hasil */}
+              {hasResult && !isLoading && (
+                <div id="result-container" className="flex-grow flex flex-col min-h-0">
+                  
+                  {/* --- Bagian Ringkasan Eksekutif --- */}
+                  <div className="mb-4">
+                    <button 
+                      onClick={handleSummary}
+                      disabled={isSummaryLoading || isLoading}
+                      className="w-full sm:w-auto bg-gradient-to-r from-purple-500 to-indigo-600 hover:from-purple-600 hover:to-indigo-700 text-white font-semibold py-2 px-4 rounded-lg transition duration-200 text-sm shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {isSummaryLoading ? (
+                        <><SpinnerIcon /> Membuat Ringkasan...</>
+                      ) : (
+                        'Buat Ringkasan Eksekutif'
+                      )}
+                    </button>
+
+                    {/* Tampilan Error Ringkasan */}
+                    {summaryError && (
+                      <div className="mt-3 bg-red-100 dark:bg-red-900 border border-red-300 dark:border-red-700 text-red-700 dark:text-red-200 px-3 py-2 rounded-lg text-sm" role="alert">
+                        <strong>Error Ringkasan:</strong> {summaryError}
+                      </div>
+                    )}
+                    
+                    {/* Tampilan Hasil Ringkasan */}
+                    {summaryResult && (
+                      <div className="mt-3 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-700 rounded-lg p-3 text-sm">
+                        <h4 className="font-bold text-cyan-600 dark:text-cyan-400 mb-1">Ringkasan Eksekutif:</h4>
+                        <Markdown className="text-gray-800 dark:text-gray-200" text={summaryResult} />
+                      </div>
+                    )}
+                  </div>
+                  
+                  {/* --- Bagian Tombol Salin --- */}
+                  <button 
+                    id="copy-button" 
+                    onClick={handleCopyClick}
+                    disabled={!yamlResult}
+                    className={`${getCopyButtonClass()} mb-4`}
+                  >
+                    {copyStatus}
+                  </button>
+                  
+                  <CacheBadge meta={generationMeta} onRefresh={() => handleSubmit(null, { bypassCache: true })} disabled={isLoading} className="mb-2" />
+                  <GenerationNotice meta={generationMeta} />
+
+                  {/* --- Tampilan Teks Hasil Analisis --- */}
+                  {analysis ? (
+                    <div
+                      id="output-yaml"
+                      className="mt-4 flex-grow overflow-auto bg-gray-50 dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-700 p-4 shadow-inner text-sm text-gray-800 dark:text-gray-200"
+                    >
+                      <AnalysisView analysis={analysis} />
+                    </div>
+                  ) : (
+                    <Markdown
+                      id="output-yaml"
+                      className="mt-4 flex-grow overflow-auto bg-gray-50 dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-700 p-4 shadow-inner text-sm text-gray-800 dark:text-gray-200"
+                      text={legacyVisual}
+                    />
+                  )}
+
+                  {/* --- Ekspor YAML (value map) untuk Mapping Market --- */}
+                  {yamlResult && (
+                    <details className="mt-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+                      <summary className="cursor-pointer px-4 py-2 text-sm font-semibold text-gray-700 dark:text-gray-300 hover:text-cyan-600 dark:hover:text-cyan-400">
+                        Lihat Ekspor YAML (Value Map)
+                      </summary>
+                      <pre className="px-4 pb-4 text-xs font-mono whitespace-pre-wrap text-gray-800 dark:text-gray-200">{yamlResult}</pre>
+                    </details>
+                  )}
+                </div>
+              )}
+              
+            </div>
+          </main>
+        </div>
+      </div>
+    </>
+  );
+}
+
+// =======================================================================
+// === APLIKASI 3: MAPPING MARKET
+// =======================================================================
+
+/**
+ * Daftar kesalahan value map ("Baris N: ..."). Klik baris untuk melompat ke sana (jika `onSelectLine` ada).
+ */
+const ValueMapErrorList = ({ errors, onSelectLine, className = '' }) => {
+  if (!errors || errors.length === 0) return null;
+  return (
+    <div className={`bg-red-50 dark:bg-red-900/30 border border-red-300 dark:border-red-700 text-red-700 dark:text-red-300 text-sm px-4 py-3 rounded-lg ${className}`}>
+      <p className="font-semibold mb-1">Value map belum sesuai format ({errors.length} masalah):</p>
+      <ul className="space-y-0.5">
+        {errors.map((error, index) => (
+          <li key={index}>
+            {error.line && onSelectLine ? (
+              <button type="button" onClick={() => onSelectLine(error.line)} className="font-mono underline hover:text-red-500 mr-1">Baris {error.line}:</button>
+            ) : error.line ? (
+              <span className="font-mono mr-1">Baris {error.line}:</span>
+            ) : null}
+            {error.message}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+/**
+ * Editor YAML value map dengan nomor baris; baris yang bermasalah ditandai merah.
+ * Teks tidak di-wrap agar nomor baris tetap sejajar.
+ */
+const YamlInputForm = ({ yamlInput, handleChange, errors = [] }) => {
+  const textareaRef = useRef(null);
+  const gutterRef = useRef(null);
+  const lineCount = yamlInput.split('\n').length;
+  const errorLines = new Set(errors.map(error => error.line).filter(Boolean));
+
+  const handleScroll = (e) => {
+    if (gutterRef.current) gutterRef.current.scrollTop = e.target.scrollTop;
+  };
+
+  const selectLine = (line) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    const lines = yamlInput.split('\n');
+    const start = lines.slice(0, line - 1).reduce((offset, text) => offset + text.length + 1, 0);
+    textarea.focus();
+    textarea.setSelectionRange(start, start + (lines[line - 1] || '').length);
+  };
+
+  return (
+    <div className="h-full flex flex-col">
+      <label htmlFor="yaml-input" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Tempelkan Product Value Analyst (YAML)</label>
+      <div className="flex h-96 lg:h-auto lg:flex-1 lg:min-h-[24rem] bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg overflow-hidden focus-within:ring-2 focus-within:ring-indigo-500 font-mono text-sm leading-6">
+        <div ref={gutterRef} aria-hidden="true" className="overflow-hidden select-none py-2 text-right bg-gray-200 dark:bg-gray-800 text-gray-400 dark:text-gray-500">
+          {Array.from({ length: lineCount }, (_, index) => (
+            <div key={index} className={`px-2 ${errorLines.has(index + 1) ? 'bg-red-200 dark:bg-red-900/60 text-red-700 dark:text-red-300 font-bold' : ''}`}>{index + 1}</div>
+          ))}
+        </div>
+        <textarea
+          ref={textareaRef}
+          id="yaml-input"
+          value={yamlInput}
+          onChange={handleChange}
+          onScroll={handleScroll}
+          wrap="off"
+          spellCheck={false}
+          className="flex-1 bg-transparent px-3 py-2 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-500 focus:outline-none resize-none overflow-auto"
+          placeholder={"product_name: Kopi Susu Aren 'Nyaman'\nusp: Kopi Susu Aren nikmat dengan formula Low Acid, aman di lambung\naudience:\n  primary: Pelajar/Mahasiswa (18-24) ...\n(dan seterusnya...)"}
+        ></textarea>
+      </div>
+      <ValueMapErrorList errors={errors} onSelectLine={selectLine} className="mt-3" />
+    </div>
+  );
+};
+
+const ManualInputForm = ({ formData, handleChange, onBantuAI, isAiHelping, errors = [] }) => (
+  <div className="space-y-4">
+    <div className="flex justify-between items-end gap-3">
+      <div className="flex-1">
+        <label htmlFor="product-name" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Nama Produk</label>
+        <input
+          type="text"
+          id="product-name"
+          name="productName"
+          value={formData.productName}
+          onChange={handleChange}
+          className="w-full bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg px-3 py-2 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          placeholder="Contoh: Kopi Susu Aren 'Nyaman'"
+        />
+      </div>
+      <button
+        type="button"
+        onClick={onBantuAI}
+        disabled={!formData.productName || isAiHelping}
+        className="w-28 h-10 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium py-2 px-4 rounded-lg transition-colors flex items-center justify-center disabled:bg-indigo-400 disabled:cursor-not-allowed"
+      >
+        {isAiHelping ? (
+          <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+        ) : (
+          "✨ Bantu AI"
+        )}
+      </button>
+    </div>
 
-                {/* Tombol Submit & Reset */}
-                <div className="mt-8 flex flex-col sm:flex-row gap-4">
-                  <button 
-                    type="submit" 
-                    id="analyze-button" 
-                    disabled={isLoading}
-                    className="flex-grow w-full bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-600 hover:to-blue-700 text-white font-bold py-3 px-4 rounded-lg shadow-lg transition duration-300 ease-in-out transform hover:-translate-y-0.5 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-cyan-500 focus:ring-offset-gray-100 dark:focus:ring-offset-gray-800 disabled:opacity-75 disabled:cursor-not-allowed"
+    <div>
+      <label htmlFor="usp" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Unique Selling Proposition (USP)</label>
+      <input
+        type="text"
+        id="usp"
+        name="usp"
+        value={formData.usp}
+        onChange={handleChange}
+        className="w-full bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg px-3 py-2 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        placeholder="Contoh: Kopi Susu Aren nikmat dengan formula Low Acid, aman di lambung"
+      />
+    </div>
+    <div>
+      <label htmlFor="audience-primary" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Audiens Primer</label>
+      <textarea
+        id="audience-primary"
+        name="audiencePrimary"
+        rows="2"
+        value={formData.audiencePrimary}
+        onChange={handleChange}
+        className="w-full bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg px-3 py-2 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        placeholder="Contoh: Pelajar/Mahasiswa yang sering begadang dan punya maag"
+      ></textarea>
+    </div>
+    <div>
+      <label htmlFor="audience-secondary" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Audiens Sekunder</label>
+      <textarea
+        id="audience-secondary"
+        name="audienceSecondary"
+        rows="2"
+        value={formData.audienceSecondary}
+        onChange={handleChange}
+        className="w-full bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg px-3 py-2 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        placeholder="Contoh: Pekerja kantor muda yang butuh kafein tapi sensitif lambungnya"
+      ></textarea>
+    </div>
+
+    {/* Value Map Columns */}
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 pt-4">
+      <div>
+        <label htmlFor="customer-jobs" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Customer Jobs</label>
+        <textarea
+          id="customer-jobs"
+          name="customerJobs"
+          rows="4"
+          value={formData.customerJobs}
+          onChange={handleChange}
+          className="w-full bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg px-3 py-2 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          placeholder="Satu item per baris:&#10;- Tetap fokus saat belajar&#10;- Menikmati kopi tanpa cemas&#10;- Minum sesuatu yang enak"
+        ></textarea>
+      </div>
+      <div>
+        <label htmlFor="customer-pains" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Customer Pains</label>
+        <textarea
+          id="customer-pains"
+          name="customerPains"
+          rows="4"
+          value={formData.customerPains}
+          onChange={handleChange}
+          className="w-full bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg px-3 py-2 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          placeholder="Satu item per baris:&#10;- Maag kambuh setelah ngopi&#10;- Perut kembung/perih&#10;- Cemas Kopi merusak lambung"
+        ></textarea>
+      </div>
+      <div>
+        <label htmlFor="customer-gains" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Customer Gains</label>
+        <textarea
+          id="customer-gains"
+          name="customerGains"
+          rows="4"
+          value={formData.customerGains}
+          onChange={handleChange}
+          className="w-full bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg px-3 py-2 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          placeholder="Satu item per baris:&#10;- Rasa aman di lambung&#10;- Bisa fokus belajar/kerja&#10;- Mood jadi lebih baik"
+        ></textarea>
+      </div>
+    </div>
+    <ValueMapErrorList errors={errors} />
+  </div>
+);
+
+/**
+ * Bagian bawah laporan Mapping Market: daftar sumber bernomor (sesuai catatan kaki [n] di laporan),
+ * kata kunci Google Search yang dipakai AI, dan keterangan paragraf tanpa sumber.
+ * @param {object} data - Respons /api/map-market { citations, searchQueries, uncitedParagraphs }
+ */
+const renderGroundingFooter = ({ citations = [], searchQueries = [], uncitedParagraphs = 0 }) => {
+  let html = '';
+  // Judul & URL berasal dari halaman web hasil pencarian: escape judul, tolak skema URL berbahaya
+  const sources = citations.filter(c => sanitizeUrl(c.uri));
+  if (sources.length > 0) {
+    html += '<hr class="my-4 border-gray-300 dark:border-gray-700"><p class="text-sm font-semibold text-gray-600 dark:text-gray-400 mb-2">Sumber:</p><ol class="text-sm">';
+    sources.forEach((c, index) => {
+      const number = c.number || index + 1;
+      const domain = c.domain && c.domain !== c.title ? ` <span class="text-gray-500">(${escapeHtml(c.domain)})</span>` : '';
+      html += `<li class="mb-1">[${number}] <a href="${escapeHtml(sanitizeUrl(c.uri))}" target="_blank" rel="noopener noreferrer" class="text-indigo-500 dark:text-indigo-400 hover:text-indigo-300 underline">${escapeHtml(c.title)}</a>${domain}</li>`;
+    });
+    html += '</ol>';
+  }
+  if (searchQueries.length > 0) {
+    html += `<p class="text-xs text-gray-500 dark:text-gray-400 mt-3">Pencarian Google yang dipakai AI: ${searchQueries.map(query => `&ldquo;${escapeHtml(query)}&rdquo;`).join(', ')}</p>`;
+  }
+  if (uncitedParagraphs > 0) {
+    html += `<p class="text-xs text-amber-600 dark:text-amber-400 mt-2">${uncitedParagraphs} paragraf bergaris kuning tidak didukung sumber pencarian mana pun. Verifikasi sebelum dipakai.</p>`;
+  }
+  return html;
+};
+
+// Dimensi skor kompetitor (1-10) yang bisa dipilih sebagai sumbu peta persepsi.
+// Sama dengan COMPETITOR_DIMENSIONS di api/lib/competitors.js; ubah keduanya bersamaan.
+const COMPETITOR_DIMENSIONS = [
+  { key: 'harga', label: 'Harga', low: 'Murah', high: 'Mahal' },
+  { key: 'kualitas', label: 'Kualitas', low: 'Rendah', high: 'Tinggi' },
+  { key: 'inovasi', label: 'Inovasi', low: 'Konvensional', high: 'Inovatif' },
+  { key: 'jangkauan', label: 'Jangkauan', low: 'Terbatas', high: 'Luas' },
+  { key: 'kekuatan_merek', label: 'Kekuatan Merek', low: 'Kurang dikenal', high: 'Sangat dikenal' },
+];
+const PRICE_TIERS = ['ekonomis', 'menengah', 'premium'];
+const PRICE_TIER_LABELS = { ekonomis: 'Ekonomis', menengah: 'Menengah', premium: 'Premium' };
+const SCORE_MIN = 1;
+const SCORE_MAX = 10;
+
+const getDimension = (key) => COMPETITOR_DIMENSIONS.find(dimension => dimension.key === key) || COMPETITOR_DIMENSIONS[0];
+
+// Nilai pembanding per kolom tabel kompetitor
+const getCompetitorSortValue = (competitor, key) => {
+  if (key === 'name') return competitor.name.toLowerCase();
+  if (key === 'price_tier') return PRICE_TIERS.indexOf(competitor.price_tier);
+  return competitor.scores[key] ?? -1;
+};
+
+const CompetitorList = ({ items }) => (
+  items.length > 0 ? (
+    <ul className="list-disc list-inside space-y-0.5">
+      {items.map((item, index) => <li key={index}>{item}</li>)}
+    </ul>
+  ) : <span className="text-gray-400">-</span>
+);
+
+/**
+ * Tabel perbandingan kompetitor dari /api/map-market-competitors; klik judul kolom untuk mengurutkan.
+ */
+const CompetitorTable = ({ competitors }) => {
+  const [sort, setSort] = useState({ key: 'name', direction: 'asc' });
+
+  const sorted = useMemo(() => [...competitors].sort((a, b) => {
+    const valueA = getCompetitorSortValue(a, sort.key);
+    const valueB = getCompetitorSortValue(b, sort.key);
+    const order = valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+    return sort.direction === 'asc' ? order : -order;
+  }), [competitors, sort]);
+
+  const toggleSort = (key) => setSort(prev => ({
+    key,
+    direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc',
+  }));
+
+  const SortableHeader = ({ sortKey, children }) => (
+    <th scope="col" className="px-3 py-2 text-left font-semibold whitespace-nowrap">
+      <button type="button" onClick={() => toggleSort(sortKey)} className="inline-flex items-center gap-1 hover:text-indigo-600 dark:hover:text-indigo-300">
+        {children}
+        <span className="text-xs text-gray-400">{sort.key === sortKey ? (sort.direction === 'asc' ? '▲' : '▼') : '↕'}</span>
+      </button>
+    </th>
+  );
+
+  return (
+    <div className="overflow-x-auto custom-scrollbar border border-gray-200 dark:border-gray-700 rounded-lg">
+      <table className="min-w-full text-sm text-gray-800 dark:text-gray-200">
+        <thead className="bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200">
+          <tr>
+            <SortableHeader sortKey="name">Kompetitor</SortableHeader>
+            <SortableHeader sortKey="price_tier">Tingkat Harga</SortableHeader>
+            <th scope="col" className="px-3 py-2 text-left font-semibold">Klaim Utama</th>
+            <th scope="col" className="px-3 py-2 text-left font-semibold">Kanal</th>
+            <th scope="col" className="px-3 py-2 text-left font-semibold">Kekuatan</th>
+            <th scope="col" className="px-3 py-2 text-left font-semibold">Kelemahan</th>
+            {COMPETITOR_DIMENSIONS.map(dimension => (
+              <SortableHeader key={dimension.key} sortKey={dimension.key}>{dimension.label}</SortableHeader>
+            ))}
+            <th scope="col" className="px-3 py-2 text-left font-semibold">Sumber</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sorted.map((competitor, index) => (
+            <tr key={`${competitor.name}-${index}`} className="border-t border-gray-200 dark:border-gray-700 align-top">
+              <td className="px-3 py-2 font-semibold">{competitor.name}</td>
+              <td className="px-3 py-2 whitespace-nowrap">{PRICE_TIER_LABELS[competitor.price_tier] || '-'}</td>
+              <td className="px-3 py-2 min-w-[12rem]"><CompetitorList items={competitor.key_claims} /></td>
+              <td className="px-3 py-2 min-w-[10rem]"><CompetitorList items={competitor.channels} /></td>
+              <td className="px-3 py-2 min-w-[12rem]"><CompetitorList items={competitor.strengths} /></td>
+              <td className="px-3 py-2 min-w-[12rem]"><CompetitorList items={competitor.weaknesses} /></td>
+              {COMPETITOR_DIMENSIONS.map(dimension => (
+                <td key={dimension.key} className="px-3 py-2 text-center">{competitor.scores[dimension.key] ?? '-'}</td>
+              ))}
+              <td className="px-3 py-2 whitespace-nowrap">
+                {competitor.sources.filter(source => sanitizeUrl(source.uri)).map(source => (
+                  <a
+                    key={source.number}
+                    href={sanitizeUrl(source.uri)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    title={source.title || source.domain}
+                    className="text-indigo-500 dark:text-indigo-400 hover:underline mr-1"
                   >
-                    {isLoading ? (
-                      <span id="button-spinner"><SpinnerIcon /> Menganalisis...</span>
+                    [{source.number}]
+                  </a>
+                ))}
+                {competitor.sources.length === 0 && <span className="text-xs text-amber-600 dark:text-amber-400" title="Tidak ada sumber pencarian yang mendukung data kompetitor ini">Tanpa sumber</span>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const MAP_SIZE = 400;
+const MAP_PADDING = 48;
+
+const scoreToMap = (score, axis) => {
+  const ratio = (score - SCORE_MIN) / (SCORE_MAX - SCORE_MIN);
+  const span = MAP_SIZE - MAP_PADDING * 2;
+  return axis === 'x' ? MAP_PADDING + ratio * span : MAP_SIZE - MAP_PADDING - ratio * span;
+};
+
+const mapToScore = (coordinate, axis) => {
+  const span = MAP_SIZE - MAP_PADDING * 2;
+  const ratio = axis === 'x' ? (coordinate - MAP_PADDING) / span : (MAP_SIZE - MAP_PADDING - coordinate) / span;
+  const score = SCORE_MIN + ratio * (SCORE_MAX - SCORE_MIN);
+  return Math.round(Math.min(SCORE_MAX, Math.max(SCORE_MIN, score)) * 10) / 10;
+};
+
+/**
+ * Peta persepsi 2 sumbu: kompetitor sebagai titik, produk kita sebagai titik yang bisa digeser.
+ * Posisi produk disimpan saat titik dilepas (onChangePosition) agar proyek tidak disimpan di setiap gerakan.
+ * @param {object} props - { competitors, productPosition: skor per dimensi, onChangePosition, axes: { x, y }, onChangeAxes }
+ */
+const PerceptualMap = ({ competitors, productPosition, onChangePosition, axes, onChangeAxes }) => {
+  const svgRef = useRef(null);
+  const [dragPosition, setDragPosition] = useState(null);
+  const xDimension = getDimension(axes.x);
+  const yDimension = getDimension(axes.y);
+  const position = dragPosition || productPosition;
+
+  const getPointerScores = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    return { ...position, [xDimension.key]: mapToScore(x, 'x'), [yDimension.key]: mapToScore(y, 'y') };
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setDragPosition(getPointerScores(event));
+  };
+
+  const handlePointerMove = (event) => {
+    if (dragPosition) setDragPosition(getPointerScores(event));
+  };
+
+  const handlePointerUp = () => {
+    if (!dragPosition) return;
+    onChangePosition(dragPosition);
+    setDragPosition(null);
+  };
+
+  const AxisSelect = ({ axis, label }) => (
+    <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+      {label}
+      <select
+        value={axes[axis]}
+        onChange={(e) => onChangeAxes({ ...axes, [axis]: e.target.value })}
+        className="bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg px-2 py-1 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      >
+        {COMPETITOR_DIMENSIONS.map(dimension => (
+          <option key={dimension.key} value={dimension.key} disabled={dimension.key === axes[axis === 'x' ? 'y' : 'x']}>{dimension.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  const center = MAP_SIZE / 2;
+  const productX = scoreToMap(position[xDimension.key] ?? SCORE_MIN, 'x');
+  const productY = scoreToMap(position[yDimension.key] ?? SCORE_MIN, 'y');
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-4 mb-3">
+        <AxisSelect axis="x" label="Sumbu X:" />
+        <AxisSelect axis="y" label="Sumbu Y:" />
+      </div>
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${MAP_SIZE} ${MAP_SIZE}`}
+        className="w-full max-w-lg mx-auto block select-none touch-none text-gray-500 dark:text-gray-400"
+        role="img"
+        aria-label={`Peta persepsi ${xDimension.label} vs ${yDimension.label}`}
+      >
+        <rect x={MAP_PADDING} y={MAP_PADDING} width={MAP_SIZE - MAP_PADDING * 2} height={MAP_SIZE - MAP_PADDING * 2} fill="none" stroke="currentColor" strokeOpacity="0.3" />
+        <line x1={MAP_PADDING} y1={center} x2={MAP_SIZE - MAP_PADDING} y2={center} stroke="currentColor" strokeOpacity="0.5" strokeDasharray="4 4" />
+        <line x1={center} y1={MAP_PADDING} x2={center} y2={MAP_SIZE - MAP_PADDING} stroke="currentColor" strokeOpacity="0.5" strokeDasharray="4 4" />
+        <text x={MAP_PADDING} y={MAP_SIZE - MAP_PADDING + 18} fontSize="11" fill="currentColor">{xDimension.low}</text>
+        <text x={MAP_SIZE - MAP_PADDING} y={MAP_SIZE - MAP_PADDING + 18} fontSize="11" fill="currentColor" textAnchor="end">{xDimension.high}</text>
+        <text x={center} y={MAP_SIZE - 10} fontSize="12" fontWeight="600" fill="currentColor" textAnchor="middle">{xDimension.label} →</text>
+        <text x={MAP_PADDING + 4} y={MAP_SIZE - MAP_PADDING - 6} fontSize="11" fill="currentColor">{yDimension.low}</text>
+        <text x={MAP_PADDING + 4} y={MAP_PADDING - 6} fontSize="11" fill="currentColor">{yDimension.high}</text>
+        <text x={16} y={center} fontSize="12" fontWeight="600" fill="currentColor" textAnchor="middle" transform={`rotate(-90 16 ${center})`}>{yDimension.label} →</text>
+
+        {competitors.map((competitor, index) => {
+          const x = scoreToMap(competitor.scores[xDimension.key] ?? SCORE_MIN, 'x');
+          const y = scoreToMap(competitor.scores[yDimension.key] ?? SCORE_MIN, 'y');
+          return (
+            <g key={`${competitor.name}-${index}`}>
+              <circle cx={x} cy={y} r="7" fill="#06b6d4" fillOpacity="0.8" />
+              <text x={x + 10} y={y + 4} fontSize="11" fill="currentColor">{competitor.name}</text>
+              <title>{`${competitor.name}: ${xDimension.label} ${competitor.scores[xDimension.key] ?? '-'}, ${yDimension.label} ${competitor.scores[yDimension.key] ?? '-'}`}</title>
+            </g>
+          );
+        })}
+
+        <g
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          className={dragPosition ? 'cursor-grabbing' : 'cursor-grab'}
+        >
+          <circle cx={productX} cy={productY} r="10" fill="#4f46e5" stroke="#fff" strokeWidth="2" />
+          <text x={productX + 13} y={productY + 4} fontSize="12" fontWeight="700" fill="#4f46e5">Produk Kita</text>
+          <title>{`Produk Kita: ${xDimension.label} ${position[xDimension.key] ?? '-'}, ${yDimension.label} ${position[yDimension.key] ?? '-'} (geser untuk mengubah posisi)`}</title>
+        </g>
+      </svg>
+      <p className="text-xs text-gray-500 dark:text-gray-400 mt-2 text-center">
+        Geser titik <span className="font-semibold text-indigo-600 dark:text-indigo-400">Produk Kita</span> ke posisi yang ingin Anda tuju. Skor kompetitor adalah estimasi AI (1-10).
+      </p>
+    </div>
+  );
+};
+
+// === UKURAN PASAR (TAM/SAM/SOM) ===
+// Input rumus; key sama dengan SIZING_INPUTS di api/lib/market-sizing.js (server mengestimasi nilainya).
+const MARKET_SIZING_INPUTS = [
+  { key: 'populasi', label: 'Populasi segmen', unit: 'orang' },
+  { key: 'porsi_terjangkau', label: 'Porsi terjangkau', unit: '%' },
+  { key: 'penetrasi', label: 'Target penetrasi', unit: '%' },
+  { key: 'harga', label: 'Harga per pembelian', unit: 'Rp' },
+  { key: 'frekuensi', label: 'Frekuensi pembelian', unit: 'kali/tahun' },
+];
+// Rumus bawaan (nilai per tahun, Rupiah); pengguna bisa mengubahnya. Rumus berikutnya boleh memakai hasil sebelumnya.
+const MARKET_SIZING_RESULTS = [
+  { key: 'tam', label: 'TAM', description: 'Total Addressable Market', formula: 'populasi * harga * frekuensi' },
+  { key: 'sam', label: 'SAM', description: 'Serviceable Available Market', formula: 'tam * porsi_terjangkau / 100' },
+  { key: 'som', label: 'SOM', description: 'Serviceable Obtainable Market', formula: 'sam * penetrasi / 100' },
+];
+const USER_INPUT_BASIS = 'Diisi pengguna';
+
+const createMarketSizing = () => ({
+  inputs: Object.fromEntries(MARKET_SIZING_INPUTS.map(({ key }) => [key, { value: null, basis: '', estimated: false, sources: [], edited: false }])),
+  citations: [],
+  searchQueries: [],
+  formulas: Object.fromEntries(MARKET_SIZING_RESULTS.map(({ key, formula }) => [key, formula])),
+});
+
+/**
+ * Menghitung rumus aritmetika sederhana (+ - * / dan kurung) dengan variabel, tanpa eval().
+ * @param {string} expression - Misal "tam * porsi_terjangkau / 100"
+ * @param {object} variables - { nama: angka | null }; null berarti input belum diisi
+ * @returns {number}
+ * @throws {Error} - Pesan yang bisa ditampilkan ke pengguna
+ */
+const evaluateFormula = (expression, variables) => {
+  const tokens = String(expression).match(/\d+(?:\.\d+)?|[a-z_][a-z0-9_]*|\S/gi) || [];
+  let index = 0;
+
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (token === undefined) throw new Error('Rumus tidak lengkap.');
+    if (token === '(') {
+      const value = parseSum();
+      if (tokens[index++] !== ')') throw new Error('Kurung tutup ")" tidak ditemukan.');
+      return value;
+    }
+    if (token === '-') return -parsePrimary();
+    if (/^\d/.test(token)) return parseFloat(token);
+    if (/^[a-z_]/i.test(token)) {
+      const name = token.toLowerCase();
+      if (!Object.hasOwn(variables, name)) throw new Error(`Variabel "${token}" tidak dikenal.`);
+      if (variables[name] === null) throw new Error(`"${token}" belum ada nilainya.`);
+      return variables[name];
+    }
+    throw new Error(`Simbol "${token}" tidak dikenal.`);
+  };
+  const parseProduct = () => {
+    let value = parsePrimary();
+    while (tokens[index] === '*' || tokens[index] === '/') {
+      const operator = tokens[index++];
+      const right = parsePrimary();
+      value = operator === '*' ? value * right : value / right;
+    }
+    return value;
+  };
+  const parseSum = () => {
+    let value = parseProduct();
+    while (tokens[index] === '+' || tokens[index] === '-') {
+      const operator = tokens[index++];
+      const right = parseProduct();
+      value = operator === '+' ? value + right : value - right;
+    }
+    return value;
+  };
+
+  const value = parseSum();
+  if (index < tokens.length) throw new Error(`Simbol "${tokens[index]}" tidak terduga.`);
+  if (!Number.isFinite(value)) throw new Error('Hasil bukan angka (pembagian dengan nol?).');
+  return value;
+};
+
+/**
+ * Hasil TAM/SAM/SOM dari input dan rumus: { tam: { value, error }, ... }.
+ */
+const computeMarketSizing = (sizing) => {
+  const variables = Object.fromEntries(MARKET_SIZING_INPUTS.map(({ key }) => [key, sizing.inputs[key]?.value ?? null]));
+  return Object.fromEntries(MARKET_SIZING_RESULTS.map(({ key }) => {
+    try {
+      const value = evaluateFormula(sizing.formulas[key], variables);
+      variables[key] = value;
+      return [key, { value, error: null }];
+    } catch (error) {
+      variables[key] = null;
+      return [key, { value: null, error: error.message }];
+    }
+  }));
+};
+
+const formatRupiah = (value, compact = false) => new Intl.NumberFormat('id-ID', {
+  style: 'currency', currency: 'IDR', maximumFractionDigits: compact ? 1 : 0, ...(compact ? { notation: 'compact' } : {}),
+}).format(value);
+
+const formatSizingValue = (value, unit) => {
+  if (value === null || value === undefined) return '-';
+  if (unit === 'Rp') return formatRupiah(value);
+  if (unit === '%') return `${new Intl.NumberFormat('id-ID').format(value)}%`;
+  return `${new Intl.NumberFormat('id-ID').format(value)} ${unit}`;
+};
+
+// Sumber ukuran pasar dinomori "S1", "S2", ... agar tidak tertukar dengan catatan kaki laporan [n]
+const getSizingSource = (sizing, number) => sizing.citations.find(citation => citation.number === number);
+
+/**
+ * Bagian "Ukuran Pasar" untuk laporan Mapping Market (ikut tersalin dan tersimpan di produk aktif).
+ * Mengembalikan string kosong selama belum ada hasil yang bisa dihitung.
+ */
+const renderMarketSizingHtml = (sizing) => {
+  if (!sizing) return '';
+  const results = computeMarketSizing(sizing);
+  if (MARKET_SIZING_RESULTS.every(({ key }) => results[key].value === null)) return '';
+
+  const renderSources = (numbers) => numbers
+    .map(number => getSizingSource(sizing, number))
+    .filter(source => source && sanitizeUrl(source.uri))
+    .map(source => `<sup class="citation"><a href="${escapeHtml(sanitizeUrl(source.uri))}" target="_blank" rel="noopener noreferrer" title="${escapeHtml(source.domain || source.title)}">[S${source.number}]</a></sup>`)
+    .join('');
+
+  let html = '<h2>Ukuran Pasar (TAM/SAM/SOM)</h2><table class="market-sizing"><thead><tr><th>Input</th><th>Nilai</th><th>Dasar</th></tr></thead><tbody>';
+  MARKET_SIZING_INPUTS.forEach(({ key, label, unit }) => {
+    const input = sizing.inputs[key];
+    const note = input.estimated ? ' <em>(asumsi)</em>' : '';
+    html += `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(formatSizingValue(input.value, unit))}</td><td>${escapeHtml(input.basis || '-')}${renderSources(input.sources)}${note}</td></tr>`;
+  });
+  html += '</tbody></table><ul>';
+  MARKET_SIZING_RESULTS.forEach(({ key, label, description }) => {
+    const { value, error } = results[key];
+    html += `<li><strong>${label}</strong> (${description}) = <code>${escapeHtml(sizing.formulas[key])}</code> = ${value !== null ? `<strong>${escapeHtml(formatRupiah(value))}</strong> per tahun` : escapeHtml(error)}</li>`;
+  });
+  html += '</ul>';
+  return html;
+};
+
+/**
+ * Panel ukuran pasar: input (bisa diisi sendiri atau diestimasi AI), rumus yang bisa diedit, dan hasilnya.
+ * @param {object} props - { sizing, onChange(nextSizing), onEstimate, isLoading, canEstimate }
+ */
+const MarketSizingPanel = ({ sizing, onChange, onEstimate, isLoading, canEstimate }) => {
+  const results = computeMarketSizing(sizing);
+  const variableNames = MARKET_SIZING_INPUTS.map(({ key }) => key);
+
+  const handleInputChange = (key, rawValue) => {
+    const value = rawValue === '' ? null : Number(rawValue);
+    onChange({
+      ...sizing,
+      inputs: { ...sizing.inputs, [key]: { value, basis: USER_INPUT_BASIS, estimated: false, sources: [], edited: value !== null } },
+    });
+  };
+
+  const handleFormulaChange = (key, formula) => onChange({ ...sizing, formulas: { ...sizing.formulas, [key]: formula } });
+
+  const inputClassName = 'w-full bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg px-2 py-1 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <div>
+      <div className="overflow-x-auto custom-scrollbar border border-gray-200 dark:border-gray-700 rounded-lg mb-4">
+        <table className="min-w-full text-sm text-gray-800 dark:text-gray-200">
+          <thead className="bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200">
+            <tr>
+              <th scope="col" className="px-3 py-2 text-left font-semibold">Input</th>
+              <th scope="col" className="px-3 py-2 text-left font-semibold w-48">Nilai</th>
+              <th scope="col" className="px-3 py-2 text-left font-semibold">Dasar Angka</th>
+            </tr>
+          </thead>
+          <tbody>
+            {MARKET_SIZING_INPUTS.map(({ key, label, unit }) => {
+              const input = sizing.inputs[key];
+              return (
+                <tr key={key} className="border-t border-gray-200 dark:border-gray-700 align-top">
+                  <td className="px-3 py-2">
+                    <div className="font-semibold">{label}</div>
+                    <code className="text-xs text-gray-500 dark:text-gray-400">{key}</code>
+                  </td>
+                  <td className="px-3 py-2">
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={input.value ?? ''}
+                        onChange={(e) => handleInputChange(key, e.target.value)}
+                        className={inputClassName}
+                        aria-label={label}
+                      />
+                      <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">{unit}</span>
+                    </div>
+                  </td>
+                  <td className="px-3 py-2">
+                    {input.basis ? (
+                      <span>
+                        {input.basis}
+                        {input.sources.map(number => getSizingSource(sizing, number)).filter(source => source && sanitizeUrl(source.uri)).map(source => (
+                          <a
+                            key={source.number}
+                            href={sanitizeUrl(source.uri)}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            title={source.title || source.domain}
+                            className="text-indigo-500 dark:text-indigo-400 hover:underline ml-1 text-xs font-semibold"
+                          >
+                            [S{source.number}]
+                          </a>
+                        ))}
+                        {input.estimated && <span className="ml-2 text-xs text-amber-600 dark:text-amber-400">asumsi AI</span>}
+                      </span>
                     ) : (
-                      <span id="button-text">Analisis Sekarang</span>
+                      <span className="text-gray-400">Isi sendiri atau biarkan kosong untuk diestimasi AI</span>
                     )}
-                  </button>
-                  <button 
-                    type="button" 
-                    onClick={handleReset}
-                    className="w-full sm:w-auto px-6 py-3 bg-gray-600 hover:bg-gray-500 text-white font-bold rounded-lg shadow-lg transition duration-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500 focus:ring-offset-gray-100 dark:focus:ring-offset-gray-800"
-                  >
-                    Reset Form
-                  </button>
-                </div>
-              </form>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        {MARKET_SIZING_RESULTS.map(({ key, label, description }, index) => (
+          <div key={key} className="bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+            <div className="text-xs text-gray-500 dark:text-gray-400">{description}</div>
+            <div className="text-lg font-bold text-gray-900 dark:text-white">{label}</div>
+            <div className="text-2xl font-bold text-cyan-600 dark:text-cyan-400 my-1" title={results[key].value !== null ? formatRupiah(results[key].value) : undefined}>
+              {results[key].value !== null ? formatRupiah(results[key].value, true) : '-'}
+              {results[key].value !== null && <span className="text-xs font-normal text-gray-500 dark:text-gray-400"> /tahun</span>}
+            </div>
+            <label className="block text-xs text-gray-500 dark:text-gray-400 mb-1" htmlFor={`formula-${key}`}>Rumus {label}</label>
+            <input
+              id={`formula-${key}`}
+              type="text"
+              value={sizing.formulas[key]}
+              onChange={(e) => handleFormulaChange(key, e.target.value)}
+              className={`${inputClassName} font-mono text-xs`}
+              spellCheck={false}
+            />
+            {results[key].error && <p className="text-xs text-red-500 dark:text-red-400 mt-1">{results[key].error}</p>}
+            <p className="text-xs text-gray-400 mt-1">Variabel: {[...variableNames, ...MARKET_SIZING_RESULTS.slice(0, index).map(result => result.key)].join(', ')}</p>
+          </div>
+        ))}
+      </div>
+
+      {sizing.citations.filter(source => sanitizeUrl(source.uri)).length > 0 && (
+        <div className="text-xs text-gray-500 dark:text-gray-400 mb-4">
+          <p className="font-semibold mb-1">Sumber statistik:</p>
+          <ol>
+            {sizing.citations.filter(source => sanitizeUrl(source.uri)).map(source => (
+              <li key={source.number}>
+                [S{source.number}]{' '}
+                <a href={sanitizeUrl(source.uri)} target="_blank" rel="noopener noreferrer" className="text-indigo-500 dark:text-indigo-400 hover:underline">{source.title}</a>
+                {source.domain && source.domain !== source.title && ` (${source.domain})`}
+              </li>
+            ))}
+          </ol>
+          {sizing.searchQueries.length > 0 && (
+            <p className="mt-1">Pencarian Google yang dipakai AI: {sizing.searchQueries.map(query => `“${query}”`).join(', ')}</p>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2 justify-end">
+        <button
+          type="button"
+          onClick={() => onChange({ ...sizing, formulas: createMarketSizing().formulas })}
+          className="bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-300 py-2 px-4 rounded-lg text-sm font-medium transition duration-200"
+        >
+          Kembalikan Rumus Bawaan
+        </button>
+        <button
+          type="button"
+          onClick={onEstimate}
+          disabled={!canEstimate || isLoading}
+          title={canEstimate ? 'Input yang Anda isi sendiri dipakai apa adanya; sisanya diestimasi AI dengan Google Search' : 'Lengkapi data produk terlebih dahulu'}
+          className="bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-lg shadow transition duration-200 disabled:bg-cyan-400 disabled:cursor-not-allowed"
+        >
+          {isLoading ? 'Mengestimasi...' : 'Estimasi dengan AI'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// === ANALISIS STRATEGIS (SWOT & PORTER'S FIVE FORCES) ===
+// Key kuadran/kekuatan sama dengan SWOT_QUADRANTS dan FIVE_FORCES di api/lib/frameworks.js; ubah keduanya bersamaan.
+// `sources` tiap faktor adalah sitasi laporan Mapping Market, jadi nomornya sama dengan catatan kaki [n] laporan.
+const STRATEGY_MODES = [
+  { key: 'swot', label: 'SWOT', route: 'map-market-swot' },
+  { key: 'fiveForces', label: "Porter's Five Forces", route: 'map-market-five-forces' },
+];
+
+const createStrategy = () => ({ swot: null, fiveForces: null });
+
+const SWOT_QUADRANTS = [
+  { key: 'strengths', label: 'Kekuatan (Strengths)', scope: 'Internal', className: 'border-green-300 dark:border-green-700 bg-green-50 dark:bg-green-900/20' },
+  { key: 'weaknesses', label: 'Kelemahan (Weaknesses)', scope: 'Internal', className: 'border-red-300 dark:border-red-700 bg-red-50 dark:bg-red-900/20' },
+  { key: 'opportunities', label: 'Peluang (Opportunities)', scope: 'Eksternal', className: 'border-blue-300 dark:border-blue-700 bg-blue-50 dark:bg-blue-900/20' },
+  { key: 'threats', label: 'Ancaman (Threats)', scope: 'Eksternal', className: 'border-amber-300 dark:border-amber-700 bg-amber-50 dark:bg-amber-900/20' },
+];
+
+// Urutan sesuai letaknya di diagram: pendatang baru di atas, pemasok-persaingan-pembeli di tengah, pengganti di bawah
+const FIVE_FORCES = [
+  { key: 'threat_of_new_entrants', label: 'Ancaman Pendatang Baru', area: 'md:col-start-2 md:row-start-1' },
+  { key: 'supplier_power', label: 'Daya Tawar Pemasok', area: 'md:col-start-1 md:row-start-2' },
+  { key: 'competitive_rivalry', label: 'Persaingan Industri', area: 'md:col-start-2 md:row-start-2' },
+  { key: 'buyer_power', label: 'Daya Tawar Pembeli', area: 'md:col-start-3 md:row-start-2' },
+  { key: 'threat_of_substitutes', label: 'Ancaman Produk Pengganti', area: 'md:col-start-2 md:row-start-3' },
+];
+
+const FORCE_LEVELS = {
+  rendah: { label: 'Rendah', className: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300' },
+  sedang: { label: 'Sedang', className: 'bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-300' },
+  tinggi: { label: 'Tinggi', className: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-300' },
+};
+
+const renderFactorSourcesHtml = (sources) => sources
+  .filter(source => sanitizeUrl(source.uri))
+  .map(source => `<sup class="citation"><a href="${escapeHtml(sanitizeUrl(source.uri))}" target="_blank" rel="noopener noreferrer" title="${escapeHtml(source.domain || source.title)}">[${source.number}]</a></sup>`)
+  .join('');
+
+const renderFactorListHtml = (factors) => {
+  if (factors.length === 0) return '-';
+  return `<ul>${factors.map(({ factor, rationale, sources }) => (
+    `<li><strong>${escapeHtml(factor)}</strong>${renderFactorSourcesHtml(sources)}${rationale ? ` — ${escapeHtml(rationale)}` : ''}</li>`
+  )).join('')}</ul>`;
+};
+
+/**
+ * Bagian SWOT dan Five Forces untuk laporan Mapping Market (ikut tersalin dan tersimpan di produk aktif).
+ * Mengembalikan string kosong selama belum ada analisis.
+ */
+const renderStrategyHtml = (strategy) => {
+  if (!strategy) return '';
+  let html = '';
+  if (strategy.swot) {
+    const cell = (key) => {
+      const quadrant = SWOT_QUADRANTS.find(item => item.key === key);
+      return `<td><strong>${escapeHtml(quadrant.label)}</strong>${renderFactorListHtml(strategy.swot[key])}</td>`;
+    };
+    html += '<h2>Analisis SWOT</h2><table class="strategy"><tbody>';
+    html += `<tr>${cell('strengths')}${cell('weaknesses')}</tr><tr>${cell('opportunities')}${cell('threats')}</tr>`;
+    html += '</tbody></table>';
+  }
+  if (strategy.fiveForces) {
+    html += "<h2>Porter's Five Forces</h2><table class=\"strategy\"><thead><tr><th>Kekuatan</th><th>Tingkat</th><th>Faktor Pendorong</th></tr></thead><tbody>";
+    FIVE_FORCES.forEach(({ key, label }) => {
+      const { level, factors } = strategy.fiveForces[key];
+      html += `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(FORCE_LEVELS[level] ? FORCE_LEVELS[level].label : '-')}</td><td>${renderFactorListHtml(factors)}</td></tr>`;
+    });
+    html += '</tbody></table>';
+    if (strategy.fiveForces.summary) html += `<p>${escapeHtml(strategy.fiveForces.summary)}</p>`;
+  }
+  return html;
+};
+
+const FactorSources = ({ sources }) => sources.filter(source => sanitizeUrl(source.uri)).map(source => (
+  <a
+    key={source.number}
+    href={sanitizeUrl(source.uri)}
+    target="_blank"
+    rel="noopener noreferrer"
+    title={source.title || source.domain}
+    className="text-indigo-500 dark:text-indigo-400 hover:underline ml-1 text-xs font-semibold"
+  >
+    [{source.number}]
+  </a>
+));
+
+const FactorList = ({ factors }) => (
+  factors.length > 0 ? (
+    <ul className="space-y-2">
+      {factors.map((item, index) => (
+        <li key={index} className="text-sm">
+          <p className="font-semibold text-gray-900 dark:text-white">
+            {item.factor}
+            <FactorSources sources={item.sources} />
+          </p>
+          {item.rationale && <p className="text-gray-600 dark:text-gray-400">{item.rationale}</p>}
+        </li>
+      ))}
+    </ul>
+  ) : <p className="text-sm text-gray-400">-</p>
+);
+
+/**
+ * Matriks SWOT 2x2: baris atas faktor internal, baris bawah faktor eksternal.
+ */
+const SwotQuadrants = ({ swot }) => (
+  <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+    {SWOT_QUADRANTS.map(({ key, label, scope, className }) => (
+      <div key={key} className={`border rounded-lg p-4 ${className}`}>
+        <div className="flex items-baseline justify-between mb-2">
+          <h3 className="font-bold text-gray-900 dark:text-white">{label}</h3>
+          <span className="text-xs text-gray-500 dark:text-gray-400">{scope}</span>
+        </div>
+        <FactorList factors={swot[key]} />
+      </div>
+    ))}
+  </div>
+);
+
+/**
+ * Diagram Five Forces: persaingan industri di tengah, empat kekuatan lain mengelilinginya.
+ */
+const FiveForcesDiagram = ({ fiveForces }) => (
+  <div>
+    <div className="grid grid-cols-1 md:grid-cols-3 md:grid-rows-3 gap-3">
+      {FIVE_FORCES.map(({ key, label, area }) => {
+        const { level, factors } = fiveForces[key];
+        const isCenter = key === 'competitive_rivalry';
+        return (
+          <div
+            key={key}
+            className={`${area} border rounded-lg p-4 ${isCenter ? 'border-cyan-400 dark:border-cyan-600 bg-cyan-50 dark:bg-cyan-900/20 border-2' : 'border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900/40'}`}
+          >
+            <div className="flex items-center justify-between gap-2 mb-2">
+              <h3 className="font-bold text-gray-900 dark:text-white">{label}</h3>
+              {FORCE_LEVELS[level] && (
+                <span className={`text-xs font-semibold px-2 py-0.5 rounded-full whitespace-nowrap ${FORCE_LEVELS[level].className}`}>{FORCE_LEVELS[level].label}</span>
+              )}
             </div>
+            <FactorList factors={factors} />
+          </div>
+        );
+      })}
+    </div>
+    {fiveForces.summary && (
+      <p className="mt-4 text-sm text-gray-700 dark:text-gray-300 border-l-4 border-cyan-500 pl-3">{fiveForces.summary}</p>
+    )}
+  </div>
+);
+
+// === RIWAYAT & PERBANDINGAN LAPORAN MAPPING MARKET ===
+// Setiap laporan /api/map-market diarsipkan di proyek (route 'map-market', lihat useRecordGeneration),
+// jadi riwayatnya dibaca dari GET /api/generations. Perbandingan dihitung per bagian (heading) laporan.
+const normalizeReportItem = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+const getSectionKey = (title) => normalizeReportItem(title.replace(/\(.*?\)/g, ''));
+
+const splitSentences = (text) => text
+  .split(/(?<=[.!?])\s+(?=[A-Z0-9"“(])/)
+  .map(sentence => sentence.trim())
+  .filter(Boolean);
+
+/**
+ * Memecah laporan HTML menjadi bagian per heading: [{ title, items: [kalimat atau item daftar] }].
+ * Catatan kaki [n] dibuang agar kalimat yang sama tidak terbaca berubah hanya karena nomor sumbernya.
+ */
+const splitReportSections = (html) => {
+  const doc = new DOMParser().parseFromString(sanitizeHtml(html), 'text/html');
+  doc.querySelectorAll('sup.citation').forEach(node => node.remove());
+
+  const sections = [];
+  let current = null;
+  const addItems = (items) => {
+    if (items.length === 0) return;
+    if (!current) {
+      current = { title: 'Pembuka', items: [] };
+      sections.push(current);
+    }
+    current.items.push(...items);
+  };
+  const walk = (parent) => {
+    Array.from(parent.children).forEach(element => {
+      const tag = element.tagName.toLowerCase();
+      const text = element.textContent.replace(/\s+/g, ' ').trim();
+      if (/^h[1-6]$/.test(tag)) {
+        current = { title: text, items: [] };
+        sections.push(current);
+      } else if (tag === 'ul' || tag === 'ol') {
+        addItems(Array.from(element.children).map(item => item.textContent.replace(/\s+/g, ' ').trim()).filter(Boolean));
+      } else if (tag === 'table') {
+        addItems(Array.from(element.querySelectorAll('tr')).map(row => row.textContent.replace(/\s+/g, ' ').trim()).filter(Boolean));
+      } else if (tag === 'div' || tag === 'blockquote') {
+        walk(element);
+      } else if (text) {
+        addItems(splitSentences(text));
+      }
+    });
+  };
+  walk(doc.body);
+  return sections;
+};
+
+/**
+ * Perbandingan dua laporan per bagian. Setiap item bertanda 'same', 'added' (hanya di laporan baru),
+ * atau 'removed' (hanya di laporan lama).
+ * @returns {Array<{ title, previous: [{ text, status }], current: [{ text, status }], changed }>}
+ */
+const diffReports = (previousHtml, currentHtml) => {
+  const previous = splitReportSections(previousHtml);
+  const current = splitReportSections(currentHtml);
+  const keys = [...new Set([...current, ...previous].map(section => getSectionKey(section.title)))];
+
+  return keys.map(key => {
+    const before = previous.find(section => getSectionKey(section.title) === key) || { items: [] };
+    const after = current.find(section => getSectionKey(section.title) === key) || { items: [] };
+    const beforeSet = new Set(before.items.map(normalizeReportItem));
+    const afterSet = new Set(after.items.map(normalizeReportItem));
+    const previousItems = before.items.map(text => ({ text, status: afterSet.has(normalizeReportItem(text)) ? 'same' : 'removed' }));
+    const currentItems = after.items.map(text => ({ text, status: beforeSet.has(normalizeReportItem(text)) ? 'same' : 'added' }));
+    return {
+      title: (after.title || before.title),
+      previous: previousItems,
+      current: currentItems,
+      changed: [...previousItems, ...currentItems].some(item => item.status !== 'same'),
+    };
+  });
+};
+
+/**
+ * Sumber yang baru dikutip dan yang tidak dikutip lagi, dibandingkan per domain.
+ */
+const diffCitations = (previousCitations = [], currentCitations = []) => {
+  const domainOf = (citation) => citation.domain || citation.uri;
+  const previousDomains = new Set(previousCitations.map(domainOf));
+  const currentDomains = new Set(currentCitations.map(domainOf));
+  return {
+    added: currentCitations.filter(citation => !previousDomains.has(domainOf(citation))),
+    removed: previousCitations.filter(citation => !currentDomains.has(domainOf(citation))),
+  };
+};
+
+const formatRunDate = (value) => new Date(value).toLocaleString('id-ID', { dateStyle: 'medium', timeStyle: 'short' });
+
+const DIFF_ITEM_CLASSES = {
+  same: 'text-gray-700 dark:text-gray-300',
+  added: 'bg-green-50 dark:bg-green-900/30 text-green-800 dark:text-green-200 border-l-4 border-green-500 pl-2',
+  removed: 'bg-red-50 dark:bg-red-900/30 text-red-800 dark:text-red-200 border-l-4 border-red-500 pl-2 line-through',
+};
+
+const CitationChanges = ({ title, citations, className }) => (
+  <div>
+    <p className={`text-xs font-semibold mb-1 ${className}`}>{title} ({citations.length})</p>
+    {citations.length === 0 ? <p className="text-xs text-gray-400">-</p> : (
+      <ul className="text-xs space-y-0.5">
+        {citations.filter(citation => sanitizeUrl(citation.uri)).map(citation => (
+          <li key={citation.uri}>
+            <a href={sanitizeUrl(citation.uri)} target="_blank" rel="noopener noreferrer" className="text-indigo-500 dark:text-indigo-400 hover:underline">{citation.title || citation.domain}</a>
+            {citation.domain && citation.domain !== citation.title && <span className="text-gray-500"> ({citation.domain})</span>}
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+/**
+ * Riwayat laporan Mapping Market di proyek aktif: pilih dua laporan, lihat perbedaannya berdampingan,
+ * dan minta AI meringkas "perubahan sejak laporan sebelumnya" (/api/map-market-diff).
+ * @param {object} props - { reloadKey: ubah nilainya untuk memuat ulang riwayat setelah laporan baru diarsipkan }
+ */
+const MarketMapHistory = ({ reloadKey }) => {
+  const project = useContext(ProjectContext);
+  const recordGeneration = useRecordGeneration('app3');
+  const [runs, setRuns] = useState(null);
+  const [selection, setSelection] = useState({ previousId: null, currentId: null });
+  const [details, setDetails] = useState({}); // id -> generasi lengkap
+  const requestedRef = useRef(new Set()); // id yang sudah/sedang dimuat
+  const [error, setError] = useState(null);
+  const [changesOnly, setChangesOnly] = useState(true);
+  // Ringkasan AI per pasangan laporan ("idLama:idBaru" -> HTML)
+  const [summaries, setSummaries] = useProjectState('app3', 'diffSummaries', {});
+  const [isSummaryLoading, setIsSummaryLoading] = useState(false);
+  const [summaryError, setSummaryError] = useState(null);
+  const [summaryMeta, setSummaryMeta] = useState(null);
+
+  useEffect(() => {
+    if (!project) return undefined;
+    let isActive = true;
+    requestJSON(`/api/generations?projectId=${encodeURIComponent(project.id)}&tool=app3&route=map-market&limit=100`)
+      .then(data => {
+        if (!isActive) return;
+        setRuns(data.generations);
+        // Bawaan: dua laporan terbaru
+        setSelection({ currentId: data.generations[0]?.id || null, previousId: data.generations[1]?.id || null });
+      })
+      .catch(err => { if (isActive) setError(err.message); });
+    return () => { isActive = false; };
+  }, [project, reloadKey]);
+
+  useEffect(() => {
+    [selection.previousId, selection.currentId]
+      .filter(id => id && !requestedRef.current.has(id))
+      .forEach(id => {
+        requestedRef.current.add(id);
+        requestJSON(`/api/generations/${id}`)
+          .then(full => setDetails(prev => ({ ...prev, [id]: full })))
+          .catch(err => {
+            requestedRef.current.delete(id);
+            setError(err.message);
+          });
+      });
+  }, [selection]);
+
+  const previous = details[selection.previousId];
+  const current = details[selection.currentId];
+  const sections = useMemo(() => (previous && current ? diffReports(previous.output, current.output) : []), [previous, current]);
+  const citationChanges = useMemo(() => (
+    previous && current ? diffCitations(previous.input.citations, current.input.citations) : null
+  ), [previous, current]);
+  const summaryKey = `${selection.previousId}:${selection.currentId}`;
+
+  const handleSummary = async ({ bypassCache = false } = {}) => {
+    setIsSummaryLoading(true);
+    setSummaryError(null);
+    setSummaryMeta(null);
+    try {
+      let meta = null;
+      const body = {
+        previousReport: previous.output,
+        currentReport: current.output,
+        previousDate: formatRunDate(previous.createdAt),
+        currentDate: formatRunDate(current.createdAt),
+        previousCitations: previous.input.citations || [],
+        currentCitations: current.input.citations || [],
+      };
+      const data = await callLocalAPI('/api/map-market-diff', body, {
+        bypassCache,
+        onMeta: (nextMeta) => {
+          meta = nextMeta;
+          setSummaryMeta(nextMeta);
+        },
+      });
+      setSummaries(prev => ({ ...prev, [summaryKey]: data.summaryHtml }));
+      recordGeneration('map-market-diff', { previousId: previous.id, currentId: current.id }, data.summaryHtml, meta);
+    } catch (err) {
+      console.error("Error fetching market map diff:", err);
+      setSummaryError(err.message);
+    } finally {
+      setIsSummaryLoading(false);
+    }
+  };
+
+  if (!project) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">Buka sebuah proyek untuk menyimpan dan membandingkan riwayat laporan.</p>;
+  }
+  if (error) return <p className="text-sm text-red-500 dark:text-red-400">Riwayat tidak tersedia: {error}</p>;
+  if (!runs) return <p className="text-sm text-gray-500 dark:text-gray-400">Memuat riwayat...</p>;
+  if (runs.length < 2) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        {runs.length === 0 ? 'Belum ada laporan tersimpan.' : `Baru ada 1 laporan (${formatRunDate(runs[0].createdAt)}).`} Jalankan Mapping Market lagi di lain waktu untuk melihat perubahannya.
+      </p>
+    );
+  }
 
-            {/* Kolom Output Hasil */}
-            <div className="bg-white dark:bg-gray-800 p-6 rounded-2xl shadow-lg border border-gray-200 dark:border-gray-700 flex flex-col" style={{ maxHeight: '1200px' }}>
-              <h2 className="text-xl sm:text-2xl font-semibold mb-6 text-cyan-600 dark:text-cyan-400 border-b border-gray-200 dark:border-gray-700 pb-3">
-                Hasil Analisis Nilai Produk
-              </h2>
-              
-              {/* === TAMPILAN OUTPUT === */}
+  const RunSelect = ({ field, label }) => (
+    <label className="flex-1 text-sm text-gray-700 dark:text-gray-300">
+      <span className="block mb-1 font-medium">{label}</span>
+      <select
+        value={selection[field] || ''}
+        onChange={(e) => setSelection(prev => ({ ...prev, [field]: e.target.value }))}
+        className="w-full bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg px-3 py-2 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      >
+        {runs.map(run => (
+          <option key={run.id} value={run.id}>{formatRunDate(run.createdAt)} · {run.createdBy}</option>
+        ))}
+      </select>
+    </label>
+  );
 
-              {/* 1. Placeholder Awal */}
-              {!isLoading && !visualResult && (
-                <div id="placeholder" className="flex-grow flex items-center justify-center text-center">
-                  <div className="text-gray-500 dark:text-gray-500">
-                    <svg className="mx-auto h-12 w-12" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path></svg>
-                    <p className="mt-2 text-lg">Hasil analisis akan muncul di sini.</p>
-                    <p className="text-sm">Isi data produk di sebelah kiri dan klik "Analisis Sekarang".</p>
-                  </div>
-                </div>
-              )}
+  const changedSections = sections.filter(section => section.changed);
+  const countItems = (side, status) => sections.reduce((total, section) => total + section[side].filter(item => item.status === status).length, 0);
+  const summaryHtml = summaries[summaryKey];
+  const isSameRun = selection.previousId === selection.currentId;
 
-              {/* 2. Tampilan Loading */}
-              {isLoading && (
-                <div id="loading-placeholder" className="flex-grow flex flex-col items-center justify-center text-center">
-                  <SpinnerIcon />
-                  <p className="mt-2 text-lg text-cyan-600 dark:text-cyan-400">Sedang menganalisis data produk Anda...</p>
-                  <p className="text-sm text-gray-500 dark:text-gray-400">Harap tunggu sebentar.</p>
-                </div>
-              )}
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row gap-4 mb-4">
+        <RunSelect field="previousId" label="Laporan sebelumnya" />
+        <RunSelect field="currentId" label="Laporan terbaru" />
+      </div>
 
-              {/* 3. Tampilan Hasil */}
-              {visualResult && !isLoading && (
-                <div id="result-container" className="flex-grow flex flex-col min-h-0">
-                  
-                  {/* --- Bagian Ringkasan Eksekutif --- */}
-                  <div className="mb-4">
-                    <button 
-                      onClick={handleSummary}
-                      disabled={isSummaryLoading || isLoading}
-                      className="w-full sm:w-auto bg-gradient-to-r from-purple-500 to-indigo-600 hover:from-purple-600 hover:to-indigo-700 text-white font-semibold py-2 px-4 rounded-lg transition duration-200 text-sm shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
-                    >
-                      {isSummaryLoading ? (
-                        <><SpinnerIcon /> Membuat Ringkasan...</>
+      {isSameRun ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Pilih dua laporan yang berbeda untuk dibandingkan.</p>
+      ) : !previous || !current ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Memuat laporan...</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2 text-xs mb-4">
+            <span className="px-2 py-1 rounded-full bg-gray-100 dark:bg-gray-700">{changedSections.length} dari {sections.length} bagian berubah</span>
+            <span className="px-2 py-1 rounded-full bg-green-100 dark:bg-green-900/40 text-green-800 dark:text-green-200">+{countItems('current', 'added')} poin baru</span>
+            <span className="px-2 py-1 rounded-full bg-red-100 dark:bg-red-900/40 text-red-800 dark:text-red-200">-{countItems('previous', 'removed')} poin hilang</span>
+            <span className="px-2 py-1 rounded-full bg-indigo-100 dark:bg-indigo-900/40 text-indigo-800 dark:text-indigo-200">{citationChanges.added.length} sumber baru</span>
+          </div>
+
+          {/* Ringkasan AI */}
+          <div className="bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-700 rounded-lg p-4 mb-4">
+            <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-2 mb-2">
+              <h3 className="font-semibold text-gray-900 dark:text-white">Perubahan Sejak Laporan Sebelumnya</h3>
+              <button
+                type="button"
+                onClick={() => handleSummary()}
+                disabled={isSummaryLoading}
+                className="bg-cyan-600 hover:bg-cyan-700 text-white text-sm font-bold py-2 px-4 rounded-lg shadow transition duration-200 disabled:bg-cyan-400 disabled:cursor-not-allowed"
+              >
+                {isSummaryLoading ? 'Meringkas...' : summaryHtml ? 'Ringkas Ulang' : 'Ringkas dengan AI'}
+              </button>
+            </div>
+            {!isSummaryLoading && (
+              <CacheBadge meta={summaryMeta} onRefresh={() => handleSummary({ bypassCache: true })} className="mb-2" />
+            )}
+            {summaryError && <p className="text-sm text-red-500 dark:text-red-400 mb-2"><b>Terjadi Kesalahan:</b> {summaryError}</p>}
+            {summaryHtml ? (
+              <div id="diff-summary" className="text-sm text-gray-800 dark:text-gray-300" dangerouslySetInnerHTML={{ __html: sanitizeHtml(summaryHtml) }} />
+            ) : (
+              <p className="text-sm text-gray-500 dark:text-gray-400">AI akan membandingkan kedua laporan dan meringkas tren baru, perubahan rekomendasi kanal, dan sumber baru.</p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+            <CitationChanges title="Sumber baru" citations={citationChanges.added} className="text-green-700 dark:text-green-300" />
+            <CitationChanges title="Sumber tidak dikutip lagi" citations={citationChanges.removed} className="text-red-700 dark:text-red-300" />
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 mb-3">
+            <input type="checkbox" checked={changesOnly} onChange={(e) => setChangesOnly(e.target.checked)} />
+            Tampilkan hanya bagian yang berubah
+          </label>
+
+          <div className="space-y-4">
+            {(changesOnly ? changedSections : sections).map(section => (
+              <div key={getSectionKey(section.title)} className="border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden">
+                <h4 className="bg-gray-100 dark:bg-gray-700 px-3 py-2 font-semibold text-sm text-gray-900 dark:text-white">{section.title}</h4>
+                <div className="grid grid-cols-1 md:grid-cols-2 divide-y md:divide-y-0 md:divide-x divide-gray-200 dark:divide-gray-700">
+                  {[
+                    { side: 'previous', label: formatRunDate(previous.createdAt) },
+                    { side: 'current', label: formatRunDate(current.createdAt) },
+                  ].map(({ side, label }) => (
+                    <div key={side} className="p-3">
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">{label}</p>
+                      {section[side].length === 0 ? (
+                        <p className="text-sm text-gray-400 italic">(bagian tidak ada)</p>
                       ) : (
-                        'Buat Ringkasan Eksekutif'
+                        <ul className="space-y-1 text-sm">
+                          {section[side].filter(item => !changesOnly || item.status !== 'same').map((item, index) => (
+                            <li key={index} className={DIFF_ITEM_CLASSES[item.status]}>{item.text}</li>
+                          ))}
+                        </ul>
                       )}
-                    </button>
-
-                    {/* Tampilan Error Ringkasan */}
-                    {summaryError && (
-                      <div className="mt-3 bg-red-100 dark:bg-red-900 border border-red-300 dark:border-red-700 text-red-700 dark:text-red-200 px-3 py-2 rounded-lg text-sm" role="alert">
-                        <strong>Error Ringkasan:</strong> {summaryError}
-                      </div>
-                    )}
-                    
-                    {/* Tampilan Hasil Ringkasan */}
-                    {summaryResult && (
-                      <div className="mt-3 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-700 rounded-lg p-3 text-sm">
-                        <h4 className="font-bold text-cyan-600 dark:text-cyan-400 mb-1">Ringkasan Eksekutif:</h4>
-                        <p className="text-gray-800 dark:text-gray-200">{summaryResult}</p>
-                      </div>
-                    )}
-                  </div>
-                  
-                  {/* --- Bagian Tombol Salin --- */}
-                  <button 
-                    id="copy-button" 
-                    onClick={handleCopyClick}
-                    disabled={!yamlResult}
-                    className={`${getCopyButtonClass()} mb-4`}
-                  >
-                    {copyStatus}
-                  </button>
-                  
-                  {/* --- Tampilan Teks Hasil Analisis --- */}
-                  <div 
-                    id="output-yaml" 
-                    className="mt-4 flex-grow overflow-auto bg-gray-50 dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-700 p-4 shadow-inner text-sm text-gray-800 dark:text-gray-200"
-                    dangerouslySetInnerHTML={formatVisualText(visualResult)}
-                  >
-                  </div>
+                    </div>
+                  ))}
                 </div>
-              )}
-              
-            </div>
-          </main>
-        </div>
-      </div>
-    </>
+              </div>
+            ))}
+            {changesOnly && changedSections.length === 0 && (
+              <p className="text-sm text-gray-500 dark:text-gray-400">Tidak ada perbedaan isi antara kedua laporan.</p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
   );
-}
+};
 
-// =======================================================================
-// === APLIKASI 3: MAPPING MARKET
-// =======================================================================
 const App3_MarketMapping = () => {
 
     const placeholderOutput = '<p class="text-gray-500 dark:text-gray-500">Hasil analisis pasar Anda akan muncul di sini...</p>';
@@ -837,223 +3537,126 @@ const App3_MarketMapping = () => {
       </div>
     );
 
-    const ManualInputForm = ({ formData, handleChange, onBantuAI, isAiHelping }) => (
-      <div className="space-y-4">
-        <div className="flex justify-between items-end gap-3">
-          <div className="flex-1">
-            <label htmlFor="product-name" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Nama Produk</label>
-            <input
-              type="text"
-              id="product-name"
-              name="productName"
-              value={formData.productName}
-              onChange={handleChange}
-              className="w-full bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg px-3 py-2 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
-              placeholder="Contoh: Kopi Susu Aren 'Nyaman'"
-            />
-          </div>
-          <button
-            type="button"
-            onClick={onBantuAI}
-            disabled={!formData.productName || isAiHelping}
-            className="w-28 h-10 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium py-2 px-4 rounded-lg transition-colors flex items-center justify-center disabled:bg-indigo-400 disabled:cursor-not-allowed"
-          >
-            {isAiHelping ? (
-              <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-            ) : (
-              "✨ Bantu AI"
-            )}
-          </button>
-        </div>
-
-        <div>
-          <label htmlFor="usp" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Unique Selling Proposition (USP)</label>
-          <input
-            type="text"
-            id="usp"
-            name="usp"
-            value={formData.usp}
-            onChange={handleChange}
-            className="w-full bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg px-3 py-2 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
-            placeholder="Contoh: Kopi Susu Aren nikmat dengan formula Low Acid, aman di lambung"
-          />
-        </div>
-        <div>
-          <label htmlFor="audience-primary" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Audiens Primer</label>
-          <textarea
-            id="audience-primary"
-            name="audiencePrimary"
-            rows="2"
-            value={formData.audiencePrimary}
-            onChange={handleChange}
-            className="w-full bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg px-3 py-2 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
-            placeholder="Contoh: Pelajar/Mahasiswa yang sering begadang dan punya maag"
-          ></textarea>
-        </div>
-        <div>
-          <label htmlFor="audience-secondary" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Audiens Sekunder</label>
-          <textarea
-            id="audience-secondary"
-            name="audienceSecondary"
-            rows="2"
-            value={formData.audienceSecondary}
-            onChange={handleChange}
-            className="w-full bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg px-3 py-2 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
-            placeholder="Contoh: Pekerja kantor muda yang butuh kafein tapi sensitif lambungnya"
-          ></textarea>
-        </div>
-
-        {/* Value Map Columns */}
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 pt-4">
-          <div>
-            <label htmlFor="customer-jobs" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Customer Jobs</label>
-            <textarea
-              id="customer-jobs"
-              name="customerJobs"
-              rows="4"
-              value={formData.customerJobs}
-              onChange={handleChange}
-              className="w-full bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg px-3 py-2 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
-              placeholder="Satu item per baris:&#10;- Tetap fokus saat belajar&#10;- Menikmati kopi tanpa cemas&#10;- Minum sesuatu yang enak"
-            ></textarea>
-          </div>
-          <div>
-            <label htmlFor="customer-pains" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Customer Pains</label>
-            <textarea
-              id="customer-pains"
-              name="customerPains"
-              rows="4"
-              value={formData.customerPains}
-              onChange={handleChange}
-              className="w-full bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg px-3 py-2 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
-              placeholder="Satu item per baris:&#10;- Maag kambuh setelah ngopi&#10;- Perut kembung/perih&#10;- Cemas Kopi merusak lambung"
-            ></textarea>
-          </div>
-          <div>
-            <label htmlFor="customer-gains" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Customer Gains</label>
-            <textarea
-              id="customer-gains"
-              name="customerGains"
-              rows="4"
-              value={formData.customerGains}
-              onChange={handleChange}
-              className="w-full bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg px-3 py-2 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
-              placeholder="Satu item per baris:&#10;- Rasa aman di lambung&#10;- Bisa fokus belajar/kerja&#10;- Mood jadi lebih baik"
-            ></textarea>
-          </div>
-        </div>
-      </div>
-    );
-
-    const YamlInputForm = ({ yamlInput, handleChange }) => (
-      <div className="h-full">
-        <label htmlFor="yaml-input" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Tempelkan Product Value Analyst (YAML)</label>
-        <textarea
-          id="yaml-input"
-          value={yamlInput}
-          onChange={handleChange}
-          className="w-full h-96 lg:h-[calc(100%-2rem)] bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg px-3 py-2 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500 font-mono text-sm"
-          placeholder="product_name: Kopi Susu Aren 'Nyaman'
-    usp: Kopi Susu Aren nikmat dengan formula Low Acid, aman di lambung
-    audience:
-      primary: Pelajar/Mahasiswa (18-24) ...
-    (dan seterusnya...)"
-        ></textarea>
-      </div>
-    );
-
-
     // --- State Aplikasi 3 ---
-    const [currentInputMode, setCurrentInputMode] = useState('manual'); // 'manual' or 'yaml'
-    const [formData, setFormData] = useState({
+    const [currentInputMode, setCurrentInputMode] = useProjectState('app3', 'currentInputMode', 'manual'); // 'manual' or 'yaml'
+    const [formData, setFormData] = useProjectState('app3', 'formData', {
       productName: '', usp: '', audiencePrimary: '', audienceSecondary: '',
       customerJobs: '', customerPains: '', customerGains: ''
     });
-    const [yamlInput, setYamlInput] = useState('');
-    const [outputHtml, setOutputHtml] = useState(placeholderOutput);
+    const [yamlInput, setYamlInput] = useProjectState('app3', 'yamlInput', '');
+    // Hasil terakhir yang berhasil disimpan di proyek; outputHtml juga dipakai untuk pesan status/error
+    const [resultHtml, setResultHtml] = useProjectState('app3', 'resultHtml', null);
+    const [outputHtml, setOutputHtml] = useState(() => resultHtml || placeholderOutput);
     const [isMappingLoading, setIsMappingLoading] = useState(false);
     const [copyButtonText, setCopyButtonText] = useState('Salin');
-    const [isLoaded, setIsLoaded] = useState(false);
     const [isAiHelping, setIsAiHelping] = useState(false);
+    const [generationMeta, setGenerationMeta] = useState(null);
+    const [model, setModel] = useModelPreference('map-market');
+    const recordGeneration = useRecordGeneration('app3');
+    const { product, updateProduct } = useActiveProduct();
+    // Laporan terakhir beserta sitasinya, sumber untuk matriks kompetitor
+    const [mappingReport, setMappingReport] = useProjectState('app3', 'mappingReport', null);
+    const [competitorMatrix, setCompetitorMatrix] = useProjectState('app3', 'competitorMatrix', null);
+    const [productPosition, setProductPosition] = useProjectState('app3', 'productPosition', null);
+    const [mapAxes, setMapAxes] = useProjectState('app3', 'mapAxes', { x: 'harga', y: 'kualitas' });
+    const [isCompetitorLoading, setIsCompetitorLoading] = useState(false);
+    const [competitorError, setCompetitorError] = useState(null);
+    const [competitorMeta, setCompetitorMeta] = useState(null);
+    const [marketSizing, setMarketSizing] = useProjectState('app3', 'marketSizing', createMarketSizing);
+    const [isSizingLoading, setIsSizingLoading] = useState(false);
+    const [sizingError, setSizingError] = useState(null);
+    const [sizingMeta, setSizingMeta] = useState(null);
+    const [historyReloadKey, setHistoryReloadKey] = useState(0);
+    // Hasil SWOT / Five Forces per mode (lihat STRATEGY_MODES)
+    const [strategy, setStrategy] = useProjectState('app3', 'strategy', createStrategy);
+    const [strategyMode, setStrategyMode] = useState('swot');
+    const [strategyLoadingMode, setStrategyLoadingMode] = useState(null);
+    const [strategyError, setStrategyError] = useState(null);
+    const [strategyMeta, setStrategyMeta] = useState(null); // { mode, meta }
+
+    // Formulir manual dan tab YAML selalu sinkron: keduanya menulis ke formData dan yamlInput.
+    // Proyek lama bisa punya formData tanpa yamlInput, jadi mode manual tetap membangun YAML dari formulir.
+    const currentYaml = currentInputMode === 'manual' ? formToValueMapYaml(formData, yamlInput) : yamlInput;
+    const validation = useMemo(() => validateValueMap(currentYaml), [currentYaml]);
+    // Jangan tampilkan "wajib diisi" selagi semuanya masih kosong
+    const visibleErrors = currentYaml.trim() ? validation.errors : [];
+
+    const applyFormData = (nextFormData) => {
+      setFormData(nextFormData);
+      setYamlInput(formToValueMapYaml(nextFormData, yamlInput));
+    };
 
-    useEffect(() => {
-      const savedResult = sessionStorage.getItem('lastAnalysisResult');
-      if (savedResult) {
-        setOutputHtml(savedResult);
-      }
-      setIsLoaded(true);
-    }, []);
-
-    useEffect(() => {
-      if (isLoaded && outputHtml !== placeholderOutput) {
-        sessionStorage.setItem('lastAnalysisResult', outputHtml);
-      }
-    }, [outputHtml, isLoaded]);
-
-    const handleManualFormChange = (e) => {
-      const { name, value } = e.target;
-      setFormData(prev => ({ ...prev, [name]: value }));
+    const applyYamlInput = (text) => {
+      setYamlInput(text);
+      const { data } = validateValueMap(text);
+      if (data) setFormData(prev => ({ ...prev, ...valueMapToForm(data) }));
     };
 
-    const listToYaml = (text, indentLevel = 2) => {
-      const indent = ' '.repeat(indentLevel * 2);
-      return text.split('\n')
-        .filter(line => line.trim() !== '')
-        .map(line => `${indent}- ${line.trim()}`)
-        .join('\n');
+    // Laporan lengkap = laporan AI + ukuran pasar + SWOT/Five Forces + daftar sumber; ikut tersalin dan tersimpan di produk aktif
+    const publishReport = (report, sizing, nextStrategy) => {
+      const extraHtml = renderMarketSizingHtml(sizing) + renderStrategyHtml(nextStrategy);
+      const finalHtml = report.analysisText + extraHtml + renderGroundingFooter(report);
+      setOutputHtml(finalHtml);
+      setResultHtml(finalHtml);
+      updateProduct({ marketMap: report.analysisText + extraHtml });
     };
 
-    const getYamlFromManualForm = useCallback(() => {
-      return `
-    product_name: ${formData.productName || 'N/A'}
-    usp: ${formData.usp || 'N/A'}
-    audience:
-      primary: ${formData.audiencePrimary || 'N/A'}
-      secondary: ${formData.audienceSecondary || 'N/A'}
-    value_map:
-      customer_jobs:
-    ${listToYaml(formData.customerJobs, 2)}
-      customer_pains:
-    ${listToYaml(formData.customerPains, 2)}
-      customer_gains:
-    ${listToYaml(formData.customerGains, 2)}
-    `;
-    }, [formData]);
+    const applyMarketSizing = (nextSizing) => {
+      setMarketSizing(nextSizing);
+      if (mappingReport && !isMappingLoading) publishReport(mappingReport, nextSizing, strategy);
+    };
 
-    const getCurrentYamlInput = useCallback(() => {
-      if (currentInputMode === 'manual') {
-        return getYamlFromManualForm();
-      } else {
-        return yamlInput;
-      }
-    }, [currentInputMode, yamlInput, getYamlFromManualForm]);
+    const handleManualFormChange = (e) => {
+      const { name, value } = e.target;
+      applyFormData({ ...formData, [name]: value });
+    };
 
-    const handleMapping = async () => {
-      const userInput = getCurrentYamlInput();
+    const handleMapping = async ({ bypassCache = false } = {}) => {
+      const userInput = currentYaml.trim();
 
-      if (!userInput.trim() || userInput.includes("N/A")) {
+      if (!userInput) {
         setOutputHtml('<p class="text-red-500 dark:text-red-400">Silakan masukkan data produk Anda di formulir manual atau YAML.</p>');
         return;
       }
+      if (!validation.valid) {
+        setOutputHtml(`<p class="text-red-500 dark:text-red-400">Data produk belum lengkap atau format YAML tidak valid (${validation.errors.length} masalah). Perbaiki yang ditandai di formulir terlebih dahulu.</p>`);
+        return;
+      }
 
       setIsMappingLoading(true);
       setCopyButtonText('Salin');
       setOutputHtml('');
+      setGenerationMeta(null);
 
       try {
-        // Memanggil back-end lokal
-        const data = await callLocalAPI('/api/map-market', { userInput });
+        // Memanggil back-end lokal (hasil Google Search di-cache server, lihat CacheBadge)
+        let meta = null;
+        const data = await callLocalAPI('/api/map-market', withModel({ userInput }, model), {
+          bypassCache,
+          onMeta: (nextMeta) => {
+            meta = nextMeta;
+            setGenerationMeta(nextMeta);
+          },
+        });
         
-        let finalHtml = data.analysisText;
-        if (data.citations && data.citations.length > 0) {
-          let citationHtml = '<hr class="my-4 border-gray-300 dark:border-gray-700"><p class="text-sm font-semibold text-gray-600 dark:text-gray-400 mb-2">Didukung oleh data dari:</p><ul class="list-disc list-inside text-sm">';
-          data.citations.forEach(c => {
-            citationHtml += `<li class="mb-1"><a href="${c.uri}" target="_blank" class="text-indigo-500 dark:text-indigo-400 hover:text-indigo-300 underline">${c.title}</a></li>`;
-          });
-          citationHtml += '</ul>';
-          finalHtml += citationHtml;
-        }
-        setOutputHtml(finalHtml);
+        const report = {
+          userInput,
+          analysisText: data.analysisText,
+          citations: data.citations || [],
+          searchQueries: data.searchQueries || [],
+          uncitedParagraphs: data.uncitedParagraphs || 0,
+        };
+        setMappingReport(report);
+        publishReport(report, marketSizing, createStrategy());
+        // Matriks dan analisis strategis lama dibuat dari laporan sebelumnya
+        setCompetitorMatrix(null);
+        setProductPosition(null);
+        setCompetitorError(null);
+        setStrategy(createStrategy());
+        setStrategyError(null);
+        // Riwayat dimuat ulang setelah laporan baru selesai diarsipkan
+        recordGeneration('map-market', { userInput, citations: data.citations || [] }, data.analysisText, meta)
+          .then(() => setHistoryReloadKey(key => key + 1));
 
       } catch (error) {
         console.error("Error fetching mapping:", error);
@@ -1063,6 +3666,94 @@ const App3_MarketMapping = () => {
       }
     };
 
+    const handleCompetitors = async ({ bypassCache = false } = {}) => {
+      if (!mappingReport) return;
+      setIsCompetitorLoading(true);
+      setCompetitorError(null);
+      setCompetitorMeta(null);
+
+      try {
+        const { userInput, analysisText, citations } = mappingReport;
+        let meta = null;
+        const data = await callLocalAPI('/api/map-market-competitors', { userInput, report: analysisText, citations }, {
+          bypassCache,
+          onMeta: (nextMeta) => {
+            meta = nextMeta;
+            setCompetitorMeta(nextMeta);
+          },
+        });
+        setCompetitorMatrix(data);
+        setProductPosition(data.product_position);
+        recordGeneration('map-market-competitors', { userInput }, JSON.stringify(data), meta);
+      } catch (error) {
+        console.error("Error fetching competitors:", error);
+        setCompetitorError(error.message);
+      } finally {
+        setIsCompetitorLoading(false);
+      }
+    };
+
+    const handleStrategy = async (mode, { bypassCache = false } = {}) => {
+      if (!mappingReport) return;
+      const { route } = STRATEGY_MODES.find(item => item.key === mode);
+      setStrategyLoadingMode(mode);
+      setStrategyError(null);
+      setStrategyMeta(null);
+
+      try {
+        const { userInput, analysisText, citations } = mappingReport;
+        let meta = null;
+        const data = await callLocalAPI(`/api/${route}`, { userInput, report: analysisText, citations }, {
+          bypassCache,
+          onMeta: (nextMeta) => {
+            meta = nextMeta;
+            setStrategyMeta({ mode, meta: nextMeta });
+          },
+        });
+        const nextStrategy = { ...strategy, [mode]: data };
+        setStrategy(nextStrategy);
+        if (!isMappingLoading) publishReport(mappingReport, marketSizing, nextStrategy);
+        recordGeneration(route, { userInput }, JSON.stringify(data), meta);
+      } catch (error) {
+        console.error(`Error fetching ${route}:`, error);
+        setStrategyError(error.message);
+      } finally {
+        setStrategyLoadingMode(null);
+      }
+    };
+
+    const handleMarketSizing = async ({ bypassCache = false } = {}) => {
+      const userInput = mappingReport ? mappingReport.userInput : currentYaml.trim();
+      if (!userInput) return;
+      setIsSizingLoading(true);
+      setSizingError(null);
+      setSizingMeta(null);
+
+      // Input yang diisi pengguna dipakai apa adanya; sisanya diestimasi AI
+      const knownInputs = Object.fromEntries(Object.entries(marketSizing.inputs)
+        .filter(([, input]) => input.edited && input.value !== null)
+        .map(([key, input]) => [key, input.value]));
+
+      try {
+        let meta = null;
+        const data = await callLocalAPI('/api/map-market-sizing', { userInput, report: mappingReport ? mappingReport.analysisText : undefined, knownInputs }, {
+          bypassCache,
+          onMeta: (nextMeta) => {
+            meta = nextMeta;
+            setSizingMeta(nextMeta);
+          },
+        });
+        const inputs = Object.fromEntries(Object.entries(data.inputs).map(([key, input]) => [key, { ...input, edited: key in knownInputs }]));
+        applyMarketSizing({ ...marketSizing, inputs, citations: data.citations || [], searchQueries: data.searchQueries || [] });
+        recordGeneration('map-market-sizing', { userInput, knownInputs }, JSON.stringify(data), meta);
+      } catch (error) {
+        console.error("Error fetching market sizing:", error);
+        setSizingError(error.message);
+      } finally {
+        setIsSizingLoading(false);
+      }
+    };
+
     const handleBantuAI = async () => {
       const { productName } = formData;
       if (!productName.trim()) {
@@ -1076,7 +3767,7 @@ const App3_MarketMapping = () => {
       try {
         // Memanggil back-end lokal
         const parsedJson = await callLocalAPI('/api/map-market-helper', { productName });
-        setFormData(prev => ({ ...prev, ...parsedJson }));
+        applyFormData({ ...formData, ...parsedJson });
         setOutputHtml(placeholderOutput);
       } catch (error) {
         console.error("Error with Bantu AI:", error);
@@ -1088,7 +3779,7 @@ const App3_MarketMapping = () => {
 
     const handleCopy = () => {
       const tempDiv = document.createElement('div');
-      tempDiv.innerHTML = outputHtml;
+      tempDiv.innerHTML = sanitizeHtml(outputHtml);
       // ... (logika konversi HTML ke Teks)
       let textToCopy = tempDiv.innerText || "";
       
@@ -1119,6 +3810,19 @@ const App3_MarketMapping = () => {
           #output-content ul, .modal-content ul { margin-bottom: 0.75rem; list-style-position: inside; padding-left: 0.5rem; }
           #output-content li, .modal-content li { margin-bottom: 0.25rem; }
           #output-content, .modal-content { line-height: 1.6; }
+          /* Catatan kaki sumber & paragraf tanpa sumber (lihat api/lib/grounding.js) */
+          #output-content sup.citation a { color: #6366f1; text-decoration: none; font-weight: 600; margin-left: 1px; }
+          #output-content p.uncited { border-left: 3px solid #f59e0b; padding-left: 0.75rem; }
+          /* Bagian ukuran pasar di laporan (lihat renderMarketSizingHtml) */
+          #output-content table.market-sizing { width: 100%; margin-bottom: 0.75rem; font-size: 0.875rem; border-collapse: collapse; }
+          #output-content table.market-sizing th, #output-content table.market-sizing td { border: 1px solid rgba(107, 114, 128, 0.4); padding: 0.375rem 0.5rem; text-align: left; vertical-align: top; }
+          /* Bagian SWOT & Five Forces di laporan (lihat renderStrategyHtml) */
+          #output-content table.strategy { width: 100%; margin-bottom: 0.75rem; font-size: 0.875rem; border-collapse: collapse; }
+          #output-content table.strategy th, #output-content table.strategy td { border: 1px solid rgba(107, 114, 128, 0.4); padding: 0.375rem 0.5rem; text-align: left; vertical-align: top; }
+          #output-content table.strategy ul { margin-bottom: 0; }
+          /* Ringkasan perubahan dari /api/map-market-diff */
+          #diff-summary h3 { font-weight: 600; margin-top: 0.75rem; margin-bottom: 0.25rem; }
+          #diff-summary ul { list-style: disc; padding-left: 1.25rem; }
         `}</style>
         {/* Konten Aplikasi 3 (Mapping Market) */}
         <div className="p-4 md:p-8">
@@ -1153,12 +3857,25 @@ const App3_MarketMapping = () => {
                   Input Manual
                 </button>
                 <button
-                  onClick={() => setCurrentInputMode('yaml')}
+                  onClick={() => {
+                    if (!yamlInput.trim()) setYamlInput(formToValueMapYaml(formData));
+                    setCurrentInputMode('yaml');
+                  }}
                   className={`flex-1 py-2 px-4 rounded-md text-sm font-medium transition-colors ${currentInputMode === 'yaml' ? 'text-white bg-indigo-600 shadow' : 'text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'}`}
                 >
                   Input YAML
                 </button>
               </div>
+              <div className="flex justify-end mb-4">
+                <ImportFromProductButton
+                  label="Gunakan data dari Analisis Value"
+                  available={Boolean(product.valueMap)}
+                  onClick={() => {
+                    applyYamlInput(product.valueMap);
+                    setCurrentInputMode('yaml');
+                  }}
+                />
+              </div>
 
               <div className="custom-scrollbar pr-2 lg:flex-1 lg:overflow-y-auto">
                 {currentInputMode === 'manual' ? (
@@ -1167,15 +3884,18 @@ const App3_MarketMapping = () => {
                     handleChange={handleManualFormChange}
                     onBantuAI={handleBantuAI}
                     isAiHelping={isAiHelping}
+                    errors={visibleErrors.map(({ path, message }) => ({ path, message }))}
                   />
                 ) : (
-                  <YamlInputForm yamlInput={yamlInput} handleChange={(e) => setYamlInput(e.target.value)} />
+                  <YamlInputForm yamlInput={yamlInput} handleChange={(e) => applyYamlInput(e.target.value)} errors={visibleErrors} />
                 )}
               </div>
 
+              <ModelPicker route="map-market" value={model} onChange={setModel} disabled={isMappingLoading} className="mt-6" />
+
               <div className="mt-6">
                 <button
-                  onClick={handleMapping}
+                  onClick={() => handleMapping()}
                   disabled={isMappingLoading || isAiHelping}
                   className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-6 rounded-lg shadow-lg transition duration-300 ease-in-out transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-opacity-75 disabled:bg-indigo-400 disabled:cursor-not-allowed disabled:transform-none"
                 >
@@ -1200,6 +3920,10 @@ const App3_MarketMapping = () => {
                 </div>
               </div>
 
+              {!isMappingLoading && (
+                <CacheBadge meta={generationMeta} onRefresh={() => handleMapping({ bypassCache: true })} disabled={isAiHelping} className="mb-3" />
+              )}
+
               <div id="output-container" className="flex-1 bg-gray-50 dark:bg-gray-900 rounded-lg p-4 custom-scrollbar min-h-[200px] lg:min-h-0 lg:flex-1 lg:overflow-y-auto border border-gray-200 dark:border-gray-700">
                 {isMappingLoading ? (
                   <LoadingSpinner text="AI sedang menganalisis pasar... Ini mungkin perlu waktu." />
@@ -1207,38 +3931,294 @@ const App3_MarketMapping = () => {
                   <div
                     id="output-content"
                     className="text-gray-800 dark:text-gray-300"
-                    dangerouslySetInnerHTML={{ __html: outputHtml }}
+                    dangerouslySetInnerHTML={{ __html: sanitizeHtml(outputHtml) }}
                   />
                 )}
               </div>
             </div>
 
           </div>
+
+          {/* Riwayat & Perbandingan Laporan */}
+          <div className="w-full max-w-7xl mx-auto mt-6 bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700">
+            <div className="mb-4">
+              <h2 className="text-xl lg:text-2xl font-bold text-gray-900 dark:text-white">Riwayat Laporan</h2>
+              <p className="text-sm text-gray-600 dark:text-gray-400">Setiap laporan tersimpan bertanggal di proyek ini. Bandingkan dua laporan untuk melihat apa yang berubah.</p>
+            </div>
+            <MarketMapHistory reloadKey={historyReloadKey} />
+          </div>
+
+          {/* Ukuran Pasar (TAM/SAM/SOM) */}
+          <div className="w-full max-w-7xl mx-auto mt-6 bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700">
+            <div className="mb-4">
+              <h2 className="text-xl lg:text-2xl font-bold text-gray-900 dark:text-white">Ukuran Pasar (TAM/SAM/SOM)</h2>
+              <p className="text-sm text-gray-600 dark:text-gray-400">Isi angka yang sudah Anda ketahui, lalu biarkan AI mengestimasi sisanya dari statistik Google Search. Hasilnya ikut masuk ke laporan.</p>
+            </div>
+            {!isSizingLoading && (
+              <CacheBadge meta={sizingMeta} onRefresh={() => handleMarketSizing({ bypassCache: true })} className="mb-3" />
+            )}
+            {sizingError && (
+              <p className="text-red-500 dark:text-red-400 mb-3"><b>Terjadi Kesalahan:</b> {sizingError}</p>
+            )}
+            <MarketSizingPanel
+              sizing={marketSizing}
+              onChange={applyMarketSizing}
+              onEstimate={() => handleMarketSizing()}
+              isLoading={isSizingLoading}
+              canEstimate={Boolean(mappingReport) || validation.valid}
+            />
+          </div>
+
+          {/* Analisis Strategis: SWOT & Porter's Five Forces */}
+          <div className="w-full max-w-7xl mx-auto mt-6 bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700">
+            <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center mb-4 gap-4">
+              <div>
+                <h2 className="text-xl lg:text-2xl font-bold text-gray-900 dark:text-white">Analisis Strategis</h2>
+                <p className="text-sm text-gray-600 dark:text-gray-400">Susun SWOT atau Porter's Five Forces dari data produk dan laporan di atas. Hasilnya ikut masuk ke laporan.</p>
+              </div>
+              <button
+                onClick={() => handleStrategy(strategyMode)}
+                disabled={!mappingReport || Boolean(strategyLoadingMode) || isMappingLoading}
+                title={mappingReport ? undefined : 'Jalankan Mapping Market terlebih dahulu'}
+                className="bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-lg shadow transition duration-200 disabled:bg-cyan-400 disabled:cursor-not-allowed"
+              >
+                {strategyLoadingMode === strategyMode ? 'Menganalisis...' : strategy[strategyMode] ? 'Analisis Ulang' : `Buat Analisis ${STRATEGY_MODES.find(item => item.key === strategyMode).label}`}
+              </button>
+            </div>
+
+            <div className="flex gap-2 mb-4" role="tablist">
+              {STRATEGY_MODES.map(({ key, label }) => (
+                <button
+                  key={key}
+                  type="button"
+                  role="tab"
+                  aria-selected={strategyMode === key}
+                  onClick={() => setStrategyMode(key)}
+                  className={`py-1.5 px-3 rounded-lg text-sm font-medium transition duration-200 ${strategyMode === key ? 'bg-cyan-600 text-white' : 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            {!strategyLoadingMode && (
+              <CacheBadge meta={strategyMeta && strategyMeta.mode === strategyMode ? strategyMeta.meta : null} onRefresh={() => handleStrategy(strategyMode, { bypassCache: true })} className="mb-3" />
+            )}
+            {strategyError && (
+              <p className="text-red-500 dark:text-red-400 mb-3"><b>Terjadi Kesalahan:</b> {strategyError}</p>
+            )}
+
+            {strategyLoadingMode === strategyMode ? (
+              <LoadingSpinner text="AI sedang menyusun analisis strategis..." />
+            ) : strategyMode === 'swot' && strategy.swot ? (
+              <SwotQuadrants swot={strategy.swot} />
+            ) : strategyMode === 'fiveForces' && strategy.fiveForces ? (
+              <FiveForcesDiagram fiveForces={strategy.fiveForces} />
+            ) : (
+              <p className="text-gray-500 dark:text-gray-500">
+                {mappingReport ? 'Klik tombol di atas untuk membuat analisis dari laporan terbaru.' : 'Jalankan Mapping Market terlebih dahulu.'}
+              </p>
+            )}
+          </div>
+
+          {/* Matriks Kompetitor & Peta Persepsi */}
+          <div className="w-full max-w-7xl mx-auto mt-6 bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700">
+            <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center mb-4 gap-4">
+              <div>
+                <h2 className="text-xl lg:text-2xl font-bold text-gray-900 dark:text-white">Matriks Kompetitor</h2>
+                <p className="text-sm text-gray-600 dark:text-gray-400">Ekstrak kompetitor dari laporan di atas menjadi tabel perbandingan dan peta persepsi.</p>
+              </div>
+              <button
+                onClick={() => handleCompetitors()}
+                disabled={!mappingReport || isCompetitorLoading || isMappingLoading}
+                title={mappingReport ? undefined : 'Jalankan Mapping Market terlebih dahulu'}
+                className="bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-lg shadow transition duration-200 disabled:bg-cyan-400 disabled:cursor-not-allowed"
+              >
+                {isCompetitorLoading ? 'Mengekstrak...' : competitorMatrix ? 'Ekstrak Ulang' : 'Buat Matriks Kompetitor'}
+              </button>
+            </div>
+
+            {!isCompetitorLoading && (
+              <CacheBadge meta={competitorMeta} onRefresh={() => handleCompetitors({ bypassCache: true })} className="mb-3" />
+            )}
+            {competitorError && (
+              <p className="text-red-500 dark:text-red-400 mb-3"><b>Terjadi Kesalahan:</b> {competitorError}</p>
+            )}
+
+            {isCompetitorLoading ? (
+              <LoadingSpinner text="AI sedang menyusun matriks kompetitor..." />
+            ) : competitorMatrix ? (
+              <div className="grid grid-cols-1 xl:grid-cols-5 gap-6">
+                <div className="xl:col-span-3">
+                  <CompetitorTable competitors={competitorMatrix.competitors} />
+                </div>
+                <div className="xl:col-span-2">
+                  <PerceptualMap
+                    competitors={competitorMatrix.competitors}
+                    productPosition={productPosition || competitorMatrix.product_position}
+                    onChangePosition={setProductPosition}
+                    axes={mapAxes}
+                    onChangeAxes={setMapAxes}
+                  />
+                </div>
+              </div>
+            ) : (
+              <p className="text-gray-500 dark:text-gray-500">
+                {mappingReport ? 'Klik "Buat Matriks Kompetitor" untuk membandingkan kompetitor.' : 'Jalankan Mapping Market terlebih dahulu.'}
+              </p>
+            )}
+          </div>
         </div>
       </>
     );
 };
 
+// === IMPOR REVIEW MASSAL (CSV/JSON) ===
+// Parsing dan ringkasan file review ada di src/reviewImport.js
+
+/**
+ * Ringkasan impor review di App 4: distribusi rating dan kata yang sering muncul.
+ * @param {object} props - { digest: hasil summarizeReviews, onRemove }
+ */
+const ReviewImportSummary = ({ digest, onRemove }) => {
+  const ratedTotal = digest.total - digest.unrated;
+  const maxCount = Math.max(1, ...Object.values(digest.distribution));
+  return (
+    <div className="mt-4 p-4 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-700 rounded-lg">
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-start gap-2 mb-3">
+        <div>
+          <p className="font-semibold text-gray-900 dark:text-white">Review hasil impor: {digest.total} review unik</p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {digest.files.join(', ')} · {digest.duplicates} duplikat dibuang · {digest.sample.length} sampel representatif ikut dianalisis
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={onRemove}
+          className="text-xs font-semibold py-1.5 px-3 rounded-md border border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
+        >
+          Hapus Impor
+        </button>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+        <div>
+          <p className="font-medium text-gray-700 dark:text-gray-200 mb-2">
+            Distribusi Rating{digest.average !== null && ` (rata-rata ${digest.average.toFixed(1).replace('.', ',')})`}
+          </p>
+          {ratedTotal > 0 ? (
+            <div className="space-y-1">
+              {[5, 4, 3, 2, 1].map(rating => (
+                <div key={rating} className="flex items-center gap-2">
+                  <span className="w-8 text-right text-gray-600 dark:text-gray-400">{rating}★</span>
+                  <div className="flex-1 h-3 bg-gray-200 dark:bg-gray-700 rounded">
+                    <div className="h-3 bg-cyan-500 rounded" style={{ width: `${(digest.distribution[rating] / maxCount) * 100}%` }}></div>
+                  </div>
+                  <span className="w-20 text-xs text-gray-500 dark:text-gray-400">{digest.distribution[rating]} ({formatPercent(digest.distribution[rating], ratedTotal)})</span>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-gray-400">File tidak punya kolom rating.</p>
+          )}
+          {digest.unrated > 0 && ratedTotal > 0 && <p className="text-xs text-gray-400 mt-1">{digest.unrated} review tanpa rating.</p>}
+        </div>
+        <div>
+          <p className="font-medium text-gray-700 dark:text-gray-200 mb-2">Kata yang Sering Muncul</p>
+          {digest.keywords.length > 0 ? (
+            <div className="flex flex-wrap gap-1.5">
+              {digest.keywords.map(({ word, count }) => (
+                <span key={word} className="text-xs px-2 py-0.5 rounded-full bg-cyan-100 text-cyan-800 dark:bg-cyan-900/40 dark:text-cyan-300">{word} · {count}</span>
+              ))}
+            </div>
+          ) : <p className="text-gray-400">-</p>}
+          {digest.negativeKeywords.length > 0 && (
+            <>
+              <p className="font-medium text-gray-700 dark:text-gray-200 mt-3 mb-2">Di Review Rating 1-2</p>
+              <div className="flex flex-wrap gap-1.5">
+                {digest.negativeKeywords.map(({ word, count }) => (
+                  <span key={word} className="text-xs px-2 py-0.5 rounded-full bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-300">{word} · {count}</span>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// === PROGRES MAP-REDUCE DATA MENTAH ===
+const CHUNK_STATUS_CLASSES = {
+  pending: 'bg-gray-200 dark:bg-gray-700',
+  running: 'bg-cyan-300 dark:bg-cyan-700 animate-pulse',
+  done: 'bg-cyan-500 dark:bg-cyan-400',
+  error: 'bg-red-500 dark:bg-red-400',
+};
+
+// Gabungkan event `progress` dari /api/psikologis-market/chunked ke state { stage, total, completed, failed, statuses }
+const applyChunkProgress = (current, progress) => {
+  const statuses = current && current.statuses.length === progress.total ? [...current.statuses] : Array(progress.total).fill('pending');
+  if (progress.index !== undefined) statuses[progress.index] = progress.status;
+  return { stage: progress.stage, total: progress.total, completed: progress.completed, failed: progress.failed, statuses };
+};
+
+/**
+ * Indikator progres map-reduce: satu kotak per bagian data mentah, lalu tahap penyusunan laporan akhir.
+ */
+const ChunkProgress = ({ progress }) => (
+  <div className="py-6">
+    <p className="text-lg font-semibold text-gray-700 dark:text-gray-300 text-center">
+      {progress.stage === 'reduce'
+        ? 'Menyusun laporan akhir dari temuan gabungan...'
+        : `Mengekstrak temuan per bagian: ${progress.completed + progress.failed}/${progress.total}`}
+    </p>
+    <p className="text-sm text-gray-500 dark:text-gray-400 text-center mb-4">
+      Data mentah panjang dipecah menjadi {progress.total} bagian agar tidak terpotong.
+      {progress.failed > 0 && ` ${progress.failed} bagian gagal dan dilewati.`}
+    </p>
+    <div className="flex flex-wrap justify-center gap-1" role="progressbar" aria-valuemin={0} aria-valuemax={progress.total} aria-valuenow={progress.completed + progress.failed}>
+      {progress.statuses.map((status, index) => (
+        <span key={index} title={`Bagian ${index + 1}: ${status}`} className={`w-4 h-4 rounded-sm ${CHUNK_STATUS_CLASSES[status]}`}></span>
+      ))}
+    </div>
+  </div>
+);
+
 // =======================================================================
 // === APLIKASI 4: PSIKOLOGIS MARKET
 // =======================================================================
 const App4_PsikologisMarket = () => {
     
     // --- State Aplikasi 4 ---
-    const [currentTab, setCurrentTab] = useState('manual');
-    const [inputs, setInputs] = useState({
+    const [currentTab, setCurrentTab] = useProjectState('app4', 'currentTab', 'manual');
+    const [inputs, setInputs] = useProjectState('app4', 'inputs', {
         mappingInput: '', reviewInput: '', socialInput: '', rawInput: ''
     });
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
-    const [businessName, setBusinessName] = useState('');
+    const [businessName, setBusinessName] = useProjectState('app4', 'businessName', '');
     const [isHelperLoading, setIsHelperLoading] = useState(false);
-    const [analysisResult, setAnalysisResult] = useState({ html: null, text: null });
+    const [analysisResult, setAnalysisResult] = useProjectState('app4', 'analysisResult', { text: null });
     const [copyMessage, setCopyMessage] = useState('');
+    const [copyMessageType, setCopyMessageType] = useState('success');
     const [secondaryLoading, setSecondaryLoading] = useState({ hooks: false, persona: false });
-    const [secondaryResults, setSecondaryResults] = useState({ hooks: null, persona: null });
+    const [secondaryResults, setSecondaryResults] = useProjectState('app4', 'secondaryResults', { hooks: null, persona: null });
+    const [secondaryErrors, setSecondaryErrors] = useState({ hooks: null, persona: null });
+    const [streamText, setStreamText] = useState('');
+    // Progres map-reduce tab data mentah (applyChunkProgress); null jika datanya muat dalam satu bagian
+    const [chunkProgress, setChunkProgress] = useState(null);
+    // Metadata generasi (finishReason, safetyRatings) per bagian untuk GenerationNotice
+    const [generationMeta, setGenerationMeta] = useState({ analysis: null, hooks: null, persona: null });
+    const [model, setModel] = useModelPreference('psikologis-market');
+    const recordGeneration = useRecordGeneration('app4');
+    const { product, updateProduct } = useActiveProduct();
+    // Ringkasan file review yang diimpor (summarizeReviews); ikut dikirim bersama kolom Review Pelanggan
+    const [reviewImport, setReviewImport] = useProjectState('app4', 'reviewImport', null);
+    const [isImportingReviews, setIsImportingReviews] = useState(false);
 
     // --- Refs ---
+    const abortControllerRef = useRef(null);
+    const reviewFileInputRef = useRef(null);
     const mappingInputRef = useRef(null);
     const reviewInputRef = useRef(null);
     const socialInputRef = useRef(null);
@@ -1248,44 +4228,11 @@ const App4_PsikologisMarket = () => {
     const textareaRefs = { mappingInput: mappingInputRef, reviewInput: reviewInputRef, socialInput: socialInputRef, rawInput: rawInputRef };
 
     // --- Efek Samping ---
+    // Input dari proyek sudah terisi saat mount, sesuaikan tinggi textarea-nya
     useEffect(() => {
-        try {
-            const savedTab = sessionStorage.getItem('app4_currentTab') || 'manual';
-            setCurrentTab(savedTab);
-            const savedMapping = sessionStorage.getItem('app4_mappingInput') || '';
-            const savedReview = sessionStorage.getItem('app4_reviewInput') || '';
-            const savedSocial = sessionStorage.getItem('app4_socialInput') || '';
-            const savedRaw = sessionStorage.getItem('app4_rawInput') || '';
-            setInputs({ mappingInput: savedMapping, reviewInput: savedReview, socialInput: savedSocial, rawInput: savedRaw });
-            const savedBusinessName = sessionStorage.getItem('app4_businessName') || '';
-            setBusinessName(savedBusinessName);
-            const savedResultHtml = sessionStorage.getItem('app4_analysisResultHtml');
-            const savedResultText = sessionStorage.getItem('app4_analysisResultText');
-            if (savedResultHtml && savedResultText) {
-                setAnalysisResult({ html: savedResultHtml, text: savedResultText });
-            }
-            setTimeout(autoExpandAllTextareas, 0);
-        } catch (e) { console.warn("Gagal memuat session storage:", e); }
+        setTimeout(autoExpandAllTextareas, 0);
     }, []);
 
-    useEffect(() => {
-        try {
-            sessionStorage.setItem('app4_currentTab', currentTab);
-            sessionStorage.setItem('app4_mappingInput', inputs.mappingInput);
-            sessionStorage.setItem('app4_reviewInput', inputs.reviewInput);
-            sessionStorage.setItem('app4_socialInput', inputs.socialInput);
-            sessionStorage.setItem('app4_rawInput', inputs.rawInput);
-            sessionStorage.setItem('app4_businessName', businessName);
-            if (analysisResult.html && analysisResult.text) {
-                sessionStorage.setItem('app4_analysisResultHtml', analysisResult.html);
-                sessionStorage.setItem('app4_analysisResultText', analysisResult.text);
-            } else {
-                sessionStorage.removeItem('app4_analysisResultHtml');
-                sessionStorage.removeItem('app4_analysisResultText');
-            }
-        } catch (e) { console.warn("Gagal menyimpan session storage:", e); }
-    }, [currentTab, inputs, businessName, analysisResult]);
-
     useEffect(() => {
         let timer;
         if (copyMessage) {
@@ -1309,33 +4256,6 @@ const App4_PsikologisMarket = () => {
             }
         });
     };
-    
-    const formatGeminiResponse = (text) => {
-      let html = text;
-      function applyInlineFormatting(line) {
-          return line
-              .replace(/\*\*(.*?)\*\*/g, '<strong class="font-bold text-cyan-600 dark:text-cyan-400">$1</strong>')
-              .replace(/\*(.*?)\*/g, '<em>$1</em>');
-      }
-      html = html.replace(/^####\s+(.*$)/gim, '<h4 class="text-lg font-semibold text-gray-800 dark:text-gray-100 mt-5 pt-5 border-t border-gray-200 dark:border-gray-700 mb-2">$1</h4>');
-      html = html.replace(/^###\s+(.*$)/gim, '<h3 class="text-md font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider mt-4 mb-3">$1</h3>');
-      html = html.replace(/^##\s+(.*$)/gim, '<h2 class="text-xl font-semibold text-cyan-700 dark:text-cyan-300 mt-6 mb-3">$1</h2>');
-      html = html.replace(/^#\s+(.*$)/gim, '<h1 class="text-2xl font-bold text-cyan-600 dark:text-cyan-400 mb-4 border-b border-gray-200 dark:border-gray-700 pb-2">$1</h1>');
-      html = html.replace(/^(?:[\*]|\-)\s+(.*$)/gim, (match, content) => {
-          return `<li class="pb-1">${applyInlineFormatting(content)}</li>`;
-      });
-      html = html.replace(/(\<\/li\>\n?)+(\<li\>)/gim, '</li><li>');
-      html = html.replace(/(<li>.*<\/li>)/gim, '<ul class="list-disc list-outside pl-5 mb-4 space-y-2 text-gray-700 dark:text-gray-300">$1</ul>');
-      html = html.replace(/\<\/ul\>\n?(\<ul\>)/gim, '');
-      html = html.split('\n').map(line => {
-          line = line.trim();
-          if (line.length === 0) return '';
-          if (line.match(/^<\/?(h1|h2|h3|h4|ul|li|p)/)) return line;
-          return `<p class="mb-3 leading-relaxed text-gray-700 dark:text-gray-300">${applyInlineFormatting(line)}</p>`;
-      }).join('\n');
-      html = html.replace(/<p><\/p>/g, '');
-      return html;
-    };
 
     // --- Event Handlers ---
     const handleInputChange = (e) => {
@@ -1349,6 +4269,35 @@ const App4_PsikologisMarket = () => {
         setError(null);
     };
 
+    const handleImportMarketMap = () => {
+        setInputs(prev => ({ ...prev, mappingInput: product.marketMap }));
+        if (!businessName.trim() && product.productName) setBusinessName(product.productName);
+        setTimeout(autoExpandAllTextareas, 50);
+    };
+
+    const handleReviewFiles = async (event) => {
+        const files = [...event.target.files];
+        // Kosongkan agar file yang sama bisa dipilih ulang
+        event.target.value = '';
+        if (files.length === 0) return;
+        setIsImportingReviews(true);
+        setError(null);
+
+        try {
+            const oversized = files.find(file => file.size > REVIEW_IMPORT_MAX_BYTES);
+            if (oversized) throw new Error(`${oversized.name} lebih dari ${REVIEW_IMPORT_MAX_BYTES / (1024 * 1024)} MB.`);
+            const parsed = await Promise.all(files.map(async file => parseReviewFile(file.name, await file.text())));
+            const reviews = parsed.flat();
+            if (reviews.length === 0) throw new Error('Tidak ada review yang bisa dibaca dari file.');
+            setReviewImport(summarizeReviews(files.map(file => file.name), reviews));
+        } catch (err) {
+            console.error("Error importing reviews:", err);
+            setError(`Gagal mengimpor review: ${err.message}`);
+        } finally {
+            setIsImportingReviews(false);
+        }
+    };
+
     const handleGenerateHelper = async () => {
         if (!businessName.trim()) {
             setError("Harap masukkan nama usaha Anda terlebih dahulu.");
@@ -1377,11 +4326,13 @@ const App4_PsikologisMarket = () => {
         }
     };
 
-    const handleAnalysis = async () => {
+    const handleAnalysis = async ({ bypassCache = false } = {}) => {
         setIsLoading(true);
         setError(null);
-        setAnalysisResult({ html: null, text: null });
+        setAnalysisResult({ text: null });
         setSecondaryResults({ hooks: null, persona: null });
+        setSecondaryErrors({ hooks: null, persona: null });
+        setGenerationMeta({ analysis: null, hooks: null, persona: null });
 
         let userInput = "";
         let isValid = false;
@@ -1389,10 +4340,12 @@ const App4_PsikologisMarket = () => {
 
         if (currentTab === 'manual') {
             const { mappingInput, reviewInput, socialInput } = inputs;
+            // Review hasil impor dikirim sebagai ringkasan + sampel, bukan seluruh isi file
+            const reviewText = [reviewInput, reviewImport && formatReviewDigest(reviewImport)].filter(Boolean).join('\n\n');
             if (mappingInput) userInput += `--- DATA MAPPING MARKET ---\n${mappingInput}\n\n`;
-            if (reviewInput) userInput += `--- DATA REVIEW PELANGGAN ---\n${reviewInput}\n\n`;
+            if (reviewText) userInput += `--- DATA REVIEW PELANGGAN ---\n${reviewText}\n\n`;
             if (socialInput) userInput += `--- DATA OBROLAN SOSIAL ---\n${socialInput}\n\n`;
-            isValid = mappingInput || reviewInput || socialInput;
+            isValid = mappingInput || reviewText || socialInput;
             if (!isValid) {
                 setError("Harap isi setidaknya satu kolom di 'Input Manual'.");
                 errorElements = ['mappingInput', 'reviewInput', 'socialInput'];
@@ -1418,27 +4371,76 @@ const App4_PsikologisMarket = () => {
             ref.current?.classList.remove('border-red-500', 'ring-red-500');
         });
 
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+        let partialText = '';
+        let analysisMeta = null;
+        setStreamText('');
+        setChunkProgress(null);
+        // Data mentah bisa sangat panjang: server memecahnya per bagian (map-reduce) sebelum menyusun laporan
+        const [endpoint, body] = currentTab === 'raw'
+            ? ['/api/psikologis-market/chunked', { rawInput: userInput }]
+            : ['/api/psikologis-market/stream', { userInput }];
+
         try {
-            const rawText = await callLocalAPI('/api/psikologis-market', { userInput });
-            const formattedHtml = formatGeminiResponse(rawText);
-            setAnalysisResult({ html: formattedHtml, text: rawText });
+            const rawText = await callLocalAPIStream(endpoint, withModel(body, model), {
+                signal: controller.signal,
+                bypassCache,
+                onProgress: progress => setChunkProgress(prev => applyChunkProgress(prev, progress)),
+                onChunk: (chunk, textSoFar) => {
+                    partialText = textSoFar;
+                    setStreamText(textSoFar);
+                },
+                onMeta: meta => {
+                    analysisMeta = meta;
+                    setGenerationMeta(prev => ({ ...prev, analysis: meta }));
+                },
+            });
+            setAnalysisResult({ text: rawText });
+            recordGeneration('psikologis-market', { source: currentTab, userInput }, rawText, analysisMeta);
+            // Hook & persona lama dibuat dari laporan sebelumnya, jadi ikut dikosongkan
+            updateProduct({ psychProfile: rawText, hooks: '', personas: '' });
         } catch (error) {
-            console.error("Error fetching data:", error);
-            setError(`Gagal menghubungi server AI: ${error.message}`);
+            if (isAbortError(error)) {
+                // Dihentikan pengguna: simpan laporan parsial yang sudah diterima
+                if (partialText.trim()) {
+                    setAnalysisResult({ text: partialText });
+                }
+                setGenerationMeta(prev => ({ ...prev, analysis: { finishReason: 'CANCELLED' } }));
+            } else {
+                console.error("Error fetching data:", error);
+                setError(`Gagal menghubungi server AI: ${error.message}`);
+            }
         } finally {
+            abortControllerRef.current = null;
+            setStreamText('');
             setIsLoading(false);
         }
     };
+
+    const handleStopAnalysis = () => {
+        if (abortControllerRef.current) abortControllerRef.current.abort();
+    };
     
     const handleGenerateHooks = async () => {
         if (!analysisResult.text) return;
         setSecondaryLoading(prev => ({ ...prev, hooks: true }));
-        setError(null);
+        setSecondaryErrors(prev => ({ ...prev, hooks: null }));
         try {
-            const newText = await callLocalAPI('/api/psikologis-hooks', { prompt: analysisResult.text });
-            setSecondaryResults(prev => ({ ...prev, hooks: formatGeminiResponse(newText) }));
+            let meta = null;
+            const newText = await callLocalAPI('/api/psikologis-hooks', { prompt: analysisResult.text }, {
+                onMeta: nextMeta => {
+                    meta = nextMeta;
+                    setGenerationMeta(prev => ({ ...prev, hooks: nextMeta }));
+                },
+            });
+            setSecondaryResults(prev => ({ ...prev, hooks: newText }));
+            recordGeneration('psikologis-hooks', { basedOn: 'psikologis-market' }, newText, meta);
+            updateProduct({ hooks: newText });
         } catch (err) {
-            setError(`Gagal membuat hook: ${err.message}`);
+            // Tampilkan di dekat tombolnya, termasuk alasan jika diblokir filter keamanan
+            setSecondaryResults(prev => ({ ...prev, hooks: null }));
+            setSecondaryErrors(prev => ({ ...prev, hooks: `Gagal membuat hook: ${err.message}` }));
         } finally {
             setSecondaryLoading(prev => ({ ...prev, hooks: false }));
         }
@@ -1447,12 +4449,22 @@ const App4_PsikologisMarket = () => {
     const handleGeneratePersona = async () => {
         if (!analysisResult.text) return;
         setSecondaryLoading(prev => ({ ...prev, persona: true }));
-        setError(null);
+        setSecondaryErrors(prev => ({ ...prev, persona: null }));
         try {
-            const newText = await callLocalAPI('/api/psikologis-persona', { prompt: analysisResult.text });
-            setSecondaryResults(prev => ({ ...prev, persona: formatGeminiResponse(newText) }));
+            let meta = null;
+            const newText = await callLocalAPI('/api/psikologis-persona', { prompt: analysisResult.text }, {
+                onMeta: nextMeta => {
+                    meta = nextMeta;
+                    setGenerationMeta(prev => ({ ...prev, persona: nextMeta }));
+                },
+            });
+            setSecondaryResults(prev => ({ ...prev, persona: newText }));
+            recordGeneration('psikologis-persona', { basedOn: 'psikologis-market' }, newText, meta);
+            updateProduct({ personas: newText });
         } catch (err) {
-            setError(`Gagal membuat persona: ${err.message}`);
+            // Tampilkan di dekat tombolnya, termasuk alasan jika diblokir filter keamanan
+            setSecondaryResults(prev => ({ ...prev, persona: null }));
+            setSecondaryErrors(prev => ({ ...prev, persona: `Gagal membuat persona: ${err.message}` }));
         } finally {
             setSecondaryLoading(prev => ({ ...prev, persona: false }));
         }
@@ -1471,12 +4483,14 @@ const App4_PsikologisMarket = () => {
         try {
             const successful = document.execCommand('copy');
             if (successful) {
+                setCopyMessageType('success');
                 setCopyMessage('Hasil analisis disalin!');
             } else {
                 throw new Error('Gagal copy execCommand');
             }
         } catch (err) {
             console.error('Gagal menyalin (fallback): ', err);
+            setCopyMessageType('error');
             setCopyMessage('Gagal menyalin. Silakan salin manual.');
         }
         document.body.removeChild(textArea);
@@ -1502,7 +4516,7 @@ const App4_PsikologisMarket = () => {
                 .app4-container textarea { resize: none; overflow-y: hidden; }
             `}</style>
             
-            <CopyNotification message={copyMessage} />
+            <CopyNotification message={copyMessage} type={copyMessageType} />
 
             <div className="app4-container p-2 sm:p-4 md:p-8">
                 <main className="max-w-3xl mx-auto bg-white dark:bg-gray-800 rounded-2xl shadow-2xl overflow-hidden border border-gray-200 dark:border-gray-700">
@@ -1525,6 +4539,7 @@ const App4_PsikologisMarket = () => {
                                     <ul className="list-disc list-inside mt-2 text-sm text-gray-600 dark:text-gray-300">
                                         <li>Gunakan "Bantu Isi" untuk mendapatkan draf hipotesis awal hanya dengan nama usaha.</li>
                                         <li>Anda bisa mengisi salah satu atau semua kolom (Mapping, Review, Sosial) untuk dianalisis.</li>
+                                        <li>Punya ratusan review marketplace? Impor file CSV/JSON-nya; yang dikirim ke AI hanya ringkasan dan sampelnya.</li>
                                         <li>Fitur "Analisis Lanjutan" (Hook & Persona) baru aktif setelah analisis utama selesai.</li>
                                     </ul>
                                 </div>
@@ -1596,7 +4611,10 @@ const App4_PsikologisMarket = () => {
                                     <p className="text-sm text-gray-500 dark:text-gray-400 pt-0">Isi atau edit draf di bawah ini.</p>
                                     <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                                         <div>
-                                            <label htmlFor="mappingInput" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">1. Mapping Market</label>
+                                            <div className="flex items-center justify-between gap-2 mb-1">
+                                                <label htmlFor="mappingInput" className="block text-sm font-medium text-gray-700 dark:text-gray-200">1. Mapping Market</label>
+                                                <ImportFromProductButton label="Isi dari Mapping Market" available={Boolean(product.marketMap)} onClick={handleImportMarketMap} />
+                                            </div>
                                             <textarea
                                                 id="mappingInput"
                                                 ref={mappingInputRef}
@@ -1610,7 +4628,26 @@ const App4_PsikologisMarket = () => {
                                             ></textarea>
                                         </div>
                                         <div>
-                                            <label htmlFor="reviewInput" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">2. Review Pelanggan</label>
+                                            <div className="flex items-center justify-between gap-2 mb-1">
+                                                <label htmlFor="reviewInput" className="block text-sm font-medium text-gray-700 dark:text-gray-200">2. Review Pelanggan</label>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => reviewFileInputRef.current?.click()}
+                                                    disabled={isImportingReviews || isHelperLoading}
+                                                    title="Impor ekspor review Shopee, Tokopedia, atau Google Maps (CSV/JSON)"
+                                                    className="text-xs font-semibold py-1.5 px-3 rounded-md border border-cyan-500 text-cyan-700 dark:text-cyan-300 hover:bg-cyan-50 dark:hover:bg-cyan-900/30 disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent transition-colors"
+                                                >
+                                                    {isImportingReviews ? 'Mengimpor...' : '⤒ Impor CSV/JSON'}
+                                                </button>
+                                                <input
+                                                    ref={reviewFileInputRef}
+                                                    type="file"
+                                                    accept=".csv,.json,text/csv,application/json"
+                                                    multiple
+                                                    className="hidden"
+                                                    onChange={handleReviewFiles}
+                                                />
+                                            </div>
                                             <textarea
                                                 id="reviewInput"
                                                 ref={reviewInputRef}
@@ -1638,12 +4675,13 @@ const App4_PsikologisMarket = () => {
                                             ></textarea>
                                         </div>
                                     </div>
+                                    {reviewImport && <ReviewImportSummary digest={reviewImport} onRemove={() => setReviewImport(null)} />}
                                 </div>
                             )}
 
                             {currentTab === 'raw' && (
                                 <div id="panelRaw" className="tab-panel">
-                                    <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">Tempel semua data mentah audiens Anda di sini.</p>
+                                    <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">Tempel semua data mentah audiens Anda di sini. Data yang sangat panjang (misal ribuan baris chat) otomatis diproses per bagian.</p>
                                     <textarea
                                         id="rawInput"
                                         ref={rawInputRef}
@@ -1657,19 +4695,32 @@ const App4_PsikologisMarket = () => {
                             )}
                         </div>
 
+                        <ModelPicker route="psikologis-market" value={model} onChange={setModel} disabled={isLoading} className="mt-6" />
+
                         <button
                             id="analyzeButton"
                             className={`mt-6 w-full bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-600 hover:to-blue-700 text-white font-bold py-3 px-6 rounded-lg shadow-lg transform transition-all duration-200 hover:scale-105 focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:ring-offset-2 focus:ring-offset-white dark:focus:ring-offset-gray-800 ${
                                 isLoading ? 'opacity-70 cursor-not-allowed' : ''
                             }`}
-                            onClick={handleAnalysis}
+                            onClick={() => handleAnalysis()}
                             disabled={isLoading}
                         >
                             {isLoading ? 'Menganalisis...' : 'Analisis Psikologis Market'}
                         </button>
+                        {isLoading && (
+                            <StopGenerationButton onClick={handleStopAnalysis} className="mt-3 w-full" />
+                        )}
 
                         <div id="outputArea" className="mt-8">
-                            {isLoading && (
+                            {isLoading && streamText && (
+                                <Markdown
+                                    id="analysisStream"
+                                    className="p-6 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-700 rounded-lg text-gray-800 dark:text-gray-200 leading-relaxed"
+                                    text={streamText}
+                                />
+                            )}
+                            {isLoading && !streamText && chunkProgress && <ChunkProgress progress={chunkProgress} />}
+                            {isLoading && !streamText && !chunkProgress && (
                                 <div id="loadingIndicator" className="text-center py-10">
                                     <div className="inline-block animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-cyan-500 dark:border-cyan-400"></div>
                                     <p className="mt-3 text-lg font-semibold text-gray-700 dark:text-gray-300">Menganalisis data audiens...</p>
@@ -1684,7 +4735,7 @@ const App4_PsikologisMarket = () => {
                                 </div>
                             )}
 
-                            {analysisResult.html && !isLoading && (
+                            {analysisResult.text && !isLoading && (
                                 <div id="resultContainer" className="relative">
                                     <button
                                         id="copyButton"
@@ -1696,17 +4747,18 @@ const App4_PsikologisMarket = () => {
                                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
                                         </svg>
                                     </button>
-                                    <div
-                                        id="analysisResult"
-                                        ref={analysisResultRef}
-                                        className="p-6 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-700 rounded-lg text-gray-800 dark:text-gray-200 leading-relaxed"
-                                        dangerouslySetInnerHTML={{ __html: analysisResult.html }}
-                                    >
+                                    <CacheBadge meta={generationMeta.analysis} onRefresh={() => handleAnalysis({ bypassCache: true })} className="mb-4 mr-12" />
+                                    <GenerationNotice meta={generationMeta.analysis} className="mb-4 mr-12" />
+                                    <div id="analysisResult" ref={analysisResultRef}>
+                                        <Markdown
+                                            className="p-6 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-700 rounded-lg text-gray-800 dark:text-gray-200 leading-relaxed"
+                                            text={analysisResult.text}
+                                        />
                                     </div>
                                 </div>
                             )}
 
-                            {analysisResult.html && !isLoading && (
+                            {analysisResult.text && !isLoading && (
                                 <div id="geminiFeatures" className="mt-6 p-6 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-700 rounded-lg">
                                     <h3 className="text-xl font-semibold text-cyan-700 dark:text-cyan-300 mb-4">✨ Analisis Lanjutan</h3>
                                     <p className="text-gray-500 dark:text-gray-400 mb-5">Gunakan laporan di atas sebagai konteks untuk mendapatkan wawasan baru.</p>
@@ -1735,10 +4787,16 @@ const App4_PsikologisMarket = () => {
                                                 <p className="text-sm text-gray-500 dark:text-gray-400 mt-2">Membuat hook iklan baru...</p>
                                             </div>
                                         )}
+                                        {secondaryErrors.hooks && (
+                                            <div className="bg-red-100 dark:bg-red-900 border border-red-300 dark:border-red-700 text-red-700 dark:text-red-200 px-4 py-3 rounded-lg text-sm" role="alert">
+                                                {secondaryErrors.hooks}
+                                            </div>
+                                        )}
+                                        {secondaryResults.hooks && <GenerationNotice meta={generationMeta.hooks} />}
                                         {secondaryResults.hooks && (
-                                            <div
+                                            <Markdown
                                                 className="p-4 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg"
-                                                dangerouslySetInnerHTML={{ __html: secondaryResults.hooks }}
+                                                text={secondaryResults.hooks}
                                             />
                                         )}
                                         {secondaryLoading.persona && (
@@ -1747,10 +4805,16 @@ const App4_PsikologisMarket = () => {
                                                 <p className="text-sm text-gray-500 dark:text-gray-400 mt-2">Menulis cerita persona...</p>
                                             </div>
                                         )}
+                                        {secondaryErrors.persona && (
+                                            <div className="bg-red-100 dark:bg-red-900 border border-red-300 dark:border-red-700 text-red-700 dark:text-red-200 px-4 py-3 rounded-lg text-sm" role="alert">
+                                                {secondaryErrors.persona}
+                                            </div>
+                                        )}
+                                        {secondaryResults.persona && <GenerationNotice meta={generationMeta.persona} />}
                                         {secondaryResults.persona && (
-                                            <div
+                                            <Markdown
                                                 className="p-4 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg"
-                                                dangerouslySetInnerHTML={{ __html: secondaryResults.persona }}
+                                                text={secondaryResults.persona}
                                             />
                                         )}
                                     </div>
@@ -1794,19 +4858,25 @@ const App5_ContentPlanner = () => {
 
     // --- Konstanta & State ---
     const durationOptions = ["Rencana 7 Hari", "Rencana 5 Postingan", "Rencana Bulanan (Poin Utama)", "Lainnya..."];
-    const [topic, setTopic] = useState('');
-    const [goal, setGoal] = useState('');
-    const [duration, setDuration] = useState(durationOptions[0]);
-    const [customDuration, setCustomDuration] = useState('');
-    const [result, setResult] = useState('');
+    const [topic, setTopic] = useProjectState('app5', 'topic', '');
+    const [goal, setGoal] = useProjectState('app5', 'goal', '');
+    const [duration, setDuration] = useProjectState('app5', 'duration', durationOptions[0]);
+    const [customDuration, setCustomDuration] = useProjectState('app5', 'customDuration', '');
+    const [result, setResult] = useProjectState('app5', 'result', '');
     const [isLoading, setIsLoading] = useState(false);
     const [modal, setModal] = useState({ show: false, title: '', message: '' });
     const [copyButtonText, setCopyButtonText] = useState('Salin');
+    const [streamText, setStreamText] = useState('');
+    const [generationMeta, setGenerationMeta] = useState(null);
+    const [model, setModel] = useModelPreference('content-planner');
+    const recordGeneration = useRecordGeneration('app5');
+    const { product } = useActiveProduct();
     const tableResultRef = useRef(null);
+    const abortControllerRef = useRef(null);
 
     // --- Fungsi ---
-    const handleSubmit = async (e) => {
-        e.preventDefault();
+    const handleSubmit = async (e, { bypassCache = false } = {}) => {
+        if (e) e.preventDefault();
         if (!topic || !goal) {
             setModal({ show: true, title: "Input Tidak Lengkap", message: "Mohon isi Topik dan Tujuan." });
             return;
@@ -1831,23 +4901,50 @@ const App5_ContentPlanner = () => {
           PENTING: Langsung berikan hasilnya sebagai tabel HTML. Tidak perlu judul, penjelasan, atau disclaimer di luar tag <table>.
         `;
 
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+        let partialText = '';
+        let meta = null;
+        setStreamText('');
+        setGenerationMeta(null);
+
         try {
-            const tableHtml = await callLocalAPI('/api/content-planner', { userPrompt });
+            const tableHtml = await callLocalAPIStream('/api/content-planner/stream', withModel({ userPrompt }, model), {
+                signal: controller.signal,
+                bypassCache,
+                onChunk: (chunk, textSoFar) => {
+                    partialText = textSoFar;
+                    setStreamText(textSoFar);
+                },
+                onMeta: (nextMeta) => {
+                    meta = nextMeta;
+                    setGenerationMeta(nextMeta);
+                },
+            });
             
-            // Bersihkan output untuk memastikan hanya tabel yang didapat
-            const tableMatch = tableHtml.match(/<table[\s\S]*?<\/table>/);
-            if (tableMatch) {
-                setResult(tableMatch[0]);
+            // Server sudah memastikan hasilnya tabel dengan kolom yang lengkap (kontrak output)
+            setResult(tableHtml);
+            recordGeneration('content-planner', { topic, goal, duration: selectedDuration }, tableHtml, meta);
+        } catch (error) {
+            if (isAbortError(error)) {
+                setGenerationMeta({ finishReason: 'CANCELLED' });
+                // Dihentikan pengguna: tampilkan baris tabel yang sudah diterima
+                if (partialText.includes('<table')) setResult(partialText);
             } else {
-                setResult(`<p class="text-red-500 dark:text-red-300">Maaf, terjadi kesalahan saat membuat tabel. Coba lagi.</p><br>${tableHtml}`);
+                const title = error.code === 'SAFETY_BLOCKED' ? "Diblokir Filter Keamanan" : "Error";
+                setModal({ show: true, title, message: `Gagal membuat rencana: ${error.message}` });
             }
-        } catch (error) {
-            setModal({ show: true, title: "Error", message: `Gagal membuat rencana: ${error.message}` });
         } finally {
+            abortControllerRef.current = null;
+            setStreamText('');
             setIsLoading(false);
         }
     };
 
+    const handleStop = () => {
+        if (abortControllerRef.current) abortControllerRef.current.abort();
+    };
+
     const handleCopy = () => {
         let textToCopy = '';
         if (tableResultRef.current) {
@@ -1907,7 +5004,17 @@ const App5_ContentPlanner = () => {
                     <form onSubmit={handleSubmit} className="space-y-6">
                         {/* PERBAIKAN: Input disesuaikan dengan tema light/dark */}
                         <div>
-                            <label htmlFor="planner-topic" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Nama Brand-Produk/Jasa-Topik Kamu:</label>
+                            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                                <label htmlFor="planner-topic" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Nama Brand-Produk/Jasa-Topik Kamu:</label>
+                                <div className="flex flex-wrap gap-2">
+                                    <ImportFromProductButton label="Gunakan data dari Analisis Value" available={Boolean(product.valueMap)} onClick={() => setTopic(product.valueMap)} />
+                                    <ImportFromProductButton
+                                        label="Isi dari Profil Psikologis"
+                                        available={Boolean(getAudienceProfile(product))}
+                                        onClick={() => setTopic(prev => `${prev.trim() || product.productName}\n\nProfil psikologis target market:\n${getAudienceProfile(product)}`.trim())}
+                                    />
+                                </div>
+                            </div>
                             <textarea id="planner-topic" value={topic} onChange={(e) => setTopic(e.target.value)} rows="3" className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-cyan-500 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400" placeholder="Contoh: Katering sehat 'FitFood' untuk pekerja kantoran"></textarea>
                         </div>
                         <div>
@@ -1926,16 +5033,34 @@ const App5_ContentPlanner = () => {
                                 <input id="planner-custom-duration" type="text" value={customDuration} onChange={(e) => setCustomDuration(e.target.value)} className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-cyan-500 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400" placeholder="Contoh: Rencana 10 hari"/>
                             </div>
                         )}
+                        <ModelPicker route="content-planner" value={model} onChange={setModel} disabled={isLoading} />
                         {/* PERBAIKAN: Tombol submit disesuaikan dengan tema */}
                         <button type="submit" disabled={isLoading} className="w-full bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-600 hover:to-blue-700 text-white font-bold py-3 px-4 rounded-lg shadow-lg transition duration-300 ease-in-out transform hover:-translate-y-0.5 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-cyan-500 focus:ring-offset-gray-100 dark:focus:ring-offset-gray-800 disabled:opacity-75 disabled:cursor-not-allowed flex items-center justify-center space-x-2">
                             <IconWandSparkles />
                             <span>{isLoading ? 'Sedang Merencanakan...' : '✨ Buat Rencana Konten'}</span>
                         </button>
+                        {isLoading && <StopGenerationButton onClick={handleStop} className="w-full" />}
                     </form>
                     {(isLoading || result) && (
                         // PERBAIKAN: Area hasil disesuaikan dengan tema
                         <div className="bg-gray-50 dark:bg-gray-900 p-6 rounded-lg border border-gray-200 dark:border-gray-700 min-h-[200px] relative">
-                            {isLoading ? (
+                            {/* PERBAIKAN: Style tabel disesuaikan dengan tema light/dark */}
+                            <style>{`
+                                .content-plan-table { width: 100%; border-collapse: collapse; margin-top: 1rem; }
+                                .content-plan-table th, .content-plan-table td { border: 1px solid #e5e7eb; padding: 0.75rem; text-align: left; font-size: 0.875rem; }
+                                .content-plan-table th { background-color: #f3f4f6; font-weight: 600; }
+                                .content-plan-table tr:nth-child(even) { background-color: #ffffff; }
+                                .content-plan-table tr:nth-child(odd) { background-color: #f9fafb; }
+                                
+                                .dark .content-plan-table th, .dark .content-plan-table td { border: 1px solid #4b5563; }
+                                .dark .content-plan-table th { background-color: #1f2937; }
+                                .dark .content-plan-table tr:nth-child(even) { background-color: #374151; }
+                                .dark .content-plan-table tr:nth-child(odd) { background-color: #4b5563; }
+                            `}</style>
+                            {isLoading && streamText ? (
+                                // Tabel tampil bertahap selama streaming
+                                <div className="overflow-x-auto text-gray-800 dark:text-gray-200 leading-relaxed" dangerouslySetInnerHTML={{ __html: sanitizeHtml(streamText.replace(/<table/g, '<table class="content-plan-table"')) }} />
+                            ) : isLoading ? (
                                 <div className="absolute inset-0 flex items-center justify-center bg-white/70 dark:bg-gray-900/70 rounded-lg"><LoadingSpinner /></div>
                             ) : (
                                 <>
@@ -1946,24 +5071,13 @@ const App5_ContentPlanner = () => {
                                             <span>{copyButtonText}</span>
                                         </button>
                                     </div>
+                                    <CacheBadge meta={generationMeta} onRefresh={() => handleSubmit(null, { bypassCache: true })} className="mb-4" />
+                                    <GenerationNotice meta={generationMeta} className="mb-4" />
                                     <div className="overflow-x-auto">
-                                        {/* PERBAIKAN: Style tabel disesuaikan dengan tema light/dark */}
-                                        <style>{`
-                                            .content-plan-table { width: 100%; border-collapse: collapse; margin-top: 1rem; }
-                                            .content-plan-table th, .content-plan-table td { border: 1px solid #e5e7eb; padding: 0.75rem; text-align: left; font-size: 0.875rem; }
-                                            .content-plan-table th { background-color: #f3f4f6; font-weight: 600; }
-                                            .content-plan-table tr:nth-child(even) { background-color: #ffffff; }
-                                            .content-plan-table tr:nth-child(odd) { background-color: #f9fafb; }
-                                            
-                                            .dark .content-plan-table th, .dark .content-plan-table td { border: 1px solid #4b5563; }
-                                            .dark .content-plan-table th { background-color: #1f2937; }
-                                            .dark .content-plan-table tr:nth-child(even) { background-color: #374151; }
-                                            .dark .content-plan-table tr:nth-child(odd) { background-color: #4b5563; }
-                                        `}</style>
                                         <div 
                                             ref={tableResultRef} 
                                             className="text-gray-800 dark:text-gray-200 leading-relaxed" 
-                                            dangerouslySetInnerHTML={{ __html: result.replace(/<table/g, '<table class="content-plan-table"') }} 
+                                            dangerouslySetInnerHTML={{ __html: sanitizeHtml(result.replace(/<table/g, '<table class="content-plan-table"')) }} 
                                         />
                                     </div>
                                 </>
@@ -2012,7 +5126,7 @@ const App6_Copywriting = () => {
     const languageOptions = [ "Bahasa Gen-Z", "Bahasa Indonesia", "Bahasa Jawa (ragam Ngoko)", "Bahasa Jawa (ragam Krama)", "Bahasa Sunda (ragam Loma)", "Bahasa Sunda (ragam Lemes)", "Bahasa Banjar (ragam Kuala)", "Bahasa Banjar (ragam Hulu)", "Bahasa Bali", "Bahasa Batak", "Bahasa Minangkabau", "Bahasa Makassar", "Bahasa Bugis", "Bahasa Aceh", "Bahasa Madura", "Bahasa Melayu", "Bahasa Papua", "Lainnya" ];
     const hookDropdownOptions = ["Random", ...hookOptions];
 
-    const [formData, setFormData] = useState({
+    const [formData, setFormData] = useProjectState('app6', 'formData', {
         deskripsi: '', target: '', cta: '',
         peruntukan: purposeOptions[0],
         formula: formulaOptions[0],
@@ -2020,10 +5134,16 @@ const App6_Copywriting = () => {
         bahasa: languageOptions[1],
         bahasaKustom: '',
     });
-    const [result, setResult] = useState('');
+    const [result, setResult] = useProjectState('app6', 'result', '');
     const [isLoading, setIsLoading] = useState(false);
     const [modal, setModal] = useState({ show: false, title: '', message: '' });
     const [copyButtonText, setCopyButtonText] = useState('Salin');
+    const [streamText, setStreamText] = useState('');
+    const [generationMeta, setGenerationMeta] = useState(null);
+    const [model, setModel] = useModelPreference('copywriting');
+    const recordGeneration = useRecordGeneration('app6');
+    const { product } = useActiveProduct();
+    const abortControllerRef = useRef(null);
 
     // --- Fungsi ---
     const handleChange = (e) => {
@@ -2066,16 +5186,47 @@ const App6_Copywriting = () => {
           PENTING: Berikan HANYA hasil copywriting yang sudah jadi, siap pakai, dalam bahasa yang diminta. Jangan tambahkan "Tentu, ini hasilnya:" atau "Hasil Copywriting:" atau penjelasan apa pun. Langsung tulis copywritingnya.
         `;
 
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+        let partialText = '';
+        setStreamText('');
+        setGenerationMeta(null);
+
         try {
-            const copyText = await callLocalAPI('/api/copywriting', { userPrompt });
+            let meta = null;
+            const copyText = await callLocalAPIStream('/api/copywriting/stream', withModel({ userPrompt }, model), {
+                signal: controller.signal,
+                onChunk: (chunk, textSoFar) => {
+                    partialText = textSoFar;
+                    setStreamText(textSoFar);
+                },
+                onMeta: (nextMeta) => {
+                    meta = nextMeta;
+                    setGenerationMeta(nextMeta);
+                },
+            });
             setResult(copyText.trim());
+            recordGeneration('copywriting', { formData }, copyText.trim(), meta);
         } catch (error) {
-            setModal({ show: true, title: "Error", message: `Gagal menghasilkan copywriting: ${error.message}` });
+            if (isAbortError(error)) {
+                setGenerationMeta({ finishReason: 'CANCELLED' });
+                // Dihentikan pengguna: simpan naskah yang sudah tertulis
+                setResult(partialText.trim());
+            } else {
+                const title = error.code === 'SAFETY_BLOCKED' ? "Diblokir Filter Keamanan" : "Error";
+                setModal({ show: true, title, message: `Gagal menghasilkan copywriting: ${error.message}` });
+            }
         } finally {
+            abortControllerRef.current = null;
+            setStreamText('');
             setIsLoading(false);
         }
     };
 
+    const handleStop = () => {
+        if (abortControllerRef.current) abortControllerRef.current.abort();
+    };
+
     const handleCopy = () => {
         const tempTextArea = document.createElement('textarea');
         tempTextArea.value = result;
@@ -2117,11 +5268,25 @@ const App6_Copywriting = () => {
                     <form onSubmit={handleSubmit} className="space-y-6">
                         {/* PERBAIKAN: Input disesuaikan dengan tema light/dark */}
                         <div>
-                            <label htmlFor="product-description" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Deskripsikan produk/topik Anda:</label>
+                            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                                <label htmlFor="product-description" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Deskripsikan produk/topik Anda:</label>
+                                <ImportFromProductButton
+                                    label="Gunakan data dari Analisis Value"
+                                    available={Boolean(product.valueMap)}
+                                    onClick={() => setFormData(prev => ({ ...prev, deskripsi: product.valueMap }))}
+                                />
+                            </div>
                             <textarea id="product-description" name="deskripsi" value={formData.deskripsi} onChange={handleChange} rows="4" className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-cyan-500 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400" placeholder="Contoh: Kopi bubuk Robusta premium..."></textarea>
                         </div>
                         <div>
-                            <label htmlFor="target-audience" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Target Penonton/Audiens:</label>
+                            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                                <label htmlFor="target-audience" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Target Penonton/Audiens:</label>
+                                <ImportFromProductButton
+                                    label="Isi dari Profil Psikologis"
+                                    available={Boolean(getAudienceProfile(product))}
+                                    onClick={() => setFormData(prev => ({ ...prev, target: getAudienceProfile(product) }))}
+                                />
+                            </div>
                             <textarea id="target-audience" name="target" value={formData.target} onChange={handleChange} rows="2" className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-cyan-500 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400" placeholder="Contoh: Mahasiswa, pekerja kantoran..."></textarea>
                         </div>
                         <div>
@@ -2162,16 +5327,21 @@ const App6_Copywriting = () => {
                                 </div>
                             )}
                         </div>
+                        <ModelPicker route="copywriting" value={model} onChange={setModel} disabled={isLoading} />
                         {/* PERBAIKAN: Tombol submit disesuaikan dengan tema */}
                         <button type="submit" disabled={isLoading} className="w-full bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-600 hover:to-blue-700 text-white font-bold py-3 px-4 rounded-lg shadow-lg transition duration-300 ease-in-out transform hover:-translate-y-0.5 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-cyan-500 focus:ring-offset-gray-100 dark:focus:ring-offset-gray-800 disabled:opacity-75 disabled:cursor-not-allowed flex items-center justify-center space-x-2">
                             <IconWandSparkles />
                             <span>{isLoading ? 'Sedang Membuat...' : 'Buat Copywriting'}</span>
                         </button>
+                        {isLoading && <StopGenerationButton onClick={handleStop} className="w-full" />}
                     </form>
                     {(isLoading || result) && (
                         // PERBAIKAN: Area hasil disesuaikan dengan tema
                         <div className="bg-gray-50 dark:bg-gray-900 p-6 rounded-lg border border-gray-200 dark:border-gray-700 min-h-[200px] relative">
-                            {isLoading ? (
+                            {isLoading && streamText ? (
+                                // Naskah tampil bertahap selama streaming
+                                <Markdown className="text-gray-800 dark:text-gray-200 leading-relaxed" text={streamText} />
+                            ) : isLoading ? (
                                 <div className="absolute inset-0 flex items-center justify-center bg-white/70 dark:bg-gray-900/70 rounded-lg"><LoadingSpinner /></div>
                             ) : (
                                 <>
@@ -2182,7 +5352,8 @@ const App6_Copywriting = () => {
                                             <span>{copyButtonText}</span>
                                         </button>
                                     </div>
-                                    <div className="text-gray-800 dark:text-gray-200 whitespace-pre-wrap leading-relaxed">{result}</div>
+                                    <GenerationNotice meta={generationMeta} className="mb-4" />
+                                    <Markdown className="text-gray-800 dark:text-gray-200 leading-relaxed" text={result} />
                                 </>
                             )}
                         </div>
@@ -2287,18 +5458,21 @@ const App7_TtsGenerator = () => {
       { name: "Zephyr (Cerah) - Wanita", value: "Zephyr" }, { name: "Zubenelgenubi (Santai) - Pria", value: "Zubenelgenubi" }
     ].sort((a, b) => a.name.localeCompare(b.name));
 
-    const [text, setText] = useState('');
-    const [charCount, setCharCount] = useState(0);
-    const [voice, setVoice] = useState(ttsVoicesNew[0].value);
-    const [selectedStyle, setSelectedStyle] = useState(ttsLanguageStyleOptions[0]);
-    const [customStyle, setCustomStyle] = useState('');
-    const [volume, setVolume] = useState(100);
-    const [pitch, setPitch] = useState(0);
-    const [speed, setSpeed] = useState(1);
+    // Naskah & pengaturan disimpan di proyek; audio tidak (dibuat ulang saat dibutuhkan)
+    const [text, setText] = useProjectState('app7', 'text', '');
+    const [charCount, setCharCount] = useState(() => text.length);
+    const [voice, setVoice] = useProjectState('app7', 'voice', ttsVoicesNew[0].value);
+    const [model, setModel] = useModelPreference('tts-generator');
+    const [selectedStyle, setSelectedStyle] = useProjectState('app7', 'selectedStyle', ttsLanguageStyleOptions[0]);
+    const [customStyle, setCustomStyle] = useProjectState('app7', 'customStyle', '');
+    const [volume, setVolume] = useProjectState('app7', 'volume', 100);
+    const [pitch, setPitch] = useProjectState('app7', 'pitch', 0);
+    const [speed, setSpeed] = useProjectState('app7', 'speed', 1);
     const [audioUrl, setAudioUrl] = useState(null);
     const [isLoading, setIsLoading] = useState(false);
     const [modal, setModal] = useState({ show: false, title: '', message: '' });
     const audioRef = useRef(null);
+    const recordGeneration = useRecordGeneration('app7');
 
     // --- Fungsi ---
     const handleTextChange = (e) => {
@@ -2340,7 +5514,7 @@ const App7_TtsGenerator = () => {
 
         try {
             // Memanggil back-end lokal
-            const { audioData, mimeType } = await callLocalAPI('/api/tts-generator', { promptText, voice });
+            const { audioData, mimeType } = await callLocalAPI('/api/tts-generator', withModel({ promptText, voice }, model));
 
             if (audioData && mimeType && mimeType.startsWith("audio/")) {
                 const sampleRateMatch = mimeType.match(/rate=(\d+)/);
@@ -2350,6 +5524,8 @@ const App7_TtsGenerator = () => {
                 const wavBlob = pcmToWav(pcm16, sampleRate);
                 const url = URL.createObjectURL(wavBlob);
                 setAudioUrl(url);
+                // Audio tidak diarsipkan (terlalu besar), cukup naskah dan suaranya
+                recordGeneration('tts-generator', { promptText, voice }, '', { mimeType });
             } else {
                 throw new Error("Respons API tidak valid atau tidak mengandung data audio.");
             }
@@ -2443,6 +5619,7 @@ const App7_TtsGenerator = () => {
                                 <input id="speed-slider" type="range" min="0.5" max="2" value={speed} step="0.1" onChange={(e) => setSpeed(e.target.value)} className="w-full h-2 bg-gray-200 dark:bg-gray-700 rounded-lg appearance-none cursor-pointer accent-cyan-600" />
                             </div>
                         </div>
+                        <ModelPicker route="tts-generator" value={model} onChange={setModel} disabled={isLoading} />
                         <div className="pt-4">
                             {/* PERBAIKAN: Tombol submit disesuaikan dengan tema */}
                             <button type="submit" id="generate-btn" disabled={isLoading} className="w-full bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-600 hover:to-blue-700 text-white font-bold py-3 px-4 rounded-lg shadow-lg transition duration-300 ease-in-out transform hover:-translate-y-0.5 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-cyan-500 focus:ring-offset-gray-100 dark:focus:ring-offset-gray-800 disabled:opacity-75 disabled:cursor-not-allowed flex items-center justify-center text-lg">
@@ -2472,6 +5649,338 @@ const App7_TtsGenerator = () => {
 };
 
 
+// =======================================================================
+// === APLIKASI 8: PIPELINE KAMPANYE (lihat api/lib/pipeline.js)
+// =======================================================================
+const PIPELINE_STATUS_LABELS = {
+    running: 'Berjalan',
+    paused: 'Dijeda',
+    failed: 'Gagal',
+    completed: 'Selesai',
+};
+const PIPELINE_STEP_STATUS = {
+    pending: { label: 'Menunggu', className: 'bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300' },
+    running: { label: 'Berjalan...', className: 'bg-blue-100 text-blue-800 dark:bg-blue-900/50 dark:text-blue-200' },
+    done: { label: 'Selesai', className: 'bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-200' },
+    error: { label: 'Gagal', className: 'bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-200' },
+};
+// Output langkah berikut berupa HTML (sama seperti tampilan App 3 dan App 5)
+const PIPELINE_HTML_STEPS = ['map-market', 'content-planner'];
+// Output langkah yang diteruskan ke konteks produk aktif agar bisa diimpor alat lain
+const PIPELINE_PRODUCT_FIELDS = {
+    analyze: 'valueMap',
+    'map-market': 'marketMap',
+    'psikologis-market': 'psychProfile',
+    'psikologis-hooks': 'hooks',
+    'psikologis-persona': 'personas',
+};
+
+// YAML value map dari output langkah analyze (ekspor YAML; run lama: bagian setelah ---VISUAL_BREAK---)
+const extractAnalysisYaml = (text) => {
+    const parts = text.split('---VISUAL_BREAK---');
+    if (parts.length < 2) return text.trim();
+    return parts[1].replace(/^```yaml\n|```$/g, '').trim();
+};
+
+const PIPELINE_BRIEF_FIELDS = [
+    { name: 'productName', label: 'Nama Produk *', placeholder: "Contoh: Kopi Susu Aren 'Nyaman'" },
+    { name: 'productType', label: 'Jenis Produk/Layanan *', placeholder: 'Contoh: Minuman kopi siap minum' },
+    { name: 'salesLocation', label: 'Lokasi Penjualan', placeholder: 'Contoh: Online, Jabodetabek' },
+    { name: 'price', label: 'Harga', placeholder: 'Contoh: Rp 18.000' },
+    { name: 'description', label: 'Deskripsi / Fitur Produk *', rows: 3, placeholder: 'Spesifikasi, bahan, keunggulan produk...' },
+    { name: 'targetAudience', label: 'Target Konsumen *', rows: 2, placeholder: 'Contoh: Mahasiswa 18-24 tahun yang sering begadang' },
+    { name: 'competitors', label: 'Kompetitor Utama', placeholder: 'Contoh: Kopi Kenangan, Janji Jiwa' },
+    { name: 'positioning', label: 'Positioning Brand', placeholder: 'Contoh: Kopi yang aman di lambung' },
+    { name: 'advantages', label: 'Keunggulan Menurut Brand', rows: 2 },
+    { name: 'painPoints', label: 'Masalah Konsumen', rows: 2 },
+    { name: 'customerReviews', label: 'Review Pelanggan (opsional, untuk Psikologis Market)', rows: 3 },
+    { name: 'contentGoal', label: 'Tujuan Utama Konten *', placeholder: 'Contoh: Meningkatkan penjualan paket mingguan' },
+    { name: 'planDuration', label: 'Durasi Rencana Konten', placeholder: 'Default: Rencana 7 Hari' },
+    { name: 'cta', label: 'CTA Copywriting *', placeholder: 'Contoh: Order lewat link di bio' },
+    { name: 'platform', label: 'Platform Copywriting', placeholder: 'Default: Video Reels/Tiktok' },
+    { name: 'formula', label: 'Formula Copywriting', placeholder: 'Default: AIDA' },
+    { name: 'language', label: 'Bahasa', placeholder: 'Default: Bahasa Indonesia' },
+];
+const PIPELINE_REQUIRED_FIELDS = ['productName', 'productType', 'description', 'targetAudience', 'contentGoal', 'cta'];
+
+const App8_CampaignPipeline = () => {
+    const project = useContext(ProjectContext);
+    const [brief, setBrief] = useProjectState('app8', 'brief', () => Object.fromEntries(PIPELINE_BRIEF_FIELDS.map(field => [field.name, ''])));
+    // Hanya id run yang disimpan di proyek; isi run selalu diambil dari server
+    const [runId, setRunId] = useProjectState('app8', 'runId', null);
+    const [run, setRun] = useState(null);
+    const [isDriving, setIsDriving] = useState(false);
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const [expandedStep, setExpandedStep] = useState(null);
+    const [editing, setEditing] = useState(null); // { stepId, text }
+    const isMountedRef = useRef(true);
+    const isDrivingRef = useRef(false);
+    const { updateProduct } = useActiveProduct();
+
+    const publishStep = (currentRun, stepId) => {
+        const field = PIPELINE_PRODUCT_FIELDS[stepId];
+        const step = currentRun.steps.find(item => item.id === stepId);
+        if (!field || !step || step.status !== 'done') return;
+        if (stepId === 'analyze') {
+            updateProduct({ productName: currentRun.brief.productName, valueMap: extractAnalysisYaml(step.output) });
+        } else {
+            updateProduct({ [field]: step.output });
+        }
+    };
+
+    useEffect(() => {
+        isMountedRef.current = true;
+        return () => { isMountedRef.current = false; };
+    }, []);
+
+    useEffect(() => {
+        if (!runId) return;
+        requestJSON(`/api/pipeline/runs/${runId}`)
+            // Run yang baru dibuat/sedang dijalankan di layar ini sudah lebih baru dari hasil fetch
+            .then(data => { if (isMountedRef.current) setRun(prev => (prev && prev.id === data.id ? prev : data)); })
+            .catch(err => {
+                if (!isMountedRef.current) return;
+                if (err.code === 'NOT_FOUND') setRunId(null);
+                else setError(err.message);
+            });
+    }, [runId, setRunId]);
+
+    /**
+     * Menjalankan langkah satu per satu (POST /step) selama run masih 'running'.
+     * Jeda dari tombol "Jeda" terlihat di run yang dikembalikan setelah langkah berjalan selesai.
+     */
+    const driveRun = async (startRun) => {
+        if (isDrivingRef.current) return;
+        isDrivingRef.current = true;
+        setIsDriving(true);
+        setError(null);
+        let current = startRun;
+        try {
+            while (isMountedRef.current && current.status === 'running') {
+                const nextStep = current.steps.find(step => step.status !== 'done');
+                setRun({ ...current, steps: current.steps.map(step => (step === nextStep ? { ...step, status: 'running', error: null } : step)) });
+                current = await requestJSON(`/api/pipeline/runs/${current.id}/step`, { method: 'POST' });
+                if (isMountedRef.current) {
+                    setRun(current);
+                    if (nextStep) publishStep(current, nextStep.id);
+                }
+            }
+        } catch (err) {
+            if (isMountedRef.current) {
+                setError(err.message);
+                requestJSON(`/api/pipeline/runs/${current.id}`).then(setRun).catch(() => {});
+            }
+        } finally {
+            isDrivingRef.current = false;
+            if (isMountedRef.current) setIsDriving(false);
+        }
+    };
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setBrief(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleStart = async (e) => {
+        e.preventDefault();
+        if (PIPELINE_REQUIRED_FIELDS.some(field => !(brief[field] || '').trim())) {
+            setError('Harap isi semua kolom yang wajib ditandai *');
+            return;
+        }
+        setIsBusy(true);
+        setError(null);
+        setEditing(null);
+        try {
+            const created = await requestJSON('/api/pipeline/runs', { method: 'POST', body: { projectId: project.id, ...brief } });
+            setRunId(created.id);
+            setRun(created);
+            driveRun(created);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handlePause = async () => {
+        setIsBusy(true);
+        try {
+            setRun(await requestJSON(`/api/pipeline/runs/${run.id}/pause`, { method: 'POST' }));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleResume = async () => {
+        setIsBusy(true);
+        setError(null);
+        setEditing(null);
+        try {
+            // Run 'running' tanpa loop aktif (misal setelah halaman dimuat ulang) cukup dijalankan lagi
+            const resumed = run.status === 'running' ? run : await requestJSON(`/api/pipeline/runs/${run.id}/resume`, { method: 'POST' });
+            setRun(resumed);
+            driveRun(resumed);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleSaveEdit = async () => {
+        setIsBusy(true);
+        setError(null);
+        try {
+            const updated = await requestJSON(`/api/pipeline/runs/${run.id}/steps/${editing.stepId}`, {
+                method: 'PUT',
+                body: { output: editing.text },
+            });
+            setRun(updated);
+            publishStep(updated, editing.stepId);
+            setEditing(null);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleNewRun = () => {
+        setRunId(null);
+        setRun(null);
+        setEditing(null);
+        setError(null);
+    };
+
+    const inputClassName = "w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-cyan-500 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400";
+    const canEdit = run && !isDriving && !isBusy;
+
+    return (
+        <div className="p-4 sm:p-6 lg:p-8">
+            <div className="max-w-5xl mx-auto bg-white dark:bg-gray-800 p-6 md:p-8 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700 text-gray-900 dark:text-white">
+                <div className="space-y-8">
+                    <div className="text-center">
+                        <h1 className="text-3xl md:text-4xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-cyan-500 to-blue-600">🚀 Pipeline Kampanye</h1>
+                        <p className="text-gray-600 dark:text-gray-300 mt-2 text-base">Satu brief produk, semua alat berjalan berurutan: Analisis Value → Mapping Market → Psikologis Market → Hook & Persona → Perencana Konten → Copywriting.</p>
+                    </div>
+
+                    {!run && (
+                        <form onSubmit={handleStart} className="space-y-6">
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                {PIPELINE_BRIEF_FIELDS.map(field => (
+                                    <div key={field.name} className={field.rows ? 'md:col-span-2' : ''}>
+                                        <label htmlFor={`pipeline-${field.name}`} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">{field.label}</label>
+                                        {field.rows ? (
+                                            <textarea id={`pipeline-${field.name}`} name={field.name} rows={field.rows} value={brief[field.name] || ''} onChange={handleChange} className={inputClassName} placeholder={field.placeholder} />
+                                        ) : (
+                                            <input id={`pipeline-${field.name}`} name={field.name} type="text" value={brief[field.name] || ''} onChange={handleChange} className={inputClassName} placeholder={field.placeholder} />
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                            <button type="submit" disabled={isBusy || !project} className="w-full bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-600 hover:to-blue-700 text-white font-bold py-3 px-4 rounded-lg shadow-lg transition duration-300 ease-in-out disabled:opacity-75 disabled:cursor-not-allowed flex items-center justify-center space-x-2">
+                                <IconWandSparkles />
+                                <span>{isBusy ? 'Menyiapkan...' : 'Mulai Pipeline'}</span>
+                            </button>
+                        </form>
+                    )}
+
+                    {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+                    {run && (
+                        <div className="space-y-4">
+                            <div className="flex flex-wrap items-center justify-between gap-3">
+                                <div>
+                                    <h2 className="text-xl font-semibold">{run.brief.productName}</h2>
+                                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                                        Status: {PIPELINE_STATUS_LABELS[run.status] || run.status} · {run.steps.filter(step => step.status === 'done').length}/{run.steps.length} langkah selesai
+                                    </p>
+                                </div>
+                                <div className="flex gap-2">
+                                    {isDriving && run.status === 'running' && (
+                                        <button type="button" onClick={handlePause} disabled={isBusy} className="bg-amber-500 hover:bg-amber-600 text-white font-semibold py-2 px-4 rounded-lg disabled:opacity-60">Jeda</button>
+                                    )}
+                                    {!isDriving && run.status !== 'completed' && (
+                                        <button type="button" onClick={handleResume} disabled={isBusy} className="bg-cyan-600 hover:bg-cyan-700 text-white font-semibold py-2 px-4 rounded-lg disabled:opacity-60">Lanjutkan</button>
+                                    )}
+                                    {!isDriving && (
+                                        <button type="button" onClick={handleNewRun} disabled={isBusy} className="bg-gray-600 hover:bg-gray-500 text-white font-semibold py-2 px-4 rounded-lg disabled:opacity-60">Brief Baru</button>
+                                    )}
+                                </div>
+                            </div>
+                            {isDriving && run.status === 'paused' && (
+                                <p className="text-sm text-amber-700 dark:text-amber-300">Pipeline akan berhenti setelah langkah yang sedang berjalan selesai.</p>
+                            )}
+
+                            <ol className="space-y-3">
+                                {run.steps.map((step, index) => {
+                                    const status = PIPELINE_STEP_STATUS[step.status] || PIPELINE_STEP_STATUS.pending;
+                                    const isExpanded = expandedStep === step.id;
+                                    const isEditing = editing && editing.stepId === step.id;
+                                    return (
+                                        <li key={step.id} className="border border-gray-200 dark:border-gray-700 rounded-lg">
+                                            <button
+                                                type="button"
+                                                onClick={() => setExpandedStep(isExpanded ? null : step.id)}
+                                                disabled={step.status !== 'done' && step.status !== 'error'}
+                                                className="w-full flex items-center justify-between gap-4 p-4 text-left disabled:cursor-default"
+                                            >
+                                                <span className="font-semibold">
+                                                    {index + 1}. {ROUTE_LABELS[step.id] || step.id}
+                                                    {step.edited && <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">(diedit)</span>}
+                                                </span>
+                                                <span className={`text-xs font-semibold px-2 py-1 rounded-full ${status.className}`}>{status.label}</span>
+                                            </button>
+                                            {isExpanded && step.status === 'error' && step.error && (
+                                                <p className="px-4 pb-4 text-sm text-red-600 dark:text-red-400">{createApiError(step.error).message}</p>
+                                            )}
+                                            {isExpanded && step.status === 'done' && (
+                                                <div className="px-4 pb-4 space-y-3">
+                                                    <GenerationNotice meta={step.meta} />
+                                                    {isEditing ? (
+                                                        <>
+                                                            <textarea
+                                                                value={editing.text}
+                                                                onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                                                                rows="14"
+                                                                className={`${inputClassName} font-mono text-sm`}
+                                                            />
+                                                            <p className="text-xs text-gray-500 dark:text-gray-400">Menyimpan perubahan akan mengulang semua langkah sesudahnya dengan hasil yang sudah diedit.</p>
+                                                            <div className="flex gap-2">
+                                                                <button type="button" onClick={handleSaveEdit} disabled={isBusy || !editing.text.trim()} className="bg-cyan-600 hover:bg-cyan-700 text-white text-sm font-semibold py-1.5 px-3 rounded-md disabled:opacity-60">Simpan</button>
+                                                                <button type="button" onClick={() => setEditing(null)} disabled={isBusy} className="bg-gray-600 hover:bg-gray-500 text-white text-sm font-semibold py-1.5 px-3 rounded-md">Batal</button>
+                                                            </div>
+                                                        </>
+                                                    ) : (
+                                                        <>
+                                                            {PIPELINE_HTML_STEPS.includes(step.id) ? (
+                                                                <div className="max-h-96 overflow-auto p-3 bg-gray-50 dark:bg-gray-900 rounded-lg text-sm" dangerouslySetInnerHTML={{ __html: sanitizeHtml(step.output) }} />
+                                                            ) : (
+                                                                <pre className="max-h-96 overflow-auto p-3 whitespace-pre-wrap bg-gray-50 dark:bg-gray-900 rounded-lg text-sm">{step.output}</pre>
+                                                            )}
+                                                            {canEdit && (
+                                                                <button type="button" onClick={() => setEditing({ stepId: step.id, text: step.output })} className="bg-gray-600 hover:bg-gray-500 text-white text-sm font-semibold py-1.5 px-3 rounded-md">Edit Hasil</button>
+                                                            )}
+                                                        </>
+                                                    )}
+                                                </div>
+                                            )}
+                                        </li>
+                                    );
+                                })}
+                            </ol>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+
 // =======================================================================
 // === KOMPONEN INDUK / SHELL APLIKASI
 // =======================================================================
@@ -2485,6 +5994,7 @@ const apps = [
     { id: 'app5', name: 'Perencana Konten', component: App5_ContentPlanner, icon: <IconCalendar /> },
     { id: 'app6', name: 'Copywriting', component: App6_Copywriting, icon: <IconPencil /> },
     { id: 'app7', name: 'Teks Ke Suara', component: App7_TtsGenerator, icon: <IconVolume /> },
+    { id: 'app8', name: 'Pipeline Kampanye', component: App8_CampaignPipeline, icon: <IconWorkflow /> },
 ];
 
 // Komponen Navigasi Tombol
@@ -2531,14 +6041,14 @@ const MobileNavButton = ({ app, activeApp, onClick }) => {
 };
 
 // Komponen untuk me-render aplikasi yang aktif
-const RenderActiveApp = ({ activeApp, setActiveApp }) => {
+const RenderActiveApp = ({ activeApp, setActiveApp, workspaceId, onWorkspaceCreated }) => {
     const app = apps.find(a => a.id === activeApp);
     if (!app) return <div>Aplikasi tidak ditemukan</div>;
 
     const ActiveComponent = app.component;
 
     if (app.id === 'app1') {
-        return <ActiveComponent setActiveApp={setActiveApp} />;
+        return <ActiveComponent setActiveApp={setActiveApp} workspaceId={workspaceId} onWorkspaceCreated={onWorkspaceCreated} />;
     }
     
     return <ActiveComponent />;
@@ -2546,20 +6056,291 @@ const RenderActiveApp = ({ activeApp, setActiveApp }) => {
 
 /**
  * Komponen Notifikasi Global untuk Salin (digunakan oleh App 4)
+ * type: 'success' (hijau) atau 'error' (merah)
  */
-function CopyNotification({ message }) {
+function CopyNotification({ message, type = 'success' }) {
   if (!message) return null;
+  const colorClass = type === 'error' ? 'bg-red-600' : 'bg-green-600';
   return (
-    <div className="fixed bottom-5 left-1/2 -translate-x-1/2 bg-green-600 text-white px-4 py-2 rounded-lg shadow-lg z-50 transition-all duration-300 ease-out">
+    <div className={`fixed bottom-5 left-1/2 -translate-x-1/2 ${colorClass} text-white px-4 py-2 rounded-lg shadow-lg z-50 transition-all duration-300 ease-out`}>
       {message}
     </div>
   );
 }
 
 
+/**
+ * Layar masuk sebelum sidebar dirender: password atau magic link (lihat api/routes/auth.js).
+ * `onSession({ token, user, workspaces })` dipanggil setelah berhasil masuk/daftar.
+ */
+const LoginScreen = ({ onSession, initialError = null }) => {
+  const [mode, setMode] = useState('login'); // 'login' | 'register' | 'magic'
+  const [form, setForm] = useState({ name: '', email: '', password: '' });
+  const [registrationOpen, setRegistrationOpen] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(initialError);
+
+  useEffect(() => {
+    requestJSON('/api/auth/config')
+      .then(config => setRegistrationOpen(config.registrationOpen))
+      .catch(() => {});
+  }, []);
+
+  const handleChange = (event) => {
+    setForm(prev => ({ ...prev, [event.target.name]: event.target.value }));
+  };
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setNotice(null);
+    setError(null);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setNotice(null);
+    setError(null);
+    try {
+      if (mode === 'magic') {
+        const result = await requestJSON('/api/auth/magic-link', { method: 'POST', body: { email: form.email } });
+        setNotice(`${result.message} Periksa kotak masuk email Anda.`);
+      } else if (mode === 'register') {
+        onSession(await requestJSON('/api/auth/register', { method: 'POST', body: form }));
+      } else {
+        onSession(await requestJSON('/api/auth/login', { method: 'POST', body: { email: form.email, password: form.password } }));
+      }
+    } catch (err) {
+      setError(err.code === 'UNAUTHORIZED' || err.code === 'FORBIDDEN' ? (err.serverMessage || err.message) : err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClass = "w-full p-3 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-cyan-500 placeholder:text-gray-400 dark:placeholder:text-gray-500";
+  const titles = { login: 'Masuk', register: 'Daftar Akun', magic: 'Masuk dengan Link Email' };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-[#2022f3] p-4">
+      <div className="w-full max-w-md bg-white dark:bg-gray-800 text-gray-900 dark:text-white rounded-lg shadow-xl p-8">
+        <div className="flex items-center mb-6">
+          <img src="/AI SATSET LOGO.png" alt="Logo" className="h-10 w-10 mr-3" />
+          <div>
+            <p className="text-2xl font-bold text-[#2022f3] dark:text-[#f8fb18]">AI SATSET</p>
+            <p className="text-xs text-gray-500 dark:text-gray-400">AI Tim Konten · Div. Analis & Strategi Komunikasi</p>
+          </div>
+        </div>
+
+        <h1 className="text-xl font-semibold mb-4">{titles[mode]}</h1>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {mode === 'register' && (
+            <input type="text" name="name" className={inputClass} placeholder="Nama" value={form.name} onChange={handleChange} disabled={isSubmitting} />
+          )}
+          <input type="email" name="email" className={inputClass} placeholder="Email" value={form.email} onChange={handleChange} disabled={isSubmitting} required autoComplete="email" />
+          {mode !== 'magic' && (
+            <input
+              type="password"
+              name="password"
+              className={inputClass}
+              placeholder={mode === 'register' ? 'Password (minimal 8 karakter)' : 'Password'}
+              value={form.password}
+              onChange={handleChange}
+              disabled={isSubmitting}
+              required
+              minLength={mode === 'register' ? 8 : undefined}
+              autoComplete={mode === 'register' ? 'new-password' : 'current-password'}
+            />
+          )}
+          <button type="submit" disabled={isSubmitting} className="w-full py-3 bg-[#2022f3] hover:bg-blue-800 text-white font-semibold rounded-lg disabled:opacity-50 disabled:cursor-not-allowed">
+            {isSubmitting ? 'Memproses...' : (mode === 'magic' ? 'Kirim Link Masuk' : titles[mode])}
+          </button>
+        </form>
+
+        {notice && <p className="mt-4 text-sm text-green-600 dark:text-green-400">{notice}</p>}
+        {error && <p className="mt-4 text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+        <div className="mt-6 space-y-2 text-sm text-center">
+          {mode !== 'login' && (
+            <button type="button" onClick={() => switchMode('login')} className="text-cyan-600 dark:text-cyan-400 hover:underline">Masuk dengan password</button>
+          )}
+          {mode !== 'magic' && (
+            <button type="button" onClick={() => switchMode('magic')} className="block w-full text-cyan-600 dark:text-cyan-400 hover:underline">Kirim link masuk ke email</button>
+          )}
+          {mode !== 'register' && (
+            <p className="text-gray-500 dark:text-gray-400">
+              {registrationOpen ? 'Belum punya akun? ' : 'Diundang ke workspace tim? '}
+              <button type="button" onClick={() => switchMode('register')} className="text-cyan-600 dark:text-cyan-400 hover:underline">Daftar</button>
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const activeProjectKey = (workspaceId) => `satset_active_project_${workspaceId}`;
+
+/**
+ * Daftar proyek workspace + proyek aktif (dimuat sebagai store untuk ProjectContext).
+ * Workspace tanpa proyek otomatis dibuatkan "Proyek Utama".
+ */
+const useActiveProject = (workspaceId) => {
+    const [projects, setProjects] = useState([]);
+    // Proyek terpilih dicatat bersama workspace-nya agar pergantian workspace tidak memuat proyek lama
+    const [selection, setSelection] = useState({ workspaceId: null, projectId: null });
+    const projectId = selection.workspaceId === workspaceId ? selection.projectId : null;
+    const setProjectId = useCallback((nextProjectId) => setSelection({ workspaceId, projectId: nextProjectId }), [workspaceId]);
+    const [projectStore, setProjectStore] = useState(null);
+    const [projectError, setProjectError] = useState(null);
+
+    useEffect(() => {
+        if (!workspaceId) return undefined;
+        let isActive = true;
+        setProjects([]);
+        setProjectStore(null);
+        setProjectError(null);
+
+        const loadProjects = async () => {
+            let list;
+            try {
+                list = (await requestJSON('/api/projects')).projects;
+                if (list.length === 0) {
+                    list = [await requestJSON('/api/projects', { method: 'POST', body: { name: 'Proyek Utama' } })];
+                }
+                writeCache(projectListCacheKey(workspaceId), list);
+            } catch (err) {
+                list = readCache(projectListCacheKey(workspaceId), null);
+                if (!list || err.code) throw err;
+            }
+            return list;
+        };
+
+        loadProjects()
+            .then(list => {
+                if (!isActive) return;
+                setProjects(list);
+                const stored = localStorage.getItem(activeProjectKey(workspaceId));
+                setProjectId(list.some(p => p.id === stored) ? stored : list[0].id);
+            })
+            .catch(err => { if (isActive) setProjectError(err.message); });
+        return () => { isActive = false; };
+    }, [workspaceId, setProjectId]);
+
+    useEffect(() => {
+        if (!projectId) return undefined;
+        let isActive = true;
+        setProjectStore(null);
+        localStorage.setItem(activeProjectKey(workspaceId), projectId);
+        loadProjectStore(projectId)
+            .then(store => { if (isActive) setProjectStore(store); })
+            .catch(err => { if (isActive) setProjectError(err.message); });
+        return () => { isActive = false; };
+    }, [workspaceId, projectId]);
+
+    const createProject = async (name) => {
+        try {
+            const project = await requestJSON('/api/projects', { method: 'POST', body: { name } });
+            const list = [project, ...projects];
+            setProjects(list);
+            writeCache(projectListCacheKey(workspaceId), list);
+            setProjectId(project.id);
+        } catch (err) {
+            setProjectError(err.message);
+        }
+    };
+
+    return { projects, projectId, setProjectId, projectStore, projectError, createProject };
+};
+
 // Komponen APP utama
 export default function App() {
     const [activeApp, setActiveApp] = useState('app1');
+    const [session, setSession] = useState(null); // { user, workspaces }
+    const [workspaceId, setWorkspaceId] = useState(getActiveWorkspaceId);
+    const [isCheckingSession, setIsCheckingSession] = useState(true);
+    const [loginError, setLoginError] = useState(null);
+    const { projects, projectId, setProjectId, projectStore, projectError, createProject } = useActiveProject(session ? workspaceId : null);
+
+    // Simpan sesi dan pilih workspace aktif (yang tersimpan jika masih anggota, selain itu yang pertama)
+    const applySession = useCallback(({ token, user, workspaces }) => {
+        if (token) setAuthToken(token);
+        const stored = getActiveWorkspaceId();
+        const nextWorkspaceId = workspaces.some(w => w.id === stored) ? stored : (workspaces[0] ? workspaces[0].id : null);
+        setActiveWorkspaceId(nextWorkspaceId);
+        setWorkspaceId(nextWorkspaceId);
+        setSession({ user, workspaces });
+    }, []);
+
+    const clearSession = useCallback(() => {
+        setAuthToken(null);
+        setSession(null);
+        setActiveApp('app1');
+    }, []);
+
+    useEffect(() => {
+        const params = new URLSearchParams(window.location.search);
+        const magicToken = params.get('magic');
+
+        let request;
+        if (magicToken) {
+            // Hapus token dari URL agar tidak tersimpan di riwayat browser
+            params.delete('magic');
+            const query = params.toString();
+            window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+            request = requestJSON('/api/auth/magic-link/verify', { method: 'POST', body: { token: magicToken } })
+                .then(applySession)
+                .catch(err => setLoginError(err.serverMessage || err.message));
+        } else if (getAuthToken()) {
+            request = requestJSON('/api/auth/me')
+                .then(applySession)
+                .catch(() => setAuthToken(null));
+        } else {
+            request = Promise.resolve();
+        }
+        request.finally(() => setIsCheckingSession(false));
+    }, [applySession]);
+
+    useEffect(() => {
+        window.addEventListener('satset:unauthorized', clearSession);
+        return () => window.removeEventListener('satset:unauthorized', clearSession);
+    }, [clearSession]);
+
+    const handleLogout = async () => {
+        try {
+            await requestJSON('/api/auth/logout', { method: 'POST' });
+        } catch (err) {
+            console.error('Gagal logout di server:', err.message);
+        }
+        clearSession();
+    };
+
+    const handleWorkspaceChange = (nextWorkspaceId) => {
+        setActiveWorkspaceId(nextWorkspaceId);
+        setWorkspaceId(nextWorkspaceId);
+    };
+
+    const handleCreateProject = () => {
+        const name = window.prompt('Nama proyek baru (misal: nama produk atau kampanye):');
+        if (name && name.trim()) createProject(name.trim());
+    };
+
+    const handleWorkspaceCreated = async (workspace) => {
+        setActiveWorkspaceId(workspace.id);
+        applySession(await requestJSON('/api/auth/me'));
+    };
+
+    if (isCheckingSession) {
+        return (
+            <div className="flex h-screen items-center justify-center bg-[#2022f3]">
+                <div className="w-12 h-12 border-4 border-[#f8fb18] border-t-transparent border-solid rounded-full animate-spin"></div>
+            </div>
+        );
+    }
+
+    if (!session) {
+        return <LoginScreen onSession={(data) => { setLoginError(null); applySession(data); }} initialError={loginError} />;
+    }
 
     return (
         <>
@@ -2606,16 +6387,63 @@ export default function App() {
             {/* 2. MAIN CONTENT AREA */}
             <main className="flex-1 flex flex-col overflow-hidden">
                 {/* Header (Opsional, tapi bagus untuk judul) */}
-                <header className="bg-white dark:bg-gray-800 shadow dark:shadow-gray-700 p-4 z-10">
+                <header className="bg-white dark:bg-gray-800 shadow dark:shadow-gray-700 p-4 z-10 flex flex-wrap items-center justify-between gap-2">
                     <h1 id="page-title" className="text-xl font-semibold text-gray-900 dark:text-white">
                         {/* {apps.find(a => a.id === activeApp)?.name || 'App'} */}
                         AI TIM KONTEN @ai.satset
                     </h1>
+                    <div className="flex flex-wrap items-center gap-3 text-sm">
+                        {projects.length > 0 && (
+                            <div className="flex items-center gap-1">
+                                <select
+                                    value={projectId || ''}
+                                    onChange={(e) => setProjectId(e.target.value)}
+                                    className="p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200 focus:ring-2 focus:ring-cyan-500"
+                                    aria-label="Proyek aktif"
+                                >
+                                    {projects.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                                </select>
+                                <button type="button" onClick={handleCreateProject} title="Proyek baru" className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700">
+                                    +
+                                </button>
+                            </div>
+                        )}
+                        {session.workspaces.length > 0 && (
+                            <select
+                                value={workspaceId || ''}
+                                onChange={(e) => handleWorkspaceChange(e.target.value)}
+                                className="p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200 focus:ring-2 focus:ring-cyan-500"
+                                aria-label="Workspace aktif"
+                            >
+                                {session.workspaces.map(w => <option key={w.id} value={w.id}>{w.name}</option>)}
+                            </select>
+                        )}
+                        <span className="hidden sm:inline text-gray-500 dark:text-gray-400">{session.user.email}</span>
+                        <button type="button" onClick={handleLogout} className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700">
+                            Keluar
+                        </button>
+                    </div>
                 </header>
 
                 {/* Kontainer untuk "Aplikasi" yang aktif */}
                 <div className="flex-1 p-0 overflow-y-auto pb-20 md:pb-0">
-                    <RenderActiveApp activeApp={activeApp} setActiveApp={setActiveApp} />
+                    {projectError && !projectStore && (
+                        <p className="m-6 p-4 rounded-lg bg-red-100 dark:bg-red-900/40 text-red-700 dark:text-red-300">Gagal memuat proyek: {projectError}</p>
+                    )}
+                    {/* Ganti workspace/proyek = mulai ulang aplikasi aktif dengan state proyek tersebut */}
+                    {projectStore && (
+                        <ProjectContext.Provider value={projectStore}>
+                            <ProductProvider key={`${workspaceId}:${projectStore.id}`}>
+                                <RenderActiveApp
+                                    key={`${workspaceId}:${projectStore.id}`}
+                                    activeApp={activeApp}
+                                    setActiveApp={setActiveApp}
+                                    workspaceId={workspaceId}
+                                    onWorkspaceCreated={handleWorkspaceCreated}
+                                />
+                            </ProductProvider>
+                        </ProjectContext.Provider>
+                    )}
                 </div>
             </main>
 
@@ -0,0 +1,284 @@
+/**
+ * Impor review massal (CSV/JSON) untuk App 4 (Psikologis Market).
+ * Ekspor review marketplace (Shopee, Tokopedia, Google Maps) bisa berisi ratusan baris. File diolah di browser:
+ * review diduplikasi, distribusi rating dan frekuensi kata dihitung lokal, lalu hanya ringkasan + sampel
+ * representatif yang dikirim ke /api/psikologis-market (lihat formatReviewDigest).
+ */
+export const REVIEW_IMPORT_MAX_BYTES = 10 * 1024 * 1024;
+const REVIEW_SAMPLE_SIZE = 40;
+const REVIEW_SAMPLE_MIN_PER_RATING = 2;
+const REVIEW_SAMPLE_MAX_LENGTH = 500;
+const REVIEW_TOP_KEYWORDS = 15;
+
+// Pengenal kolom per field, diperiksa berurutan (rating, text, date, variant).
+// `exact` hanya cocok jika seluruh judul kolom sama ("Ulasan"), `words` cocok dengan salah satu kata judulnya
+// ("Isi Komentar"), jadi "Tanggal Ulasan" dan "Review Date" tetap dikenali sebagai tanggal.
+const REVIEW_FIELDS = {
+  rating: { exact: [], words: ['rating', 'bintang', 'stars', 'star', 'score', 'nilai'] },
+  text: { exact: ['review', 'reviews', 'ulasan'], words: ['komentar', 'comment', 'comments', 'text', 'isi', 'content', 'snippet', 'pesan'] },
+  date: { exact: [], words: ['tanggal', 'date', 'waktu', 'time', 'published', 'created', 'dibuat'] },
+  variant: { exact: [], words: ['varian', 'variasi', 'variant', 'variation'] },
+};
+
+// Rating teks dari Google Business Profile API ("FIVE")
+const RATING_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5 };
+
+const REVIEW_STOPWORDS = new Set([
+  // Indonesia (termasuk singkatan yang umum di review marketplace)
+  'yang', 'dan', 'di', 'ke', 'dari', 'ini', 'itu', 'untuk', 'dengan', 'ada', 'tidak', 'tdk', 'gak', 'ga', 'nggak', 'enggak',
+  'sudah', 'udah', 'sdh', 'udh', 'juga', 'jg', 'aja', 'saja', 'sih', 'kok', 'nya', 'karena', 'krn', 'tapi', 'tp', 'atau',
+  'lagi', 'lg', 'bisa', 'akan', 'masih', 'sama', 'kalau', 'kalo', 'klo', 'jadi', 'jd', 'buat', 'bgt', 'banget', 'sangat',
+  'sekali', 'saya', 'aku', 'kami', 'kita', 'kamu', 'dia', 'mereka', 'pas', 'dgn', 'yg', 'utk', 'pada', 'dalam', 'oleh',
+  'seperti', 'lebih', 'agak', 'cukup', 'trus', 'terus', 'lalu', 'kak', 'min', 'seller', 'barang', 'produk', 'sampai',
+  'sampe', 'hari', 'belum', 'blm', 'mau', 'beli', 'pesan', 'order', 'biar', 'semoga', 'dah', 'deh', 'dong', 'nih', 'tuh',
+  // Inggris
+  'the', 'and', 'for', 'with', 'this', 'that', 'was', 'are', 'but', 'not', 'you', 'have', 'has', 'very', 'too', 'just',
+  'its', 'they', 'from', 'will', 'all', 'out', 'get', 'got', 'one', 'really',
+]);
+
+const normalizeHeader = (header) => String(header)
+  .replace(/([a-z])([A-Z])/g, '$1 $2')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+const normalizeReviewText = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Parser CSV sederhana (RFC 4180): mendukung kolom ber-kutip, kutip ganda ("") dan baris baru di dalam kutip.
+ * Pemisah dideteksi dari baris pertama (koma, titik koma untuk Excel berbahasa Indonesia, atau tab).
+ * @returns {string[][]} - Baris-baris sel
+ * @throws {Error} - Tanda kutip tidak ditutup (sisa file akan terbaca sebagai satu sel)
+ */
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.slice(0, source.indexOf('\n') >= 0 ? source.indexOf('\n') : source.length);
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) => (
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  ), ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let quoteLine = 0;
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index];
+    if (char === '\n') line++;
+    if (inQuotes) {
+      if (char === '"' && source[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+      quoteLine = line;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') index++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (inQuotes) throw new Error(`tanda kutip (") di baris ${quoteLine} tidak ditutup.`);
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim()));
+};
+
+/**
+ * Indeks kolom per field review dari judul kolom; field yang tidak ditemukan bernilai -1.
+ */
+export const detectReviewColumns = (headers) => {
+  const columns = { rating: -1, text: -1, date: -1, variant: -1 };
+  headers.forEach((header, index) => {
+    const normalized = normalizeHeader(header);
+    const words = normalized.split(' ');
+    const field = Object.keys(REVIEW_FIELDS).find(key => (
+      columns[key] === -1 && (REVIEW_FIELDS[key].exact.includes(normalized) || REVIEW_FIELDS[key].words.some(word => words.includes(word)))
+    ));
+    if (field) columns[field] = index;
+  });
+  return columns;
+};
+
+// "5", "4,5", "5/5", "★★★★☆", "FIVE" -> 1-5; selain itu null
+export const parseRating = (value) => {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  const stars = (text.match(/★/g) || []).length;
+  const word = RATING_WORDS[text.toLowerCase()];
+  const number = stars > 0 ? stars : word || parseFloat(text.replace(',', '.'));
+  if (!Number.isFinite(number) || number < 1) return null;
+  return Math.min(5, Math.round(number));
+};
+
+// Baris JSON boleh bersarang satu tingkat (misal GeoJSON Google Takeout: { properties: { ... } })
+const flattenReviewRecord = (record) => (
+  record.properties && typeof record.properties === 'object' ? { ...record, ...record.properties } : record
+);
+
+/**
+ * Baris tabel dari file JSON: array objek di akar, atau di `reviews`, `data`, `items`, `results`, `features`.
+ * @returns {string[][]} - Baris pertama berisi judul kolom
+ */
+export const jsonToRows = (data) => {
+  const list = Array.isArray(data)
+    ? data
+    : ['reviews', 'data', 'items', 'results', 'features'].map(key => data && data[key]).find(Array.isArray);
+  if (!list) throw new Error('JSON harus berupa array review atau objek dengan array "reviews"/"data".');
+  const records = list.filter(item => item && typeof item === 'object' && !Array.isArray(item)).map(flattenReviewRecord);
+  const headers = [...new Set(records.flatMap(record => Object.keys(record)))]
+    .filter(key => records.some(record => record[key] === null || typeof record[key] !== 'object'));
+  return [headers, ...records.map(record => headers.map(key => (record[key] === null || record[key] === undefined ? '' : String(record[key]))))];
+};
+
+/**
+ * Parse satu file ekspor review (CSV atau JSON) menjadi [{ rating, text, date, variant }].
+ * @throws {Error} - Format tidak dikenali atau kolom teks/rating tidak ditemukan
+ */
+export const parseReviewFile = (name, content) => {
+  const isJson = /\.json$/i.test(name) || /^\s*[[{]/.test(content);
+  let rows;
+  if (isJson) {
+    try {
+      rows = jsonToRows(JSON.parse(content));
+    } catch (error) {
+      throw new Error(`${name}: ${error instanceof SyntaxError ? 'JSON tidak valid' : error.message}`);
+    }
+  } else {
+    try {
+      rows = parseCsv(content);
+    } catch (error) {
+      throw new Error(`${name}: ${error.message}`);
+    }
+  }
+  if (rows.length < 2) throw new Error(`${name}: tidak ada baris review.`);
+
+  const columns = detectReviewColumns(rows[0]);
+  if (columns.text === -1 && columns.rating === -1) {
+    throw new Error(`${name}: kolom review tidak dikenali. Pastikan ada kolom seperti "Rating" dan "Ulasan"/"Komentar"/"Review".`);
+  }
+  const getCell = (cells, field) => (columns[field] === -1 ? '' : String(cells[columns[field]] ?? '').trim());
+  return rows.slice(1)
+    .map(cells => ({
+      rating: parseRating(getCell(cells, 'rating')),
+      text: getCell(cells, 'text').replace(/\s+/g, ' '),
+      date: getCell(cells, 'date'),
+      variant: getCell(cells, 'variant'),
+    }))
+    .filter(review => review.text || review.rating !== null);
+};
+
+// Duplikat = teks yang sama setelah dinormalisasi (review yang dipost ulang atau file yang diekspor dua kali).
+// Review tanpa teks (hanya rating) tidak dianggap duplikat.
+export const dedupeReviews = (reviews) => {
+  const seen = new Set();
+  return reviews.filter(review => {
+    if (!review.text) return true;
+    const key = normalizeReviewText(review.text);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Frekuensi kata = jumlah review yang memuat kata tersebut (bukan jumlah kemunculan)
+export const countKeywords = (reviews) => {
+  const counts = new Map();
+  reviews.forEach(review => {
+    const words = new Set(normalizeReviewText(review.text).split(' ')
+      .filter(word => word.length >= 3 && !/^\d+$/.test(word) && !REVIEW_STOPWORDS.has(word)));
+    words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  });
+  return [...counts.entries()]
+    .filter(([, count]) => count > 1)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, REVIEW_TOP_KEYWORDS)
+    .map(([word, count]) => ({ word, count }));
+};
+
+// Sampel proporsional per rating (minimal REVIEW_SAMPLE_MIN_PER_RATING agar rating minoritas tetap terwakili),
+// diambil merata dari review yang diurutkan menurut panjang teks agar campuran review singkat dan detail
+export const sampleReviews = (reviews) => {
+  const withText = reviews.filter(review => review.text);
+  if (withText.length <= REVIEW_SAMPLE_SIZE) return withText;
+  const buckets = [5, 4, 3, 2, 1, null]
+    .map(rating => withText.filter(review => review.rating === rating).sort((a, b) => a.text.length - b.text.length))
+    .filter(bucket => bucket.length > 0);
+  return buckets.flatMap(bucket => {
+    const quota = Math.min(bucket.length, Math.max(REVIEW_SAMPLE_MIN_PER_RATING, Math.round(REVIEW_SAMPLE_SIZE * bucket.length / withText.length)));
+    const step = bucket.length / quota;
+    return Array.from({ length: quota }, (_, index) => bucket[Math.floor(index * step + step / 2)]);
+  });
+};
+
+/**
+ * Agregat review hasil impor; hanya ini (bukan seluruh review) yang disimpan di proyek.
+ * @returns {object} - { files, total, duplicates, unrated, average, distribution: { 1..5 }, keywords, negativeKeywords, sample }
+ */
+export const summarizeReviews = (files, reviews) => {
+  const unique = dedupeReviews(reviews);
+  const rated = unique.filter(review => review.rating !== null);
+  const distribution = Object.fromEntries([1, 2, 3, 4, 5].map(rating => [rating, rated.filter(review => review.rating === rating).length]));
+  const withText = unique.filter(review => review.text);
+  return {
+    files,
+    total: unique.length,
+    duplicates: reviews.length - unique.length,
+    unrated: unique.length - rated.length,
+    average: rated.length > 0 ? rated.reduce((sum, review) => sum + review.rating, 0) / rated.length : null,
+    distribution,
+    keywords: countKeywords(withText),
+    negativeKeywords: countKeywords(withText.filter(review => review.rating !== null && review.rating <= 2)),
+    sample: sampleReviews(unique).map(review => ({
+      ...review,
+      text: review.text.length > REVIEW_SAMPLE_MAX_LENGTH ? `${review.text.slice(0, REVIEW_SAMPLE_MAX_LENGTH)}…` : review.text,
+    })),
+  };
+};
+
+export const formatPercent = (count, total) => `${total > 0 ? Math.round((count / total) * 100) : 0}%`;
+
+/**
+ * Teks ringkasan impor review untuk prompt /api/psikologis-market (bagian DATA REVIEW PELANGGAN).
+ */
+export const formatReviewDigest = (digest) => {
+  const ratedTotal = digest.total - digest.unrated;
+  const lines = [
+    `Ringkasan ${digest.total} review unik dari ${digest.files.join(', ')} (diolah otomatis; ${digest.duplicates} duplikat dibuang).`,
+  ];
+  if (digest.average !== null) {
+    lines.push(`Rata-rata rating: ${digest.average.toFixed(1).replace('.', ',')} dari 5 (${ratedTotal} review berating).`);
+    lines.push(`Distribusi rating: ${[5, 4, 3, 2, 1].map(rating => `${rating} bintang ${digest.distribution[rating]} (${formatPercent(digest.distribution[rating], ratedTotal)})`).join(', ')}.`);
+  }
+  if (digest.keywords.length > 0) {
+    lines.push(`Kata yang paling sering muncul (jumlah review): ${digest.keywords.map(({ word, count }) => `${word} (${count})`).join(', ')}.`);
+  }
+  if (digest.negativeKeywords.length > 0) {
+    lines.push(`Kata yang sering muncul di review rating 1-2: ${digest.negativeKeywords.map(({ word, count }) => `${word} (${count})`).join(', ')}.`);
+  }
+  lines.push('', `Sampel review representatif (${digest.sample.length} dari ${digest.total}, proporsional per rating):`);
+  digest.sample.forEach(review => {
+    const meta = [
+      review.rating !== null ? `${review.rating}★` : 'tanpa rating',
+      review.date,
+      review.variant && `varian: ${review.variant}`,
+    ].filter(Boolean).join(' | ');
+    lines.push(`- [${meta}] ${review.text}`);
+  });
+  return lines.join('\n');
+};
@@ -0,0 +1,91 @@
+import { parseCsv, parseReviewFile, dedupeReviews, summarizeReviews, formatReviewDigest } from './reviewImport';
+
+describe('parseCsv', () => {
+  test('membaca kolom ber-kutip berisi pemisah, kutip ganda, dan baris baru', () => {
+    const csv = 'Rating,Ulasan\n5,"Enak, mantap"\n4,"Katanya ""low acid"""\n3,"Baris satu\nbaris dua"\n';
+    expect(parseCsv(csv)).toEqual([
+      ['Rating', 'Ulasan'],
+      ['5', 'Enak, mantap'],
+      ['4', 'Katanya "low acid"'],
+      ['3', 'Baris satu\nbaris dua'],
+    ]);
+  });
+
+  test('mendeteksi pemisah titik koma, BOM, dan CRLF dari ekspor Excel', () => {
+    expect(parseCsv('\uFEFFRating;Ulasan\r\n5;Enak, banget\r\n\r\n')).toEqual([['Rating', 'Ulasan'], ['5', 'Enak, banget']]);
+  });
+
+  test('menolak tanda kutip yang tidak ditutup', () => {
+    expect(() => parseCsv('Rating,Ulasan\n5,"Enak\n4,Oke\n')).toThrow('tanda kutip (") di baris 2 tidak ditutup.');
+  });
+
+  test('kutip di tengah sel dibaca apa adanya', () => {
+    expect(parseCsv('Ulasan,Varian\nukuran 12" pas,Besar\n')).toEqual([['Ulasan', 'Varian'], ['ukuran 12" pas', 'Besar']]);
+  });
+});
+
+describe('parseReviewFile', () => {
+  test('mengenali kolom rating, teks, tanggal, dan varian dari judul kolom', () => {
+    const csv = 'Bintang,Isi Komentar,Tanggal Ulasan,Variasi\n5,"Enak,  mantap",2024-01-01,Besar\n★★☆☆☆,Kurang,,\n,,,\n';
+    expect(parseReviewFile('shopee.csv', csv)).toEqual([
+      { rating: 5, text: 'Enak, mantap', date: '2024-01-01', variant: 'Besar' },
+      { rating: 2, text: 'Kurang', date: '', variant: '' },
+    ]);
+  });
+
+  test('membaca JSON bersarang (GeoJSON Google Takeout) tanpa salah mengira "type" sebagai varian', () => {
+    const json = JSON.stringify({
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', properties: { starRating: 'FIVE', comment: 'Mantap', date: '2024-02-02' } }],
+    });
+    expect(parseReviewFile('takeout.json', json)).toEqual([{ rating: 5, text: 'Mantap', date: '2024-02-02', variant: '' }]);
+  });
+
+  test('menyebut nama file pada pesan error', () => {
+    expect(() => parseReviewFile('rusak.json', '{"reviews": [')).toThrow('rusak.json: JSON tidak valid');
+    expect(() => parseReviewFile('kutip.csv', 'Ulasan\n"Enak\n')).toThrow('kutip.csv: tanda kutip');
+    expect(() => parseReviewFile('lain.csv', 'Nama,Kota\nAni,Bandung\n')).toThrow('lain.csv: kolom review tidak dikenali');
+    expect(() => parseReviewFile('kosong.csv', 'Rating,Ulasan\n')).toThrow('kosong.csv: tidak ada baris review.');
+  });
+});
+
+describe('dedupeReviews', () => {
+  test('membuang teks yang sama setelah dinormalisasi, tetapi tidak review tanpa teks', () => {
+    const reviews = [
+      { rating: 5, text: 'Enak banget!' },
+      { rating: 4, text: 'enak   BANGET' },
+      { rating: 3, text: '' },
+      { rating: 3, text: '' },
+    ];
+    expect(dedupeReviews(reviews)).toEqual([reviews[0], reviews[2], reviews[3]]);
+  });
+});
+
+describe('summarizeReviews', () => {
+  const reviews = [
+    { rating: 5, text: 'Kopinya enak dan lambung aman', date: '', variant: '' },
+    { rating: 5, text: 'Kopinya enak dan lambung aman', date: '', variant: '' },
+    { rating: 4, text: 'Enak, pengiriman cepat', date: '', variant: '' },
+    { rating: 1, text: 'Pahit dan lambung perih', date: '', variant: '' },
+    { rating: 2, text: 'Lambung perih setelah minum', date: '', variant: '' },
+    { rating: null, text: 'Belum coba', date: '', variant: 'Besar' },
+  ];
+
+  test('menghitung duplikat, distribusi rating, dan kata kunci', () => {
+    const digest = summarizeReviews(['a.csv'], reviews);
+    expect(digest.total).toBe(5);
+    expect(digest.duplicates).toBe(1);
+    expect(digest.unrated).toBe(1);
+    expect(digest.average).toBe(3);
+    expect(digest.distribution).toEqual({ 1: 1, 2: 1, 3: 0, 4: 1, 5: 1 });
+    expect(digest.keywords[0]).toEqual({ word: 'lambung', count: 3 });
+    expect(digest.negativeKeywords).toEqual([{ word: 'lambung', count: 2 }, { word: 'perih', count: 2 }]);
+  });
+
+  test('formatReviewDigest memuat ringkasan dan sampel', () => {
+    const text = formatReviewDigest(summarizeReviews(['a.csv'], reviews));
+    expect(text).toContain('Ringkasan 5 review unik dari a.csv (diolah otomatis; 1 duplikat dibuang).');
+    expect(text).toContain('Rata-rata rating: 3,0 dari 5 (4 review berating).');
+    expect(text).toContain('- [tanpa rating | varian: Besar] Belum coba');
+  });
+});